@@ -0,0 +1,219 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+
+const PERMISSIONS = ['read', 'write', 'delete', 'admin'];
+
+// Applies where no rule matches: any logged-in user can work with the file
+const DEFAULT_PERMISSIONS = ['read', 'write', 'delete'];
+
+/**
+ * Per-folder access control lists
+ *
+ * Rules are stored per folder path ("/team/finance") as a list of
+ * { principal, permissions } entries, where principal is "user:<name>",
+ * "group:<name>" or "*". A folder inherits the rules of its closest
+ * ancestor that has a matching entry. At that level the most specific match
+ * wins: a user entry beats group entries, which beat "*". Multiple matching
+ * group entries are combined.
+ *
+ * Global admins (role "admin") bypass all checks. The "admin" permission
+ * grants everything else and the right to edit rules in that subtree.
+ */
+class AccessControl {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.rules = new Map();
+    }
+
+    /**
+     * Load rules from disk (missing file means no rules)
+     */
+    async load() {
+        if (!fsSync.existsSync(this.filePath)) {
+            return;
+        }
+
+        const content = await fs.readFile(this.filePath, 'utf8');
+        const data = JSON.parse(content);
+        this.rules = new Map(Object.entries(data.rules || {}));
+    }
+
+    /**
+     * Persist rules to disk
+     */
+    async save() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        const data = { rules: Object.fromEntries(this.rules) };
+        await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+        await fs.rename(tmpPath, this.filePath);
+    }
+
+    /**
+     * Get the rules set directly on a folder (not inherited)
+     */
+    getRules(folderPath) {
+        return this.rules.get(folderPath) || [];
+    }
+
+    /**
+     * Replace the rules on a folder. An empty list removes them.
+     */
+    async setRules(folderPath, rules) {
+        if (rules.length === 0) {
+            this.rules.delete(folderPath);
+        } else {
+            this.rules.set(folderPath, rules.map(rule => ({
+                principal: rule.principal,
+                permissions: [...new Set(rule.permissions)]
+            })));
+        }
+        await this.save();
+    }
+
+    /**
+     * List every folder that has rules
+     */
+    listAll() {
+        return Array.from(this.rules.entries())
+            // Rules of trashed folders are parked under non-path keys
+            .filter(([folderPath]) => folderPath.startsWith('/'))
+            .map(([folderPath, rules]) => ({ path: folderPath, rules }))
+            .sort((a, b) => a.path.localeCompare(b.path));
+    }
+
+    /**
+     * Work out what a user may do at a path
+     * @param {string} itemPath - Path relative to the storage root ("/a/b")
+     * @param {Object} user - { username, role, groups }
+     * @returns {{ permissions: Array<string>, source: string|null }}
+     *   source is the folder the rules were inherited from (null = default)
+     */
+    resolve(itemPath, user) {
+        if (user.role === 'admin') {
+            return { permissions: [...PERMISSIONS], source: null };
+        }
+
+        for (const candidate of AccessControl.ancestors(itemPath)) {
+            const rules = this.rules.get(candidate);
+            const matched = rules && AccessControl.matchRules(rules, user);
+            if (matched) {
+                const permissions = matched.includes('admin') ? [...PERMISSIONS] : matched;
+                return { permissions, source: candidate };
+            }
+        }
+
+        return { permissions: [...DEFAULT_PERMISSIONS], source: null };
+    }
+
+    /**
+     * Check a single permission at a path
+     */
+    can(itemPath, user, permission) {
+        return this.resolve(itemPath, user).permissions.includes(permission);
+    }
+
+    /**
+     * Check a permission at a path and on every ruled folder beneath it,
+     * so recursive operations can't reach into more restricted subfolders
+     */
+    canTree(itemPath, user, permission) {
+        return this.can(itemPath, user, permission) && this.getDeniedPaths(itemPath, user, permission).length === 0;
+    }
+
+    /**
+     * Find the ruled folders beneath a path where a user lacks a permission,
+     * leaving out those inside another one found
+     * @returns {Array<string>}
+     */
+    getDeniedPaths(itemPath, user, permission) {
+        const prefix = itemPath === '/' ? '/' : itemPath + '/';
+        const denied = Array.from(this.rules.keys())
+            .filter(rulePath => rulePath.startsWith(prefix) && !this.can(rulePath, user, permission));
+        return denied.filter(rulePath => !denied.some(other => rulePath.startsWith(other + '/')));
+    }
+
+    /**
+     * Keep rules attached to a folder (and its subfolders) after a move
+     */
+    async movePath(oldPath, newPath) {
+        let changed = false;
+        for (const [rulePath, rules] of Array.from(this.rules.entries())) {
+            if (rulePath === oldPath || rulePath.startsWith(oldPath + '/')) {
+                this.rules.delete(rulePath);
+                this.rules.set(newPath + rulePath.slice(oldPath.length), rules);
+                changed = true;
+            }
+        }
+        if (changed) {
+            await this.save();
+        }
+    }
+
+    /**
+     * Drop rules for a deleted folder and its subfolders
+     */
+    async removePath(itemPath) {
+        let changed = false;
+        for (const rulePath of Array.from(this.rules.keys())) {
+            if (rulePath === itemPath || rulePath.startsWith(itemPath + '/')) {
+                this.rules.delete(rulePath);
+                changed = true;
+            }
+        }
+        if (changed) {
+            await this.save();
+        }
+    }
+
+    /**
+     * Find the permissions granted by the most specific matching entries
+     * @returns {Array<string>|null} null if no entry matches the user
+     */
+    static matchRules(rules, user) {
+        const groups = user.groups || [];
+        const tiers = [
+            rules.filter(rule => rule.principal === `user:${user.username}`),
+            rules.filter(rule => rule.principal.startsWith('group:') &&
+                groups.includes(rule.principal.slice('group:'.length))),
+            rules.filter(rule => rule.principal === '*')
+        ];
+
+        for (const tier of tiers) {
+            if (tier.length > 0) {
+                return [...new Set(tier.flatMap(rule => rule.permissions))];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * List a path and its ancestors, deepest first ("/a/b" → "/a/b", "/a", "/")
+     */
+    static ancestors(itemPath) {
+        const result = [];
+        let current = itemPath;
+        while (current !== '/') {
+            result.push(current);
+            current = path.posix.dirname(current);
+        }
+        result.push('/');
+        return result;
+    }
+
+    /**
+     * Validate a rule received from the API
+     */
+    static isValidRule(rule) {
+        return rule !== null && typeof rule === 'object' &&
+            typeof rule.principal === 'string' &&
+            /^(\*|user:.+|group:.+)$/.test(rule.principal) &&
+            Array.isArray(rule.permissions) &&
+            rule.permissions.every(p => PERMISSIONS.includes(p));
+    }
+}
+
+AccessControl.PERMISSIONS = PERMISSIONS;
+
+module.exports = AccessControl;
@@ -0,0 +1,117 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ACCESS_KEY_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Access keys for the S3-compatible API, each acting as one user
+ *
+ * SigV4 signs requests with the secret itself, so secrets are stored as-is
+ * (the file is only readable by the server) rather than hashed like passwords.
+ * Persisted as JSON.
+ */
+class AccessKeyStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        // access key id -> key
+        this.keys = new Map();
+    }
+
+    /**
+     * Load keys from disk (missing file means no keys yet)
+     */
+    async load() {
+        if (!fsSync.existsSync(this.filePath)) {
+            return;
+        }
+
+        const content = await fs.readFile(this.filePath, 'utf8');
+        const data = JSON.parse(content);
+        this.keys = new Map((data.keys || []).map(key => [key.accessKeyId, key]));
+    }
+
+    /**
+     * Persist keys to disk
+     */
+    async save() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        const data = { keys: Array.from(this.keys.values()) };
+        await fs.writeFile(tmpPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+        await fs.rename(tmpPath, this.filePath);
+    }
+
+    /**
+     * Create a key for a user
+     * @param {Object} details
+     * @param {string} details.username - Who requests signed with the key act as
+     * @param {string} [details.description]
+     * @param {string} details.createdBy
+     * @returns {Promise<Object>} The key, including its secret
+     */
+    async create({ username, description = '', createdBy }) {
+        const id = Array.from(crypto.randomBytes(16), byte => ACCESS_KEY_ALPHABET[byte % 32]).join('');
+        const key = {
+            accessKeyId: `QN${id}`,
+            secretAccessKey: crypto.randomBytes(30).toString('base64'),
+            username,
+            description,
+            createdBy,
+            createdAt: new Date().toISOString()
+        };
+
+        this.keys.set(key.accessKeyId, key);
+        await this.save();
+        return key;
+    }
+
+    get(accessKeyId) {
+        return this.keys.get(accessKeyId) || null;
+    }
+
+    /**
+     * List keys without their secrets
+     */
+    list() {
+        return Array.from(this.keys.values()).map(key => AccessKeyStore.toPublic(key));
+    }
+
+    /**
+     * @returns {Promise<boolean>} False if there was no such key
+     */
+    async remove(accessKeyId) {
+        if (!this.keys.delete(accessKeyId)) {
+            return false;
+        }
+        await this.save();
+        return true;
+    }
+
+    /**
+     * Delete every key belonging to a user
+     */
+    async removeUser(username) {
+        let changed = false;
+        for (const [accessKeyId, key] of this.keys) {
+            if (key.username === username) {
+                this.keys.delete(accessKeyId);
+                changed = true;
+            }
+        }
+        if (changed) {
+            await this.save();
+        }
+    }
+
+    /**
+     * Strip the secret from a key
+     */
+    static toPublic(key) {
+        const { secretAccessKey, ...rest } = key;
+        return rest;
+    }
+}
+
+module.exports = AccessKeyStore;
@@ -0,0 +1,132 @@
+// Watcher events for a path are collected for this long before one is sent
+const WATCH_DELAY = 300;
+
+// Watcher events this soon after the server reported the same path itself
+// are echoes of that operation and are dropped
+const ECHO_WINDOW = 2000;
+
+/**
+ * Live feed of changes to the storage tree (create, delete, rename, upload)
+ *
+ * The server publishes its own operations; watch() adds a watcher on the
+ * storage so changes made outside the server are published too. Subscribers get
+ * every event and pick out the ones they care about.
+ */
+class ChangeFeed {
+    constructor() {
+        this.subscribers = new Set();
+        // path -> time the server last published it
+        this.recent = new Map();
+        // path -> { timer, renamed } for watcher events being collected
+        this.pending = new Map();
+        this.watcher = null;
+    }
+
+    /**
+     * @param {Function} callback - (event) => void
+     * @returns {Function} Call to unsubscribe
+     */
+    subscribe(callback) {
+        this.subscribers.add(callback);
+        return () => this.subscribers.delete(callback);
+    }
+
+    /**
+     * Send an event to every subscriber
+     * @param {Object} event
+     * @param {string} event.type - create, delete, rename or upload
+     * @param {string} event.path - Path relative to the storage root
+     * @param {string} [event.newPath] - Where a renamed item is now
+     * @param {Object} [event.item] - The item as /api/files lists it (not for deletes)
+     * @param {string|null} [event.user] - Who made the change (null when it came from the filesystem)
+     * @param {string} [event.source] - 'filesystem' for changes seen by the watcher
+     */
+    publish(event) {
+        const fullEvent = { ...event, at: new Date().toISOString() };
+
+        if (event.source !== 'filesystem') {
+            const now = Date.now();
+            this.recent.set(event.path, now);
+            if (event.newPath) {
+                this.recent.set(event.newPath, now);
+            }
+            this.pruneRecent(now);
+        }
+
+        for (const callback of this.subscribers) {
+            try {
+                callback(fullEvent);
+            } catch (error) {
+                console.error('Error sending change event:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Publish changes made to the files behind the server's back, for storage
+     * that can be watched
+     * @param {StorageAdapter} storage
+     * @param {Object} options
+     * @param {Function} options.describe - async (itemPath) => item details, or null if it's gone
+     * @param {Function} [options.ignore] - (itemPath) => true to leave a path out
+     * @param {Function} [options.onChange] - (itemPath) => void, called for every change seen
+     * @returns {boolean} Whether the storage is being watched
+     */
+    watch(storage, { describe, ignore = () => false, onChange = null }) {
+        this.watcher = storage.watch((itemPath, renamed) => {
+            if (ignore(itemPath)) {
+                return;
+            }
+
+            // Writes arrive as many events; wait until they settle
+            const pending = this.pending.get(itemPath) || { renamed: false };
+            clearTimeout(pending.timer);
+            pending.renamed = pending.renamed || renamed;
+            pending.timer = setTimeout(() => {
+                this.pending.delete(itemPath);
+                if (onChange) {
+                    onChange(itemPath);
+                }
+                this.publishFilesystemChange(itemPath, pending.renamed, describe).catch(error => {
+                    console.error(`Error reporting change to ${itemPath}:`, error.message);
+                });
+            }, WATCH_DELAY);
+            this.pending.set(itemPath, pending);
+        });
+        return this.watcher !== null;
+    }
+
+    async publishFilesystemChange(itemPath, renamed, describe) {
+        const lastPublished = this.recent.get(itemPath);
+        if (lastPublished && Date.now() - lastPublished < ECHO_WINDOW) {
+            return;
+        }
+
+        const item = await describe(itemPath);
+        if (!item) {
+            this.publish({ type: 'delete', path: itemPath, user: null, source: 'filesystem' });
+        } else {
+            // A "rename" from the watcher means the name appeared; otherwise the contents changed
+            const type = renamed ? 'create' : 'upload';
+            this.publish({ type, path: itemPath, item, user: null, source: 'filesystem' });
+        }
+    }
+
+    pruneRecent(now) {
+        for (const [itemPath, time] of this.recent) {
+            if (now - time >= ECHO_WINDOW) {
+                this.recent.delete(itemPath);
+            }
+        }
+    }
+
+    /**
+     * Whether an event concerns something inside a folder (at any depth)
+     */
+    static isInside(event, folderPath) {
+        const prefix = folderPath === '/' ? '/' : folderPath + '/';
+        return event.path.startsWith(prefix) || Boolean(event.newPath && event.newPath.startsWith(prefix));
+    }
+}
+
+module.exports = ChangeFeed;
@@ -0,0 +1,367 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+
+// Words are runs of letters, digits and underscores
+const WORD_PATTERN = /[\p{L}\p{N}_]+/gu;
+const MIN_TERM_LENGTH = 2;
+const MAX_TERM_LENGTH = 64;
+
+// Snippet shape: at most this many matching lines per file, cut to this width
+const MAX_SNIPPETS = 3;
+const SNIPPET_WIDTH = 160;
+
+// Wait this long after a change before writing the index, so a burst of
+// uploads is saved once
+const SAVE_DELAY = 5000;
+
+/**
+ * Full-text index over the text files in the storage tree
+ *
+ * Every indexed file is stored with its size, mtime and the distinct words it
+ * contains; an in-memory word -> paths map is rebuilt from that on load.
+ * Files whose size and mtime haven't changed are not read again, so a rescan
+ * after a restart only touches what changed. Snippets are cut from the file
+ * itself at query time.
+ */
+class ContentIndex {
+    /**
+     * @param {string} filePath - Where the index is persisted
+     * @param {Object} options
+     * @param {StorageAdapter} options.storage - Where the files are
+     * @param {Array<string>} options.extensions - Extensions of files to index
+     * @param {number} [options.maxFileSize] - Larger files are left out (bytes)
+     * @param {Function} [options.ignore] - (itemPath) => true to skip a file or folder
+     */
+    constructor(filePath, options) {
+        this.filePath = filePath;
+        this.storage = options.storage;
+        this.extensions = new Set(options.extensions);
+        this.maxFileSize = options.maxFileSize || 5 * 1024 * 1024;
+        this.ignore = options.ignore || (() => false);
+
+        // path -> { size, mtimeMs, terms }
+        this.files = new Map();
+        // term -> Set of paths
+        this.postings = new Map();
+        this.lastScanAt = null;
+        this.scanning = null;
+        this.saveTimer = null;
+    }
+
+    /**
+     * Load the index from disk (missing file means nothing is indexed yet)
+     */
+    async load() {
+        if (!fsSync.existsSync(this.filePath)) {
+            return;
+        }
+
+        const content = await fs.readFile(this.filePath, 'utf8');
+        const data = JSON.parse(content);
+        this.lastScanAt = data.lastScanAt || null;
+        for (const [itemPath, entry] of Object.entries(data.files || {})) {
+            this.setEntry(itemPath, entry);
+        }
+    }
+
+    /**
+     * Persist the index to disk
+     */
+    async save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        const data = { lastScanAt: this.lastScanAt, files: Object.fromEntries(this.files) };
+        await fs.writeFile(tmpPath, JSON.stringify(data));
+        await fs.rename(tmpPath, this.filePath);
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) {
+            return;
+        }
+        this.saveTimer = setTimeout(() => {
+            this.save().catch(error => console.error('Error saving content index:', error.message));
+        }, SAVE_DELAY);
+        this.saveTimer.unref();
+    }
+
+    /**
+     * Whether a file name is one the index reads
+     */
+    isIndexable(name) {
+        return this.extensions.has(path.extname(name).slice(1).toLowerCase());
+    }
+
+    /**
+     * Index a file, or everything under a folder; paths that are gone or no
+     * longer indexable are dropped
+     * @param {string} itemPath - Path relative to the storage root
+     */
+    async update(itemPath) {
+        const stats = await this.storage.stat(itemPath).catch(() => null);
+
+        if (stats && stats.isDirectory()) {
+            await this.scanFolder(itemPath, new Set());
+        } else {
+            this.removePath(itemPath);
+            if (stats && stats.isFile()) {
+                await this.indexFile(itemPath, stats);
+            }
+        }
+        this.scheduleSave();
+    }
+
+    /**
+     * Forget a file, or every file under a folder
+     */
+    removePath(itemPath) {
+        for (const indexedPath of Array.from(this.files.keys())) {
+            if (indexedPath === itemPath || indexedPath.startsWith(itemPath + '/')) {
+                this.deleteEntry(indexedPath);
+            }
+        }
+        this.scheduleSave();
+    }
+
+    /**
+     * Keep entries for a moved file or folder under its new path
+     */
+    movePath(oldPath, newPath) {
+        for (const [indexedPath, entry] of Array.from(this.files.entries())) {
+            if (indexedPath === oldPath || indexedPath.startsWith(oldPath + '/')) {
+                this.deleteEntry(indexedPath);
+                this.setEntry(newPath + indexedPath.slice(oldPath.length), entry);
+            }
+        }
+        this.scheduleSave();
+    }
+
+    /**
+     * Walk the whole tree, indexing new and changed files and dropping
+     * entries for files that are gone. Only one scan runs at a time; calling
+     * this during a scan returns the running one.
+     * @param {Object} [options]
+     * @param {boolean} [options.rebuild] - Throw away the index and read every file again
+     * @param {Function} [options.onProgress] - ({ scanned, indexed }) => void
+     * @returns {Promise<Object>} { scanned, indexed, removed }
+     */
+    rescan(options = {}) {
+        if (!this.scanning) {
+            this.scanning = this.runScan(options).finally(() => {
+                this.scanning = null;
+            });
+        }
+        return this.scanning;
+    }
+
+    async runScan({ rebuild = false, onProgress = null } = {}) {
+        if (rebuild) {
+            this.files.clear();
+            this.postings.clear();
+        }
+
+        const seen = new Set();
+        const counts = await this.scanFolder('/', seen, onProgress);
+
+        let removed = 0;
+        for (const itemPath of Array.from(this.files.keys())) {
+            if (!seen.has(itemPath)) {
+                this.deleteEntry(itemPath);
+                removed++;
+            }
+        }
+
+        this.lastScanAt = new Date().toISOString();
+        await this.save();
+        return { ...counts, removed };
+    }
+
+    async scanFolder(folderPath, seen, onProgress = null, counts = { scanned: 0, indexed: 0 }) {
+        let entries;
+        try {
+            entries = await this.storage.list(folderPath);
+        } catch (error) {
+            console.error(`Error reading ${folderPath}:`, error.message);
+            return counts;
+        }
+
+        for (const entry of entries) {
+            const itemPath = path.posix.join(folderPath, entry.name);
+            // Links are left out, so the same file isn't indexed under two paths
+            if (entry.symlink || this.ignore(itemPath)) {
+                continue;
+            }
+
+            if (entry.isDirectory()) {
+                await this.scanFolder(itemPath, seen, onProgress, counts);
+            } else if (this.isIndexable(entry.name)) {
+                seen.add(itemPath);
+                counts.scanned++;
+                try {
+                    if (await this.indexFile(itemPath, entry)) {
+                        counts.indexed++;
+                    }
+                } catch (error) {
+                    console.error(`Error indexing ${itemPath}:`, error.message);
+                }
+                if (onProgress) {
+                    onProgress(counts);
+                }
+            }
+        }
+        return counts;
+    }
+
+    /**
+     * Read and index one file unless it is unchanged since it was last indexed
+     * @returns {Promise<boolean>} Whether the file was (re)read
+     */
+    async indexFile(itemPath, stats = null) {
+        if (!this.isIndexable(itemPath)) {
+            return false;
+        }
+
+        stats = stats || await this.storage.stat(itemPath);
+        const existing = this.files.get(itemPath);
+        if (existing && existing.size === stats.size && existing.mtimeMs === stats.mtimeMs) {
+            return false;
+        }
+
+        this.deleteEntry(itemPath);
+        if (stats.size > this.maxFileSize) {
+            return false;
+        }
+
+        const content = await this.storage.readText(itemPath);
+        this.setEntry(itemPath, {
+            size: stats.size,
+            mtimeMs: stats.mtimeMs,
+            terms: Array.from(new Set(ContentIndex.tokenize(content)))
+        });
+        return true;
+    }
+
+    /**
+     * Find files containing every word of the query (the last word may be
+     * the start of a word, for search-as-you-type)
+     * @param {string} query
+     * @param {Function} [filter] - (itemPath) => false to leave a file out
+     * @returns {Array<string>} Matching paths, sorted
+     */
+    search(query, filter = () => true) {
+        const terms = ContentIndex.tokenize(query);
+        if (terms.length === 0) {
+            return [];
+        }
+
+        let matches = null;
+        terms.forEach((term, index) => {
+            const paths = new Set();
+            const isLast = index === terms.length - 1;
+            for (const [indexedTerm, termPaths] of this.postings) {
+                if (indexedTerm === term || (isLast && indexedTerm.startsWith(term))) {
+                    termPaths.forEach(itemPath => paths.add(itemPath));
+                }
+            }
+            matches = matches ? new Set([...matches].filter(itemPath => paths.has(itemPath))) : paths;
+        });
+
+        return Array.from(matches).filter(filter).sort();
+    }
+
+    /**
+     * Lines of a file that contain query words, with the match positions
+     * @returns {Promise<Array<{line: number, text: string, matches: Array<Array<number>>}>>}
+     *   matches are [start, end) character offsets into text
+     */
+    async getSnippets(itemPath, query) {
+        const terms = ContentIndex.tokenize(query);
+        const content = await this.storage.readText(itemPath);
+        const lines = content.split(/\r?\n/);
+        const snippets = [];
+
+        for (let i = 0; i < lines.length && snippets.length < MAX_SNIPPETS; i++) {
+            const line = lines[i];
+            const found = ContentIndex.findTerms(line, terms);
+            if (found.length === 0) {
+                continue;
+            }
+
+            // Center the snippet on the first match when the line is long
+            const start = line.length > SNIPPET_WIDTH
+                ? Math.max(0, Math.min(found[0][0] - SNIPPET_WIDTH / 4, line.length - SNIPPET_WIDTH))
+                : 0;
+            const end = start + SNIPPET_WIDTH;
+            snippets.push({
+                line: i + 1,
+                text: line.slice(start, end),
+                matches: found
+                    .filter(([matchStart, matchEnd]) => matchStart >= start && matchEnd <= end)
+                    .map(([matchStart, matchEnd]) => [matchStart - start, matchEnd - start])
+            });
+        }
+        return snippets;
+    }
+
+    getStatus() {
+        return {
+            files: this.files.size,
+            terms: this.postings.size,
+            scanning: Boolean(this.scanning),
+            lastScanAt: this.lastScanAt
+        };
+    }
+
+    setEntry(itemPath, entry) {
+        this.files.set(itemPath, entry);
+        for (const term of entry.terms) {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Set());
+            }
+            this.postings.get(term).add(itemPath);
+        }
+    }
+
+    deleteEntry(itemPath) {
+        const entry = this.files.get(itemPath);
+        if (!entry) {
+            return;
+        }
+        for (const term of entry.terms) {
+            const paths = this.postings.get(term);
+            paths.delete(itemPath);
+            if (paths.size === 0) {
+                this.postings.delete(term);
+            }
+        }
+        this.files.delete(itemPath);
+    }
+
+    /**
+     * Split text into lowercase words
+     */
+    static tokenize(text) {
+        return (text.toLowerCase().match(WORD_PATTERN) || [])
+            .filter(term => term.length >= MIN_TERM_LENGTH && term.length <= MAX_TERM_LENGTH);
+    }
+
+    /**
+     * Positions of words in a line that are, or start with, one of the terms
+     */
+    static findTerms(line, terms) {
+        const found = [];
+        const lower = line.toLowerCase();
+        for (const match of lower.matchAll(WORD_PATTERN)) {
+            if (terms.some(term => match[0].startsWith(term))) {
+                found.push([match.index, match.index + match[0].length]);
+            }
+        }
+        return found;
+    }
+}
+
+module.exports = ContentIndex;
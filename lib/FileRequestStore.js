@@ -0,0 +1,156 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Upload-only "file request" links: outsiders can drop files into one folder
+ * without seeing its contents. Each link has its own expiry and limits.
+ * Persisted as JSON.
+ */
+class FileRequestStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.requests = new Map();
+    }
+
+    /**
+     * Load file requests from disk (missing file means none)
+     */
+    async load() {
+        if (!fsSync.existsSync(this.filePath)) {
+            return;
+        }
+
+        const content = await fs.readFile(this.filePath, 'utf8');
+        const data = JSON.parse(content);
+        this.requests = new Map((data.requests || []).map(request => [request.token, request]));
+    }
+
+    /**
+     * Persist file requests to disk
+     */
+    async save() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        const data = { requests: Array.from(this.requests.values()) };
+        await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+        await fs.rename(tmpPath, this.filePath);
+    }
+
+    /**
+     * Create a file request link
+     * @param {Object} details
+     * @param {string} details.path - Destination folder, relative to the storage root
+     * @param {string} details.createdBy - Username of the creator
+     * @param {string} [details.title] - Shown on the upload page
+     * @param {Date|null} [details.expiresAt]
+     * @param {number|null} [details.maxFileSize] - Bytes per file
+     * @param {number|null} [details.maxFiles] - Total files over the link's lifetime
+     */
+    async create({ path: folderPath, createdBy, title = '', expiresAt = null, maxFileSize = null, maxFiles = null }) {
+        const request = {
+            token: crypto.randomBytes(16).toString('base64url'),
+            path: folderPath,
+            createdBy,
+            title,
+            createdAt: new Date().toISOString(),
+            expiresAt: expiresAt ? expiresAt.toISOString() : null,
+            maxFileSize,
+            maxFiles,
+            uploadCount: 0
+        };
+
+        this.requests.set(request.token, request);
+        await this.save();
+        return request;
+    }
+
+    get(token) {
+        return this.requests.get(token) || null;
+    }
+
+    /**
+     * List requests that can still receive files
+     * @param {string} [createdBy] - Only requests created by this user
+     */
+    listActive(createdBy) {
+        return Array.from(this.requests.values())
+            .filter(request => !createdBy || request.createdBy === createdBy)
+            .filter(request => !FileRequestStore.getInactiveReason(request));
+    }
+
+    async revoke(token) {
+        const deleted = this.requests.delete(token);
+        if (deleted) {
+            await this.save();
+        }
+        return deleted;
+    }
+
+    /**
+     * Count uploaded files against the request's limit
+     */
+    async recordUploads(token, count) {
+        const request = this.requests.get(token);
+        if (request) {
+            request.uploadCount += count;
+            await this.save();
+        }
+    }
+
+    /**
+     * Keep requests pointing at their folder after it moves
+     */
+    async movePath(oldPath, newPath) {
+        let changed = false;
+        for (const request of this.requests.values()) {
+            if (request.path === oldPath || request.path.startsWith(oldPath + '/')) {
+                request.path = newPath + request.path.slice(oldPath.length);
+                changed = true;
+            }
+        }
+        if (changed) {
+            await this.save();
+        }
+    }
+
+    /**
+     * Remove requests for a deleted folder
+     */
+    async removePath(folderPath) {
+        let changed = false;
+        for (const request of Array.from(this.requests.values())) {
+            if (request.path === folderPath || request.path.startsWith(folderPath + '/')) {
+                this.requests.delete(request.token);
+                changed = true;
+            }
+        }
+        if (changed) {
+            await this.save();
+        }
+    }
+
+    /**
+     * How many more files the request accepts (null = unlimited)
+     */
+    static getRemainingFiles(request) {
+        return request.maxFiles === null ? null : Math.max(request.maxFiles - request.uploadCount, 0);
+    }
+
+    /**
+     * Why a request can no longer receive files
+     * @returns {string|null} Reason, or null if the request is active
+     */
+    static getInactiveReason(request) {
+        if (request.expiresAt && new Date(request.expiresAt).getTime() < Date.now()) {
+            return 'This upload link has expired';
+        }
+        if (FileRequestStore.getRemainingFiles(request) === 0) {
+            return 'This upload link has reached its file limit';
+        }
+        return null;
+    }
+}
+
+module.exports = FileRequestStore;
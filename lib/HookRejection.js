@@ -0,0 +1,32 @@
+/**
+ * A "before" hook's veto of an operation
+ *
+ * Plugins throw one to choose the HTTP status the client gets:
+ *
+ *   throw new HookRejection('Files over 100MB are not allowed', { status: 413 });
+ *
+ * Any other error thrown by a "before" hook is turned into one with the default
+ * status (403). PluginManager fills in the plugin and hook it came from.
+ */
+class HookRejection extends Error {
+    /**
+     * @param {string} message - Shown to the client
+     * @param {Object} [options]
+     * @param {number} [options.status] - HTTP status (4xx or 5xx, default 403)
+     * @param {string} [options.plugin] - Name of the plugin that rejected it
+     * @param {string} [options.hook] - Hook it was rejected in
+     */
+    constructor(message, { status = 403, plugin = null, hook = null } = {}) {
+        super(message);
+        this.name = 'HookRejection';
+        this.status = HookRejection.isErrorStatus(status) ? status : 403;
+        this.plugin = plugin;
+        this.hook = hook;
+    }
+
+    static isErrorStatus(status) {
+        return Number.isInteger(status) && status >= 400 && status <= 599;
+    }
+}
+
+module.exports = HookRejection;
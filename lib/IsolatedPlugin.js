@@ -0,0 +1,457 @@
+const path = require('path');
+const { Readable } = require('stream');
+const { Worker } = require('worker_threads');
+const HookRejection = require('./HookRejection');
+
+// What an isolated plugin can ask for in its config.json "capabilities"
+const CAPABILITIES = ['read-files', 'write-files', 'network', 'add-routes', 'filesystem'];
+
+// Storage methods a plugin can call through getStorage(), and the capability each needs
+const STORAGE_METHODS = {
+    stat: 'read-files',
+    list: 'read-files',
+    exists: 'read-files',
+    read: 'read-files',
+    write: 'write-files',
+    mkdir: 'write-files',
+    remove: 'write-files',
+    move: 'write-files',
+    copyFile: 'write-files'
+};
+
+const ROUTE_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'];
+
+// Request headers a plugin doesn't get, since they carry the user's login
+const PRIVATE_HEADERS = ['authorization', 'cookie'];
+
+const DEFAULT_LIMITS = {
+    memoryMb: 64,
+    cpuPercent: 50,
+    hookTimeoutSeconds: null
+};
+
+// How long loading a plugin's code, and then its init(), may each take. A
+// plugin stuck here would otherwise hold up the server's startup.
+const START_TIMEOUT = 30 * 1000;
+
+// CPU use is sampled this often, and averaged over this many samples
+const CPU_SAMPLE_INTERVAL = 1000;
+const CPU_SAMPLES = 10;
+
+/**
+ * A plugin running in a worker thread ("isolated": true in its config.json)
+ *
+ * Hooks and routes are proxied to the worker over messages, so the plugin
+ * can't block the server's event loop, and a crash only stops the worker. The
+ * worker has its own heap limit and is stopped if it keeps the CPU busy. The
+ * plugin can only load the modules, and reach the storage and routes, that its
+ * "capabilities" list allows.
+ *
+ * To PluginManager it looks like any plugin module: start() loads it, then
+ * init(context) and destroy() are called as usual.
+ */
+class IsolatedPlugin {
+    /**
+     * @param {string} pluginDir
+     * @param {Object} config - The plugin's config.json
+     * @param {Object} options
+     * @param {number} options.hookTimeout - How long a hook may take unless limits.hookTimeoutSeconds says otherwise (ms)
+     * @param {Function} [options.isProtectedPath] - (storagePath) => true for paths plugins may not touch
+     * @param {Function} [options.onStop] - (reason) => void, called when the worker stops by itself
+     * @param {number} [options.startTimeout] - How long loading, and then init(), may each take (ms)
+     */
+    constructor(pluginDir, config, { hookTimeout, isProtectedPath = () => false, onStop = () => {}, startTimeout = START_TIMEOUT }) {
+        this.pluginDir = pluginDir;
+        this.config = config;
+        this.capabilities = new Set(config.capabilities || []);
+        this.limits = { ...DEFAULT_LIMITS, ...(config.limits || {}) };
+        this.timeout = this.limits.hookTimeoutSeconds
+            ? this.limits.hookTimeoutSeconds * 1000
+            : hookTimeout;
+        this.isProtectedPath = isProtectedPath;
+        this.onStop = onStop;
+        this.startTimeout = startTimeout;
+
+        this.name = path.basename(pluginDir);
+        this.version = '1.0.0';
+        this.description = '';
+
+        this.worker = null;
+        this.context = null;
+        this.nextId = 1;
+        // call id -> { resolve, reject, timer }
+        this.pending = new Map();
+        this.hooks = new Map();
+        this.routes = new Map();
+        this.stopping = false;
+        this.stopReason = null;
+        this.cpuTimer = null;
+    }
+
+    /**
+     * Start a plugin's worker and load its code
+     * @returns {Promise<IsolatedPlugin>} Ready for init()
+     */
+    static async start(pluginDir, config, options) {
+        const plugin = new IsolatedPlugin(pluginDir, config, options);
+        for (const capability of plugin.capabilities) {
+            if (!CAPABILITIES.includes(capability)) {
+                throw new Error(`Unknown capability "${capability}" (known: ${CAPABILITIES.join(', ')})`);
+            }
+        }
+        await plugin.spawn();
+        return plugin;
+    }
+
+    spawn() {
+        return new Promise((resolve, reject) => {
+            let loaded = false;
+            const loadTimer = setTimeout(() => {
+                this.stopReason = 'Did not finish loading in time';
+                this.worker.terminate();
+            }, this.startTimeout);
+
+            this.worker = new Worker(path.join(__dirname, 'IsolatedPluginWorker.js'), {
+                workerData: {
+                    pluginDir: this.pluginDir,
+                    config: this.config,
+                    capabilities: [...this.capabilities]
+                },
+                // Not the server's environment, which holds its secrets
+                env: {},
+                resourceLimits: { maxOldGenerationSizeMb: this.limits.memoryMb }
+            });
+
+            this.worker.on('message', message => {
+                if (message.type === 'loaded') {
+                    loaded = true;
+                    clearTimeout(loadTimer);
+                    this.name = String(message.name || this.name).slice(0, 100);
+                    this.version = String(message.version || this.version).slice(0, 50);
+                    this.description = String(message.description || '').slice(0, 500);
+                    this.watchCpu();
+                    resolve();
+                } else {
+                    this.handleMessage(message);
+                }
+            });
+
+            let failure = null;
+            this.worker.on('error', error => {
+                failure = error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+                    ? `Used more than its ${this.limits.memoryMb} MB memory limit`
+                    : error.message;
+            });
+
+            this.worker.on('exit', () => {
+                clearTimeout(loadTimer);
+                clearInterval(this.cpuTimer);
+                const reason = failure || this.stopReason || 'Stopped';
+                this.rejectPending(reason);
+                if (!loaded) {
+                    reject(new Error(reason));
+                } else if (!this.stopping) {
+                    this.onStop(reason);
+                }
+            });
+        });
+    }
+
+    async init(context) {
+        this.context = context;
+        try {
+            await this.call({ action: 'init' }, this.startTimeout);
+        } catch (error) {
+            await this.terminate();
+            throw error;
+        }
+    }
+
+    async destroy() {
+        try {
+            await this.call({ action: 'destroy' }, this.timeout);
+        } finally {
+            await this.terminate();
+        }
+    }
+
+    async terminate() {
+        this.stopping = true;
+        clearInterval(this.cpuTimer);
+        if (this.worker) {
+            await this.worker.terminate();
+        }
+    }
+
+    /**
+     * Stop the worker if it keeps the CPU busier than limits.cpuPercent
+     */
+    watchCpu() {
+        const samples = [];
+        let previous = this.worker.performance.eventLoopUtilization();
+
+        this.cpuTimer = setInterval(() => {
+            const current = this.worker.performance.eventLoopUtilization();
+            samples.push(this.worker.performance.eventLoopUtilization(current, previous).utilization);
+            previous = current;
+            if (samples.length > CPU_SAMPLES) {
+                samples.shift();
+            }
+
+            const average = samples.reduce((sum, sample) => sum + sample, 0) / CPU_SAMPLES;
+            if (average * 100 > this.limits.cpuPercent) {
+                clearInterval(this.cpuTimer);
+                this.stopReason = `Used more than its ${this.limits.cpuPercent}% CPU limit`;
+                this.worker.terminate();
+            }
+        }, CPU_SAMPLE_INTERVAL);
+        this.cpuTimer.unref();
+    }
+
+    /**
+     * Ask the worker to do something
+     * @param {Object} message - { action, ... }
+     * @param {number} timeout - ms, 0 for no limit
+     */
+    call(message, timeout) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            const entry = { resolve, reject, timer: null };
+            if (timeout) {
+                entry.timer = setTimeout(() => {
+                    this.pending.delete(id);
+                    reject(new HookRejection(`${this.name} did not respond in time`, { status: 503 }));
+                }, timeout);
+            }
+            this.pending.set(id, entry);
+            this.worker.postMessage({ type: 'call', id, ...message });
+        });
+    }
+
+    rejectPending(reason) {
+        for (const entry of this.pending.values()) {
+            clearTimeout(entry.timer);
+            entry.reject(new HookRejection(`${this.name} stopped: ${reason}`, { status: 503 }));
+        }
+        this.pending.clear();
+    }
+
+    /**
+     * Messages from the worker: answers to calls, and requests the plugin makes
+     */
+    async handleMessage(message) {
+        if (message.type === 'reply') {
+            const entry = this.pending.get(message.id);
+            if (!entry) {
+                return;
+            }
+            this.pending.delete(message.id);
+            clearTimeout(entry.timer);
+            if (message.error) {
+                entry.reject(IsolatedPlugin.toError(message.error));
+            } else {
+                entry.resolve(message.value);
+            }
+            return;
+        }
+
+        let reply;
+        try {
+            reply = { value: await this.handleRequest(message) };
+        } catch (error) {
+            reply = { error: { message: error.message, code: error.code } };
+        }
+        if (!this.stopping) {
+            this.worker.postMessage({ type: 'reply', id: message.id, ...reply });
+        }
+    }
+
+    async handleRequest(message) {
+        switch (message.type) {
+            case 'registerHook':
+                return this.registerHook(message);
+            case 'addRoute':
+                return this.addRoute(message);
+            case 'storage':
+                return this.useStorage(message.method, message.args || []);
+            default:
+                throw new Error(`Unknown request ${message.type}`);
+        }
+    }
+
+    registerHook({ hookId, hookName, options = {} }) {
+        if (typeof hookName !== 'string' || this.hooks.has(hookId)) {
+            throw new Error('Invalid hook');
+        }
+        // A plugin can ask for less time than its limit, not more
+        const timeout = Number.isFinite(options.timeout) && options.timeout > 0
+            ? Math.min(options.timeout, this.timeout)
+            : this.timeout;
+
+        this.hooks.set(hookId, hookName);
+        this.context.registerHook(hookName, async (data) => {
+            const result = await this.call({ action: 'hook', hookId, data: IsolatedPlugin.toMessage(data) }, timeout);
+            if (result === null || typeof result !== 'object') {
+                return undefined;
+            }
+            // The plugin only ever saw copies of these
+            return { ...result, req: data.req, user: data.user };
+        }, {
+            priority: Number.isFinite(options.priority) ? options.priority : 0,
+            // The call above times out by itself
+            timeout: 0
+        });
+    }
+
+    addRoute({ routeId, method, routePath }) {
+        this.requireCapability('add-routes', 'add routes');
+        method = String(method).toUpperCase();
+        if (!ROUTE_METHODS.includes(method) || typeof routePath !== 'string' || !routePath.startsWith('/')) {
+            throw new Error('Invalid route');
+        }
+
+        this.routes.set(routeId, `${method} ${routePath}`);
+        this.context.addRoute(method, routePath, async (req, res) => {
+            try {
+                const reply = await this.call({ action: 'route', routeId, req: IsolatedPlugin.describeRequest(req, true) }, this.timeout);
+                res.status(Number.isInteger(reply.status) && reply.status >= 100 && reply.status <= 599 ? reply.status : 500);
+                if (reply.type) {
+                    res.type(reply.type);
+                }
+                res.set(reply.headers || {});
+                if (reply.body === undefined || reply.body === null) {
+                    res.end();
+                } else {
+                    res.send(typeof reply.body === 'string' ? reply.body : Buffer.from(reply.body));
+                }
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message, plugin: this.name });
+            }
+        });
+    }
+
+    /**
+     * Do a storage operation for the plugin, if its capabilities allow it
+     */
+    async useStorage(method, args) {
+        const capability = STORAGE_METHODS[method];
+        if (!capability) {
+            throw new Error(`Unknown storage method ${method}`);
+        }
+        this.requireCapability(capability, method === 'read' || capability === 'read-files' ? 'read files' : 'change files');
+
+        const storage = this.context.getStorage();
+        if (!storage) {
+            throw new Error('Storage is not ready yet');
+        }
+
+        const pathCount = method === 'move' || method === 'copyFile' ? 2 : 1;
+        for (let i = 0; i < pathCount; i++) {
+            if (typeof args[i] !== 'string') {
+                throw new Error('Paths must be strings');
+            }
+            args[i] = path.posix.normalize('/' + args[i]);
+            if (this.isProtectedPath(args[i])) {
+                const error = new Error(`EACCES: ${args[i]} is not available to plugins`);
+                error.code = 'EACCES';
+                throw error;
+            }
+        }
+
+        const [itemPath] = args;
+        switch (method) {
+            case 'stat':
+                return IsolatedPlugin.toPlainStats(await storage.stat(itemPath));
+            case 'list':
+                return (await storage.list(itemPath)).map(entry => ({
+                    name: entry.name,
+                    symlink: entry.symlink,
+                    ...IsolatedPlugin.toPlainStats(entry)
+                }));
+            case 'read': {
+                const chunks = [];
+                for await (const chunk of await storage.read(itemPath, args[1] || {})) {
+                    chunks.push(chunk);
+                }
+                return Buffer.concat(chunks);
+            }
+            case 'write':
+                await storage.write(itemPath, Readable.from([Buffer.from(args[1])]));
+                return undefined;
+            case 'mkdir':
+            case 'remove':
+                await storage[method](itemPath, { recursive: Boolean(args[1] && args[1].recursive) });
+                return undefined;
+            default:
+                return storage[method](...args.slice(0, pathCount));
+        }
+    }
+
+    requireCapability(capability, action) {
+        if (!this.capabilities.has(capability)) {
+            throw new Error(`${this.name} needs the "${capability}" capability to ${action}`);
+        }
+    }
+
+    /**
+     * A hook payload as the worker gets it: plain data, without the request object
+     */
+    static toMessage(data) {
+        const { req, ...rest } = data;
+        const message = JSON.parse(JSON.stringify(rest));
+        if (req) {
+            message.req = IsolatedPlugin.describeRequest(req, false);
+        }
+        return message;
+    }
+
+    /**
+     * The parts of a request a plugin can see
+     */
+    static describeRequest(req, withBody) {
+        const headers = { ...req.headers };
+        for (const name of PRIVATE_HEADERS) {
+            delete headers[name];
+        }
+        const description = {
+            id: req.id || null,
+            method: req.method,
+            url: req.originalUrl || req.url,
+            path: req.path,
+            params: { ...req.params },
+            query: { ...req.query },
+            headers,
+            ip: req.ip,
+            user: req.user || null
+        };
+        if (withBody && req.body !== undefined) {
+            description.body = JSON.parse(JSON.stringify(req.body));
+        }
+        return description;
+    }
+
+    static toPlainStats(stats) {
+        return {
+            size: stats.size,
+            mtime: stats.mtime,
+            birthtime: stats.birthtime,
+            isDirectory: stats.isDirectory()
+        };
+    }
+
+    /**
+     * An error the plugin threw, as the hook or route caller expects it
+     */
+    static toError({ message, status, rejection }) {
+        if (rejection) {
+            return new HookRejection(message, { status });
+        }
+        const error = new Error(message);
+        if (status !== undefined) {
+            error.status = status;
+        }
+        return error;
+    }
+}
+
+module.exports = IsolatedPlugin;
@@ -0,0 +1,308 @@
+// Strict mode keeps this file's functions out of reach of plugin code walking
+// the stack (CallSite.getFunction() returns undefined for strict functions)
+'use strict';
+
+/**
+ * Runs one isolated plugin inside a worker thread (see IsolatedPlugin)
+ *
+ * The plugin's files are loaded by a small CommonJS loader of our own rather
+ * than Node's, so that require() only hands out the built-in modules its
+ * capabilities allow, only loads files from its own directory, and import()
+ * isn't available to get around either.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const Module = require('module');
+const { Readable } = require('stream');
+const { parentPort, workerData } = require('worker_threads');
+const HookRejection = require('./HookRejection');
+
+// Built-in modules every plugin can use, and the ones capabilities add
+const MODULES = {
+    always: [
+        'assert', 'buffer', 'crypto', 'events', 'os', 'path', 'querystring', 'stream',
+        'stream/promises', 'string_decoder', 'timers', 'timers/promises', 'url', 'util', 'zlib'
+    ],
+    network: ['net', 'http', 'https', 'http2', 'tls', 'dgram', 'dns', 'dns/promises'],
+    filesystem: ['fs', 'fs/promises']
+};
+
+// Globals that reach the network
+const NETWORK_GLOBALS = ['fetch', 'WebSocket', 'EventSource'];
+
+const { pluginDir, config, capabilities } = workerData;
+// Module paths are resolved through links, so compare them with the real path
+const realPluginDir = fs.realpathSync(pluginDir);
+const allowedModules = new Set(MODULES.always);
+for (const capability of capabilities) {
+    for (const name of MODULES[capability] || []) {
+        allowedModules.add(name);
+    }
+}
+
+if (!capabilities.includes('network')) {
+    for (const name of NETWORK_GLOBALS) {
+        delete globalThis[name];
+    }
+}
+// Ways around require() (process.mainModule is this file's module, with Node's
+// own require), and ways to reach the server's process or the disk
+const BLOCKED_FUNCTIONS = [
+    'binding', '_linkedBinding', 'dlopen', 'getBuiltinModule', 'kill', '_kill', 'abort',
+    'loadEnvFile', '_debugProcess', '_debugEnd', 'execve'
+];
+const REMOVED_PROPERTIES = ['mainModule', 'report'];
+
+for (const name of BLOCKED_FUNCTIONS) {
+    if (name in process) {
+        Object.defineProperty(process, name, {
+            value: () => {
+                throw new Error(`process.${name}() is not available to isolated plugins`);
+            },
+            writable: false,
+            configurable: false
+        });
+    }
+}
+for (const name of REMOVED_PROPERTIES) {
+    Object.defineProperty(process, name, { value: undefined, writable: false, configurable: false });
+}
+
+// filename -> module
+const loadedModules = new Map();
+
+function createRequire(filename) {
+    const resolve = Module.createRequire(filename).resolve;
+
+    return function pluginRequire(request) {
+        if (Module.isBuiltin(request)) {
+            const name = request.replace(/^node:/, '');
+            if (!allowedModules.has(name)) {
+                throw new Error(`Isolated plugins can't use the "${name}" module without the capability for it`);
+            }
+            return require(name);
+        }
+        return loadModule(resolve(request));
+    };
+}
+
+function loadModule(filename) {
+    if (!filename.startsWith(realPluginDir + path.sep)) {
+        throw new Error(`Isolated plugins can only load files from their own directory (${filename})`);
+    }
+    if (loadedModules.has(filename)) {
+        return loadedModules.get(filename).exports;
+    }
+
+    if (filename.endsWith('.json')) {
+        const module = { exports: JSON.parse(fs.readFileSync(filename, 'utf8')) };
+        loadedModules.set(filename, module);
+        return module.exports;
+    }
+    if (filename.endsWith('.node')) {
+        throw new Error('Isolated plugins can\'t load native modules');
+    }
+
+    const module = { exports: {}, filename };
+    loadedModules.set(filename, module);
+    const source = fs.readFileSync(filename, 'utf8').replace(/^#!.*/, '');
+    // No importModuleDynamically, so import() fails
+    const wrapper = vm.compileFunction(source, ['exports', 'require', 'module', '__filename', '__dirname'], { filename });
+    wrapper.call(module.exports, module.exports, createRequire(filename), module, filename, path.dirname(filename));
+    return module.exports;
+}
+
+// Requests to the server, by id
+let nextId = 1;
+const pending = new Map();
+
+function request(type, details) {
+    return new Promise((resolve, reject) => {
+        const id = nextId++;
+        pending.set(id, { resolve, reject });
+        parentPort.postMessage({ type, id, ...details });
+    });
+}
+
+function toStats({ size, mtime, birthtime, isDirectory }) {
+    return {
+        size,
+        mtime,
+        mtimeMs: mtime.getTime(),
+        birthtime,
+        isFile: () => !isDirectory,
+        isDirectory: () => isDirectory
+    };
+}
+
+async function toBuffer(data) {
+    if (typeof data === 'string' || Buffer.isBuffer(data) || data instanceof Uint8Array) {
+        return Buffer.from(data);
+    }
+    const chunks = [];
+    for await (const chunk of data) {
+        chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * getStorage() for the plugin: the StorageAdapter methods, done by the server
+ */
+const storage = {
+    stat: async itemPath => toStats(await request('storage', { method: 'stat', args: [itemPath] })),
+    list: async folderPath => (await request('storage', { method: 'list', args: [folderPath] }))
+        .map(entry => ({ name: entry.name, symlink: entry.symlink, ...toStats(entry) })),
+    exists: itemPath => request('storage', { method: 'exists', args: [itemPath] }),
+    read: async (itemPath, options = {}) =>
+        Readable.from([Buffer.from(await request('storage', { method: 'read', args: [itemPath, options] }))]),
+    readText: async itemPath =>
+        Buffer.from(await request('storage', { method: 'read', args: [itemPath] })).toString('utf8'),
+    write: async (itemPath, data) => request('storage', { method: 'write', args: [itemPath, await toBuffer(data)] }),
+    mkdir: (itemPath, options = {}) => request('storage', { method: 'mkdir', args: [itemPath, options] }),
+    remove: (itemPath, options = {}) => request('storage', { method: 'remove', args: [itemPath, options] }),
+    move: (itemPath, newPath) => request('storage', { method: 'move', args: [itemPath, newPath] }),
+    copyFile: (itemPath, newPath) => request('storage', { method: 'copyFile', args: [itemPath, newPath] })
+};
+
+// hook id -> callback, route id -> handler
+const hooks = new Map();
+const routes = new Map();
+
+const context = {
+    registerHook(hookName, callback, options = {}) {
+        const hookId = hooks.size + 1;
+        hooks.set(hookId, callback);
+        const { priority, timeout } = options;
+        request('registerHook', { hookId, hookName, options: { priority, timeout } }).catch(error => {
+            console.error(`Could not register hook ${hookName}:`, error.message);
+        });
+    },
+    addRoute(method, routePath, handler) {
+        if (!capabilities.includes('add-routes')) {
+            throw new Error('Isolated plugins need the "add-routes" capability to add routes');
+        }
+        const routeId = routes.size + 1;
+        routes.set(routeId, handler);
+        request('addRoute', { routeId, method, routePath }).catch(error => {
+            console.error(`Could not add route ${method} ${routePath}:`, error.message);
+        });
+    },
+    registerStorageAdapter() {
+        throw new Error('Isolated plugins can\'t provide storage adapters');
+    },
+    HookRejection,
+    getStorage: () => capabilities.includes('read-files') || capabilities.includes('write-files') ? storage : null,
+    config,
+    pluginDir,
+    capabilities: [...capabilities]
+};
+
+/**
+ * The res a route handler gets: enough of Express's to answer with
+ */
+function createResponse(finish) {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        contentType: null,
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        set(name, value) {
+            if (typeof name === 'object') {
+                for (const [key, headerValue] of Object.entries(name)) {
+                    res.set(key, headerValue);
+                }
+            } else {
+                res.headers[name.toLowerCase()] = String(value);
+            }
+            return res;
+        },
+        setHeader(name, value) {
+            res.set(name, value);
+        },
+        type(contentType) {
+            res.contentType = contentType;
+            return res;
+        },
+        json(body) {
+            res.contentType = res.contentType || 'json';
+            res.end(JSON.stringify(body));
+        },
+        send(body) {
+            if (body !== null && typeof body === 'object' && !(body instanceof Uint8Array)) {
+                return res.json(body);
+            }
+            res.end(typeof body === 'number' ? String(body) : body);
+        },
+        sendStatus(code) {
+            res.status(code).end(String(code));
+        },
+        end(body) {
+            finish({ status: res.statusCode, headers: res.headers, type: res.contentType, body });
+        }
+    };
+    return res;
+}
+
+function describeError(error) {
+    return {
+        message: (error && error.message) || String(error),
+        status: error && error.status,
+        rejection: error instanceof HookRejection
+    };
+}
+
+// What the server can ask for
+const actions = {
+    init: () => plugin.init(context),
+    destroy: () => typeof plugin.destroy === 'function' ? plugin.destroy() : undefined,
+    async hook({ hookId, data }) {
+        const result = await hooks.get(hookId)(data);
+        return result === undefined ? undefined : JSON.parse(JSON.stringify(result));
+    },
+    route({ routeId, req }) {
+        return new Promise((resolve, reject) => {
+            const res = createResponse(resolve);
+            Promise.resolve(routes.get(routeId)(req, res)).catch(reject);
+        });
+    }
+};
+
+parentPort.on('message', async message => {
+    if (message.type === 'reply') {
+        const entry = pending.get(message.id);
+        if (entry) {
+            pending.delete(message.id);
+            if (message.error) {
+                const error = new Error(message.error.message);
+                error.code = message.error.code;
+                entry.reject(error);
+            } else {
+                entry.resolve(message.value);
+            }
+        }
+        return;
+    }
+
+    try {
+        const value = await actions[message.action](message);
+        parentPort.postMessage({ type: 'reply', id: message.id, value });
+    } catch (error) {
+        parentPort.postMessage({ type: 'reply', id: message.id, error: describeError(error) });
+    }
+});
+
+const plugin = loadModule(path.join(realPluginDir, 'index.js'));
+if (!plugin || typeof plugin.init !== 'function') {
+    throw new Error('Missing init() function');
+}
+parentPort.postMessage({
+    type: 'loaded',
+    name: plugin.name,
+    version: plugin.version,
+    description: plugin.description
+});
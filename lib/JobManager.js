@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+/**
+ * Tracks long-running background operations (copies, etc.) so clients can
+ * poll for progress instead of holding a request open.
+ */
+class JobManager {
+    constructor(options = {}) {
+        // How long finished jobs stay queryable
+        this.retention = options.retention || 60 * 60 * 1000;
+        this.jobs = new Map();
+    }
+
+    /**
+     * Create a new job record
+     * @param {string} type - Job type, e.g. 'copy'
+     * @param {Object} details - Free-form description shown to clients
+     */
+    create(type, details = {}) {
+        this.prune();
+
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            status: 'pending',
+            details,
+            progress: {
+                totalItems: 0,
+                doneItems: 0,
+                totalBytes: 0,
+                doneBytes: 0
+            },
+            result: null,
+            error: null,
+            createdAt: new Date(),
+            finishedAt: null
+        };
+
+        this.jobs.set(job.id, job);
+        return job;
+    }
+
+    /**
+     * Run a job's work function in the background
+     * @param {Object} job - Job returned by create()
+     * @param {Function} work - async (job) => result
+     * @returns {Promise<Object>} Resolves with the job once finished
+     */
+    async run(job, work) {
+        job.status = 'running';
+        try {
+            job.result = await work(job);
+            job.status = 'completed';
+        } catch (error) {
+            console.error(`❌ Job ${job.id} (${job.type}) failed:`, error.message);
+            job.status = 'failed';
+            job.error = error.message;
+        }
+        job.finishedAt = new Date();
+        return job;
+    }
+
+    /**
+     * Get a job by ID
+     */
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * List all known jobs, newest first
+     */
+    list() {
+        return Array.from(this.jobs.values()).sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Drop finished jobs older than the retention window
+     */
+    prune() {
+        const cutoff = Date.now() - this.retention;
+        for (const [id, job] of this.jobs) {
+            if (job.finishedAt && job.finishedAt.getTime() < cutoff) {
+                this.jobs.delete(id);
+            }
+        }
+    }
+}
+
+module.exports = JobManager;
@@ -0,0 +1,156 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const StorageAdapter = require('./StorageAdapter');
+const TreeWatcher = require('./TreeWatcher');
+
+/**
+ * Files in a folder on local disk (UPLOAD_DIR)
+ */
+class LocalStorageAdapter extends StorageAdapter {
+    constructor(rootDir) {
+        super();
+        this.rootDir = path.resolve(rootDir);
+    }
+
+    async init() {
+        await fs.mkdir(this.rootDir, { recursive: true });
+    }
+
+    async stat(itemPath) {
+        return LocalStorageAdapter.toStats(await fs.stat(this.resolve(itemPath)));
+    }
+
+    async list(folderPath) {
+        const fullPath = this.resolve(folderPath);
+        const entries = [];
+        for (const entry of await fs.readdir(fullPath, { withFileTypes: true })) {
+            // Links are followed; broken ones and special files are left out
+            const stats = await fs.stat(path.join(fullPath, entry.name)).catch(() => null);
+            if (stats && (stats.isFile() || stats.isDirectory())) {
+                entries.push({
+                    name: entry.name,
+                    symlink: entry.isSymbolicLink(),
+                    ...LocalStorageAdapter.toStats(stats)
+                });
+            }
+        }
+        return entries;
+    }
+
+    async read(itemPath, { start, end } = {}) {
+        const handle = await fs.open(this.resolve(itemPath), 'r');
+        if ((await handle.stat()).isDirectory()) {
+            await handle.close();
+            throw StorageAdapter.error('EISDIR', `${itemPath} is a folder`);
+        }
+        return handle.createReadStream({ start, end });
+    }
+
+    async write(itemPath, stream, { modified } = {}) {
+        const fullPath = this.resolve(itemPath);
+        await pipeline(stream, fsSync.createWriteStream(fullPath));
+        if (modified) {
+            await fs.utimes(fullPath, new Date(), modified);
+        }
+    }
+
+    async mkdir(itemPath, { recursive = false } = {}) {
+        await fs.mkdir(this.resolve(itemPath), { recursive });
+    }
+
+    async remove(itemPath, { recursive = false } = {}) {
+        const fullPath = this.resolve(itemPath);
+        const stats = await fs.stat(fullPath);
+        if (!stats.isDirectory()) {
+            await fs.unlink(fullPath);
+        } else if (recursive) {
+            await fs.rm(fullPath, { recursive: true });
+        } else {
+            await fs.rmdir(fullPath);
+        }
+    }
+
+    async move(itemPath, newPath) {
+        const sourcePath = this.resolve(itemPath);
+        const targetPath = this.resolve(newPath);
+        if (fsSync.existsSync(targetPath)) {
+            throw StorageAdapter.error('EEXIST', `${newPath} already exists`);
+        }
+        await LocalStorageAdapter.moveTree(sourcePath, targetPath);
+    }
+
+    async importFile(localPath, itemPath) {
+        await LocalStorageAdapter.moveTree(localPath, this.resolve(itemPath));
+    }
+
+    async copyFile(itemPath, newPath) {
+        const sourcePath = this.resolve(itemPath);
+        const targetPath = this.resolve(newPath);
+        await fs.copyFile(sourcePath, targetPath);
+        const stats = await fs.stat(sourcePath);
+        await fs.utimes(targetPath, stats.atime, stats.mtime);
+    }
+
+    async usage() {
+        const stats = await fs.statfs(this.rootDir);
+        const total = stats.blocks * stats.bsize;
+        return {
+            total,
+            used: total - stats.bfree * stats.bsize,
+            free: stats.bavail * stats.bsize
+        };
+    }
+
+    watch(onChange) {
+        const watcher = TreeWatcher.watch(this.rootDir, (eventType, filename) => {
+            onChange('/' + filename.split(path.sep).join('/'), eventType === 'rename');
+        });
+        watcher.on('error', error => {
+            console.error('File watcher error:', error.message);
+        });
+        return watcher;
+    }
+
+    getLocalPath(itemPath) {
+        return this.resolve(itemPath);
+    }
+
+    /**
+     * Absolute path of a storage path, which must stay inside the root
+     */
+    resolve(itemPath) {
+        const fullPath = path.join(this.rootDir, itemPath);
+        if (fullPath !== this.rootDir && !fullPath.startsWith(this.rootDir + path.sep)) {
+            throw new Error('Invalid path');
+        }
+        return fullPath;
+    }
+
+    static toStats(stats) {
+        return StorageAdapter.createStats({
+            isDirectory: stats.isDirectory(),
+            size: stats.size,
+            mtime: stats.mtime,
+            birthtime: stats.birthtime
+        });
+    }
+
+    /**
+     * Move a file or folder, falling back to copy + delete across filesystems
+     */
+    static async moveTree(sourcePath, targetPath) {
+        try {
+            await fs.rename(sourcePath, targetPath);
+        } catch (error) {
+            if (error.code !== 'EXDEV') {
+                throw error;
+            }
+            await fs.cp(sourcePath, targetPath, { recursive: true, preserveTimestamps: true });
+            await fs.rm(sourcePath, { recursive: true, force: true });
+        }
+    }
+}
+
+module.exports = LocalStorageAdapter;
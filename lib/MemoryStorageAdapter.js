@@ -0,0 +1,174 @@
+const path = require('path').posix;
+const { Readable } = require('stream');
+const StorageAdapter = require('./StorageAdapter');
+
+/**
+ * Files kept in memory, gone on restart. Meant for tests and trying things out.
+ */
+class MemoryStorageAdapter extends StorageAdapter {
+    constructor() {
+        super();
+        this.items = new Map();
+        this.items.set('/', MemoryStorageAdapter.createItem(true));
+    }
+
+    async stat(itemPath) {
+        const item = this.getItem(itemPath);
+        return StorageAdapter.createStats({
+            isDirectory: item.isDirectory,
+            size: item.data ? item.data.length : 0,
+            mtime: item.mtime,
+            birthtime: item.birthtime
+        });
+    }
+
+    async list(folderPath) {
+        folderPath = MemoryStorageAdapter.normalize(folderPath);
+        this.getFolder(folderPath);
+
+        const entries = [];
+        for (const itemPath of this.items.keys()) {
+            if (itemPath !== '/' && path.dirname(itemPath) === folderPath) {
+                entries.push({ name: path.basename(itemPath), ...(await this.stat(itemPath)) });
+            }
+        }
+        return entries;
+    }
+
+    async read(itemPath, { start = 0, end } = {}) {
+        const item = this.getItem(itemPath);
+        if (item.isDirectory) {
+            throw StorageAdapter.error('EISDIR', `${itemPath} is a folder`);
+        }
+        const last = end === undefined ? item.data.length : end + 1;
+        return Readable.from([item.data.subarray(start, last)]);
+    }
+
+    async write(itemPath, stream, { modified } = {}) {
+        itemPath = MemoryStorageAdapter.normalize(itemPath);
+        this.getFolder(path.dirname(itemPath));
+        const existing = this.items.get(itemPath);
+        if (existing && existing.isDirectory) {
+            throw StorageAdapter.error('EISDIR', `${itemPath} is a folder`);
+        }
+
+        const chunks = [];
+        for await (const chunk of stream) {
+            chunks.push(Buffer.from(chunk));
+        }
+
+        const item = MemoryStorageAdapter.createItem(false, modified);
+        item.data = Buffer.concat(chunks);
+        if (existing) {
+            item.birthtime = existing.birthtime;
+        }
+        this.items.set(itemPath, item);
+        this.touch(path.dirname(itemPath));
+    }
+
+    async mkdir(itemPath, { recursive = false } = {}) {
+        itemPath = MemoryStorageAdapter.normalize(itemPath);
+        const existing = this.items.get(itemPath);
+        if (existing) {
+            if (recursive && existing.isDirectory) {
+                return;
+            }
+            throw StorageAdapter.error('EEXIST', `${itemPath} already exists`);
+        }
+
+        const parentPath = path.dirname(itemPath);
+        if (recursive && !this.items.has(parentPath)) {
+            await this.mkdir(parentPath, { recursive: true });
+        }
+        this.getFolder(parentPath);
+        this.items.set(itemPath, MemoryStorageAdapter.createItem(true));
+        this.touch(parentPath);
+    }
+
+    async remove(itemPath, { recursive = false } = {}) {
+        itemPath = MemoryStorageAdapter.normalize(itemPath);
+        const item = this.getItem(itemPath);
+        if (itemPath === '/') {
+            throw StorageAdapter.error('EPERM', 'The root folder cannot be deleted');
+        }
+
+        const inside = this.getInside(itemPath);
+        if (item.isDirectory && inside.length > 0 && !recursive) {
+            throw StorageAdapter.error('ENOTEMPTY', `${itemPath} is not empty`);
+        }
+        for (const childPath of inside) {
+            this.items.delete(childPath);
+        }
+        this.items.delete(itemPath);
+        this.touch(path.dirname(itemPath));
+    }
+
+    async move(itemPath, newPath) {
+        itemPath = MemoryStorageAdapter.normalize(itemPath);
+        newPath = MemoryStorageAdapter.normalize(newPath);
+        const item = this.getItem(itemPath);
+        if (this.items.has(newPath)) {
+            throw StorageAdapter.error('EEXIST', `${newPath} already exists`);
+        }
+        this.getFolder(path.dirname(newPath));
+        if (item.isDirectory && StorageAdapter.isInside(newPath, itemPath)) {
+            throw StorageAdapter.error('EINVAL', `${itemPath} cannot be moved into itself`);
+        }
+
+        for (const childPath of this.getInside(itemPath)) {
+            this.items.set(newPath + childPath.slice(itemPath.length), this.items.get(childPath));
+            this.items.delete(childPath);
+        }
+        this.items.delete(itemPath);
+        this.items.set(newPath, item);
+        this.touch(path.dirname(itemPath));
+        this.touch(path.dirname(newPath));
+    }
+
+    getItem(itemPath) {
+        const normalized = MemoryStorageAdapter.normalize(itemPath);
+        const item = this.items.get(normalized);
+        if (!item) {
+            const parent = this.items.get(path.dirname(normalized));
+            if (parent && !parent.isDirectory) {
+                throw StorageAdapter.error('ENOTDIR', `${path.dirname(normalized)} is not a folder`);
+            }
+            throw StorageAdapter.error('ENOENT', `${itemPath} not found`);
+        }
+        return item;
+    }
+
+    getFolder(folderPath) {
+        const item = this.getItem(folderPath);
+        if (!item.isDirectory) {
+            throw StorageAdapter.error('ENOTDIR', `${folderPath} is not a folder`);
+        }
+        return item;
+    }
+
+    /**
+     * Paths of everything below a folder
+     */
+    getInside(folderPath) {
+        const prefix = folderPath === '/' ? '/' : folderPath + '/';
+        return [...this.items.keys()].filter(itemPath => itemPath !== '/' && itemPath.startsWith(prefix));
+    }
+
+    touch(folderPath) {
+        const item = this.items.get(folderPath);
+        if (item) {
+            item.mtime = new Date();
+        }
+    }
+
+    static createItem(isDirectory, mtime = new Date()) {
+        return { isDirectory, data: null, mtime, birthtime: new Date() };
+    }
+
+    static normalize(itemPath) {
+        const normalized = path.normalize('/' + itemPath);
+        return normalized.length > 1 ? normalized.replace(/\/+$/, '') : '/';
+    }
+}
+
+module.exports = MemoryStorageAdapter;
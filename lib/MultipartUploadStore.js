@@ -0,0 +1,161 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Unfinished uploads are discarded after this long without a new part
+const STALE_AFTER = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// S3 numbers parts 1 to 10000
+const MAX_PART_NUMBER = 10000;
+
+/**
+ * Staging area for S3 multipart uploads
+ *
+ * Each upload is a folder holding upload.json and one <n>.part file per part,
+ * with <n>.json next to it recording the part's size and MD5. Parts can
+ * arrive in any order and in parallel; sending a part again replaces it.
+ */
+class MultipartUploadStore {
+    constructor(stagingDir) {
+        this.stagingDir = stagingDir;
+    }
+
+    /**
+     * Start a new upload
+     * @param {Object} details
+     * @param {string} details.path - Where the file goes, relative to the storage root
+     * @param {string} details.createdBy - Username of the uploader
+     */
+    async create({ path: itemPath, createdBy }) {
+        const upload = {
+            id: crypto.randomBytes(16).toString('hex'),
+            path: itemPath,
+            createdBy,
+            createdAt: new Date().toISOString()
+        };
+
+        await fs.mkdir(this.getUploadDir(upload.id), { recursive: true });
+        await fs.writeFile(this.getMetaPath(upload.id), JSON.stringify(upload, null, 2));
+        return upload;
+    }
+
+    /**
+     * @returns {Promise<Object|null>}
+     */
+    async get(id) {
+        if (!/^[a-f0-9]{32}$/.test(id)) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(await fs.readFile(this.getMetaPath(id), 'utf8'));
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Store a part from a readable stream
+     * @returns {Promise<{partNumber: number, size: number, md5: string}>}
+     */
+    async writePart(upload, partNumber, stream) {
+        if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > MAX_PART_NUMBER) {
+            throw new Error('Invalid part number');
+        }
+
+        const hash = crypto.createHash('md5');
+        let size = 0;
+        const counter = new Transform({
+            transform(chunk, encoding, callback) {
+                hash.update(chunk);
+                size += chunk.length;
+                callback(null, chunk);
+            }
+        });
+
+        // Write under a temporary name so a retried part never mixes with the old one
+        const partPath = this.getPartPath(upload.id, partNumber);
+        const tmpPath = `${partPath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        try {
+            await pipeline(stream, counter, fsSync.createWriteStream(tmpPath));
+        } catch (error) {
+            await fs.rm(tmpPath, { force: true });
+            throw error;
+        }
+
+        const part = { partNumber, size, md5: hash.digest('hex') };
+        await fs.rename(tmpPath, partPath);
+        await fs.writeFile(this.getPartMetaPath(upload.id, partNumber), JSON.stringify(part));
+
+        // Mark activity so cleanup() leaves it alone
+        const now = new Date();
+        await fs.utimes(this.getMetaPath(upload.id), now, now);
+        return part;
+    }
+
+    /**
+     * Parts received so far, in part number order
+     */
+    async listParts(upload) {
+        const parts = [];
+        for (const entry of await fs.readdir(this.getUploadDir(upload.id))) {
+            const match = /^(\d+)\.json$/.exec(entry);
+            if (match) {
+                parts.push(JSON.parse(await fs.readFile(path.join(this.getUploadDir(upload.id), entry), 'utf8')));
+            }
+        }
+        return parts.sort((a, b) => a.partNumber - b.partNumber);
+    }
+
+    /**
+     * Discard an upload and its parts
+     */
+    async remove(id) {
+        await fs.rm(this.getUploadDir(id), { recursive: true, force: true });
+    }
+
+    /**
+     * Discard uploads that haven't received a part for a while
+     */
+    async cleanup() {
+        let entries;
+        try {
+            entries = await fs.readdir(this.stagingDir);
+        } catch {
+            return;
+        }
+
+        const cutoff = Date.now() - STALE_AFTER;
+        for (const id of entries) {
+            try {
+                const stats = await fs.stat(this.getMetaPath(id)).catch(() => null);
+                if (!stats || stats.mtimeMs < cutoff) {
+                    await this.remove(id);
+                }
+            } catch (error) {
+                console.error(`Error cleaning up multipart upload ${id}:`, error.message);
+            }
+        }
+    }
+
+    getUploadDir(id) {
+        return path.join(this.stagingDir, id);
+    }
+
+    getMetaPath(id) {
+        return path.join(this.getUploadDir(id), 'upload.json');
+    }
+
+    getPartPath(id, partNumber) {
+        return path.join(this.getUploadDir(id), `${partNumber}.part`);
+    }
+
+    getPartMetaPath(id, partNumber) {
+        return path.join(this.getUploadDir(id), `${partNumber}.json`);
+    }
+}
+
+module.exports = MultipartUploadStore;
@@ -3,6 +3,10 @@
  * 
  * This is a reference implementation showing the structure of a Quick NAS plugin.
  * Plugins should export an object with these properties and methods.
+ *
+ * With "isolated": true in config.json the same module runs in a worker thread
+ * (see IsolatedPlugin), where the context only offers what its "capabilities"
+ * allow and has a `capabilities` list of them.
  */
 
 class Plugin {
@@ -16,8 +20,12 @@ class Plugin {
     /**
      * Initialize the plugin
      * @param {Object} context - Plugin context
-     * @param {Function} context.registerHook - Register a hook callback
-     * @param {Function} context.addRoute - Add a custom Express route
+     * @param {Function} context.registerHook - Register a hook callback: (name, callback, { priority, timeout })
+     * @param {Function} context.HookRejection - Error to throw from a "before" hook to reject with a status
+     * @param {Function} context.addRoute - Add a custom Express route (login required)
+     * @param {Function} context.registerStorageAdapter - Add a storage backend: (name, () => adapter)
+     * @param {Function} context.StorageAdapter - Base class for storage adapters
+     * @param {Function} context.getStorage - The storage adapter in use (null until the server starts)
      * @param {Object} context.config - Plugin configuration from config.json
      * @param {string} context.pluginDir - Absolute path to plugin directory
      */
@@ -25,42 +33,119 @@ class Plugin {
         // Register hooks
         // context.registerHook('beforeUpload', async (data) => { ... });
         // context.registerHook('afterUpload', async (data) => { ... });
+        // context.registerHook('beforeDelete', async (data) => { ... }, { priority: 10, timeout: 5000 });
 
         // Add custom routes
         // context.addRoute('GET', '/api/custom', async (req, res) => { ... });
+
+        // Add a storage backend, picked with STORAGE_ADAPTER=my-storage
+        // context.registerStorageAdapter('my-storage', () => new MyStorage(context.config));
+    }
+
+    /**
+     * Optional: release what init() set up (timers, connections, watchers)
+     *
+     * Called when the plugin is disabled or reloaded, after its hooks, routes
+     * and storage adapters have been removed. init() runs again on reload.
+     */
+    static async destroy() {
     }
 }
 
 /**
  * Available Hook Points:
+ *
+ * A "before" hook that throws stops the operation: no later callback runs and
+ * the client gets the error's message with its status (throw
+ * context.HookRejection to pick one; other errors give 403), plus the plugin's
+ * name. Errors in the other hooks are only logged. Callbacks with a higher
+ * `priority` run first, and one that takes longer than its `timeout` (default
+ * HOOK_TIMEOUT_SECONDS) counts as having thrown, with a 503 for "before" hooks.
  * 
  * - beforeUpload: Called before file is saved
- *   Data: { files: Array<File>, req: Request }
+ *   Data: { files: Array<File>, path: string, fileRequest?: Object, req: Request }
+ *   `fileRequest` ({ token, path, createdBy }) is set for uploads through a
+ *   public upload-only link; `user` is then null
  *   Return: Modified data or throw error to reject upload
  * 
  * - afterUpload: Called after file is saved
- *   Data: { files: Array<{name, size, path}>, req: Request }
+ *   Data: { files: Array<{name, size, path}>, path: string, fileRequest?: Object, req: Request }
  *   Return: void or modified data
  * 
  * - beforeDownload: Called before file is sent
- *   Data: { filename: string, filePath: string, req: Request }
+ *   Data: { filename: string, path: string, filePath: string, share?: Object, req: Request }
+ *   `share` ({ token, path, createdBy }) is set when the file is fetched through
+ *   a public share link; `user` is then null
  *   Return: Modified data or throw error to reject download
  * 
  * - afterDownload: Called after file is sent
- *   Data: { filename: string, req: Request }
+ *   Data: { filename: string, path: string, share?: Object, req: Request }
  *   Return: void
  * 
- * - beforeDelete: Called before file is deleted
- *   Data: { filename: string, filePath: string, req: Request }
+ * - beforeDelete: Called before file is moved to the trash or purged from it
+ *   Data: { filename: string, path: string, filePath: string, permanent: boolean,
+ *           trashItem?: Object, req: Request }
+ *   permanent is false for a move to the trash, true for a purge
  *   Return: Modified data or throw error to reject deletion
  * 
- * - afterDelete: Called after file is deleted
- *   Data: { filename: string, req: Request }
+ * - afterDelete: Called after file is moved to the trash or purged from it
+ *   Data: { filename: string, path: string, permanent: boolean, trashItem: Object, req: Request }
+ *   Return: void
+ * 
+ * - beforeMove: Called before a file or folder is moved or renamed
+ *   Data: { name: string, newName: string, path: string, newPath: string,
+ *           filePath: string, newFilePath: string, isDirectory: boolean, req: Request }
+ *   Return: Modified data or throw error to reject the move
+ * 
+ * - afterMove: Called after a file or folder is moved or renamed
+ *   Data: { name: string, newName: string, path: string, newPath: string,
+ *           isDirectory: boolean, req: Request }
  *   Return: void
  * 
+ * - beforeCopy: Called before a file or folder is copied
+ *   Data: { name: string, newName: string, path: string, newPath: string,
+ *           filePath: string, newFilePath: string, isDirectory: boolean, req: Request }
+ *   Return: Modified data or throw error to reject the copy
+ * 
+ * - afterCopy: Called after a copy job finishes successfully
+ *   Data: { name: string, newName: string, path: string, newPath: string,
+ *           isDirectory: boolean, size: number, req: Request }
+ *   Return: void
+ * 
+ * - beforeCreateFolder / afterCreateFolder: Called around creating a folder
+ *   Data: { name: string, path: string, req: Request }
+ *   Return: Modified data or throw error to reject (before); void (after)
+ * 
+ * - beforeRenameFolder / afterRenameFolder: Called around renaming a folder in place
+ *   (moving one with /api/move fires beforeMove/afterMove instead)
+ *   Data: { name: string, newName: string, path: string, newPath: string,
+ *           newFilePath: string (before only), req: Request }
+ *   Return: Modified data or throw error to reject (before); void (after)
+ * 
+ * - beforeDeleteFolder / afterDeleteFolder: Called around moving a folder (and
+ *   everything in it) to the trash, or purging it from there
+ *   Data: { name: string, path: string, permanent: boolean, trashItem?: Object, req: Request }
+ *   Return: Modified data or throw error to reject (before); void (after)
+ * 
+ * - beforeList: Called before a folder's contents are listed (web UI, WebDAV,
+ *   S3, public share links)
+ *   Data: { path: string, share?: Object, req: Request }
+ *   Return: Modified data or throw error to deny access
+ * 
  * - transformFileList: Called when listing files
  *   Data: { files: Array<FileInfo>, req: Request }
  *   Return: Modified files array
+ *
+ * Every payload also carries:
+ *   operation - what is happening: the hook name without before/after
+ *               ("upload", "createFolder", ...; "list" for transformFileList)
+ *   path      - relative to the storage root (e.g. "/photos/2024/beach.jpg")
+ *   filePath  - `path` on local disk, or null when the storage adapter doesn't
+ *               keep files there (read them with getStorage().read(path)).
+ *               After a delete, move or rename nothing is there any more.
+ *   user      - ({ username, role, groups }) who triggered the operation, or
+ *               null (public links, automatic purges)
+ *   requestId - ID of the HTTP request (sent back in X-Request-Id), or null
  */
 
 module.exports = Plugin;
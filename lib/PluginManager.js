@@ -1,13 +1,54 @@
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+const HookRejection = require('./HookRejection');
+const IsolatedPlugin = require('./IsolatedPlugin');
+const TreeWatcher = require('./TreeWatcher');
+
+// Changes in a plugin's directory are collected for this long before it's reloaded
+const RELOAD_DELAY = 500;
+
+// Watcher events this soon after the manager wrote a plugin's config.json are
+// echoes of that write and are dropped
+const ECHO_WINDOW = 2000;
+
+// Files whose changes reload a plugin; anything else (such as data a plugin
+// keeps in its directory) is left alone
+const RELOAD_FILES = /(\.c?js|\.mjs|^config\.json)$/;
 
 class PluginManager {
-    constructor(pluginsDir = path.join(__dirname, '../plugins')) {
+    /**
+     * @param {string} [pluginsDir]
+     * @param {Object} [options]
+     * @param {number} [options.hookTimeout] - How long a hook callback (or a plugin's destroy()) may take (ms, 0 for no limit)
+     * @param {Function} [options.isProtectedPath] - (storagePath) => true for paths isolated plugins may not touch
+     * @param {number} [options.startTimeout] - How long an isolated plugin may take to load, and then to init() (ms)
+     */
+    constructor(pluginsDir = path.join(__dirname, '../plugins'), { hookTimeout = 30 * 1000, isProtectedPath = () => false, startTimeout } = {}) {
         this.pluginsDir = pluginsDir;
+        this.hookTimeout = hookTimeout;
+        this.isProtectedPath = isProtectedPath;
+        this.startTimeout = startTimeout;
+        // directory name -> { id, name, version, description, status, error, loadedAt, isolated, capabilities, module }
+        // status is 'enabled', 'disabled' or 'error'
         this.plugins = new Map();
+        // hook name -> [{ callback, priority, timeout, plugin, pluginId }], in the order they run
         this.hooks = new Map();
+        // [{ method, path, handler, pluginId }]
         this.routes = [];
+        // adapter name -> { factory, pluginId }
+        this.storageAdapters = new Map();
+        this.storage = null;
+        this.storageAdapterName = null;
+        this.subscribers = new Set();
+        // Loads and unloads run one at a time, in the order they were asked for
+        this.queue = Promise.resolve();
+        // directory name -> time the manager last wrote its config.json
+        this.configWrites = new Map();
+        // directory name -> timer for a pending reload
+        this.pendingReloads = new Map();
+        this.watcher = null;
     }
 
     /**
@@ -33,7 +74,8 @@ class PluginManager {
                 await this.loadPlugin(dir.name);
             }
 
-            console.log(`✅ Loaded ${this.plugins.size} plugin(s)`);
+            const loaded = [...this.plugins.values()].filter(p => p.status === 'enabled');
+            console.log(`✅ Loaded ${loaded.length} plugin(s)`);
         } catch (error) {
             console.error('❌ Error loading plugins:', error.message);
         }
@@ -41,61 +83,337 @@ class PluginManager {
 
     /**
      * Load a single plugin
+     *
+     * Whatever happens is recorded as the plugin's status: 'enabled',
+     * 'disabled' (enabled: false in its config.json) or 'error' with the reason.
+     * @param {string} pluginName - Directory name of the plugin
+     * @returns {Promise<Object>} The plugin's status, as getPluginStatus() reports it
      */
     async loadPlugin(pluginName) {
-        try {
-            const pluginPath = path.join(this.pluginsDir, pluginName);
-            const indexPath = path.join(pluginPath, 'index.js');
+        const pluginPath = path.join(this.pluginsDir, pluginName);
+        const indexPath = path.join(pluginPath, 'index.js');
+        const record = {
+            id: pluginName,
+            name: pluginName,
+            version: null,
+            description: '',
+            status: 'error',
+            error: null,
+            loadedAt: null,
+            isolated: false,
+            capabilities: [],
+            module: null
+        };
+        this.plugins.set(pluginName, record);
 
+        try {
             // Check if index.js exists
             if (!fsSync.existsSync(indexPath)) {
                 console.warn(`⚠️  Plugin ${pluginName} has no index.js, skipping`);
-                return;
+                record.error = 'No index.js';
+                return this.describePlugin(record);
             }
 
             // Load plugin configuration if exists
-            const configPath = path.join(pluginPath, 'config.json');
-            let config = {};
-            if (fsSync.existsSync(configPath)) {
-                const configContent = await fs.readFile(configPath, 'utf8');
-                config = JSON.parse(configContent);
-            }
+            const config = await this.readConfig(pluginName);
 
             // Check if plugin is disabled
             if (config.enabled === false) {
                 console.log(`⏭️  Plugin ${pluginName} is disabled, skipping`);
-                return;
+                record.status = 'disabled';
+                return this.describePlugin(record);
             }
 
-            // Load the plugin module
-            const plugin = require(indexPath);
+            // Load the plugin module, afresh if it was loaded before; isolated
+            // ones get a worker of their own
+            record.isolated = config.isolated === true;
+            record.capabilities = record.isolated ? config.capabilities || [] : [];
+            let plugin;
+            if (record.isolated) {
+                plugin = await IsolatedPlugin.start(pluginPath, config, {
+                    hookTimeout: this.hookTimeout,
+                    isProtectedPath: this.isProtectedPath,
+                    startTimeout: this.startTimeout,
+                    onStop: reason => this.pluginStopped(pluginName, plugin, reason)
+                });
+            } else {
+                PluginManager.clearRequireCache(pluginPath);
+                plugin = require(indexPath);
+            }
 
             // Validate plugin structure
             if (!this.validatePlugin(plugin, pluginName)) {
-                return;
+                record.error = 'Missing init() function';
+                return this.describePlugin(record);
             }
 
             // Initialize plugin
+            const name = plugin.name || pluginName;
+            record.name = name;
+            record.version = plugin.version || '1.0.0';
+            record.description = plugin.description || '';
             const context = {
-                registerHook: this.registerHook.bind(this),
-                addRoute: this.addRoute.bind(this),
+                registerHook: (hookName, callback, options = {}) =>
+                    this.registerHook(hookName, callback, { ...options, plugin: name, pluginId: pluginName }),
+                addRoute: (method, routePath, handler) => this.addRoute(method, routePath, handler, pluginName),
+                registerStorageAdapter: (adapterName, factory) =>
+                    this.registerStorageAdapter(adapterName, factory, pluginName),
+                StorageAdapter,
+                HookRejection,
+                getStorage: () => this.storage,
                 config,
                 pluginDir: pluginPath
             };
 
-            await plugin.init(context);
+            try {
+                await plugin.init(context);
+            } catch (error) {
+                // Don't leave half a plugin behind
+                this.unregister(pluginName);
+                throw error;
+            }
 
-            // Store plugin info
-            this.plugins.set(pluginName, {
-                name: plugin.name || pluginName,
-                version: plugin.version || '1.0.0',
-                description: plugin.description || '',
-                module: plugin
-            });
+            record.status = 'enabled';
+            record.loadedAt = new Date().toISOString();
+            record.module = plugin;
 
-            console.log(`  ✓ ${plugin.name || pluginName} v${plugin.version || '1.0.0'}`);
+            console.log(`  ✓ ${name} v${record.version}`);
         } catch (error) {
             console.error(`  ✗ Failed to load plugin ${pluginName}:`, error.message);
+            record.status = 'error';
+            record.error = error.message;
+        }
+
+        this.notify();
+        return this.describePlugin(record);
+    }
+
+    /**
+     * Take a plugin out: its hooks, routes and storage adapters are removed,
+     * then its destroy() (if it has one) is called
+     * @param {string} pluginName - Directory name of the plugin
+     * @throws {Error} If the plugin provides the storage adapter in use
+     */
+    async unloadPlugin(pluginName) {
+        const record = this.plugins.get(pluginName);
+        if (!record || record.status !== 'enabled') {
+            return;
+        }
+        if (this.providesStorage(pluginName)) {
+            throw new Error(`${record.name} provides the storage adapter in use`);
+        }
+
+        this.unregister(pluginName);
+        const plugin = record.module;
+        record.status = 'disabled';
+        record.module = null;
+        record.loadedAt = null;
+        this.notify();
+
+        if (typeof plugin.destroy === 'function') {
+            try {
+                await PluginManager.withTimeout(plugin.destroy(), this.hookTimeout,
+                    () => new Error('destroy() did not finish in time'));
+            } catch (error) {
+                console.error(`❌ Error in destroy() of ${record.name}:`, error.message);
+            }
+        }
+        console.log(`  ⏏ Unloaded ${record.name}`);
+    }
+
+    /**
+     * Unload a plugin and load it again from disk, picking up changes to its
+     * code and config.json. A plugin whose directory is gone is forgotten.
+     * @returns {Promise<Object|null>} The plugin's status, or null if it's gone
+     */
+    reloadPlugin(pluginName) {
+        return this.enqueue(async () => {
+            await this.unloadPlugin(pluginName);
+            if (!fsSync.existsSync(path.join(this.pluginsDir, pluginName))) {
+                this.plugins.delete(pluginName);
+                PluginManager.clearRequireCache(path.join(this.pluginsDir, pluginName));
+                this.notify();
+                return null;
+            }
+            return this.loadPlugin(pluginName);
+        });
+    }
+
+    /**
+     * Turn a plugin on or off, now and after restarts (enabled in its config.json)
+     * @param {string} pluginName - Directory name of the plugin
+     * @param {boolean} enabled
+     * @returns {Promise<Object>} The plugin's status
+     */
+    setPluginEnabled(pluginName, enabled) {
+        return this.enqueue(async () => {
+            if (!enabled) {
+                await this.unloadPlugin(pluginName);
+            }
+
+            const config = await this.readConfig(pluginName);
+            config.enabled = enabled;
+            await this.writeConfig(pluginName, config);
+
+            const record = this.plugins.get(pluginName);
+            if (enabled) {
+                if (!record || record.status !== 'enabled') {
+                    return this.loadPlugin(pluginName);
+                }
+            } else if (record) {
+                record.status = 'disabled';
+                record.error = null;
+            } else {
+                return this.loadPlugin(pluginName);
+            }
+            return this.describePlugin(record);
+        });
+    }
+
+    /**
+     * An isolated plugin's worker stopped by itself (it crashed or went over a
+     * limit): take out what it registered and report why
+     */
+    pluginStopped(pluginName, plugin, reason) {
+        return this.enqueue(async () => {
+            const record = this.plugins.get(pluginName);
+            if (!record || record.module !== plugin) {
+                return;
+            }
+            console.error(`❌ Plugin ${record.name} stopped: ${reason}`);
+            this.unregister(pluginName);
+            record.status = 'error';
+            record.error = reason;
+            record.module = null;
+            record.loadedAt = null;
+            this.notify();
+        });
+    }
+
+    /**
+     * Reload plugins whose files change, and load new ones as they're added
+     */
+    watch() {
+        this.watcher = TreeWatcher.watch(this.pluginsDir, (eventType, filename) => {
+            const parts = filename.split(path.sep);
+            const pluginName = parts[0];
+            if (!PluginManager.isPluginName(pluginName)) {
+                return;
+            }
+            // Only the directory itself (added or removed) or code and config inside it
+            if (parts.length > 1 && !RELOAD_FILES.test(parts[parts.length - 1])) {
+                return;
+            }
+            const written = this.configWrites.get(pluginName);
+            if (parts[parts.length - 1] === 'config.json' && written && Date.now() - written < ECHO_WINDOW) {
+                return;
+            }
+            this.scheduleReload(pluginName);
+        });
+        this.watcher.on('error', error => {
+            console.error('Plugin watcher error:', error.message);
+        });
+    }
+
+    /**
+     * Reload a plugin once its files have stopped changing
+     */
+    scheduleReload(pluginName) {
+        clearTimeout(this.pendingReloads.get(pluginName));
+        const timer = setTimeout(() => {
+            this.pendingReloads.delete(pluginName);
+            if (!this.plugins.has(pluginName) &&
+                !fsSync.existsSync(path.join(this.pluginsDir, pluginName))) {
+                return;
+            }
+            console.log(`🔄 Plugin ${pluginName} changed, reloading...`);
+            this.reloadPlugin(pluginName).catch(error => {
+                console.error(`❌ Could not reload plugin ${pluginName}:`, error.message);
+            });
+        }, RELOAD_DELAY);
+        timer.unref();
+        this.pendingReloads.set(pluginName, timer);
+    }
+
+    /**
+     * Run a load or unload after the ones already asked for
+     */
+    enqueue(task) {
+        const result = this.queue.then(task);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Remove a plugin's hooks, routes and storage adapters
+     */
+    unregister(pluginName) {
+        for (const [hookName, entries] of this.hooks) {
+            const kept = entries.filter(entry => entry.pluginId !== pluginName);
+            if (kept.length > 0) {
+                this.hooks.set(hookName, kept);
+            } else {
+                this.hooks.delete(hookName);
+            }
+        }
+        this.routes = this.routes.filter(route => route.pluginId !== pluginName);
+        for (const [adapterName, adapter] of this.storageAdapters) {
+            if (adapter.pluginId === pluginName) {
+                this.storageAdapters.delete(adapterName);
+            }
+        }
+    }
+
+    /**
+     * A plugin's config.json ({} if it has none)
+     */
+    async readConfig(pluginName) {
+        const configPath = path.join(this.pluginsDir, pluginName, 'config.json');
+        if (!fsSync.existsSync(configPath)) {
+            return {};
+        }
+        const configContent = await fs.readFile(configPath, 'utf8');
+        return JSON.parse(configContent);
+    }
+
+    async writeConfig(pluginName, config) {
+        const configPath = path.join(this.pluginsDir, pluginName, 'config.json');
+        this.configWrites.set(pluginName, Date.now());
+        await fs.writeFile(configPath, JSON.stringify(config, null, 4) + '\n');
+    }
+
+    /**
+     * Whether a name is a plugin directory that exists (loaded or not)
+     */
+    hasPlugin(pluginName) {
+        return PluginManager.isPluginName(pluginName) &&
+            (this.plugins.has(pluginName) || fsSync.existsSync(path.join(this.pluginsDir, pluginName)));
+    }
+
+    /**
+     * Whether the server runs on a storage adapter this plugin registered
+     */
+    providesStorage(pluginName) {
+        const adapter = this.storageAdapters.get(this.storageAdapterName);
+        return Boolean(adapter && adapter.pluginId === pluginName);
+    }
+
+    /**
+     * @param {Function} callback - () => void, called whenever a plugin is loaded or unloaded
+     * @returns {Function} Call to unsubscribe
+     */
+    subscribe(callback) {
+        this.subscribers.add(callback);
+        return () => this.subscribers.delete(callback);
+    }
+
+    notify() {
+        for (const callback of this.subscribers) {
+            try {
+                callback();
+            } catch (error) {
+                console.error('Error handling plugin change:', error.message);
+            }
         }
     }
 
@@ -112,45 +430,101 @@ class PluginManager {
 
     /**
      * Register a hook callback
+     * @param {string} hookName
+     * @param {Function} callback
+     * @param {Object} [options]
+     * @param {number} [options.priority] - Higher runs first (default 0; equal ones run in registration order)
+     * @param {number} [options.timeout] - How long it may take (ms), instead of the manager's hookTimeout
+     * @param {string} [options.plugin] - Plugin it belongs to (null for the server's own)
+     * @param {string} [options.pluginId] - Directory name of that plugin, to unregister it by
      */
-    registerHook(hookName, callback) {
+    registerHook(hookName, callback, { priority = 0, timeout = null, plugin = null, pluginId = null } = {}) {
         if (!this.hooks.has(hookName)) {
             this.hooks.set(hookName, []);
         }
-        this.hooks.get(hookName).push(callback);
+        const entries = this.hooks.get(hookName);
+        entries.push({ callback, priority, timeout, plugin, pluginId });
+        // Array sort is stable, so registration order breaks ties
+        entries.sort((a, b) => b.priority - a.priority);
     }
 
     /**
      * Add a custom route
      */
-    addRoute(method, path, handler) {
-        this.routes.push({ method, path, handler });
+    addRoute(method, routePath, handler, pluginId = null) {
+        this.routes.push({ method, path: routePath, handler, pluginId });
+        console.log(`  → Registered route: ${method} ${routePath}`);
+        this.notify();
+    }
+
+    /**
+     * Make a storage backend available under a name (STORAGE_ADAPTER=name)
+     * @param {string} name
+     * @param {Function} factory - () => StorageAdapter instance; called once, at startup
+     * @param {string} [pluginId] - Directory name of the plugin registering it
+     */
+    registerStorageAdapter(name, factory, pluginId = null) {
+        if (this.storageAdapters.has(name)) {
+            throw new Error(`Storage adapter ${name} is already registered`);
+        }
+        this.storageAdapters.set(name, { factory, pluginId });
+    }
+
+    /**
+     * Get the storage adapter factory plugins registered under a name
+     */
+    getStorageAdapter(name) {
+        const adapter = this.storageAdapters.get(name);
+        return adapter ? adapter.factory : null;
+    }
+
+    /**
+     * Set the storage the server runs on, for plugins to read and write files through
+     * @param {StorageAdapter} storage
+     * @param {string} adapterName - Its STORAGE_ADAPTER name; a plugin providing it can't be unloaded
+     */
+    setStorage(storage, adapterName) {
+        this.storage = storage;
+        this.storageAdapterName = adapterName;
     }
 
     /**
      * Execute all hooks for a given hook point
+     *
+     * A "before" hook that throws (or takes longer than its timeout) stops the
+     * operation: the rest are skipped and a HookRejection is thrown for the
+     * route to send to the client. Errors in other hooks are logged, and the
+     * remaining callbacks still run.
      * @param {string} hookName - Name of the hook
      * @param {*} data - Data to pass to hooks
      * @returns {Promise<*>} Modified data or original if no hooks
+     * @throws {HookRejection} When a "before" hook rejects the operation
      */
     async executeHook(hookName, data) {
-        const callbacks = this.hooks.get(hookName) || [];
+        const entries = this.hooks.get(hookName) || [];
 
-        if (callbacks.length === 0) {
+        if (entries.length === 0) {
             return data;
         }
 
-        let result = data;
+        let result = this.createPayload(hookName, data);
 
-        for (const callback of callbacks) {
+        for (const entry of [...entries]) {
             try {
-                const hookResult = await callback(result);
+                const hookResult = await this.runHookCallback(entry, result);
                 // If hook returns a value, use it as the new data
                 if (hookResult !== undefined) {
                     result = hookResult;
                 }
             } catch (error) {
-                console.error(`❌ Error in hook ${hookName}:`, error.message);
+                const source = entry.plugin || 'server';
+                if (PluginManager.isVetoHook(hookName)) {
+                    if (!(error instanceof HookRejection)) {
+                        console.error(`❌ Error in hook ${hookName} (${source}), rejecting:`, error.message);
+                    }
+                    throw PluginManager.toRejection(error, hookName, entry.plugin);
+                }
+                console.error(`❌ Error in hook ${hookName} (${source}):`, error.message);
                 // Continue executing other hooks even if one fails
             }
         }
@@ -158,15 +532,85 @@ class PluginManager {
         return result;
     }
 
+    /**
+     * Hook data with the fields every payload has: operation, path, filePath
+     * (absolute path of `path` on local disk, or null), user and requestId
+     */
+    createPayload(hookName, data) {
+        const filePath = this.storage && typeof data.path === 'string'
+            ? this.storage.getLocalPath(data.path)
+            : null;
+        return {
+            operation: PluginManager.getOperation(hookName),
+            filePath,
+            user: null,
+            requestId: data.req && data.req.id ? data.req.id : null,
+            ...data
+        };
+    }
+
+    /**
+     * Call one hook callback, failing if it takes longer than its timeout
+     */
+    async runHookCallback(entry, data) {
+        const timeout = entry.timeout === null ? this.hookTimeout : entry.timeout;
+        if (!timeout) {
+            return entry.callback(data);
+        }
+
+        return PluginManager.withTimeout(entry.callback(data), timeout, () =>
+            new HookRejection(`${entry.plugin || 'A server hook'} did not respond in time`, { status: 503 }));
+    }
+
     /**
      * Get information about loaded plugins
      */
     getPluginInfo() {
-        return Array.from(this.plugins.values()).map(p => ({
-            name: p.name,
-            version: p.version,
-            description: p.description
-        }));
+        return Array.from(this.plugins.values())
+            .filter(p => p.status === 'enabled')
+            .map(p => ({
+                name: p.name,
+                version: p.version,
+                description: p.description
+            }));
+    }
+
+    /**
+     * Every plugin in the plugins directory, loaded or not, with what it registered
+     */
+    getPluginStatus() {
+        return Array.from(this.plugins.values()).map(record => this.describePlugin(record));
+    }
+
+    describePlugin(record) {
+        const hooks = [];
+        for (const [hookName, entries] of this.hooks) {
+            if (entries.some(entry => entry.pluginId === record.id)) {
+                hooks.push(hookName);
+            }
+        }
+        const storageAdapters = [];
+        for (const [adapterName, adapter] of this.storageAdapters) {
+            if (adapter.pluginId === record.id) {
+                storageAdapters.push(adapterName);
+            }
+        }
+        return {
+            id: record.id,
+            name: record.name,
+            version: record.version,
+            description: record.description,
+            status: record.status,
+            error: record.error,
+            loadedAt: record.loadedAt,
+            isolated: record.isolated,
+            capabilities: record.capabilities,
+            hooks,
+            routes: this.routes
+                .filter(route => route.pluginId === record.id)
+                .map(route => `${route.method.toUpperCase()} ${route.path}`),
+            storageAdapters
+        };
     }
 
     /**
@@ -175,6 +619,74 @@ class PluginManager {
     getRoutes() {
         return this.routes;
     }
+
+    /**
+     * The operation a hook is about: "beforeCreateFolder" -> "createFolder"
+     */
+    static getOperation(hookName) {
+        if (hookName === 'transformFileList') {
+            return 'list';
+        }
+        const operation = hookName.replace(/^(before|after)/, '');
+        return operation.charAt(0).toLowerCase() + operation.slice(1);
+    }
+
+    /**
+     * Whether a directory name is one plugins are loaded from
+     */
+    static isPluginName(name) {
+        return typeof name === 'string' && name !== '' && !name.startsWith('_') && !name.startsWith('.') &&
+            !name.includes('/') && !name.includes('\\');
+    }
+
+    /**
+     * Forget the modules loaded from a plugin's directory, so the next
+     * require() reads them from disk again
+     */
+    static clearRequireCache(pluginPath) {
+        for (const modulePath of Object.keys(require.cache)) {
+            if (modulePath.startsWith(pluginPath + path.sep)) {
+                delete require.cache[modulePath];
+            }
+        }
+    }
+
+    /**
+     * Wait for a promise, failing with createError() if it takes longer than timeout ms
+     */
+    static async withTimeout(promise, timeout, createError) {
+        if (!timeout) {
+            return promise;
+        }
+        let timer;
+        const expired = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(createError()), timeout);
+        });
+        try {
+            return await Promise.race([promise, expired]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Whether a hook runs before an operation and can stop it
+     */
+    static isVetoHook(hookName) {
+        return hookName.startsWith('before');
+    }
+
+    /**
+     * A hook error as a HookRejection naming the plugin and hook
+     */
+    static toRejection(error, hookName, plugin) {
+        const rejection = error instanceof HookRejection
+            ? error
+            : new HookRejection(error.message || `Rejected by ${plugin || 'the server'}`, { status: error.status });
+        rejection.plugin = rejection.plugin || plugin;
+        rejection.hook = rejection.hook || hookName;
+        return rejection;
+    }
 }
 
 module.exports = PluginManager;
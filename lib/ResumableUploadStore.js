@@ -0,0 +1,164 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Unfinished uploads are discarded after this long without activity
+const STALE_AFTER = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * Staging area for resumable (chunked) uploads
+ *
+ * Each upload has a metadata file (<id>.json) and a data file (<id>.part).
+ * The current offset is simply the size of the data file, so an upload can
+ * pick up where it left off after a dropped connection or a server restart.
+ */
+class ResumableUploadStore {
+    constructor(stagingDir) {
+        this.stagingDir = stagingDir;
+        // Uploads with a chunk currently being written
+        this.busy = new Set();
+    }
+
+    /**
+     * Start a new upload
+     * @param {Object} details
+     * @param {string} details.name - Final file name
+     * @param {string} details.path - Destination folder, relative to the storage root
+     * @param {number} details.size - Total size in bytes
+     * @param {string} details.onConflict - Conflict policy to apply when the upload completes
+     * @param {string} details.createdBy - Username of the uploader
+     */
+    async create({ name, path: folderPath, size, onConflict, createdBy }) {
+        await fs.mkdir(this.stagingDir, { recursive: true });
+
+        const upload = {
+            id: crypto.randomBytes(16).toString('hex'),
+            name,
+            path: folderPath,
+            size,
+            onConflict,
+            createdBy,
+            createdAt: new Date().toISOString()
+        };
+
+        await fs.writeFile(this.getDataPath(upload.id), '');
+        await fs.writeFile(this.getMetaPath(upload.id), JSON.stringify(upload, null, 2));
+        return { ...upload, offset: 0 };
+    }
+
+    /**
+     * Get an upload with its current offset
+     * @returns {Promise<Object|null>}
+     */
+    async get(id) {
+        if (!/^[a-f0-9]{32}$/.test(id)) {
+            return null;
+        }
+
+        try {
+            const upload = JSON.parse(await fs.readFile(this.getMetaPath(id), 'utf8'));
+            const stats = await fs.stat(this.getDataPath(id));
+            return { ...upload, offset: stats.size };
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Append a chunk from a readable stream at the given offset
+     * @returns {Promise<number>} New offset
+     */
+    async append(upload, offset, stream) {
+        if (this.busy.has(upload.id)) {
+            throw new Error('Another chunk is already being written');
+        }
+        if (offset !== upload.offset) {
+            throw new Error('Offset mismatch');
+        }
+
+        this.busy.add(upload.id);
+        try {
+            let written = offset;
+            const guard = new Transform({
+                transform(chunk, encoding, callback) {
+                    written += chunk.length;
+                    if (written > upload.size) {
+                        return callback(new Error('Chunk exceeds declared file size'));
+                    }
+                    callback(null, chunk);
+                }
+            });
+
+            try {
+                await pipeline(stream, guard, fsSync.createWriteStream(this.getDataPath(upload.id), { flags: 'a' }));
+            } catch (error) {
+                // Keep whatever arrived intact; drop only bytes past the declared size
+                const stats = await fs.stat(this.getDataPath(upload.id));
+                if (stats.size > upload.size) {
+                    await fs.truncate(this.getDataPath(upload.id), upload.size);
+                }
+                throw error;
+            }
+
+            // Mark activity so cleanup() leaves it alone
+            const now = new Date();
+            await fs.utimes(this.getMetaPath(upload.id), now, now);
+            return written;
+        } finally {
+            this.busy.delete(upload.id);
+        }
+    }
+
+    /**
+     * Discard an upload and its data
+     */
+    async remove(id) {
+        await fs.rm(this.getDataPath(id), { force: true });
+        await fs.rm(this.getMetaPath(id), { force: true });
+    }
+
+    /**
+     * Forget an upload's metadata once its data file has been moved into place
+     */
+    async finish(id) {
+        await fs.rm(this.getMetaPath(id), { force: true });
+    }
+
+    /**
+     * Discard uploads that haven't received data for a while
+     */
+    async cleanup() {
+        let entries;
+        try {
+            entries = await fs.readdir(this.stagingDir);
+        } catch {
+            return;
+        }
+
+        const cutoff = Date.now() - STALE_AFTER;
+        for (const entry of entries.filter(e => e.endsWith('.json'))) {
+            const id = entry.slice(0, -'.json'.length);
+            try {
+                const stats = await fs.stat(this.getMetaPath(id));
+                if (stats.mtimeMs < cutoff) {
+                    await this.remove(id);
+                }
+            } catch (error) {
+                console.error(`Error cleaning up upload ${id}:`, error.message);
+            }
+        }
+    }
+
+    getDataPath(id) {
+        return path.join(this.stagingDir, `${id}.part`);
+    }
+
+    getMetaPath(id) {
+        return path.join(this.stagingDir, `${id}.json`);
+    }
+}
+
+module.exports = ResumableUploadStore;
@@ -0,0 +1,428 @@
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const EMPTY_SHA256 = crypto.createHash('sha256').update('').digest('hex');
+
+// Header-signed requests must be this close to the server's clock
+const MAX_CLOCK_SKEW = 15 * 60 * 1000;
+
+// Longest a presigned URL may be valid (what AWS allows)
+const MAX_PRESIGNED_EXPIRY = 7 * 24 * 60 * 60;
+
+// Chunk headers in an aws-chunked body are short; anything longer is garbage
+const MAX_CHUNK_HEADER = 4096;
+
+/**
+ * AWS Signature Version 4 checks for the S3-compatible API
+ *
+ * Handles signed Authorization headers and presigned URLs. The payload may be
+ * unsigned, signed as a whole (x-amz-content-sha256 holds its hash) or sent
+ * as an aws-chunked stream with a signature per chunk, which is what the AWS
+ * SDKs do for uploads.
+ */
+class S3Auth {
+    /**
+     * @param {Function} getSecret - (accessKeyId) => secret access key, or null if unknown
+     */
+    constructor(getSecret) {
+        this.getSecret = getSecret;
+    }
+
+    /**
+     * Check a request's signature
+     * @returns {Object} { accessKeyId, amzDate, scope, signingKey, signature, payloadHash }
+     * @throws Error with an HTTP `status` and S3 `s3Code` when the request isn't properly signed
+     */
+    authenticate(req) {
+        const [rawPath, rawQuery = ''] = req.originalUrl.split(/\?(.*)/s);
+        const query = parseQuery(rawQuery);
+        const request = req.headers.authorization
+            ? S3Auth.parseAuthorizationHeader(req)
+            : S3Auth.parsePresignedQuery(query);
+
+        const [accessKeyId, date, region, service, terminator] = request.credential.split('/');
+        if (!region || service !== 's3' || terminator !== 'aws4_request') {
+            throw s3Error(400, 'AuthorizationHeaderMalformed', 'Invalid credential scope');
+        }
+
+        const requestTime = parseAmzDate(request.amzDate);
+        if (!requestTime || !request.amzDate.startsWith(date)) {
+            throw s3Error(403, 'AccessDenied', 'Invalid request date');
+        }
+        if (request.expires === undefined) {
+            if (Math.abs(Date.now() - requestTime) > MAX_CLOCK_SKEW) {
+                throw s3Error(403, 'RequestTimeTooSkewed', 'The difference between the request time and the server time is too large');
+            }
+        } else if (Date.now() > requestTime + request.expires * 1000 || requestTime - Date.now() > MAX_CLOCK_SKEW) {
+            throw s3Error(403, 'AccessDenied', 'Request has expired');
+        }
+
+        const secret = this.getSecret(accessKeyId);
+        if (!secret) {
+            throw s3Error(403, 'InvalidAccessKeyId', 'The access key does not exist');
+        }
+        if (!request.signedHeaders.includes('host')) {
+            throw s3Error(400, 'AuthorizationHeaderMalformed', 'The host header must be signed');
+        }
+
+        let canonicalUri;
+        try {
+            canonicalUri = getCanonicalUri(rawPath);
+        } catch {
+            throw s3Error(400, 'InvalidURI', 'Could not parse the request path');
+        }
+        const canonicalRequest = [
+            req.method,
+            canonicalUri,
+            getCanonicalQuery(query.filter(([name]) => name !== 'X-Amz-Signature')),
+            getCanonicalHeaders(req.headers, request.signedHeaders),
+            request.signedHeaders.join(';'),
+            request.payloadHash
+        ].join('\n');
+
+        const scope = `${date}/${region}/s3/aws4_request`;
+        const stringToSign = [ALGORITHM, request.amzDate, scope, sha256(canonicalRequest)].join('\n');
+        const signingKey = getSigningKey(secret, date, region);
+        if (!signaturesMatch(hmac(signingKey, stringToSign).toString('hex'), request.signature)) {
+            throw s3Error(403, 'SignatureDoesNotMatch', 'The request signature does not match');
+        }
+
+        return {
+            accessKeyId,
+            amzDate: request.amzDate,
+            scope,
+            signingKey,
+            signature: request.signature,
+            payloadHash: request.payloadHash
+        };
+    }
+
+    /**
+     * The request body as the client meant it: aws-chunked bodies are decoded
+     * and their chunk signatures checked, and a body signed by its hash fails
+     * at the end if the hash doesn't match
+     * @param {Object} auth - Result of authenticate()
+     * @returns {stream.Readable}
+     */
+    getPayload(req, auth) {
+        let check;
+        if (auth.payloadHash.startsWith('STREAMING-')) {
+            const signed = auth.payloadHash.startsWith('STREAMING-AWS4-HMAC-SHA256-PAYLOAD');
+            check = new AwsChunkedDecoder(signed ? auth : null);
+        } else if (/^[0-9a-f]{64}$/.test(auth.payloadHash)) {
+            check = createHashCheck(auth.payloadHash);
+        } else if (auth.payloadHash === 'UNSIGNED-PAYLOAD') {
+            return req;
+        } else {
+            throw s3Error(400, 'InvalidArgument', 'Unsupported x-amz-content-sha256 value');
+        }
+
+        // Errors reach whoever reads the returned stream
+        return pipeline(req, check, () => {});
+    }
+
+    static parseAuthorizationHeader(req) {
+        const header = req.headers.authorization;
+        if (!header.startsWith(`${ALGORITHM} `)) {
+            throw s3Error(400, 'InvalidRequest', `Only ${ALGORITHM} signatures are supported`);
+        }
+
+        const fields = {};
+        for (const part of header.slice(ALGORITHM.length + 1).split(',')) {
+            const separator = part.indexOf('=');
+            fields[part.slice(0, separator).trim()] = part.slice(separator + 1).trim();
+        }
+        if (!fields.Credential || !fields.SignedHeaders || !fields.Signature) {
+            throw s3Error(400, 'AuthorizationHeaderMalformed', 'Incomplete Authorization header');
+        }
+
+        return {
+            credential: fields.Credential,
+            signedHeaders: fields.SignedHeaders.split(';'),
+            signature: fields.Signature,
+            amzDate: req.headers['x-amz-date'] || '',
+            payloadHash: req.headers['x-amz-content-sha256'] || 'UNSIGNED-PAYLOAD'
+        };
+    }
+
+    static parsePresignedQuery(query) {
+        const params = Object.fromEntries(query);
+        if (params['X-Amz-Algorithm'] !== ALGORITHM) {
+            throw s3Error(403, 'AccessDenied', 'Anonymous access is not allowed');
+        }
+
+        const expires = parseInt(params['X-Amz-Expires'], 10);
+        if (!params['X-Amz-Credential'] || !params['X-Amz-SignedHeaders'] || !params['X-Amz-Signature'] ||
+            !(expires > 0 && expires <= MAX_PRESIGNED_EXPIRY)) {
+            throw s3Error(400, 'AuthorizationQueryParametersError', 'Incomplete presigned URL');
+        }
+
+        return {
+            credential: params['X-Amz-Credential'],
+            signedHeaders: params['X-Amz-SignedHeaders'].split(';'),
+            signature: params['X-Amz-Signature'],
+            amzDate: params['X-Amz-Date'] || '',
+            expires,
+            payloadHash: 'UNSIGNED-PAYLOAD'
+        };
+    }
+
+    /**
+     * Sign an outgoing request, for talking to other S3-compatible servers
+     * @param {Object} request
+     * @param {string} request.method
+     * @param {URL} request.url - With the path already URI-encoded
+     * @param {Object} [request.headers] - Headers to send; all of them are signed
+     * @param {string} [request.payloadHash] - SHA-256 of the body, hex (default: unsigned)
+     * @param {Object} credentials - { accessKeyId, secretAccessKey, region }
+     * @returns {Object} The headers with host, x-amz-date, x-amz-content-sha256 and authorization added
+     */
+    static signRequest({ method, url, headers = {}, payloadHash = 'UNSIGNED-PAYLOAD' }, credentials) {
+        const amzDate = new Date().toISOString().replace(/[-:]|\.\d{3}/g, '');
+        const date = amzDate.slice(0, 8);
+        const signed = {};
+        for (const [name, value] of Object.entries(headers)) {
+            signed[name.toLowerCase()] = String(value);
+        }
+        signed.host = url.host;
+        signed['x-amz-date'] = amzDate;
+        signed['x-amz-content-sha256'] = payloadHash;
+
+        const signedHeaders = Object.keys(signed).sort();
+        const canonicalRequest = [
+            method,
+            getCanonicalUri(url.pathname),
+            getCanonicalQuery(parseQuery(url.search.slice(1))),
+            getCanonicalHeaders(signed, signedHeaders),
+            signedHeaders.join(';'),
+            payloadHash
+        ].join('\n');
+
+        const scope = `${date}/${credentials.region}/s3/aws4_request`;
+        const stringToSign = [ALGORITHM, amzDate, scope, sha256(canonicalRequest)].join('\n');
+        const signingKey = getSigningKey(credentials.secretAccessKey, date, credentials.region);
+        const signature = hmac(signingKey, stringToSign).toString('hex');
+
+        signed.authorization = `${ALGORITHM} Credential=${credentials.accessKeyId}/${scope}, ` +
+            `SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`;
+        return signed;
+    }
+
+    /**
+     * An object key as it goes in a request path, encoded the way signatures expect
+     */
+    static encodeKey(key) {
+        return key.split('/').map(uriEncode).join('/');
+    }
+}
+
+/**
+ * Decodes an aws-chunked body:
+ *   <hex size>[;chunk-signature=<sig>]\r\n<data>\r\n ... 0[;chunk-signature=<sig>]\r\n
+ * followed by optional trailer lines (x-amz-checksum-*) and an empty line.
+ * With `auth`, every chunk's signature is checked against the one before it.
+ */
+class AwsChunkedDecoder extends Transform {
+    constructor(auth) {
+        super();
+        this.auth = auth;
+        this.previousSignature = auth ? auth.signature : null;
+        this.buffer = Buffer.alloc(0);
+        this.state = 'size';
+        this.remaining = 0;
+        this.chunkSignature = null;
+        this.chunkHash = null;
+    }
+
+    _transform(data, encoding, callback) {
+        this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, data]) : data;
+        try {
+            this.parse();
+            callback();
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    _flush(callback) {
+        if (this.state !== 'trailer' && this.state !== 'done') {
+            return callback(s3Error(400, 'IncompleteBody', 'The request body ended early'));
+        }
+        callback();
+    }
+
+    parse() {
+        while (this.buffer.length > 0 && this.state !== 'done') {
+            if (this.state === 'data') {
+                const piece = this.buffer.subarray(0, this.remaining);
+                this.buffer = this.buffer.subarray(piece.length);
+                this.remaining -= piece.length;
+                if (this.chunkHash) {
+                    this.chunkHash.update(piece);
+                }
+                this.push(piece);
+                if (this.remaining === 0) {
+                    this.state = 'data-end';
+                }
+                continue;
+            }
+
+            const lineEnd = this.buffer.indexOf('\r\n');
+            if (lineEnd === -1) {
+                if (this.buffer.length > MAX_CHUNK_HEADER) {
+                    throw s3Error(400, 'InvalidRequest', 'Malformed aws-chunked body');
+                }
+                return;
+            }
+            const line = this.buffer.subarray(0, lineEnd).toString('latin1');
+            this.buffer = this.buffer.subarray(lineEnd + 2);
+
+            if (this.state === 'data-end') {
+                if (line !== '') {
+                    throw s3Error(400, 'InvalidRequest', 'Malformed aws-chunked body');
+                }
+                this.verifyChunk();
+                this.state = 'size';
+            } else if (this.state === 'size') {
+                this.startChunk(line);
+            } else if (line === '') {
+                // Trailer lines (checksums) end with an empty line
+                this.state = 'done';
+            }
+        }
+    }
+
+    startChunk(line) {
+        const [sizeText, ...extensions] = line.split(';');
+        const size = parseInt(sizeText, 16);
+        if (!/^[0-9a-fA-F]+$/.test(sizeText) || Number.isNaN(size)) {
+            throw s3Error(400, 'InvalidRequest', 'Malformed aws-chunked body');
+        }
+
+        const signature = extensions.find(extension => extension.startsWith('chunk-signature='));
+        this.chunkSignature = signature ? signature.slice('chunk-signature='.length) : null;
+        if (this.auth && !this.chunkSignature) {
+            throw s3Error(403, 'SignatureDoesNotMatch', 'Missing chunk signature');
+        }
+        this.chunkHash = this.auth ? crypto.createHash('sha256') : null;
+
+        if (size === 0) {
+            this.verifyChunk();
+            this.state = 'trailer';
+        } else {
+            this.remaining = size;
+            this.state = 'data';
+        }
+    }
+
+    verifyChunk() {
+        if (!this.auth) {
+            return;
+        }
+
+        const stringToSign = [
+            'AWS4-HMAC-SHA256-PAYLOAD',
+            this.auth.amzDate,
+            this.auth.scope,
+            this.previousSignature,
+            EMPTY_SHA256,
+            this.chunkHash.digest('hex')
+        ].join('\n');
+        if (!signaturesMatch(hmac(this.auth.signingKey, stringToSign).toString('hex'), this.chunkSignature)) {
+            throw s3Error(403, 'SignatureDoesNotMatch', 'A chunk signature does not match');
+        }
+        this.previousSignature = this.chunkSignature;
+    }
+}
+
+// Pass a body through, failing at the end if its SHA-256 isn't the expected one
+function createHashCheck(expected) {
+    const hash = crypto.createHash('sha256');
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            callback(null, chunk);
+        },
+        flush(callback) {
+            if (hash.digest('hex') !== expected) {
+                return callback(s3Error(400, 'XAmzContentSHA256Mismatch', 'The body does not match x-amz-content-sha256'));
+            }
+            callback();
+        }
+    });
+}
+
+// Query string as decoded [name, value] pairs, in the order sent
+function parseQuery(rawQuery) {
+    return rawQuery.split('&').filter(Boolean).map(pair => {
+        const separator = pair.indexOf('=');
+        const [name, value] = separator === -1 ? [pair, ''] : [pair.slice(0, separator), pair.slice(separator + 1)];
+        try {
+            return [decodeURIComponent(name), decodeURIComponent(value)];
+        } catch {
+            throw s3Error(400, 'InvalidURI', 'Could not parse the query string');
+        }
+    });
+}
+
+// Path with every segment URI-encoded once, however the client encoded it
+function getCanonicalUri(rawPath) {
+    return rawPath.split('/').map(segment => uriEncode(decodeURIComponent(segment))).join('/');
+}
+
+// Query pairs encoded and sorted by name, then value
+function getCanonicalQuery(pairs) {
+    return pairs
+        .map(([name, value]) => [uriEncode(name), uriEncode(value)])
+        .sort(([a, aValue], [b, bValue]) => (a === b ? compare(aValue, bValue) : compare(a, b)))
+        .map(([name, value]) => `${name}=${value}`)
+        .join('&');
+}
+
+function getCanonicalHeaders(headers, signedHeaders) {
+    return signedHeaders
+        .map(name => `${name}:${String(headers[name] || '').trim().replace(/\s+/g, ' ')}\n`)
+        .join('');
+}
+
+function getSigningKey(secret, date, region) {
+    return ['aws4_request', 's3', region, date].reduceRight((key, part) => hmac(key, part), `AWS4${secret}`);
+}
+
+// 20261018T120000Z -> milliseconds, or null
+function parseAmzDate(amzDate) {
+    const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(amzDate);
+    return match ? Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5], match[6]) : null;
+}
+
+// URI encoding as SigV4 defines it (RFC 3986 unreserved characters stay as they are)
+function uriEncode(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function compare(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function hmac(key, value) {
+    return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+function signaturesMatch(expected, actual) {
+    return typeof actual === 'string' && actual.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+}
+
+function s3Error(status, code, message) {
+    const error = new Error(message);
+    error.status = status;
+    error.s3Code = code;
+    return error;
+}
+
+module.exports = S3Auth;
@@ -0,0 +1,566 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { Readable, Transform, pipeline } = require('stream');
+const S3Auth = require('./S3Auth');
+
+const S3_NAMESPACE = 'http://s3.amazonaws.com/doc/2006-03-01/';
+
+// Keys listed per page unless the client asks for fewer
+const MAX_KEYS = 1000;
+
+// CompleteMultipartUpload bodies list every part; 10000 parts fit easily
+const MAX_XML_BODY = 2 * 1024 * 1024;
+
+// S3 error codes for statuses the storage backend reports
+const ERROR_CODES = {
+    400: 'InvalidRequest',
+    403: 'AccessDenied',
+    404: 'NoSuchKey',
+    405: 'MethodNotAllowed',
+    409: 'InvalidRequest',
+    412: 'PreconditionFailed',
+    413: 'EntityTooLarge',
+    415: 'InvalidRequest',
+    501: 'NotImplemented',
+    503: 'ServiceUnavailable'
+};
+
+/**
+ * A subset of the S3 API (path-style addressing) on top of a storage backend
+ *
+ * Top-level folders are buckets and the paths below them are keys, so
+ * "photos/2024/a.jpg" in bucket "family" is the file /family/photos/2024/a.jpg.
+ * Supported: ListBuckets, HeadBucket, GetBucketLocation, ListObjects (V1 and
+ * V2), GetObject (with Range), HeadObject, PutObject, CopyObject,
+ * DeleteObject and multipart uploads. Requests are authenticated with SigV4.
+ */
+class S3Server {
+    /**
+     * @param {Object} options
+     * @param {Object} options.storage - The same backend WebDavServer uses; write(),
+     *   mkdir() and copy() also take { createFolders } to make missing parent folders,
+     *   and copy() { replaceFile } to copy over a file the way write() replaces one
+     * @param {Function} options.getAccessKey - (accessKeyId) => { secretAccessKey, user } or null
+     * @param {MultipartUploadStore} options.uploads
+     * @param {Function} [options.getErrorStatus] - (error) => status for errors without one
+     */
+    constructor({ storage, getAccessKey, uploads, getErrorStatus = () => null }) {
+        this.storage = storage;
+        this.getAccessKey = getAccessKey;
+        this.uploads = uploads;
+        this.getErrorStatus = getErrorStatus;
+        this.auth = new S3Auth(accessKeyId => {
+            const key = getAccessKey(accessKeyId);
+            return key ? key.secretAccessKey : null;
+        });
+    }
+
+    /**
+     * Express handler; S3 clients expect the API at the root of a host, so
+     * give it an app (and port) of its own
+     */
+    handler() {
+        return (req, res) => this.handle(req, res);
+    }
+
+    async handle(req, res) {
+        // Plugin hooks see the same ID as the client
+        req.id = crypto.randomBytes(8).toString('hex').toUpperCase();
+        res.set('x-amz-request-id', req.id);
+
+        try {
+            const auth = this.auth.authenticate(req);
+            req.user = this.getAccessKey(auth.accessKeyId).user;
+            req.s3Auth = auth;
+
+            const { bucket, key, query } = S3Server.parseRequest(req);
+            if (!bucket) {
+                if (req.method !== 'GET') {
+                    throw S3Server.error(405, 'MethodNotAllowed', 'Only GET is allowed here');
+                }
+                return await this.listBuckets(req, res);
+            }
+            if (!key) {
+                return await this.handleBucket(req, res, bucket, query);
+            }
+            await this.handleObject(req, res, bucket, key, query);
+        } catch (error) {
+            this.sendError(req, res, error);
+        }
+    }
+
+    async handleBucket(req, res, bucket, query) {
+        await this.getBucket(bucket, req.user);
+
+        if (req.method === 'HEAD') {
+            return res.status(200).end();
+        }
+        if (req.method !== 'GET') {
+            throw S3Server.error(501, 'NotImplemented', 'Buckets are folders; create and delete them in Quick NAS');
+        }
+        if (query.has('location')) {
+            return this.sendXml(res, 200, 'LocationConstraint', '');
+        }
+        if (query.has('uploads') || query.has('versions') || query.has('acl') || query.has('policy')) {
+            throw S3Server.error(501, 'NotImplemented', 'This bucket operation is not supported');
+        }
+        await this.listObjects(req, res, bucket, query);
+    }
+
+    async handleObject(req, res, bucket, key, query) {
+        const itemPath = `/${bucket}/${key}`;
+        switch (req.method) {
+            case 'GET':
+            case 'HEAD':
+                if (query.has('uploadId') || query.has('acl') || query.has('tagging')) {
+                    throw S3Server.error(501, 'NotImplemented', 'This object operation is not supported');
+                }
+                return this.getObject(req, res, bucket, itemPath);
+            case 'PUT':
+                if (query.has('uploadId')) {
+                    return this.uploadPart(req, res, itemPath, query);
+                }
+                if (req.headers['x-amz-copy-source']) {
+                    return this.copyObject(req, res, bucket, itemPath);
+                }
+                return this.putObject(req, res, bucket, itemPath);
+            case 'POST':
+                if (query.has('uploads')) {
+                    return this.createMultipartUpload(req, res, bucket, key, itemPath);
+                }
+                if (query.has('uploadId')) {
+                    return this.completeMultipartUpload(req, res, bucket, key, itemPath, query);
+                }
+                throw S3Server.error(501, 'NotImplemented', 'This object operation is not supported');
+            case 'DELETE':
+                if (query.has('uploadId')) {
+                    return this.abortMultipartUpload(req, res, itemPath, query);
+                }
+                return this.deleteObject(req, res, bucket, itemPath);
+            default:
+                throw S3Server.error(405, 'MethodNotAllowed', `${req.method} is not allowed on objects`);
+        }
+    }
+
+    async listBuckets(req, res) {
+        const folders = (await this.storage.list('/', req.user, req)).filter(item => item.isDirectory);
+        const buckets = folders.map(folder =>
+            `<Bucket><Name>${escapeXml(folder.name)}</Name><CreationDate>${folder.created.toISOString()}</CreationDate></Bucket>`
+        ).join('');
+        const owner = `<ID>${escapeXml(req.user.username)}</ID><DisplayName>${escapeXml(req.user.username)}</DisplayName>`;
+        this.sendXml(res, 200, 'ListAllMyBucketsResult', `<Owner>${owner}</Owner><Buckets>${buckets}</Buckets>`);
+    }
+
+    /**
+     * ListObjects and ListObjectsV2
+     *
+     * Keys are the files below the bucket, in S3's (byte-wise) order. With the
+     * "/" delimiter only the folder holding the prefix is read, and its
+     * subfolders (even empty ones) come back as common prefixes.
+     */
+    async listObjects(req, res, bucket, query) {
+        const isV2 = query.get('list-type') === '2';
+        const prefix = query.get('prefix') || '';
+        const delimiter = query.get('delimiter') || '';
+        const requestedMaxKeys = parseInt(query.get('max-keys'), 10);
+        const maxKeys = Number.isNaN(requestedMaxKeys) ? MAX_KEYS : Math.min(Math.max(requestedMaxKeys, 0), MAX_KEYS);
+        const urlEncoded = query.get('encoding-type') === 'url';
+
+        let after = isV2 ? query.get('start-after') || '' : query.get('marker') || '';
+        if (isV2 && query.get('continuation-token')) {
+            after = Buffer.from(query.get('continuation-token'), 'base64url').toString('utf8');
+        }
+
+        // Only the folder the prefix points into can hold matching keys
+        const folderKey = prefix.slice(0, prefix.lastIndexOf('/') + 1);
+        const entries = await this.listKeys(bucket, folderKey, delimiter !== '/', req);
+
+        const contents = [];
+        const commonPrefixes = [];
+        let lastKey = null;
+        let truncated = false;
+        for (const entry of entries) {
+            if (!entry.key.startsWith(prefix)) {
+                continue;
+            }
+
+            // Keys sharing everything up to the next delimiter roll up into one prefix
+            let commonPrefix = null;
+            if (delimiter) {
+                const index = entry.key.indexOf(delimiter, prefix.length);
+                if (index !== -1) {
+                    commonPrefix = entry.key.slice(0, index + delimiter.length);
+                }
+            }
+            if (!commonPrefix && entry.isDirectory) {
+                continue;
+            }
+            const name = commonPrefix || entry.key;
+            if (compareKeys(name, after) <= 0 || name === lastKey) {
+                continue;
+            }
+            if (contents.length + commonPrefixes.length >= maxKeys) {
+                truncated = true;
+                break;
+            }
+
+            if (commonPrefix) {
+                commonPrefixes.push(commonPrefix);
+            } else {
+                contents.push(entry);
+            }
+            lastKey = name;
+        }
+
+        const encode = value => escapeXml(urlEncoded ? encodeURIComponent(value).replace(/%2F/g, '/') : value);
+        let body = `<Name>${escapeXml(bucket)}</Name><Prefix>${encode(prefix)}</Prefix>` +
+            `<MaxKeys>${maxKeys}</MaxKeys><IsTruncated>${truncated}</IsTruncated>` +
+            (delimiter ? `<Delimiter>${encode(delimiter)}</Delimiter>` : '') +
+            (urlEncoded ? '<EncodingType>url</EncodingType>' : '');
+        if (isV2) {
+            body += `<KeyCount>${contents.length + commonPrefixes.length}</KeyCount>`;
+            if (query.get('continuation-token')) {
+                body += `<ContinuationToken>${escapeXml(query.get('continuation-token'))}</ContinuationToken>`;
+            }
+            if (query.get('start-after')) {
+                body += `<StartAfter>${encode(query.get('start-after'))}</StartAfter>`;
+            }
+            if (truncated) {
+                body += `<NextContinuationToken>${Buffer.from(lastKey).toString('base64url')}</NextContinuationToken>`;
+            }
+        } else {
+            body += `<Marker>${encode(query.get('marker') || '')}</Marker>`;
+            if (truncated) {
+                body += `<NextMarker>${encode(lastKey)}</NextMarker>`;
+            }
+        }
+
+        const owner = `<Owner><ID>${escapeXml(req.user.username)}</ID><DisplayName>${escapeXml(req.user.username)}</DisplayName></Owner>`;
+        for (const entry of contents) {
+            body += `<Contents><Key>${encode(entry.key)}</Key>` +
+                `<LastModified>${entry.modified.toISOString()}</LastModified>` +
+                `<ETag>${escapeXml(S3Server.getEtag(entry))}</ETag>` +
+                `<Size>${entry.size}</Size><StorageClass>STANDARD</StorageClass>` +
+                (isV2 && query.get('fetch-owner') !== 'true' ? '' : owner) +
+                '</Contents>';
+        }
+        for (const commonPrefix of commonPrefixes) {
+            body += `<CommonPrefixes><Prefix>${encode(commonPrefix)}</Prefix></CommonPrefixes>`;
+        }
+
+        this.sendXml(res, 200, 'ListBucketResult', body);
+    }
+
+    /**
+     * Everything under a folder of a bucket as { key, isDirectory, ... }, sorted
+     * by key. Folders get a trailing "/"; with `recursive` their contents are
+     * listed too.
+     */
+    async listKeys(bucket, folderKey, recursive, req) {
+        const keys = [];
+        const visit = async (key) => {
+            let items;
+            try {
+                items = await this.storage.list(`/${bucket}/${key}`, req.user, req);
+            } catch (error) {
+                // A prefix naming a folder that doesn't exist matches nothing
+                if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+                    return;
+                }
+                throw error;
+            }
+
+            for (const item of items) {
+                const itemKey = key + item.name + (item.isDirectory ? '/' : '');
+                keys.push({ ...item, key: itemKey });
+                if (item.isDirectory && recursive) {
+                    await visit(itemKey);
+                }
+            }
+        };
+
+        await visit(folderKey);
+        return keys.sort((a, b) => compareKeys(a.key, b.key));
+    }
+
+    async getObject(req, res, bucket, itemPath) {
+        await this.getBucket(bucket, req.user);
+        const resource = await this.storage.stat(itemPath, req.user);
+        if (!resource || resource.isDirectory) {
+            throw S3Server.error(404, 'NoSuchKey', 'The specified key does not exist');
+        }
+
+        await this.storage.read(itemPath, req.user, req, res, {
+            etag: false,
+            headers: { ETag: S3Server.getEtag(resource) }
+        });
+    }
+
+    async putObject(req, res, bucket, itemPath) {
+        await this.getBucket(bucket, req.user);
+        const payload = this.auth.getPayload(req, req.s3Auth);
+
+        // Tools create "folders" by putting an empty key ending in a slash
+        if (itemPath.endsWith('/')) {
+            payload.resume();
+            await this.storage.mkdir(itemPath.slice(0, -1), req.user, req, { createFolders: true });
+            return res.set('ETag', `"${crypto.createHash('md5').digest('hex')}"`).status(200).end();
+        }
+
+        const existing = await this.storage.stat(itemPath, req.user);
+        if (existing && existing.isDirectory) {
+            throw S3Server.error(409, 'InvalidRequest', 'A folder has that name');
+        }
+
+        const check = createMd5Check(req.headers['content-md5']);
+        await this.storage.write(itemPath, pipeline(payload, check, () => {}), req.user, req, { createFolders: true });
+        res.set('ETag', `"${check.md5}"`).status(200).end();
+    }
+
+    async copyObject(req, res, bucket, itemPath) {
+        await this.getBucket(bucket, req.user);
+
+        const sourcePath = S3Server.parseCopySource(req.headers['x-amz-copy-source']);
+        const source = await this.storage.stat(sourcePath, req.user);
+        if (!source || source.isDirectory) {
+            throw S3Server.error(404, 'NoSuchKey', 'The copy source does not exist');
+        }
+
+        // Copying an object onto itself only changes metadata, which isn't kept
+        if (sourcePath !== itemPath) {
+            const existing = await this.storage.stat(itemPath, req.user);
+            if (existing && existing.isDirectory) {
+                throw S3Server.error(409, 'InvalidRequest', 'A folder has that name');
+            }
+            // Like PutObject, an object copied over keeps its old content as a version
+            await this.storage.copy(sourcePath, itemPath, req.user, req, true, { createFolders: true, replaceFile: true });
+        }
+
+        const copied = await this.storage.stat(itemPath, req.user);
+        this.sendXml(res, 200, 'CopyObjectResult',
+            `<LastModified>${copied.modified.toISOString()}</LastModified><ETag>${escapeXml(S3Server.getEtag(copied))}</ETag>`);
+    }
+
+    // Deleting a key that doesn't exist succeeds, as in S3
+    async deleteObject(req, res, bucket, itemPath) {
+        await this.getBucket(bucket, req.user);
+
+        const isFolderKey = itemPath.endsWith('/');
+        const resource = await this.storage.stat(isFolderKey ? itemPath.slice(0, -1) : itemPath, req.user);
+        if (resource && resource.isDirectory === isFolderKey) {
+            // A folder key only stands for the folder while nothing is in it
+            if (!isFolderKey || (await this.storage.list(resource.path, req.user, req)).length === 0) {
+                await this.storage.remove(resource.path, req.user, req);
+            }
+        }
+        res.status(204).end();
+    }
+
+    async createMultipartUpload(req, res, bucket, key, itemPath) {
+        await this.getBucket(bucket, req.user);
+        const existing = await this.storage.stat(itemPath, req.user);
+        if (existing && existing.isDirectory) {
+            throw S3Server.error(409, 'InvalidRequest', 'A folder has that name');
+        }
+
+        const upload = await this.uploads.create({ path: itemPath, createdBy: req.user.username });
+        this.sendXml(res, 200, 'InitiateMultipartUploadResult',
+            `<Bucket>${escapeXml(bucket)}</Bucket><Key>${escapeXml(key)}</Key><UploadId>${upload.id}</UploadId>`);
+    }
+
+    async uploadPart(req, res, itemPath, query) {
+        if (req.headers['x-amz-copy-source']) {
+            throw S3Server.error(501, 'NotImplemented', 'UploadPartCopy is not supported');
+        }
+
+        const upload = await this.getUpload(itemPath, query, req.user);
+        const partNumber = Number(query.get('partNumber'));
+        if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > 10000) {
+            throw S3Server.error(400, 'InvalidArgument', 'Part number must be an integer between 1 and 10000');
+        }
+
+        const payload = pipeline(this.auth.getPayload(req, req.s3Auth), createMd5Check(req.headers['content-md5']), () => {});
+        const part = await this.uploads.writePart(upload, partNumber, payload);
+        res.set('ETag', `"${part.md5}"`).status(200).end();
+    }
+
+    async completeMultipartUpload(req, res, bucket, key, itemPath, query) {
+        const upload = await this.getUpload(itemPath, query, req.user);
+        const body = await readBody(this.auth.getPayload(req, req.s3Auth));
+
+        // <CompleteMultipartUpload><Part><PartNumber>1</PartNumber><ETag>"..."</ETag></Part>...
+        const requested = Array.from(body.matchAll(/<Part>([\s\S]*?)<\/Part>/g), ([, part]) => ({
+            partNumber: Number((/<PartNumber>\s*(\d+)\s*<\/PartNumber>/.exec(part) || [])[1]),
+            md5: ((/<ETag>([\s\S]*?)<\/ETag>/.exec(part) || [])[1] || '').replace(/&quot;|"/g, '').trim()
+        }));
+        if (requested.length === 0) {
+            throw S3Server.error(400, 'MalformedXML', 'The request must list the parts to combine');
+        }
+
+        const received = new Map((await this.uploads.listParts(upload)).map(part => [part.partNumber, part]));
+        let previous = 0;
+        for (const part of requested) {
+            if (!(part.partNumber > previous)) {
+                throw S3Server.error(400, 'InvalidPartOrder', 'Parts must be listed in ascending order');
+            }
+            const stored = received.get(part.partNumber);
+            if (!stored || stored.md5 !== part.md5) {
+                throw S3Server.error(400, 'InvalidPart', `Part ${part.partNumber} was not uploaded or its ETag does not match`);
+            }
+            previous = part.partNumber;
+        }
+
+        // The parts are streamed into place back to back, like one big PutObject
+        const uploads = this.uploads;
+        const combined = Readable.from((async function* () {
+            for (const part of requested) {
+                yield* fs.createReadStream(uploads.getPartPath(upload.id, part.partNumber));
+            }
+        })());
+        await this.storage.write(itemPath, combined, req.user, req, { createFolders: true });
+        await this.uploads.remove(upload.id);
+
+        // S3's multipart ETag: the MD5 of the parts' MD5s, and the part count
+        const digests = Buffer.concat(requested.map(part => Buffer.from(part.md5, 'hex')));
+        const etag = `"${crypto.createHash('md5').update(digests).digest('hex')}-${requested.length}"`;
+        this.sendXml(res, 200, 'CompleteMultipartUploadResult',
+            `<Bucket>${escapeXml(bucket)}</Bucket><Key>${escapeXml(key)}</Key><ETag>${escapeXml(etag)}</ETag>`);
+    }
+
+    async abortMultipartUpload(req, res, itemPath, query) {
+        const upload = await this.getUpload(itemPath, query, req.user);
+        await this.uploads.remove(upload.id);
+        res.status(204).end();
+    }
+
+    async getBucket(bucket, user) {
+        const resource = await this.storage.stat(`/${bucket}`, user);
+        if (!resource || !resource.isDirectory) {
+            throw S3Server.error(404, 'NoSuchBucket', 'The specified bucket does not exist');
+        }
+        return resource;
+    }
+
+    async getUpload(itemPath, query, user) {
+        const upload = await this.uploads.get(query.get('uploadId') || '');
+        if (!upload || upload.path !== itemPath || upload.createdBy !== user.username) {
+            throw S3Server.error(404, 'NoSuchUpload', 'The specified multipart upload does not exist');
+        }
+        return upload;
+    }
+
+    sendError(req, res, error) {
+        const status = error.status || this.getErrorStatus(error) || 500;
+        const code = error.s3Code || ERROR_CODES[status] || 'InternalError';
+        if (status === 500) {
+            console.error('S3 error:', error);
+        }
+        if (res.headersSent) {
+            return;
+        }
+
+        // HEAD responses can't carry the error document
+        if (req.method === 'HEAD') {
+            return res.status(status).end();
+        }
+        const message = status === 500 ? 'We encountered an internal error. Please try again.' : error.message;
+        this.sendXml(res, status, 'Error',
+            `<Code>${code}</Code><Message>${escapeXml(message)}</Message>` +
+            `<Resource>${escapeXml(req.path)}</Resource><RequestId>${res.get('x-amz-request-id')}</RequestId>`,
+            false);
+    }
+
+    sendXml(res, status, root, body, namespaced = true) {
+        const xmlns = namespaced ? ` xmlns="${S3_NAMESPACE}"` : '';
+        res.status(status)
+            .type('application/xml')
+            .send(`<?xml version="1.0" encoding="UTF-8"?>\n<${root}${xmlns}>${body}</${root}>`);
+    }
+
+    /**
+     * Split a path-style request into bucket, key and query
+     */
+    static parseRequest(req) {
+        const url = new URL(req.originalUrl, 'http://localhost');
+        const separator = url.pathname.indexOf('/', 1);
+        try {
+            return {
+                bucket: decodeURIComponent(separator === -1 ? url.pathname.slice(1) : url.pathname.slice(1, separator)),
+                key: separator === -1 ? '' : decodeURIComponent(url.pathname.slice(separator + 1)),
+                query: url.searchParams
+            };
+        } catch {
+            throw S3Server.error(400, 'InvalidURI', 'Could not parse the request path');
+        }
+    }
+
+    // x-amz-copy-source: [/]bucket/key[?versionId=...], URL-encoded
+    static parseCopySource(header) {
+        const [source] = header.split('?');
+        try {
+            return '/' + decodeURIComponent(source).replace(/^\/+/, '');
+        } catch {
+            throw S3Server.error(400, 'InvalidArgument', 'Invalid x-amz-copy-source');
+        }
+    }
+
+    /**
+     * ETag for a stored file. Content hashes would mean reading every file, so
+     * it's derived from the size and modification time; the "-" keeps tools
+     * from mistaking it for an MD5.
+     */
+    static getEtag(resource) {
+        return `"${resource.size.toString(16)}-${resource.modified.getTime().toString(16)}"`;
+    }
+
+    static error(status, code, message) {
+        const error = new Error(message);
+        error.status = status;
+        error.s3Code = code;
+        return error;
+    }
+}
+
+// Pass a body through while computing its MD5 (as `md5` once done), failing at
+// the end if it doesn't match the Content-MD5 header the client sent
+function createMd5Check(contentMd5) {
+    const hash = crypto.createHash('md5');
+    const check = new Transform({
+        transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            callback(null, chunk);
+        },
+        flush(callback) {
+            check.md5 = hash.digest('hex');
+            if (contentMd5 && Buffer.from(check.md5, 'hex').toString('base64') !== contentMd5) {
+                return callback(S3Server.error(400, 'BadDigest', 'The Content-MD5 you specified did not match what was received'));
+            }
+            callback();
+        }
+    });
+    return check;
+}
+
+async function readBody(stream) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of stream) {
+        size += chunk.length;
+        if (size > MAX_XML_BODY) {
+            throw S3Server.error(400, 'MaxMessageLengthExceeded', 'Request body too large');
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+// S3 orders keys by their UTF-8 bytes
+function compareKeys(a, b) {
+    return Buffer.compare(Buffer.from(a), Buffer.from(b));
+}
+
+function escapeXml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[char]);
+}
+
+module.exports = S3Server;
@@ -0,0 +1,350 @@
+const crypto = require('crypto');
+const path = require('path').posix;
+const { Readable } = require('stream');
+const S3Auth = require('./S3Auth');
+const StorageAdapter = require('./StorageAdapter');
+
+// Uploads larger than this go up in parts of this size
+const PART_SIZE = 8 * 1024 * 1024;
+
+/**
+ * Files in a bucket on an S3-compatible server (AWS, MinIO, another Quick NAS)
+ *
+ * Keys are paths below an optional prefix, with path-style addressing
+ * (endpoint/bucket/key). S3 has no folders: a folder is a "name/" marker
+ * object, or anything that has keys below it, and folder times aren't known.
+ */
+class S3StorageAdapter extends StorageAdapter {
+    /**
+     * @param {Object} options
+     * @param {string} options.endpoint - e.g. http://localhost:9000
+     * @param {string} options.bucket
+     * @param {string} [options.region]
+     * @param {string} options.accessKeyId
+     * @param {string} options.secretAccessKey
+     * @param {string} [options.prefix] - Key prefix to keep the files under, e.g. "nas/"
+     */
+    constructor({ endpoint, bucket, region = 'us-east-1', accessKeyId, secretAccessKey, prefix = '' }) {
+        super();
+        if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+            throw new Error('S3 storage needs an endpoint, bucket, access key ID and secret access key');
+        }
+        this.endpoint = endpoint.replace(/\/+$/, '');
+        this.bucket = bucket;
+        this.credentials = { accessKeyId, secretAccessKey, region };
+        this.prefix = prefix && !prefix.endsWith('/') ? `${prefix}/` : prefix;
+    }
+
+    async init() {
+        const response = await this.request('HEAD', null);
+        if (!response.ok) {
+            throw new Error(`S3 bucket ${this.bucket} is not reachable (${response.status})`);
+        }
+    }
+
+    async stat(itemPath) {
+        const key = this.getKey(itemPath);
+        if (key === this.prefix) {
+            return StorageAdapter.createStats({ isDirectory: true });
+        }
+
+        const response = await this.request('HEAD', key);
+        if (response.ok) {
+            return StorageAdapter.createStats({
+                isDirectory: false,
+                size: parseInt(response.headers.get('content-length'), 10) || 0,
+                mtime: new Date(response.headers.get('last-modified') || 0)
+            });
+        }
+        if (response.status !== 404) {
+            throw await S3StorageAdapter.toError(response, itemPath);
+        }
+
+        // Listing the name with the delimiter rolls a folder (marker or not) up into "name/"
+        let token;
+        do {
+            const page = await this.listPage({ prefix: key, delimiter: '/', token });
+            if (page.prefixes.includes(`${key}/`)) {
+                return StorageAdapter.createStats({ isDirectory: true });
+            }
+            token = page.token;
+        } while (token);
+
+        throw StorageAdapter.error('ENOENT', `${itemPath} not found`);
+    }
+
+    async list(folderPath) {
+        const folderKey = this.getFolderKey(folderPath);
+        const entries = [];
+        let token;
+        do {
+            const page = await this.listPage({ prefix: folderKey, delimiter: '/', token });
+            for (const object of page.objects) {
+                if (object.key !== folderKey) {
+                    entries.push({
+                        name: object.key.slice(folderKey.length),
+                        ...StorageAdapter.createStats({ isDirectory: false, size: object.size, mtime: object.modified })
+                    });
+                }
+            }
+            for (const prefix of page.prefixes) {
+                entries.push({
+                    name: prefix.slice(folderKey.length, -1),
+                    ...StorageAdapter.createStats({ isDirectory: true })
+                });
+            }
+            token = page.token;
+        } while (token);
+
+        // An empty listing is also what a missing folder looks like
+        if (entries.length === 0 && folderKey !== this.prefix && !(await this.stat(folderPath)).isDirectory()) {
+            throw StorageAdapter.error('ENOTDIR', `${folderPath} is not a folder`);
+        }
+        return entries;
+    }
+
+    async read(itemPath, { start, end } = {}) {
+        const headers = {};
+        if (start !== undefined || end !== undefined) {
+            headers.range = `bytes=${start || 0}-${end === undefined ? '' : end}`;
+        }
+        const response = await this.request('GET', this.getKey(itemPath), { headers });
+        if (!response.ok) {
+            throw await S3StorageAdapter.toError(response, itemPath);
+        }
+        return Readable.fromWeb(response.body);
+    }
+
+    /**
+     * Small files go up in one PUT, larger ones as a multipart upload; either
+     * way at most one part is held in memory
+     */
+    async write(itemPath, stream) {
+        const key = this.getKey(itemPath);
+        const iterator = S3StorageAdapter.readParts(stream)[Symbol.asyncIterator]();
+
+        const first = await iterator.next();
+        const second = first.done ? { done: true } : await iterator.next();
+        if (second.done) {
+            return this.putObject(key, first.done ? Buffer.alloc(0) : first.value);
+        }
+
+        const created = await this.request('POST', key, { query: { uploads: '' } });
+        if (!created.ok) {
+            throw await S3StorageAdapter.toError(created, itemPath);
+        }
+        const uploadId = S3StorageAdapter.getXmlValue(await created.text(), 'UploadId');
+
+        try {
+            const parts = [];
+            const uploadPart = async (body) => {
+                const partNumber = parts.length + 1;
+                const response = await this.request('PUT', key, {
+                    query: { partNumber, uploadId },
+                    body
+                });
+                if (!response.ok) {
+                    throw await S3StorageAdapter.toError(response, itemPath);
+                }
+                parts.push(`<Part><PartNumber>${partNumber}</PartNumber><ETag>${response.headers.get('etag')}</ETag></Part>`);
+            };
+
+            await uploadPart(first.value);
+            await uploadPart(second.value);
+            for (let part = await iterator.next(); !part.done; part = await iterator.next()) {
+                await uploadPart(part.value);
+            }
+
+            const completed = await this.request('POST', key, {
+                query: { uploadId },
+                body: Buffer.from(`<CompleteMultipartUpload>${parts.join('')}</CompleteMultipartUpload>`)
+            });
+            const result = await completed.text();
+            // Completion can fail after a 200, with the error in the body
+            if (!completed.ok || result.includes('<Error>')) {
+                throw new Error(`S3 upload of ${itemPath} failed: ${S3StorageAdapter.getXmlValue(result, 'Message') || completed.status}`);
+            }
+        } catch (error) {
+            await this.request('DELETE', key, { query: { uploadId } }).catch(() => {});
+            throw error;
+        }
+    }
+
+    async mkdir(itemPath, { recursive = false } = {}) {
+        const existing = await this.stat(itemPath).catch(() => null);
+        if (existing) {
+            if (recursive && existing.isDirectory()) {
+                return;
+            }
+            throw StorageAdapter.error('EEXIST', `${itemPath} already exists`);
+        }
+
+        // Markers for the parents too, so they outlive this folder
+        const parentPath = path.dirname(itemPath);
+        if (recursive) {
+            await this.mkdir(parentPath, { recursive: true });
+        } else if (!(await this.stat(parentPath)).isDirectory()) {
+            throw StorageAdapter.error('ENOTDIR', `${parentPath} is not a folder`);
+        }
+        await this.putObject(`${this.getKey(itemPath)}/`, Buffer.alloc(0));
+    }
+
+    async remove(itemPath, { recursive = false } = {}) {
+        const stats = await this.stat(itemPath);
+        if (!stats.isDirectory()) {
+            return this.deleteObject(this.getKey(itemPath));
+        }
+
+        const entries = await this.list(itemPath);
+        if (entries.length > 0 && !recursive) {
+            throw StorageAdapter.error('ENOTEMPTY', `${itemPath} is not empty`);
+        }
+        for (const entry of entries) {
+            await this.remove(path.join(itemPath, entry.name), { recursive: true });
+        }
+        await this.deleteObject(`${this.getKey(itemPath)}/`);
+    }
+
+    /**
+     * S3 can't rename, so everything is copied on the server and the originals deleted
+     */
+    async move(itemPath, newPath) {
+        if (await this.exists(newPath)) {
+            throw StorageAdapter.error('EEXIST', `${newPath} already exists`);
+        }
+        const stats = await this.stat(itemPath);
+        if (!stats.isDirectory()) {
+            await this.copyFile(itemPath, newPath);
+            return this.deleteObject(this.getKey(itemPath));
+        }
+        if (StorageAdapter.isInside(newPath, itemPath)) {
+            throw StorageAdapter.error('EINVAL', `${itemPath} cannot be moved into itself`);
+        }
+
+        await this.mkdir(newPath);
+        for (const entry of await this.list(itemPath)) {
+            await this.move(path.join(itemPath, entry.name), path.join(newPath, entry.name));
+        }
+        await this.deleteObject(`${this.getKey(itemPath)}/`);
+    }
+
+    async copyFile(itemPath, newPath) {
+        const response = await this.request('PUT', this.getKey(newPath), {
+            headers: { 'x-amz-copy-source': `/${this.bucket}/${S3Auth.encodeKey(this.getKey(itemPath))}` }
+        });
+        const result = await response.text();
+        if (!response.ok || result.includes('<Error>')) {
+            throw response.status === 404
+                ? StorageAdapter.error('ENOENT', `${itemPath} not found`)
+                : new Error(`S3 copy of ${itemPath} failed: ${S3StorageAdapter.getXmlValue(result, 'Message') || response.status}`);
+        }
+    }
+
+    async putObject(key, body) {
+        const response = await this.request('PUT', key, { body });
+        if (!response.ok) {
+            throw await S3StorageAdapter.toError(response, key);
+        }
+    }
+
+    async deleteObject(key) {
+        const response = await this.request('DELETE', key);
+        if (!response.ok && response.status !== 404) {
+            throw await S3StorageAdapter.toError(response, key);
+        }
+    }
+
+    /**
+     * One page of ListObjectsV2
+     * @returns {Promise<{objects: Array, prefixes: string[], token: string|null}>}
+     */
+    async listPage({ prefix, delimiter, token }) {
+        const query = { 'list-type': 2, prefix, delimiter };
+        if (token) {
+            query['continuation-token'] = token;
+        }
+        const response = await this.request('GET', null, { query });
+        const body = await response.text();
+        if (!response.ok) {
+            throw new Error(`S3 listing failed: ${S3StorageAdapter.getXmlValue(body, 'Message') || response.status}`);
+        }
+
+        const objects = [...body.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)].map(([, contents]) => ({
+            key: S3StorageAdapter.getXmlValue(contents, 'Key'),
+            size: parseInt(S3StorageAdapter.getXmlValue(contents, 'Size'), 10) || 0,
+            modified: new Date(S3StorageAdapter.getXmlValue(contents, 'LastModified') || 0)
+        }));
+        const prefixes = [...body.matchAll(/<CommonPrefixes>([\s\S]*?)<\/CommonPrefixes>/g)]
+            .map(([, contents]) => S3StorageAdapter.getXmlValue(contents, 'Prefix'));
+        const truncated = S3StorageAdapter.getXmlValue(body, 'IsTruncated') === 'true';
+        return { objects, prefixes, token: truncated ? S3StorageAdapter.getXmlValue(body, 'NextContinuationToken') : null };
+    }
+
+    /**
+     * Send a signed request for a key (or the bucket, when key is null)
+     * @returns {Promise<Response>}
+     */
+    async request(method, key, { query = {}, headers = {}, body } = {}) {
+        const url = new URL(`${this.endpoint}/${this.bucket}${key === null ? '' : `/${S3Auth.encodeKey(key)}`}`);
+        url.search = Object.entries(query)
+            .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`)
+            .join('&');
+        const payloadHash = crypto.createHash('sha256').update(body || '').digest('hex');
+        const signed = S3Auth.signRequest({ method, url, headers, payloadHash }, this.credentials);
+        return fetch(url, { method, headers: signed, body });
+    }
+
+    getKey(itemPath) {
+        return this.prefix + path.normalize(`/${itemPath}`).slice(1).replace(/\/+$/, '');
+    }
+
+    getFolderKey(folderPath) {
+        const key = this.getKey(folderPath);
+        return key === this.prefix ? key : `${key}/`;
+    }
+
+    /**
+     * Cut a stream into PART_SIZE buffers (the last one shorter)
+     */
+    static async *readParts(stream) {
+        let chunks = [];
+        let size = 0;
+        for await (const chunk of stream) {
+            chunks.push(chunk);
+            size += chunk.length;
+            while (size >= PART_SIZE) {
+                const buffer = Buffer.concat(chunks);
+                yield buffer.subarray(0, PART_SIZE);
+                chunks = [buffer.subarray(PART_SIZE)];
+                size -= PART_SIZE;
+            }
+        }
+        if (size > 0) {
+            yield Buffer.concat(chunks);
+        }
+    }
+
+    static async toError(response, itemPath) {
+        if (response.status === 404) {
+            return StorageAdapter.error('ENOENT', `${itemPath} not found`);
+        }
+        const body = response.body ? await response.text() : '';
+        return new Error(`S3 request for ${itemPath} failed: ${S3StorageAdapter.getXmlValue(body, 'Message') || response.status}`);
+    }
+
+    static getXmlValue(xml, name) {
+        const match = new RegExp(`<${name}>([\\s\\S]*?)</${name}>`).exec(xml);
+        return match ? unescapeXml(match[1]) : null;
+    }
+}
+
+function unescapeXml(value) {
+    return value.replace(/&(amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            return String.fromCodePoint(name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+        }
+        return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[name.toLowerCase()];
+    });
+}
+
+module.exports = S3StorageAdapter;
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory login sessions keyed by random bearer token.
+ * Sessions do not survive a restart; users simply log in again.
+ */
+class SessionStore {
+    constructor(options = {}) {
+        this.ttl = options.ttl || 7 * 24 * 60 * 60 * 1000; // 7 days
+        this.sessions = new Map();
+    }
+
+    /**
+     * Start a session for a user
+     * @param {Object} user - Public user info
+     * @returns {{ token: string, expiresAt: Date }}
+     */
+    create(user) {
+        this.prune();
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + this.ttl);
+        this.sessions.set(token, { username: user.username, expiresAt });
+        return { token, expiresAt };
+    }
+
+    /**
+     * Look up a session by token
+     * @returns {Object|null} Session record, or null if unknown or expired
+     */
+    get(token) {
+        const session = token ? this.sessions.get(token) : null;
+        if (!session) {
+            return null;
+        }
+        if (session.expiresAt.getTime() < Date.now()) {
+            this.sessions.delete(token);
+            return null;
+        }
+        return session;
+    }
+
+    destroy(token) {
+        this.sessions.delete(token);
+    }
+
+    /**
+     * End every session belonging to a user (e.g. after deletion or password change)
+     */
+    destroyUser(username) {
+        for (const [token, session] of this.sessions) {
+            if (session.username === username) {
+                this.sessions.delete(token);
+            }
+        }
+    }
+
+    /**
+     * Drop expired sessions
+     */
+    prune() {
+        const now = Date.now();
+        for (const [token, session] of this.sessions) {
+            if (session.expiresAt.getTime() < now) {
+                this.sessions.delete(token);
+            }
+        }
+    }
+}
+
+module.exports = SessionStore;
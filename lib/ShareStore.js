@@ -0,0 +1,210 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const UserStore = require('./UserStore');
+
+// How long an unlocked password-protected share stays unlocked
+const GRANT_TTL = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Public share links for a single file or folder, with optional expiry,
+ * password and download limit. Persisted as JSON.
+ */
+class ShareStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.shares = new Map();
+        // Unlocked password-protected shares: grant token -> { shareToken, expiresAt }
+        this.grants = new Map();
+    }
+
+    /**
+     * Load shares from disk (missing file means no shares)
+     */
+    async load() {
+        if (!fsSync.existsSync(this.filePath)) {
+            return;
+        }
+
+        const content = await fs.readFile(this.filePath, 'utf8');
+        const data = JSON.parse(content);
+        this.shares = new Map((data.shares || []).map(share => [share.token, share]));
+    }
+
+    /**
+     * Persist shares to disk
+     */
+    async save() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        const data = { shares: Array.from(this.shares.values()) };
+        await fs.writeFile(tmpPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+        await fs.rename(tmpPath, this.filePath);
+    }
+
+    /**
+     * Create a share link
+     * @param {Object} details
+     * @param {string} details.path - Shared path, relative to the storage root
+     * @param {boolean} details.isDirectory
+     * @param {string} details.createdBy - Username of the creator
+     * @param {Date|null} [details.expiresAt]
+     * @param {string|null} [details.password]
+     * @param {number|null} [details.maxDownloads]
+     */
+    async create({ path: sharedPath, isDirectory, createdBy, expiresAt = null, password = null, maxDownloads = null }) {
+        const share = {
+            token: crypto.randomBytes(16).toString('base64url'),
+            path: sharedPath,
+            isDirectory,
+            createdBy,
+            createdAt: new Date().toISOString(),
+            expiresAt: expiresAt ? expiresAt.toISOString() : null,
+            passwordHash: password ? await UserStore.hashPassword(password) : null,
+            maxDownloads,
+            downloadCount: 0
+        };
+
+        this.shares.set(share.token, share);
+        await this.save();
+        return share;
+    }
+
+    get(token) {
+        return this.shares.get(token) || null;
+    }
+
+    /**
+     * List shares that can still be used
+     * @param {string} [createdBy] - Only shares created by this user
+     */
+    listActive(createdBy) {
+        return Array.from(this.shares.values())
+            .filter(share => !createdBy || share.createdBy === createdBy)
+            .filter(share => !ShareStore.getInactiveReason(share));
+    }
+
+    async revoke(token) {
+        const deleted = this.shares.delete(token);
+        if (deleted) {
+            await this.save();
+        }
+        return deleted;
+    }
+
+    /**
+     * Count a download against the share's limit, if the share is still active.
+     * The check and the count happen together, before anything is awaited, so
+     * downloads at the same time can't all take the last one.
+     * @returns {Promise<string|null>} Why the download is refused, or null once it's counted
+     */
+    async claimDownload(token) {
+        const share = this.shares.get(token);
+        if (!share) {
+            return 'Share not found';
+        }
+        const inactiveReason = ShareStore.getInactiveReason(share);
+        if (inactiveReason) {
+            return inactiveReason;
+        }
+        share.downloadCount++;
+        await this.save();
+        return null;
+    }
+
+    /**
+     * Keep shares pointing at a file or folder after it moves
+     */
+    async movePath(oldPath, newPath) {
+        let changed = false;
+        for (const share of this.shares.values()) {
+            if (share.path === oldPath || share.path.startsWith(oldPath + '/')) {
+                share.path = newPath + share.path.slice(oldPath.length);
+                changed = true;
+            }
+        }
+        if (changed) {
+            await this.save();
+        }
+    }
+
+    /**
+     * Remove shares for a deleted file or folder
+     */
+    async removePath(itemPath) {
+        let changed = false;
+        for (const share of Array.from(this.shares.values())) {
+            if (share.path === itemPath || share.path.startsWith(itemPath + '/')) {
+                this.shares.delete(share.token);
+                changed = true;
+            }
+        }
+        if (changed) {
+            await this.save();
+        }
+    }
+
+    /**
+     * Check a share's password and hand out a grant token for later requests
+     * @returns {Promise<string|null>} Grant token, or null if the password is wrong
+     */
+    async unlock(token, password) {
+        const share = this.shares.get(token);
+        if (!share || !share.passwordHash || typeof password !== 'string') {
+            return null;
+        }
+        if (!await UserStore.verifyPassword(password, share.passwordHash)) {
+            return null;
+        }
+
+        this.pruneGrants();
+        const grant = crypto.randomBytes(24).toString('base64url');
+        this.grants.set(grant, { shareToken: token, expiresAt: Date.now() + GRANT_TTL });
+        return grant;
+    }
+
+    /**
+     * Check whether a request may use a share (password already supplied, if needed)
+     */
+    isUnlocked(share, grant) {
+        if (!share.passwordHash) {
+            return true;
+        }
+        const entry = grant ? this.grants.get(grant) : null;
+        return Boolean(entry && entry.shareToken === share.token && entry.expiresAt > Date.now());
+    }
+
+    pruneGrants() {
+        const now = Date.now();
+        for (const [grant, entry] of this.grants) {
+            if (entry.expiresAt < now) {
+                this.grants.delete(grant);
+            }
+        }
+    }
+
+    /**
+     * Why a share can no longer be used
+     * @returns {string|null} Reason, or null if the share is active
+     */
+    static getInactiveReason(share) {
+        if (share.expiresAt && new Date(share.expiresAt).getTime() < Date.now()) {
+            return 'This link has expired';
+        }
+        if (share.maxDownloads !== null && share.downloadCount >= share.maxDownloads) {
+            return 'This link has reached its download limit';
+        }
+        return null;
+    }
+
+    /**
+     * Share info safe to show its creator (no password hash)
+     */
+    static toPublic(share) {
+        const { passwordHash, ...rest } = share;
+        return { ...rest, hasPassword: Boolean(passwordHash) };
+    }
+}
+
+module.exports = ShareStore;
@@ -0,0 +1,134 @@
+const path = require('path').posix;
+
+/**
+ * Cache of recursive folder sizes
+ *
+ * For each folder it remembers the total size of everything below it and the
+ * number of direct children, so listing a folder costs one stat per subfolder
+ * instead of a walk of its whole tree. Entries are recomputed lazily when
+ * they are used after going stale:
+ * - the folder's own mtime changed (an entry was added, removed or renamed)
+ * - invalidate() was called for something inside it
+ * - the entry is older than maxAge (catches edits made outside the server)
+ * A recomputed folder reuses the cached totals of its subfolders, so a change
+ * deep in the tree only recounts the folders on the way up to it.
+ */
+class SizeIndex {
+    /**
+     * @param {Object} options
+     * @param {StorageAdapter} options.storage - Where the files are
+     * @param {number} [options.maxAge] - Recompute entries older than this (ms)
+     * @param {Function} [options.ignore] - (itemPath) => true to leave a file or folder out
+     */
+    constructor(options) {
+        this.storage = options.storage;
+        this.maxAge = options.maxAge || 10 * 60 * 1000;
+        this.ignore = options.ignore || (() => false);
+
+        // folder path -> { size, itemCount, mtimeMs, computedAt }
+        this.entries = new Map();
+        // folder path -> promise of an entry being computed
+        this.pending = new Map();
+        // Bumped by every invalidation, so a computation that overlapped one isn't cached
+        this.generation = 0;
+    }
+
+    /**
+     * Total size and direct child count of a folder
+     * @param {string} folderPath - Storage path
+     * @returns {Promise<{size: number, itemCount: number}>}
+     */
+    async get(folderPath) {
+        const stats = await this.storage.stat(folderPath);
+        const entry = this.entries.get(folderPath);
+        if (entry && entry.mtimeMs === stats.mtimeMs && Date.now() - entry.computedAt < this.maxAge) {
+            return { size: entry.size, itemCount: entry.itemCount };
+        }
+
+        // Concurrent listings share one computation
+        if (!this.pending.has(folderPath)) {
+            this.pending.set(folderPath, this.compute(folderPath, stats.mtimeMs).finally(() => {
+                this.pending.delete(folderPath);
+            }));
+        }
+        const computed = await this.pending.get(folderPath);
+        return { size: computed.size, itemCount: computed.itemCount };
+    }
+
+    async compute(folderPath, mtimeMs) {
+        const generation = this.generation;
+        const entries = await this.storage.list(folderPath);
+        let size = 0;
+        let itemCount = 0;
+
+        for (const entry of entries) {
+            const itemPath = path.join(folderPath, entry.name);
+            if (this.ignore(itemPath)) {
+                continue;
+            }
+            itemCount++;
+
+            // Links are counted but not followed, so they can't loop or count twice
+            if (entry.symlink) {
+                continue;
+            }
+            try {
+                size += entry.isDirectory() ? (await this.get(itemPath)).size : entry.size;
+            } catch (error) {
+                // Removed while counting, or unreadable
+                console.error(`Error getting size of ${itemPath}:`, error.message);
+            }
+        }
+
+        const computed = { size, itemCount, mtimeMs, computedAt: Date.now() };
+        if (generation === this.generation) {
+            this.entries.set(folderPath, computed);
+        }
+        return computed;
+    }
+
+    /**
+     * Mark the folders containing a changed file or folder as stale, and
+     * forget anything cached for the item itself (it may be gone)
+     * @param {string} itemPath - Storage path of what changed
+     */
+    invalidate(itemPath) {
+        this.generation++;
+        this.removeTree(itemPath);
+
+        let folderPath = itemPath;
+        while (folderPath !== path.dirname(folderPath)) {
+            folderPath = path.dirname(folderPath);
+            this.entries.delete(folderPath);
+        }
+    }
+
+    /**
+     * Keep the cached totals of a moved or renamed folder, then invalidate
+     * both the folders it left and the ones it moved into
+     */
+    movePath(oldPath, newPath) {
+        const moved = [];
+        for (const [folderPath, entry] of this.entries) {
+            if (folderPath === oldPath || folderPath.startsWith(oldPath + '/')) {
+                moved.push([newPath + folderPath.slice(oldPath.length), entry]);
+            }
+        }
+
+        this.invalidate(oldPath);
+        this.invalidate(newPath);
+        for (const [folderPath, entry] of moved) {
+            this.entries.set(folderPath, entry);
+        }
+    }
+
+    removeTree(itemPath) {
+        for (const folderPath of Array.from(this.entries.keys())) {
+            if (folderPath === itemPath || folderPath.startsWith(itemPath + '/')) {
+                this.entries.delete(folderPath);
+            }
+        }
+    }
+}
+
+module.exports = SizeIndex;
@@ -0,0 +1,179 @@
+const fsSync = require('fs');
+const fs = require('fs').promises;
+
+/**
+ * Where the files live: the interface every storage adapter implements
+ *
+ * Paths are "/"-rooted with forward slashes ("/photos/2024/a.jpg"; "/" is the
+ * root folder). Stats look like fs.Stats ({ size, mtime, mtimeMs, birthtime,
+ * isFile(), isDirectory() }), and failures carry fs error codes (ENOENT,
+ * EEXIST, ENOTDIR, EISDIR, ENOTEMPTY) so callers treat every adapter alike.
+ *
+ * Subclasses implement stat, list, read, write, mkdir, remove and move. The
+ * other methods have defaults built on those, or report that the backend
+ * can't do it (usage, watch, getLocalPath).
+ */
+class StorageAdapter {
+    /**
+     * Prepare the backend (create the root folder, check the bucket, ...)
+     */
+    async init() {}
+
+    /**
+     * @returns {Promise<Object>} Stats of a file or folder
+     */
+    async stat(itemPath) {
+        throw new Error('stat() is not implemented');
+    }
+
+    /**
+     * Files and folders in a folder, as stats with a `name`. Adapters whose
+     * backend has links set `symlink` on entries reached through one, so tree
+     * walks can leave them out.
+     * @returns {Promise<Array<Object>>}
+     */
+    async list(folderPath) {
+        throw new Error('list() is not implemented');
+    }
+
+    /**
+     * Open a file for reading
+     * @param {Object} [options]
+     * @param {number} [options.start] - First byte to read
+     * @param {number} [options.end] - Last byte to read (inclusive, like fs.createReadStream)
+     * @returns {Promise<stream.Readable>}
+     */
+    async read(itemPath, options = {}) {
+        throw new Error('read() is not implemented');
+    }
+
+    /**
+     * Store a file from a readable stream, replacing one that is there. The
+     * folder it goes in must exist.
+     * @param {Object} [options]
+     * @param {Date} [options.modified] - Modification time to keep (backends that
+     *   set it themselves ignore this)
+     */
+    async write(itemPath, stream, options = {}) {
+        throw new Error('write() is not implemented');
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.recursive] - Create missing parents, and don't fail if it exists
+     */
+    async mkdir(itemPath, options = {}) {
+        throw new Error('mkdir() is not implemented');
+    }
+
+    /**
+     * Delete a file, or a folder (only an empty one unless recursive)
+     * @param {Object} [options]
+     * @param {boolean} [options.recursive]
+     */
+    async remove(itemPath, options = {}) {
+        throw new Error('remove() is not implemented');
+    }
+
+    /**
+     * Move or rename a file or folder; the new path must be free and its
+     * folder must exist
+     */
+    async move(itemPath, newPath) {
+        throw new Error('move() is not implemented');
+    }
+
+    async exists(itemPath) {
+        try {
+            await this.stat(itemPath);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Move a file from local disk (a staged upload) into storage
+     */
+    async importFile(localPath, itemPath) {
+        await this.write(itemPath, fsSync.createReadStream(localPath));
+        await fs.unlink(localPath);
+    }
+
+    /**
+     * Copy a file within storage
+     */
+    async copyFile(itemPath, newPath) {
+        const stats = await this.stat(itemPath);
+        await this.write(newPath, await this.read(itemPath), { modified: stats.mtime });
+    }
+
+    /**
+     * Read a whole file as text, for files known to be small
+     */
+    async readText(itemPath) {
+        const chunks = [];
+        for await (const chunk of await this.read(itemPath)) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks).toString('utf8');
+    }
+
+    /**
+     * Space on the backend
+     * @returns {Promise<{total: number, used: number, free: number}|null>} null if it can't tell
+     */
+    async usage() {
+        return null;
+    }
+
+    /**
+     * Report changes made to the files behind the server's back
+     * @param {Function} onChange - (itemPath, renamed) => void; renamed is true
+     *   when a name appeared or disappeared, false when contents changed
+     * @returns {Object|null} Watcher with close(), or null if the backend can't be watched
+     */
+    watch(onChange) {
+        return null;
+    }
+
+    /**
+     * Absolute path of an item on local disk, for backends that keep files there
+     * @returns {string|null}
+     */
+    getLocalPath(itemPath) {
+        return null;
+    }
+
+    /**
+     * Stats in the shape adapters return
+     */
+    static createStats({ isDirectory, size = 0, mtime = new Date(0), birthtime = mtime }) {
+        return {
+            size: isDirectory ? 0 : size,
+            mtime,
+            mtimeMs: mtime.getTime(),
+            birthtime,
+            isFile: () => !isDirectory,
+            isDirectory: () => isDirectory
+        };
+    }
+
+    /**
+     * Error with an fs error code (ENOENT, EEXIST, ...)
+     */
+    static error(code, message) {
+        const error = new Error(`${code}: ${message}`);
+        error.code = code;
+        return error;
+    }
+
+    /**
+     * Whether itemPath is folderPath or something inside it
+     */
+    static isInside(itemPath, folderPath) {
+        return folderPath === '/' || itemPath === folderPath || itemPath.startsWith(folderPath + '/');
+    }
+}
+
+module.exports = StorageAdapter;
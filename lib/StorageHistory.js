@@ -0,0 +1,75 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+
+/**
+ * Periodic samples of disk usage, for showing how storage grows over time.
+ * Samples older than maxAge are dropped. Persisted as JSON.
+ */
+class StorageHistory {
+    /**
+     * @param {string} filePath
+     * @param {Object} [options]
+     * @param {number} [options.maxAge] - Keep samples this long (ms)
+     */
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.maxAge = options.maxAge || 365 * 24 * 60 * 60 * 1000;
+        this.samples = [];
+    }
+
+    /**
+     * Load samples from disk (missing file means no history yet)
+     */
+    async load() {
+        if (!fsSync.existsSync(this.filePath)) {
+            return;
+        }
+
+        const content = await fs.readFile(this.filePath, 'utf8');
+        const data = JSON.parse(content);
+        this.samples = data.samples || [];
+    }
+
+    /**
+     * Persist samples to disk
+     */
+    async save() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        const data = { samples: this.samples };
+        await fs.writeFile(tmpPath, JSON.stringify(data));
+        await fs.rename(tmpPath, this.filePath);
+    }
+
+    /**
+     * Add a sample taken now
+     * @param {Object} usage - Byte counts, e.g. { total, used, free, files, trash, versions }
+     */
+    async record(usage) {
+        const cutoff = Date.now() - this.maxAge;
+        this.samples = this.samples.filter(sample => new Date(sample.at).getTime() >= cutoff);
+        this.samples.push({ at: new Date().toISOString(), ...usage });
+        await this.save();
+    }
+
+    /**
+     * Samples taken after a date, oldest first
+     * @param {Date} [since]
+     */
+    list(since = null) {
+        return since
+            ? this.samples.filter(sample => new Date(sample.at) >= since)
+            : this.samples;
+    }
+
+    /**
+     * When the last sample was taken (null if never)
+     */
+    getLastSampleTime() {
+        const last = this.samples[this.samples.length - 1];
+        return last ? new Date(last.at).getTime() : null;
+    }
+}
+
+module.exports = StorageHistory;
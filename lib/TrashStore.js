@@ -0,0 +1,138 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Recycle bin for deleted files and folders
+ *
+ * Deleted items are moved to <dataDir>/<id> in storage and listed in
+ * <dir>/index.json with their original path, who deleted them and when, so
+ * they can be put back later.
+ */
+class TrashStore {
+    /**
+     * @param {string} dir - Where the index is kept on local disk
+     * @param {Object} options
+     * @param {StorageAdapter} options.storage - Where the files are
+     * @param {string} options.dataDir - Storage path of the folder deleted items are moved to
+     */
+    constructor(dir, { storage, dataDir }) {
+        this.dir = dir;
+        this.indexPath = path.join(dir, 'index.json');
+        this.storage = storage;
+        this.dataDir = dataDir;
+        this.items = new Map();
+    }
+
+    /**
+     * Load the trash index from disk (missing file means an empty trash)
+     */
+    async load() {
+        if (!fsSync.existsSync(this.indexPath)) {
+            return;
+        }
+
+        const content = await fs.readFile(this.indexPath, 'utf8');
+        const data = JSON.parse(content);
+        this.items = new Map((data.items || []).map(item => [item.id, item]));
+    }
+
+    /**
+     * Persist the trash index to disk
+     */
+    async save() {
+        await fs.mkdir(this.dir, { recursive: true });
+        const tmpPath = `${this.indexPath}.tmp`;
+        const data = { items: Array.from(this.items.values()) };
+        await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+        await fs.rename(tmpPath, this.indexPath);
+    }
+
+    /**
+     * Move a file or folder into the trash
+     * @param {string} itemPath - Original path, relative to the storage root
+     * @param {Object} details
+     * @param {string} details.deletedBy - Username of the deleter
+     * @param {number} details.size - Total size in bytes
+     * @returns {Promise<Object>} The trash item
+     */
+    async add(itemPath, { deletedBy, size }) {
+        await this.storage.mkdir(this.dataDir, { recursive: true });
+
+        const stats = await this.storage.stat(itemPath);
+        const item = {
+            id: crypto.randomBytes(16).toString('hex'),
+            name: path.posix.basename(itemPath),
+            path: itemPath,
+            isDirectory: stats.isDirectory(),
+            size,
+            deletedAt: new Date().toISOString(),
+            deletedBy
+        };
+
+        await this.storage.move(itemPath, this.getDataPath(item.id));
+        this.items.set(item.id, item);
+        await this.save();
+        return item;
+    }
+
+    get(id) {
+        return this.items.get(id) || null;
+    }
+
+    /**
+     * List trash items, most recently deleted first
+     * @param {string} [deletedBy] - Only items deleted by this user
+     */
+    list(deletedBy) {
+        return Array.from(this.items.values())
+            .filter(item => !deletedBy || item.deletedBy === deletedBy)
+            .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    }
+
+    /**
+     * Move an item out of the trash to targetPath (must not exist yet)
+     */
+    async restore(id, targetPath) {
+        await this.storage.mkdir(path.posix.dirname(targetPath), { recursive: true });
+        await this.storage.move(this.getDataPath(id), targetPath);
+        this.items.delete(id);
+        await this.save();
+    }
+
+    /**
+     * Delete an item for good
+     */
+    async purge(id) {
+        await this.storage.remove(this.getDataPath(id), { recursive: true }).catch(error => {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        });
+        this.items.delete(id);
+        await this.save();
+    }
+
+    /**
+     * List items deleted longer ago than maxAge milliseconds
+     */
+    listExpired(maxAge) {
+        const cutoff = Date.now() - maxAge;
+        return this.list().filter(item => new Date(item.deletedAt).getTime() < cutoff);
+    }
+
+    getDataPath(id) {
+        return path.posix.join(this.dataDir, id);
+    }
+
+    /**
+     * Key under which metadata of a trashed item (ACL rules, versions) is
+     * parked; never a valid storage path, so it can't match real files
+     */
+    static getParkingPath(id) {
+        return `trash:${id}`;
+    }
+}
+
+module.exports = TrashStore;
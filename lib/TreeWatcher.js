@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+/**
+ * Watch a folder and everything below it
+ *
+ * Uses fs.watch's recursive option where Node has it. Where it doesn't (Linux
+ * before Node 20, as in the node:18 image), every folder in the tree gets a
+ * watcher of its own, added and removed as folders come and go.
+ *
+ * Emits 'change' (eventType, filename) like fs.watch, with filename relative
+ * to the root, and 'error'.
+ */
+class TreeWatcher extends EventEmitter {
+    constructor(rootDir) {
+        super();
+        this.rootDir = rootDir;
+        // folder -> fs.FSWatcher, when each folder is watched by itself
+        this.watchers = new Map();
+        this.watcher = null;
+    }
+
+    /**
+     * @param {string} rootDir
+     * @param {Function} listener - (eventType, filename) => void
+     * @returns {TreeWatcher}
+     */
+    static watch(rootDir, listener) {
+        const treeWatcher = new TreeWatcher(rootDir);
+        treeWatcher.on('change', listener);
+        treeWatcher.start();
+        return treeWatcher;
+    }
+
+    start() {
+        try {
+            this.watcher = fs.watch(this.rootDir, { recursive: true }, (eventType, filename) => {
+                if (filename) {
+                    this.emit('change', eventType, filename.toString());
+                }
+            });
+            this.watcher.on('error', error => this.emit('error', error));
+        } catch (error) {
+            if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+                throw error;
+            }
+            this.watchFolder(this.rootDir);
+        }
+    }
+
+    close() {
+        if (this.watcher) {
+            this.watcher.close();
+        }
+        for (const watcher of this.watchers.values()) {
+            watcher.close();
+        }
+        this.watchers.clear();
+    }
+
+    /**
+     * Watch a folder and the folders inside it
+     */
+    watchFolder(folder) {
+        if (this.watchers.has(folder)) {
+            return;
+        }
+
+        let watcher;
+        try {
+            watcher = fs.watch(folder, (eventType, filename) => {
+                // A watched folder that's deleted reports itself by name; its
+                // parent reports the delete
+                if (!fs.existsSync(folder)) {
+                    this.unwatchFolder(folder);
+                } else if (filename) {
+                    this.handleChange(path.join(folder, filename.toString()), eventType);
+                }
+            });
+        } catch (error) {
+            // Gone again already, or not readable
+            if (folder === this.rootDir) {
+                throw error;
+            }
+            return;
+        }
+        // Watching a folder that's deleted can fail; its parent reports the delete
+        watcher.on('error', () => this.unwatchFolder(folder));
+        this.watchers.set(folder, watcher);
+
+        let entries = [];
+        try {
+            entries = fs.readdirSync(folder, { withFileTypes: true });
+        } catch {
+            // Deleted while we looked
+        }
+        for (const entry of entries) {
+            if (entry.isDirectory()) {
+                this.watchFolder(path.join(folder, entry.name));
+            }
+        }
+    }
+
+    /**
+     * Stop watching a folder and the folders inside it
+     */
+    unwatchFolder(folder) {
+        for (const [watchedFolder, watcher] of this.watchers) {
+            if (watchedFolder === folder || watchedFolder.startsWith(folder + path.sep)) {
+                watcher.close();
+                this.watchers.delete(watchedFolder);
+            }
+        }
+    }
+
+    handleChange(fullPath, eventType) {
+        // A name appeared or disappeared: start or stop watching it if it's a folder
+        if (eventType === 'rename') {
+            let stats = null;
+            try {
+                stats = fs.lstatSync(fullPath);
+            } catch {
+                // It's gone
+            }
+            if (stats && stats.isDirectory()) {
+                this.watchFolder(fullPath);
+            } else {
+                this.unwatchFolder(fullPath);
+            }
+        }
+        this.emit('change', eventType, path.relative(this.rootDir, fullPath));
+    }
+}
+
+module.exports = TreeWatcher;
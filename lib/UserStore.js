@@ -0,0 +1,166 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]{1,64}$/;
+const ROLES = ['admin', 'user'];
+
+/**
+ * JSON-file backed user store with scrypt password hashes
+ */
+class UserStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.users = new Map();
+    }
+
+    /**
+     * Load users from disk (missing file means no users yet)
+     */
+    async load() {
+        if (!fsSync.existsSync(this.filePath)) {
+            return;
+        }
+
+        const content = await fs.readFile(this.filePath, 'utf8');
+        const data = JSON.parse(content);
+        this.users = new Map((data.users || []).map(user => [user.username, user]));
+    }
+
+    /**
+     * Persist users to disk
+     */
+    async save() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        const data = { users: Array.from(this.users.values()) };
+        await fs.writeFile(tmpPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+        await fs.rename(tmpPath, this.filePath);
+    }
+
+    hasUsers() {
+        return this.users.size > 0;
+    }
+
+    getUser(username) {
+        return this.users.get(username) || null;
+    }
+
+    listUsers() {
+        return Array.from(this.users.values()).map(user => UserStore.toPublic(user));
+    }
+
+    /**
+     * Create a new user
+     * @param {Object} details
+     * @param {string} details.username
+     * @param {string} details.password
+     * @param {string} [details.role] - 'admin' or 'user'
+     * @param {Array<string>} [details.groups]
+     */
+    async createUser({ username, password, role = 'user', groups = [] }) {
+        if (this.users.has(username)) {
+            throw new Error(`User ${username} already exists`);
+        }
+
+        const user = {
+            username,
+            passwordHash: await UserStore.hashPassword(password),
+            role,
+            groups,
+            createdAt: new Date().toISOString()
+        };
+
+        this.users.set(username, user);
+        await this.save();
+        return UserStore.toPublic(user);
+    }
+
+    /**
+     * Update role, groups and/or password for an existing user
+     */
+    async updateUser(username, { password, role, groups }) {
+        const user = this.users.get(username);
+        if (!user) {
+            throw new Error(`User ${username} not found`);
+        }
+
+        if (password !== undefined) {
+            user.passwordHash = await UserStore.hashPassword(password);
+        }
+        if (role !== undefined) {
+            user.role = role;
+        }
+        if (groups !== undefined) {
+            user.groups = groups;
+        }
+
+        await this.save();
+        return UserStore.toPublic(user);
+    }
+
+    async deleteUser(username) {
+        const deleted = this.users.delete(username);
+        if (deleted) {
+            await this.save();
+        }
+        return deleted;
+    }
+
+    /**
+     * Check a username/password pair
+     * @returns {Promise<Object|null>} Public user info, or null if invalid
+     */
+    async verify(username, password) {
+        const user = this.users.get(username);
+        if (!user || typeof password !== 'string') {
+            return null;
+        }
+
+        const valid = await UserStore.verifyPassword(password, user.passwordHash);
+        return valid ? UserStore.toPublic(user) : null;
+    }
+
+    /**
+     * Strip secrets from a stored user record
+     */
+    static toPublic(user) {
+        return {
+            username: user.username,
+            role: user.role,
+            groups: user.groups || []
+        };
+    }
+
+    static async hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = await scrypt(password, salt, KEY_LENGTH);
+        return `scrypt$${salt}$${hash.toString('hex')}`;
+    }
+
+    static async verifyPassword(password, stored) {
+        const [scheme, salt, hashHex] = (stored || '').split('$');
+        if (scheme !== 'scrypt' || !salt || !hashHex) {
+            return false;
+        }
+
+        const expected = Buffer.from(hashHex, 'hex');
+        const actual = await scrypt(password, salt, expected.length);
+        return crypto.timingSafeEqual(expected, actual);
+    }
+
+    static isValidUsername(username) {
+        return typeof username === 'string' && USERNAME_PATTERN.test(username);
+    }
+
+    static isValidRole(role) {
+        return ROLES.includes(role);
+    }
+}
+
+module.exports = UserStore;
@@ -0,0 +1,208 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Earlier revisions of files that have been overwritten
+ *
+ * Each version's content lives in <dataDir>/<id> in storage; <dir>/index.json
+ * maps a file's path (relative to the storage root) to its versions, newest
+ * first. Keeping the content under random ids means a rename or move only
+ * touches the index.
+ *
+ * Retention: at most maxCount versions per file (0 = unlimited), none older
+ * than maxAge milliseconds (0 = keep forever).
+ */
+class VersionStore {
+    /**
+     * @param {string} dir - Where the index is kept on local disk
+     * @param {Object} options
+     * @param {StorageAdapter} options.storage - Where the files are
+     * @param {string} options.dataDir - Storage path of the folder versions are kept in
+     * @param {number} [options.maxCount]
+     * @param {number} [options.maxAge]
+     */
+    constructor(dir, options) {
+        this.dir = dir;
+        this.indexPath = path.join(dir, 'index.json');
+        this.storage = options.storage;
+        this.dataDir = options.dataDir;
+        this.maxCount = options.maxCount || 0;
+        this.maxAge = options.maxAge || 0;
+        this.versions = new Map();
+    }
+
+    /**
+     * Load the version index from disk (missing file means no versions)
+     */
+    async load() {
+        if (!fsSync.existsSync(this.indexPath)) {
+            return;
+        }
+
+        const content = await fs.readFile(this.indexPath, 'utf8');
+        const data = JSON.parse(content);
+        this.versions = new Map(Object.entries(data.versions || {}));
+    }
+
+    /**
+     * Persist the version index to disk
+     */
+    async save() {
+        await fs.mkdir(this.dir, { recursive: true });
+        const tmpPath = `${this.indexPath}.tmp`;
+        const data = { versions: Object.fromEntries(this.versions) };
+        await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+        await fs.rename(tmpPath, this.indexPath);
+    }
+
+    /**
+     * Keep a file's current content as a version. The file is moved away,
+     * so the caller can write the new content in its place.
+     * @param {string} itemPath - Path relative to the storage root
+     * @param {string|null} createdBy - Who replaced the file
+     * @param {string} [keepId] - A version retention mustn't delete yet
+     * @returns {Promise<Object>} The new version
+     */
+    async add(itemPath, createdBy, keepId = null) {
+        await this.storage.mkdir(this.dataDir, { recursive: true });
+
+        const stats = await this.storage.stat(itemPath);
+        const version = {
+            id: crypto.randomBytes(16).toString('hex'),
+            size: stats.size,
+            modifiedAt: stats.mtime.toISOString(),
+            createdAt: new Date().toISOString(),
+            createdBy
+        };
+
+        await this.storage.move(itemPath, this.getDataPath(version.id));
+        this.versions.set(itemPath, [version, ...this.list(itemPath)]);
+        await this.prune(itemPath, keepId);
+        return version;
+    }
+
+    /**
+     * List a file's versions, newest first
+     */
+    list(itemPath) {
+        return this.versions.get(itemPath) || [];
+    }
+
+    get(itemPath, id) {
+        return this.list(itemPath).find(version => version.id === id) || null;
+    }
+
+    /**
+     * Make a version the current content again. The content being replaced
+     * becomes a version itself, so a restore can always be undone.
+     * @returns {Promise<Object|null>} Version holding the replaced content
+     */
+    async restore(itemPath, id, createdBy) {
+        const version = this.get(itemPath, id);
+        if (!version) {
+            throw new Error('Version not found');
+        }
+
+        // At the retention limit, keeping the current content would prune the
+        // oldest version, which may be the one being restored
+        let replaced = null;
+        if (await this.storage.exists(itemPath)) {
+            replaced = await this.add(itemPath, createdBy, id);
+        }
+        await this.storage.mkdir(path.posix.dirname(itemPath), { recursive: true });
+        // The content was moved there with its modification time, which the copy
+        // keeps where the storage lets it
+        await this.storage.copyFile(this.getDataPath(id), itemPath);
+        await this.prune(itemPath);
+        return replaced;
+    }
+
+    /**
+     * Keep versions attached to a file (or the files in a folder) after a move
+     */
+    async movePath(oldPath, newPath) {
+        let changed = false;
+        for (const [itemPath, versions] of Array.from(this.versions.entries())) {
+            if (itemPath === oldPath || itemPath.startsWith(oldPath + '/')) {
+                const target = newPath + itemPath.slice(oldPath.length);
+                this.versions.delete(itemPath);
+                // A file moved over one with history keeps both histories
+                this.versions.set(target, [...versions, ...this.list(target)]
+                    .sort((a, b) => b.createdAt.localeCompare(a.createdAt)));
+                changed = true;
+            }
+        }
+        if (changed) {
+            await this.save();
+        }
+    }
+
+    /**
+     * Delete the versions of a removed file (or the files in a removed folder)
+     */
+    async removePath(itemPath) {
+        let changed = false;
+        for (const [versionedPath, versions] of Array.from(this.versions.entries())) {
+            if (versionedPath === itemPath || versionedPath.startsWith(itemPath + '/')) {
+                await this.deleteData(versions);
+                this.versions.delete(versionedPath);
+                changed = true;
+            }
+        }
+        if (changed) {
+            await this.save();
+        }
+    }
+
+    /**
+     * Apply the retention limits to one file's versions
+     * @param {string} itemPath
+     * @param {string} [keepId] - A version to keep regardless
+     */
+    async prune(itemPath, keepId = null) {
+        const cutoff = this.maxAge ? Date.now() - this.maxAge : 0;
+        const versions = this.list(itemPath);
+        const kept = versions.filter((version, index) => version.id === keepId ||
+            ((!this.maxCount || index < this.maxCount) &&
+            new Date(version.createdAt).getTime() >= cutoff));
+
+        await this.deleteData(versions.filter(version => !kept.includes(version)));
+        this.setVersions(itemPath, kept);
+        await this.save();
+    }
+
+    /**
+     * Apply the retention limits to every file (age limits expire over time)
+     */
+    async pruneAll() {
+        for (const itemPath of Array.from(this.versions.keys())) {
+            await this.prune(itemPath);
+        }
+    }
+
+    async deleteData(versions) {
+        for (const version of versions) {
+            await this.storage.remove(this.getDataPath(version.id)).catch(error => {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            });
+        }
+    }
+
+    setVersions(itemPath, versions) {
+        if (versions.length === 0) {
+            this.versions.delete(itemPath);
+        } else {
+            this.versions.set(itemPath, versions);
+        }
+    }
+
+    getDataPath(id) {
+        return path.posix.join(this.dataDir, id);
+    }
+}
+
+module.exports = VersionStore;
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory WebDAV write locks (RFC 4918 class 2)
+ *
+ * A lock covers its own path, and with depth "infinity" everything below it.
+ * Exclusive locks conflict with any other lock on the same resources; shared
+ * locks only conflict with exclusive ones. Locks expire after their timeout
+ * and do not survive a restart (clients lock again).
+ */
+class WebDavLocks {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.defaultTimeout] - Seconds a lock lasts when the client doesn't ask
+     * @param {number} [options.maxTimeout] - Longest timeout a client may ask for (seconds)
+     */
+    constructor(options = {}) {
+        this.defaultTimeout = options.defaultTimeout || 60 * 60;
+        this.maxTimeout = options.maxTimeout || 24 * 60 * 60;
+        // token -> lock
+        this.locks = new Map();
+    }
+
+    /**
+     * Take a new lock
+     * @param {string} itemPath - "/"-rooted path
+     * @param {Object} options
+     * @param {string} options.scope - exclusive or shared
+     * @param {string} options.depth - 0 or infinity
+     * @param {string} [options.owner] - Owner description sent by the client
+     * @param {number} [options.timeout] - Requested timeout in seconds
+     * @param {string} options.username - Who holds the lock
+     * @returns {Object|null} The lock, or null if it conflicts with an existing one
+     */
+    create(itemPath, { scope, depth, owner = null, timeout, username }) {
+        this.prune();
+
+        const existing = this.getLocks(itemPath);
+        if (depth === 'infinity') {
+            existing.push(...this.getLocksBelow(itemPath));
+        }
+        if (existing.some(lock => scope === 'exclusive' || lock.scope === 'exclusive')) {
+            return null;
+        }
+
+        const lock = {
+            token: `opaquelocktoken:${crypto.randomUUID()}`,
+            path: itemPath,
+            scope,
+            depth,
+            owner,
+            username,
+            timeout: this.getTimeout(timeout)
+        };
+        lock.expiresAt = Date.now() + lock.timeout * 1000;
+        this.locks.set(lock.token, lock);
+        return lock;
+    }
+
+    /**
+     * Extend a lock by its timeout (or a newly requested one)
+     * @returns {Object|null} The lock, or null if it's unknown or expired
+     */
+    refresh(token, timeout) {
+        const lock = this.get(token);
+        if (!lock) {
+            return null;
+        }
+        lock.timeout = this.getTimeout(timeout || lock.timeout);
+        lock.expiresAt = Date.now() + lock.timeout * 1000;
+        return lock;
+    }
+
+    get(token) {
+        this.prune();
+        return this.locks.get(token) || null;
+    }
+
+    remove(token) {
+        return this.locks.delete(token);
+    }
+
+    /**
+     * Locks that cover a path: on the path itself, or on a folder above it with depth infinity
+     */
+    getLocks(itemPath) {
+        this.prune();
+        return Array.from(this.locks.values()).filter(lock =>
+            lock.path === itemPath || (lock.depth === 'infinity' && WebDavLocks.isInside(itemPath, lock.path))
+        );
+    }
+
+    /**
+     * Locks on anything inside a folder (not on the folder itself)
+     */
+    getLocksBelow(folderPath) {
+        this.prune();
+        return Array.from(this.locks.values()).filter(lock => WebDavLocks.isInside(lock.path, folderPath));
+    }
+
+    /**
+     * Drop the locks on a path and everything below it (after a delete or move)
+     */
+    removePath(itemPath) {
+        for (const [token, lock] of this.locks) {
+            if (lock.path === itemPath || WebDavLocks.isInside(lock.path, itemPath)) {
+                this.locks.delete(token);
+            }
+        }
+    }
+
+    getTimeout(requested) {
+        if (!requested || requested <= 0) {
+            return this.defaultTimeout;
+        }
+        return Math.min(requested, this.maxTimeout);
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const [token, lock] of this.locks) {
+            if (lock.expiresAt <= now) {
+                this.locks.delete(token);
+            }
+        }
+    }
+
+    /**
+     * Whether a path is strictly inside a folder
+     */
+    static isInside(itemPath, folderPath) {
+        const prefix = folderPath === '/' ? '/' : folderPath + '/';
+        return itemPath !== folderPath && itemPath.startsWith(prefix);
+    }
+}
+
+module.exports = WebDavLocks;
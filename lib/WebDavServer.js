@@ -0,0 +1,664 @@
+const http = require('http');
+const { Readable } = require('stream');
+const WebDavLocks = require('./WebDavLocks');
+
+const ALLOWED_METHODS = 'OPTIONS, GET, HEAD, PUT, DELETE, MKCOL, COPY, MOVE, PROPFIND, PROPPATCH, LOCK, UNLOCK';
+
+// PROPFIND, PROPPATCH and LOCK bodies are small XML documents
+const MAX_XML_BODY = 1024 * 1024;
+
+// Properties every resource reports, all in the DAV: namespace
+const LIVE_PROPERTIES = [
+    'creationdate', 'displayname', 'getcontentlength', 'getcontenttype', 'getetag',
+    'getlastmodified', 'resourcetype', 'supportedlock', 'lockdiscovery'
+];
+
+const SUPPORTED_LOCK = ['exclusive', 'shared'].map(scope =>
+    `<D:lockentry><D:lockscope><D:${scope}/></D:lockscope><D:locktype><D:write/></D:locktype></D:lockentry>`
+).join('');
+
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * WebDAV (RFC 4918, class 1 and 2) on top of a storage backend
+ *
+ * This class speaks the protocol: methods, headers, XML bodies and locks. The
+ * storage backend decides what a path means and who may do what with it, so
+ * the server can hand it the same checks and plugin hooks as its own API.
+ */
+class WebDavServer {
+    /**
+     * @param {Object} options
+     * @param {Object} options.storage - Backend; every method takes a "/"-rooted path
+     *   and the user, and refuses by throwing an error with a `status`:
+     *   - stat(itemPath, user) -> resource, or null if nothing is there
+     *   - list(folderPath, user, req) -> resources inside a folder
+     *   - read(itemPath, user, req, res) -> sends the file as the response
+     *   - write(itemPath, stream, user, req) -> stores a file
+     *   - mkdir(itemPath, user, req)
+     *   - remove(itemPath, user, req)
+     *   - move(itemPath, destPath, user, req) -> destination is free
+     *   - copy(itemPath, destPath, user, req, recursive) -> destination is free
+     *   A resource is { name, path, isDirectory, size, created, modified,
+     *   contentType, etag, writable }.
+     * @param {Function} [options.getErrorStatus] - (error) => status for errors without one
+     * @param {WebDavLocks} [options.locks]
+     */
+    constructor({ storage, getErrorStatus = () => null, locks = new WebDavLocks() }) {
+        this.storage = storage;
+        this.getErrorStatus = getErrorStatus;
+        this.locks = locks;
+    }
+
+    /**
+     * Express handler to mount with app.use() behind authentication (needs req.user)
+     */
+    handler() {
+        return (req, res) => this.handle(req, res);
+    }
+
+    async handle(req, res) {
+        const handlers = {
+            OPTIONS: this.handleOptions,
+            PROPFIND: this.handlePropfind,
+            PROPPATCH: this.handleProppatch,
+            GET: this.handleGet,
+            HEAD: this.handleGet,
+            PUT: this.handlePut,
+            DELETE: this.handleDelete,
+            MKCOL: this.handleMkcol,
+            COPY: this.handleCopyMove,
+            MOVE: this.handleCopyMove,
+            LOCK: this.handleLock,
+            UNLOCK: this.handleUnlock
+        };
+
+        try {
+            const handler = handlers[req.method];
+            if (!handler) {
+                res.set('Allow', ALLOWED_METHODS);
+                throw WebDavServer.error(405, 'Method not allowed');
+            }
+            await handler.call(this, req, res, WebDavServer.decodePath(req.path));
+        } catch (error) {
+            const status = error.status || this.getErrorStatus(error);
+            if (!status) {
+                console.error('WebDAV error:', error);
+            }
+            if (res.headersSent) {
+                return;
+            }
+            res.status(status || 500).type('text/plain').send(status ? error.message : 'Internal server error');
+        }
+    }
+
+    handleOptions(req, res) {
+        res.set({ DAV: '1, 2', 'MS-Author-Via': 'DAV', Allow: ALLOWED_METHODS });
+        res.status(200).end();
+    }
+
+    async handlePropfind(req, res, itemPath) {
+        // A missing Depth means infinity, but clients that leave it out expect
+        // a folder listing; an explicit infinity is refused
+        const depth = (req.headers.depth || '1').toLowerCase();
+        if (depth === 'infinity') {
+            return this.sendXml(res, 403, '<D:error xmlns:D="DAV:"><D:propfind-finite-depth/></D:error>');
+        }
+
+        const body = parseXml(await readBody(req));
+        if (body && !isElement(body, 'propfind')) {
+            throw WebDavServer.error(400, 'Expected a propfind element');
+        }
+
+        let request = { type: 'allprop' };
+        if (body && findChild(body, 'propname')) {
+            request = { type: 'propname' };
+        } else if (body && findChild(body, 'prop')) {
+            request = { type: 'prop', props: findChild(body, 'prop').children };
+        }
+
+        const resource = await this.getResource(itemPath, req.user);
+        const resources = [resource];
+        if (depth !== '0' && resource.isDirectory) {
+            resources.push(...await this.storage.list(itemPath, req.user, req));
+        }
+
+        this.sendMultistatus(res, resources.map(item => this.getPropResponse(req, item, request)));
+    }
+
+    // Properties are all computed from the file itself, so none can be set
+    async handleProppatch(req, res, itemPath) {
+        const body = parseXml(await readBody(req));
+        if (!body || !isElement(body, 'propertyupdate')) {
+            throw WebDavServer.error(400, 'Expected a propertyupdate element');
+        }
+
+        const resource = await this.getResource(itemPath, req.user);
+        this.checkLocks(req, itemPath);
+
+        const props = [];
+        for (const update of body.children) {
+            const prop = findChild(update, 'prop');
+            if (prop) {
+                props.push(...prop.children);
+            }
+        }
+
+        this.sendMultistatus(res, [
+            `<D:response><D:href>${this.getHref(req, resource.path, resource.isDirectory)}</D:href>` +
+            getPropstat(props.map(getEmptyElement), 403) +
+            '</D:response>'
+        ]);
+    }
+
+    async handleGet(req, res, itemPath) {
+        const resource = await this.getResource(itemPath, req.user);
+        if (resource.isDirectory) {
+            res.set('Allow', 'OPTIONS, PROPFIND, DELETE, COPY, MOVE, LOCK, UNLOCK');
+            throw WebDavServer.error(405, 'Folders have no content; use PROPFIND to list them');
+        }
+        await this.storage.read(itemPath, req.user, req, res);
+    }
+
+    async handlePut(req, res, itemPath) {
+        if (req.headers['content-range']) {
+            throw WebDavServer.error(400, 'Partial PUT is not supported');
+        }
+        if (itemPath === '/') {
+            throw WebDavServer.error(405, 'Cannot write to the root folder');
+        }
+
+        const existing = await this.storage.stat(itemPath, req.user);
+        if (existing && existing.isDirectory) {
+            throw WebDavServer.error(405, 'A folder has that name');
+        }
+        this.checkLocks(req, itemPath, { membership: !existing });
+
+        await this.storage.write(itemPath, req, req.user, req);
+        res.status(existing ? 204 : 201).end();
+    }
+
+    async handleDelete(req, res, itemPath) {
+        if (itemPath === '/') {
+            throw WebDavServer.error(403, 'Cannot delete the root folder');
+        }
+
+        const resource = await this.getResource(itemPath, req.user);
+        this.checkLocks(req, itemPath, { deep: resource.isDirectory, membership: true });
+
+        await this.storage.remove(itemPath, req.user, req);
+        this.locks.removePath(itemPath);
+        res.status(204).end();
+    }
+
+    async handleMkcol(req, res, itemPath) {
+        if ((await readBody(req)).length > 0) {
+            throw WebDavServer.error(415, 'MKCOL does not take a body');
+        }
+        if (await this.storage.stat(itemPath, req.user)) {
+            throw WebDavServer.error(405, 'Something already exists there');
+        }
+        this.checkLocks(req, itemPath, { membership: true });
+
+        await this.storage.mkdir(itemPath, req.user, req);
+        res.status(201).end();
+    }
+
+    async handleCopyMove(req, res, itemPath) {
+        const isMove = req.method === 'MOVE';
+        const destPath = this.getDestination(req);
+        const resource = await this.getResource(itemPath, req.user);
+
+        if (itemPath === '/') {
+            throw WebDavServer.error(403, 'Cannot copy or move the root folder');
+        }
+        if (destPath === itemPath) {
+            throw WebDavServer.error(403, 'Source and destination are the same');
+        }
+        if (resource.isDirectory && WebDavLocks.isInside(destPath, itemPath)) {
+            throw WebDavServer.error(403, 'Cannot copy or move a folder into itself');
+        }
+
+        // Folders move whole; a copy with Depth 0 takes only the folder, not what's in it
+        const depth = (req.headers.depth || 'infinity').toLowerCase();
+        if (depth !== 'infinity' && (isMove || depth !== '0')) {
+            throw WebDavServer.error(400, `Depth ${depth} is not allowed for ${req.method}`);
+        }
+
+        const overwrite = (req.headers.overwrite || 'T').toUpperCase() !== 'F';
+        const existing = await this.storage.stat(destPath, req.user);
+        if (existing && !overwrite) {
+            throw WebDavServer.error(412, 'Destination already exists');
+        }
+
+        if (isMove) {
+            this.checkLocks(req, itemPath, { deep: true, membership: true });
+        }
+        this.checkLocks(req, destPath, { deep: true, membership: true });
+
+        // A replaced destination goes to the trash like any other delete
+        if (existing) {
+            await this.storage.remove(destPath, req.user, req);
+            this.locks.removePath(destPath);
+        }
+
+        if (isMove) {
+            await this.storage.move(itemPath, destPath, req.user, req);
+            this.locks.removePath(itemPath);
+        } else {
+            await this.storage.copy(itemPath, destPath, req.user, req, depth === 'infinity');
+        }
+        res.status(existing ? 204 : 201).end();
+    }
+
+    async handleLock(req, res, itemPath) {
+        const body = parseXml(await readBody(req));
+        const timeout = WebDavServer.parseTimeout(req.headers.timeout);
+
+        // No body: refresh a lock the client already holds
+        if (!body) {
+            const lock = Array.from(WebDavServer.getSubmittedTokens(req))
+                .map(token => this.locks.get(token))
+                .find(lock => lock && lock.username === req.user.username && WebDavServer.covers(lock, itemPath));
+            if (!lock) {
+                throw WebDavServer.error(412, 'No lock to refresh');
+            }
+            this.locks.refresh(lock.token, timeout);
+            return this.sendXml(res, 200, this.getLockDiscovery(req, lock));
+        }
+
+        if (!isElement(body, 'lockinfo')) {
+            throw WebDavServer.error(400, 'Expected a lockinfo element');
+        }
+        const lockScope = findChild(body, 'lockscope');
+        const scope = ['exclusive', 'shared'].find(name => lockScope && findChild(lockScope, name));
+        const lockType = findChild(body, 'locktype');
+        if (!scope || !lockType || !findChild(lockType, 'write')) {
+            throw WebDavServer.error(400, 'Only exclusive and shared write locks are supported');
+        }
+
+        const depth = (req.headers.depth || 'infinity').toLowerCase();
+        if (depth !== '0' && depth !== 'infinity') {
+            throw WebDavServer.error(400, `Depth ${depth} is not allowed for LOCK`);
+        }
+
+        // Locking a path with nothing there creates an empty file (clients lock, then PUT)
+        const resource = await this.storage.stat(itemPath, req.user);
+        if (resource && !resource.writable) {
+            throw WebDavServer.error(403, 'Access denied');
+        }
+        if (!resource) {
+            this.checkLocks(req, itemPath, { membership: true });
+        }
+
+        const lock = this.locks.create(itemPath, {
+            scope,
+            depth,
+            owner: getOwner(findChild(body, 'owner')),
+            timeout,
+            username: req.user.username
+        });
+        if (!lock) {
+            throw WebDavServer.error(423, 'Already locked');
+        }
+
+        if (!resource) {
+            try {
+                await this.storage.write(itemPath, Readable.from([]), req.user, req);
+            } catch (error) {
+                this.locks.remove(lock.token);
+                throw error;
+            }
+        }
+
+        res.set('Lock-Token', `<${lock.token}>`);
+        this.sendXml(res, resource ? 200 : 201, this.getLockDiscovery(req, lock));
+    }
+
+    async handleUnlock(req, res, itemPath) {
+        const match = /^\s*<([^>]+)>\s*$/.exec(req.headers['lock-token'] || '');
+        if (!match) {
+            throw WebDavServer.error(400, 'Lock-Token header is required');
+        }
+
+        const lock = this.locks.get(match[1]);
+        if (!lock || !WebDavServer.covers(lock, itemPath)) {
+            throw WebDavServer.error(409, 'Lock token does not match this resource');
+        }
+        // Admins may clear locks left behind by other users
+        if (lock.username !== req.user.username && req.user.role !== 'admin') {
+            throw WebDavServer.error(403, 'Lock belongs to another user');
+        }
+
+        this.locks.remove(lock.token);
+        res.status(204).end();
+    }
+
+    async getResource(itemPath, user) {
+        const resource = await this.storage.stat(itemPath, user);
+        if (!resource) {
+            throw WebDavServer.error(404, 'Not found');
+        }
+        return resource;
+    }
+
+    /**
+     * Refuse a change to a locked path unless the request's If header carries
+     * one of the caller's tokens for each lock in the way
+     * @param {Object} [options]
+     * @param {boolean} [options.deep] - Include locks on anything inside the path
+     * @param {boolean} [options.membership] - The path appears or disappears, which
+     *   a lock on its parent folder also protects
+     */
+    checkLocks(req, itemPath, { deep = false, membership = false } = {}) {
+        const locks = this.locks.getLocks(itemPath);
+        if (deep) {
+            locks.push(...this.locks.getLocksBelow(itemPath));
+        }
+        if (membership && itemPath !== '/') {
+            const parentPath = itemPath.slice(0, itemPath.lastIndexOf('/')) || '/';
+            locks.push(...this.locks.getLocks(parentPath).filter(lock => lock.path === parentPath && lock.depth === '0'));
+        }
+
+        const tokens = WebDavServer.getSubmittedTokens(req);
+        const held = lock => tokens.has(lock.token) && lock.username === req.user.username;
+        // Shared locks put several on one path; holding any of them is enough
+        const lockedPaths = new Set(locks.map(lock => lock.path));
+        for (const lockedPath of lockedPaths) {
+            if (!locks.some(lock => lock.path === lockedPath && held(lock))) {
+                throw WebDavServer.error(423, `${lockedPath} is locked`);
+            }
+        }
+    }
+
+    getDestination(req) {
+        let url;
+        try {
+            url = new URL(req.headers.destination, `http://${req.headers.host}`);
+        } catch {
+            throw WebDavServer.error(400, 'Destination header is required');
+        }
+
+        const mountPath = req.baseUrl;
+        if (url.pathname !== mountPath && !url.pathname.startsWith(mountPath + '/')) {
+            throw WebDavServer.error(502, 'Destination is outside this server');
+        }
+        return WebDavServer.decodePath(url.pathname.slice(mountPath.length));
+    }
+
+    getHref(req, itemPath, isDirectory) {
+        const encoded = itemPath.split('/').map(encodeURIComponent).join('/');
+        return escapeXml(req.baseUrl + encoded + (isDirectory && itemPath !== '/' ? '/' : ''));
+    }
+
+    getPropResponse(req, resource, request) {
+        const href = `<D:href>${this.getHref(req, resource.path, resource.isDirectory)}</D:href>`;
+        if (request.type === 'propname') {
+            return `<D:response>${href}${getPropstat(LIVE_PROPERTIES.map(name => `<D:${name}/>`), 200)}</D:response>`;
+        }
+
+        const requested = request.type === 'prop'
+            ? request.props
+            : LIVE_PROPERTIES.map(name => ({ ns: 'DAV:', name }));
+        const found = [];
+        const missing = [];
+        for (const prop of requested) {
+            const value = prop.ns === 'DAV:' ? this.getProperty(req, resource, prop.name) : undefined;
+            if (value !== undefined) {
+                found.push(`<D:${prop.name}>${value}</D:${prop.name}>`);
+            } else if (request.type === 'prop') {
+                missing.push(getEmptyElement(prop));
+            }
+        }
+
+        return `<D:response>${href}` +
+            (found.length > 0 ? getPropstat(found, 200) : '') +
+            (missing.length > 0 ? getPropstat(missing, 404) : '') +
+            '</D:response>';
+    }
+
+    /**
+     * A live property's XML value, or undefined if the resource doesn't have it
+     */
+    getProperty(req, resource, name) {
+        switch (name) {
+            case 'creationdate':
+                return resource.created.toISOString();
+            case 'displayname':
+                return escapeXml(resource.name);
+            case 'getcontentlength':
+                return resource.isDirectory ? undefined : String(resource.size);
+            case 'getcontenttype':
+                return resource.isDirectory ? undefined : escapeXml(resource.contentType);
+            case 'getetag':
+                return escapeXml(resource.etag);
+            case 'getlastmodified':
+                return resource.modified.toUTCString();
+            case 'resourcetype':
+                return resource.isDirectory ? '<D:collection/>' : '';
+            case 'supportedlock':
+                return SUPPORTED_LOCK;
+            case 'lockdiscovery':
+                return this.locks.getLocks(resource.path).map(lock => this.getActiveLock(req, lock)).join('');
+            default:
+                return undefined;
+        }
+    }
+
+    getActiveLock(req, lock) {
+        const remaining = Math.max(0, Math.round((lock.expiresAt - Date.now()) / 1000));
+        return '<D:activelock>' +
+            '<D:locktype><D:write/></D:locktype>' +
+            `<D:lockscope><D:${lock.scope}/></D:lockscope>` +
+            `<D:depth>${lock.depth}</D:depth>` +
+            (lock.owner ? `<D:owner>${lock.owner}</D:owner>` : '') +
+            `<D:timeout>Second-${remaining}</D:timeout>` +
+            `<D:locktoken><D:href>${lock.token}</D:href></D:locktoken>` +
+            `<D:lockroot><D:href>${this.getHref(req, lock.path, false)}</D:href></D:lockroot>` +
+            '</D:activelock>';
+    }
+
+    getLockDiscovery(req, lock) {
+        return `<D:prop xmlns:D="DAV:"><D:lockdiscovery>${this.getActiveLock(req, lock)}</D:lockdiscovery></D:prop>`;
+    }
+
+    sendMultistatus(res, responses) {
+        this.sendXml(res, 207, `<D:multistatus xmlns:D="DAV:">${responses.join('')}</D:multistatus>`);
+    }
+
+    sendXml(res, status, body) {
+        res.status(status)
+            .type('application/xml; charset=utf-8')
+            .send(`<?xml version="1.0" encoding="utf-8"?>\n${body}`);
+    }
+
+    /**
+     * Turn a request path into a "/"-rooted item path
+     */
+    static decodePath(urlPath) {
+        let segments;
+        try {
+            segments = urlPath.split('/').filter(Boolean).map(decodeURIComponent);
+        } catch {
+            throw WebDavServer.error(400, 'Invalid path');
+        }
+        if (segments.some(segment => segment.includes('/') || segment.includes('\\'))) {
+            throw WebDavServer.error(400, 'Invalid path');
+        }
+        return '/' + segments.join('/');
+    }
+
+    /**
+     * Lock tokens named in the If header (other conditions in it are ignored)
+     */
+    static getSubmittedTokens(req) {
+        const header = req.headers.if || '';
+        return new Set(Array.from(header.matchAll(/<(opaquelocktoken:[^>]+)>/g), match => match[1]));
+    }
+
+    /**
+     * Seconds from a Timeout header ("Second-600", "Infinite"); 0 if absent
+     */
+    static parseTimeout(header) {
+        for (const value of (header || '').split(',').map(part => part.trim().toLowerCase())) {
+            if (value === 'infinite') {
+                return Infinity;
+            }
+            const match = /^second-(\d+)$/.exec(value);
+            if (match) {
+                return parseInt(match[1], 10);
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Whether a lock applies to a path
+     */
+    static covers(lock, itemPath) {
+        return lock.path === itemPath || (lock.depth === 'infinity' && WebDavLocks.isInside(itemPath, lock.path));
+    }
+
+    static error(status, message) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+}
+
+async function readBody(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_XML_BODY) {
+            throw WebDavServer.error(413, 'Request body too large');
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+function escapeXml(value) {
+    return String(value).replace(/[&<>"']/g, char => XML_ESCAPES[char]);
+}
+
+function decodeXml(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return XML_ENTITIES[name] || entity;
+    });
+}
+
+/**
+ * Parse the small XML documents WebDAV clients send into
+ * { name, ns, children, text } elements, resolving namespace prefixes
+ * @returns {Object|null} Root element, or null for an empty body
+ */
+function parseXml(text) {
+    if (!text.trim()) {
+        return null;
+    }
+
+    const tagPattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+    const document = { children: [], namespaces: {}, text: '' };
+    const stack = [document];
+    let lastIndex = 0;
+    let match;
+
+    while ((match = tagPattern.exec(text))) {
+        const current = stack[stack.length - 1];
+        current.text += decodeXml(text.slice(lastIndex, match.index));
+        lastIndex = tagPattern.lastIndex;
+
+        const [, cdata, closing, qualifiedName, attributes, selfClosing] = match;
+        if (cdata !== undefined) {
+            current.text += cdata;
+            continue;
+        }
+        if (!qualifiedName) {
+            continue;
+        }
+
+        if (closing) {
+            if (stack.length === 1 || current.qualifiedName !== qualifiedName) {
+                throw WebDavServer.error(400, 'Malformed XML');
+            }
+            stack.pop();
+            continue;
+        }
+
+        const namespaces = { ...current.namespaces };
+        for (const [, attrName, doubleQuoted, singleQuoted] of attributes.matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+            const value = decodeXml(doubleQuoted !== undefined ? doubleQuoted : singleQuoted);
+            if (attrName === 'xmlns') {
+                namespaces[''] = value;
+            } else if (attrName.startsWith('xmlns:')) {
+                namespaces[attrName.slice('xmlns:'.length)] = value;
+            }
+        }
+
+        const separator = qualifiedName.indexOf(':');
+        const prefix = separator === -1 ? '' : qualifiedName.slice(0, separator);
+        const element = {
+            qualifiedName,
+            name: qualifiedName.slice(separator + 1),
+            ns: namespaces[prefix] || '',
+            namespaces,
+            children: [],
+            text: ''
+        };
+        current.children.push(element);
+        if (!selfClosing) {
+            stack.push(element);
+        }
+    }
+
+    if (stack.length !== 1 || document.children.length !== 1) {
+        throw WebDavServer.error(400, 'Malformed XML');
+    }
+    return document.children[0];
+}
+
+function isElement(element, name) {
+    return element.ns === 'DAV:' && element.name === name;
+}
+
+function findChild(element, name) {
+    return element.children.find(child => isElement(child, name)) || null;
+}
+
+// An element naming a property, for reporting it as missing or read-only
+function getEmptyElement({ ns, name }) {
+    if (!/^[\w.-]+$/.test(name)) {
+        return '';
+    }
+    if (ns === 'DAV:') {
+        return `<D:${name}/>`;
+    }
+    return ns ? `<R:${name} xmlns:R="${escapeXml(ns)}"/>` : `<${name} xmlns=""/>`;
+}
+
+function getPropstat(props, status) {
+    return `<D:propstat><D:prop>${props.join('')}</D:prop>` +
+        `<D:status>HTTP/1.1 ${status} ${http.STATUS_CODES[status]}</D:status></D:propstat>`;
+}
+
+// The owner a client put on a lock, kept as an href or plain text
+function getOwner(element) {
+    if (!element) {
+        return null;
+    }
+    const href = findChild(element, 'href');
+    if (href) {
+        return `<D:href>${escapeXml(href.text.trim())}</D:href>`;
+    }
+    const text = element.text.trim();
+    return text ? escapeXml(text) : null;
+}
+
+module.exports = WebDavServer;
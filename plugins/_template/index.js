@@ -15,21 +15,26 @@ module.exports = {
      * Initialize the plugin
      * @param {Object} context - Plugin context
      * @param {Function} context.registerHook - Register a hook callback
+     * @param {Function} context.HookRejection - Error that rejects an operation with an HTTP status
      * @param {Function} context.addRoute - Add a custom Express route
+     * @param {Function} context.registerStorageAdapter - Add a storage backend
+     * @param {Function} context.StorageAdapter - Base class for storage adapters
+     * @param {Function} context.getStorage - The storage adapter in use
      * @param {Object} context.config - Plugin configuration from config.json
      * @param {string} context.pluginDir - Absolute path to plugin directory
      */
     async init(context) {
-        const { registerHook, addRoute, config, pluginDir } = context;
+        const { registerHook, HookRejection, addRoute, registerStorageAdapter, StorageAdapter, getStorage, config, pluginDir } = context;
 
         // Example: Register a beforeUpload hook
         // registerHook('beforeUpload', async (data) => {
         //   const { files, req } = data;
         //   // Validate or transform files
-        //   // Throw error to reject upload
+        //   // Throw error to reject upload, e.g.
+        //   // throw new HookRejection('Too large', { status: 413 });
         //   // Return data to continue
         //   return data;
-        // });
+        // }, { priority: 0, timeout: 30000 }); // Higher priority runs first; timeout in ms
 
         // Example: Register an afterUpload hook
         // registerHook('afterUpload', async (data) => {
@@ -66,6 +71,26 @@ module.exports = {
         //   // Clean up related files, log deletion, etc.
         // });
 
+        // Example: Register a beforeMove hook
+        // registerHook('beforeMove', async (data) => {
+        //   const { path, newPath, isDirectory, req } = data;
+        //   // Protect folders, enforce naming rules, etc.
+        //   // Throw error to reject the move
+        //   return data;
+        // });
+
+        // Example: Register an afterMove hook
+        // registerHook('afterMove', async (data) => {
+        //   const { path, newPath, req } = data;
+        //   // Update references, log renames, etc.
+        // });
+
+        // Example: Register an afterCopy hook
+        // registerHook('afterCopy', async (data) => {
+        //   const { path, newPath, size, req } = data;
+        //   // Log copies, update quotas, etc.
+        // });
+
         // Example: Transform file list
         // registerHook('transformFileList', async (data) => {
         //   const { files, req } = data;
@@ -73,11 +98,47 @@ module.exports = {
         //   return { files: files.map(f => ({ ...f, customField: 'value' })) };
         // });
 
+        // Example: Register a beforeDeleteFolder hook
+        // registerHook('beforeDeleteFolder', async (data) => {
+        //   const { path, permanent, user, requestId } = data;
+        //   // Protect folders, ask for confirmation elsewhere, etc.
+        //   // Throw error to keep the folder
+        //   return data;
+        // });
+
+        // Example: Register a beforeList hook
+        // registerHook('beforeList', async (data) => {
+        //   const { path, user } = data;
+        //   // Throw error to deny listing the folder
+        //   return data;
+        // });
+
         // Example: Add a custom API route
         // addRoute('GET', '/api/myplugin/status', async (req, res) => {
         //   res.json({ status: 'ok' });
         // });
 
+        // Example: Read a file through the storage the server runs on
+        // addRoute('GET', '/api/myplugin/readme', async (req, res) => {
+        //   res.type('text').send(await getStorage().readText('/README.txt'));
+        // });
+
+        // Example: Add a storage backend (STORAGE_ADAPTER=my-storage)
+        // class MyStorage extends StorageAdapter {
+        //   async stat(itemPath) { ... }
+        //   async list(folderPath) { ... }
+        //   // read, write, mkdir, remove, move
+        // }
+        // registerStorageAdapter('my-storage', () => new MyStorage(config));
+
         console.log('    Plugin initialized with config:', config);
+    },
+
+    /**
+     * Clean up when the plugin is disabled or reloaded (optional)
+     * Hooks, routes and storage adapters are removed for you; stop timers and
+     * close connections init() opened here.
+     */
+    async destroy() {
     }
 };
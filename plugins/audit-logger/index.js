@@ -13,21 +13,28 @@ module.exports = {
     description: 'Logs all file operations for audit trail',
 
     async init(context) {
-        const { registerHook, config, pluginDir } = context;
+        const { registerHook, addRoute, config, pluginDir } = context;
 
-        const logFile = config.logFile || path.join(process.env.UPLOAD_DIR || '/data', 'audit.log');
+        // With the server's own data rather than in storage, where every user
+        // could read it
+        const systemDir = process.env.SYSTEM_DIR || path.join(process.env.UPLOAD_DIR || '/data', '.quick-nas');
+        const logFile = config.logFile || path.join(systemDir, 'audit.log');
+        await fs.mkdir(path.dirname(logFile), { recursive: true });
 
-        async function log(action, filename, details = {}) {
+        // data is the hook payload, for the user and request ID
+        async function log(action, filename, data, details = {}) {
             const timestamp = new Date().toISOString();
             const logEntry = JSON.stringify({
                 timestamp,
                 action,
                 filename,
+                user: data.user ? data.user.username : null,
+                requestId: data.requestId,
                 ...details
             });
 
             try {
-                await fs.appendFile(logFile, logEntry + '\n');
+                await fs.appendFile(logFile, logEntry + '\n', { mode: 0o600 });
             } catch (error) {
                 console.error('Audit log error:', error.message);
             }
@@ -36,21 +43,68 @@ module.exports = {
         // Register hooks for all file operations
         registerHook('afterUpload', async (data) => {
             for (const file of data.files) {
-                await log('upload', file.name, { size: file.size });
+                await log('upload', file.name, data, { path: file.path, size: file.size });
             }
             return data;
         });
 
         registerHook('afterDownload', async (data) => {
-            await log('download', data.filename);
+            await log('download', data.filename, data, {
+                path: data.path,
+                share: data.share ? data.share.token : undefined
+            });
             return data;
         });
 
         registerHook('afterDelete', async (data) => {
-            await log('delete', data.filename);
+            // Moving to the trash and purging from it are logged separately
+            await log(data.permanent ? 'purge' : 'trash', data.filename, data, { path: data.path });
+            return data;
+        });
+
+        registerHook('afterMove', async (data) => {
+            await log('move', data.name, data, { from: data.path, to: data.newPath });
+            return data;
+        });
+
+        registerHook('afterCopy', async (data) => {
+            await log('copy', data.name, data, { from: data.path, to: data.newPath, size: data.size });
+            return data;
+        });
+
+        registerHook('afterCreateFolder', async (data) => {
+            await log('create-folder', data.name, data, { path: data.path });
+            return data;
+        });
+
+        registerHook('afterRenameFolder', async (data) => {
+            await log('rename-folder', data.name, data, { from: data.path, to: data.newPath });
+            return data;
+        });
+
+        registerHook('afterDeleteFolder', async (data) => {
+            // Everything inside goes with the folder, so it's one entry
+            await log(data.permanent ? 'purge-folder' : 'trash-folder', data.name, data, { path: data.path });
             return data;
         });
 
+        // The most recent entries, newest last (?limit=, default 100)
+        addRoute('GET', '/api/audit-log', async (req, res) => {
+            if (req.user.role !== 'admin') {
+                return res.status(403).json({ error: 'Admin access required' });
+            }
+            const limit = Math.max(parseInt(req.query.limit, 10) || 100, 1);
+            let lines = [];
+            try {
+                lines = (await fs.readFile(logFile, 'utf8')).split('\n').filter(Boolean);
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    return res.status(500).json({ error: error.message });
+                }
+            }
+            res.json({ entries: lines.slice(-limit).map(line => JSON.parse(line)) });
+        });
+
         console.log(`    Log file: ${logFile}`);
     }
 };
@@ -10,32 +10,34 @@ module.exports = {
     description: 'Validates file uploads based on extension whitelist/blacklist',
 
     async init(context) {
-        const { registerHook, config } = context;
+        const { registerHook, HookRejection, config } = context;
 
         // Default configuration
         const allowedExtensions = config.allowedExtensions || [];
         const blockedExtensions = config.blockedExtensions || [];
         const mode = config.mode || 'blacklist'; // 'whitelist' or 'blacklist'
 
+        // Runs ahead of other upload hooks, so nothing else sees a blocked file
         registerHook('beforeUpload', async (data) => {
             const { files } = data;
 
             for (const file of files) {
-                const ext = file.originalname.split('.').pop().toLowerCase();
+                // Folder uploads send "folder/name.ext"; only the file name counts
+                const ext = file.originalname.split(/[\\/]/).pop().split('.').pop().toLowerCase();
 
                 if (mode === 'whitelist' && allowedExtensions.length > 0) {
                     if (!allowedExtensions.includes(ext)) {
-                        throw new Error(`File type .${ext} is not allowed. Allowed types: ${allowedExtensions.join(', ')}`);
+                        throw new HookRejection(`File type .${ext} is not allowed. Allowed types: ${allowedExtensions.join(', ')}`, { status: 415 });
                     }
                 } else if (mode === 'blacklist' && blockedExtensions.length > 0) {
                     if (blockedExtensions.includes(ext)) {
-                        throw new Error(`File type .${ext} is blocked`);
+                        throw new HookRejection(`File type .${ext} is blocked`, { status: 415 });
                     }
                 }
             }
 
             return data;
-        });
+        }, { priority: 100 });
 
         console.log(`    Mode: ${mode}`);
         if (mode === 'whitelist' && allowedExtensions.length > 0) {
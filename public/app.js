@@ -4,17 +4,37 @@ const API_BASE = '';
 // DOM Elements
 const uploadZone = document.getElementById('uploadZone');
 const fileInput = document.getElementById('fileInput');
+const folderInput = document.getElementById('folderInput');
 const filesGrid = document.getElementById('filesGrid');
 const emptyState = document.getElementById('emptyState');
-const uploadProgress = document.getElementById('uploadProgress');
-const progressFill = document.getElementById('progressFill');
-const progressText = document.getElementById('progressText');
 const refreshBtn = document.getElementById('refreshBtn');
 
+// Drag-and-drop data type for moving existing items
+const DRAG_PATH_TYPE = 'application/x-quick-nas-path';
+
+// Files above this size are uploaded in resumable chunks
+const RESUMABLE_THRESHOLD = 50 * 1024 * 1024; // 50MB
+const CHUNK_SIZE = 8 * 1024 * 1024; // 8MB
+const CHUNK_RETRIES = 5;
+
+// Files uploaded at the same time
+const MAX_PARALLEL_UPLOADS = 3;
+
 // Folder Navigation State
 let currentPath = '/';
 let breadcrumbs = [{ name: 'Home', path: '/' }];
 
+// Live Updates State
+let eventSource = null;
+let eventSourcePath = null;
+let shownItems = new Map(); // path -> item for the cards in the grid
+let folderRefreshTimer = null;
+
+// Search State
+const SEARCH_PAGE_SIZE = 50;
+let searchParams = null;
+let searchOffset = 0;
+
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
     // Load path from URL
@@ -23,6 +43,7 @@ document.addEventListener('DOMContentLoaded', () => {
     breadcrumbs = buildBreadcrumbs(currentPath);
 
     initializeTheme();
+    loadCurrentUser();
     renderBreadcrumbs();
     loadFiles();
     setupEventListeners();
@@ -37,6 +58,47 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 });
 
+// Authentication
+// Wrapper around fetch that sends the user to the login page when the session is gone
+async function apiFetch(url, options = {}) {
+    const response = await fetch(url, { credentials: 'same-origin', ...options });
+    if (response.status === 401) {
+        redirectToLogin();
+        throw new Error('Authentication required');
+    }
+    return response;
+}
+
+function redirectToLogin() {
+    const next = window.location.pathname + window.location.search;
+    window.location.href = `/login.html?next=${encodeURIComponent(next)}`;
+}
+
+async function loadCurrentUser() {
+    try {
+        const response = await apiFetch(`${API_BASE}/api/auth/me`);
+        const { user } = await response.json();
+        const logoutBtn = document.getElementById('logoutBtn');
+        if (logoutBtn) {
+            logoutBtn.title = `Log out ${user.username}`;
+        }
+        // The storage dashboard is for admins only
+        if (user.role === 'admin') {
+            document.getElementById('storageBtn').style.display = '';
+        }
+    } catch (error) {
+        console.error('Error loading current user:', error);
+    }
+}
+
+async function logout() {
+    try {
+        await fetch(`${API_BASE}/api/auth/logout`, { method: 'POST', credentials: 'same-origin' });
+    } finally {
+        window.location.href = '/login.html';
+    }
+}
+
 // Theme Management
 function initializeTheme() {
     const savedTheme = localStorage.getItem('theme') || 'dark';
@@ -109,15 +171,25 @@ function renderBreadcrumbs() {
         return `
             <span class="breadcrumb-separator">›</span>
             <span class="breadcrumb-item ${isLast ? 'active' : ''}">
-                ${isLast ? crumb.name : `<a href="#" onclick="navigateToPath('${crumb.path}'); return false;">${escapeHtml(crumb.name)}</a>`}
+                ${isLast ? escapeHtml(crumb.name) : `<a href="#" data-path="${escapeHtml(crumb.path)}">${escapeHtml(crumb.name)}</a>`}
             </span>
         `;
     }).join('');
 
     container.innerHTML = html;
+
+    // The path is read from data-path rather than put in an inline handler,
+    // where a quote in a folder name would end the string
+    container.querySelectorAll('a[data-path]').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            navigateToPath(link.dataset.path);
+        });
+    });
 }
 
 function navigateToPath(path) {
+    closeSearch();
     currentPath = path;
     breadcrumbs = buildBreadcrumbs(path);
 
@@ -158,7 +230,7 @@ function setupEventListeners() {
             }
 
             try {
-                const response = await fetch(`${API_BASE}/api/folders`, {
+                const response = await apiFetch(`${API_BASE}/api/folders`, {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json'
@@ -183,6 +255,56 @@ function setupEventListeners() {
         });
     }
 
+    // Search box: search as you type (debounced) or on Enter
+    const searchForm = document.getElementById('searchForm');
+    const searchInput = document.getElementById('searchInput');
+    const searchType = document.getElementById('searchType');
+    let searchTimer = null;
+    const startSearch = () => {
+        clearTimeout(searchTimer);
+        const q = searchInput.value.trim();
+        // Content search needs words to look for
+        if (!q && (!searchType.value || searchType.value === 'content')) {
+            closeSearch();
+            return;
+        }
+        searchParams = { q, type: searchType.value };
+        runSearch();
+    };
+    searchForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        startSearch();
+    });
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(startSearch, 300);
+    });
+    searchType.addEventListener('change', startSearch);
+    document.getElementById('closeSearchBtn').addEventListener('click', () => {
+        searchInput.value = '';
+        searchType.value = '';
+        closeSearch();
+    });
+    document.getElementById('searchMoreBtn').addEventListener('click', () => {
+        runSearch(true);
+    });
+
+    // Trash button click
+    const trashBtn = document.getElementById('trashBtn');
+    if (trashBtn) {
+        trashBtn.addEventListener('click', () => {
+            showTrash();
+        });
+    }
+
+    // Request files button click
+    const requestFilesBtn = document.getElementById('requestFilesBtn');
+    if (requestFilesBtn) {
+        requestFilesBtn.addEventListener('click', () => {
+            requestFiles(currentPath);
+        });
+    }
+
     // Click to upload (hero zone)
     uploadZone.addEventListener('click', () => {
         fileInput.click();
@@ -195,6 +317,59 @@ function setupEventListeners() {
         }
     });
 
+    // Upload folder button and folder picker
+    const uploadFolderBtn = document.getElementById('uploadFolderBtn');
+    if (uploadFolderBtn) {
+        uploadFolderBtn.addEventListener('click', () => {
+            folderInput.click();
+        });
+    }
+
+    folderInput.addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            uploadFiles(e.target.files);
+        }
+    });
+
+    // Upload panel: per-file pause/resume/cancel buttons
+    document.getElementById('uploadList').addEventListener('click', (e) => {
+        const button = e.target.closest('.upload-item-btn');
+        if (!button) return;
+
+        const item = uploadQueue.find(i => i.id === Number(button.dataset.id));
+        if (!item) return;
+
+        if (button.dataset.action === 'pause') {
+            pauseUpload(item);
+        } else if (button.dataset.action === 'resume') {
+            resumeUpload(item);
+        } else if (button.dataset.action === 'cancel') {
+            cancelUpload(item);
+        }
+    });
+
+    document.getElementById('retryFailedBtn').addEventListener('click', () => {
+        uploadQueue.filter(item => item.status === 'failed').forEach(resumeUpload);
+    });
+
+    // Drop finished and cancelled uploads from the panel
+    document.getElementById('clearUploadsBtn').addEventListener('click', () => {
+        for (let i = uploadQueue.length - 1; i >= 0; i--) {
+            if (uploadQueue[i].status === 'done' || uploadQueue[i].status === 'cancelled') {
+                uploadQueue.splice(i, 1);
+            }
+        }
+        renderUploadPanel();
+    });
+
+    // Warn before leaving the page with uploads still running
+    window.addEventListener('beforeunload', (e) => {
+        if (uploadQueue.some(item => item.status === 'uploading' || item.status === 'queued')) {
+            e.preventDefault();
+            e.returnValue = '';
+        }
+    });
+
     // Drag and drop on upload zone
     uploadZone.addEventListener('dragover', (e) => {
         e.preventDefault();
@@ -209,9 +384,7 @@ function setupEventListeners() {
         e.preventDefault();
         uploadZone.classList.remove('drag-over');
 
-        if (e.dataTransfer.files.length > 0) {
-            uploadFiles(e.dataTransfer.files);
-        }
+        uploadDroppedItems(e.dataTransfer);
     });
 
     // Drag and drop on files grid
@@ -220,11 +393,9 @@ function setupEventListeners() {
         filesGrid.classList.add('drag-over');
 
         // Check if dragging over a folder
-        const target = e.target.closest('.folder-card');
+        const target = e.target.closest('.folder-card, .parent-directory-card');
         if (target) {
-            document.querySelectorAll('.folder-card').forEach(card => {
-                card.classList.remove('drag-target');
-            });
+            clearDragTargets();
             target.classList.add('drag-target');
         }
     });
@@ -233,9 +404,7 @@ function setupEventListeners() {
         // Only remove if leaving the grid entirely
         if (e.target === filesGrid) {
             filesGrid.classList.remove('drag-over');
-            document.querySelectorAll('.folder-card').forEach(card => {
-                card.classList.remove('drag-target');
-            });
+            clearDragTargets();
         }
     });
 
@@ -244,26 +413,64 @@ function setupEventListeners() {
         filesGrid.classList.remove('drag-over');
 
         // Check if dropped on a folder
-        const folderCard = e.target.closest('.folder-card');
-        if (folderCard && e.dataTransfer.files.length > 0) {
+        const folderCard = e.target.closest('.folder-card, .parent-directory-card');
+        const draggedPath = e.dataTransfer.getData(DRAG_PATH_TYPE);
+        if (draggedPath) {
+            // Moving an existing item
+            if (folderCard) {
+                moveItem(draggedPath, folderCard.dataset.path);
+            }
+        } else if (folderCard) {
             // Get folder path from the card
             const folderPath = folderCard.dataset.path;
-            uploadFiles(e.dataTransfer.files, folderPath);
+            uploadDroppedItems(e.dataTransfer, folderPath);
             folderCard.classList.remove('drag-target');
-        } else if (e.dataTransfer.files.length > 0) {
+        } else {
             // Upload to current directory
-            uploadFiles(e.dataTransfer.files);
+            uploadDroppedItems(e.dataTransfer);
         }
 
-        document.querySelectorAll('.folder-card').forEach(card => {
-            card.classList.remove('drag-target');
-        });
+        clearDragTargets();
+    });
+
+    // Drop existing items onto breadcrumbs to move them up the tree
+    const breadcrumbNav = document.querySelector('.breadcrumb-nav');
+    breadcrumbNav.addEventListener('dragover', (e) => {
+        const target = e.target.closest('[data-path]');
+        if (target && e.dataTransfer.types.includes(DRAG_PATH_TYPE)) {
+            e.preventDefault();
+            clearDragTargets();
+            target.classList.add('drag-target');
+        }
+    });
+
+    breadcrumbNav.addEventListener('dragleave', (e) => {
+        const target = e.target.closest('[data-path]');
+        if (target) {
+            target.classList.remove('drag-target');
+        }
+    });
+
+    breadcrumbNav.addEventListener('drop', (e) => {
+        const target = e.target.closest('[data-path]');
+        const draggedPath = e.dataTransfer.getData(DRAG_PATH_TYPE);
+        clearDragTargets();
+        if (target && draggedPath) {
+            e.preventDefault();
+            moveItem(draggedPath, target.dataset.path);
+        }
     });
 
     // Refresh button
     refreshBtn.addEventListener('click', () => {
         loadFiles();
     });
+
+    // Logout button
+    const logoutBtn = document.getElementById('logoutBtn');
+    if (logoutBtn) {
+        logoutBtn.addEventListener('click', logout);
+    }
 }
 
 // Load files from server
@@ -273,7 +480,7 @@ async function loadFiles() {
         emptyState.style.display = 'none';
 
         const url = `${API_BASE}/api/files?path=${encodeURIComponent(currentPath)}`;
-        const response = await fetch(url);
+        const response = await apiFetch(url);
 
         if (!response.ok) {
             throw new Error('Failed to load files');
@@ -282,11 +489,9 @@ async function loadFiles() {
         const items = await response.json();
 
         // Sort: folders first, then files, alphabetically
-        const sorted = items.sort((a, b) => {
-            if (a.isDirectory && !b.isDirectory) return -1;
-            if (!a.isDirectory && b.isDirectory) return 1;
-            return a.name.localeCompare(b.name);
-        });
+        const sorted = items.sort(compareItems);
+        shownItems = new Map(sorted.map(item => [item.path, item]));
+        watchFolder(currentPath);
 
         // Show/hide hero upload zone based on whether we have files
         const uploadSection = document.querySelector('.upload-section');
@@ -325,11 +530,120 @@ function displayFiles(files) {
     }
 
     files.forEach(file => {
-        const fileCard = createFileCard(file);
+        const fileCard = createGridCard(file);
         filesGrid.appendChild(fileCard);
     });
 }
 
+// Grid order: folders first, then files, alphabetically
+function compareItems(a, b) {
+    if (a.isDirectory && !b.isDirectory) return -1;
+    if (!a.isDirectory && b.isDirectory) return 1;
+    return a.name.localeCompare(b.name);
+}
+
+// Card for the grid, tagged with its path so live updates can find it
+function createGridCard(item) {
+    const card = createFileCard(item);
+    card.dataset.itemPath = item.path;
+    return card;
+}
+
+function findGridCard(itemPath) {
+    return filesGrid.querySelector(`[data-item-path="${CSS.escape(itemPath)}"]`);
+}
+
+// Live updates: subscribe to changes in the folder being shown
+function watchFolder(folderPath) {
+    if (eventSource && eventSourcePath === folderPath) {
+        return;
+    }
+    if (eventSource) {
+        eventSource.close();
+    }
+
+    eventSourcePath = folderPath;
+    eventSource = new EventSource(`${API_BASE}/api/events?path=${encodeURIComponent(folderPath)}`, { withCredentials: true });
+    ['create', 'upload', 'rename', 'delete'].forEach(type => {
+        eventSource.addEventListener(type, (e) => applyChangeEvent(JSON.parse(e.data)));
+    });
+}
+
+// Patch the grid for a change event instead of reloading it
+function applyChangeEvent(event) {
+    // Events still arriving for a folder we've left
+    if (eventSourcePath !== currentPath) {
+        return;
+    }
+
+    const isShownHere = itemPath => (itemPath.slice(0, itemPath.lastIndexOf('/')) || '/') === currentPath;
+
+    if ((event.type === 'delete' || event.type === 'rename') && isShownHere(event.path)) {
+        removeGridItem(event.path);
+    }
+    if (event.type !== 'delete' && isShownHere(event.newPath || event.path)) {
+        upsertGridItem(event.item);
+    }
+
+    // Something changed inside a subfolder: its size and item count are stale
+    if (!isShownHere(event.path) || (event.newPath && !isShownHere(event.newPath))) {
+        scheduleFolderCardRefresh();
+    }
+}
+
+// Add a card in sorted position, or replace the card for the same path
+function upsertGridItem(item) {
+    // The first item in an empty folder replaces the empty state
+    if (shownItems.size === 0) {
+        scheduleFileRefresh();
+        return;
+    }
+
+    shownItems.set(item.path, item);
+    const card = createGridCard(item);
+    const existing = findGridCard(item.path);
+    if (existing) {
+        existing.replaceWith(card);
+        return;
+    }
+
+    const next = Array.from(shownItems.values())
+        .filter(other => other.path !== item.path && compareItems(item, other) < 0)
+        .sort(compareItems)[0];
+    filesGrid.insertBefore(card, next ? findGridCard(next.path) : null);
+}
+
+function removeGridItem(itemPath) {
+    const card = findGridCard(itemPath);
+    if (card) {
+        card.remove();
+    }
+    shownItems.delete(itemPath);
+
+    // Show the empty state when the last item goes
+    if (shownItems.size === 0) {
+        scheduleFileRefresh();
+    }
+}
+
+// Refetch the folder quietly and update its folder cards (sizes, counts, new folders)
+function scheduleFolderCardRefresh() {
+    clearTimeout(folderRefreshTimer);
+    folderRefreshTimer = setTimeout(async () => {
+        const folderPath = currentPath;
+        try {
+            const response = await apiFetch(`${API_BASE}/api/files?path=${encodeURIComponent(folderPath)}`);
+            if (!response.ok || folderPath !== currentPath) {
+                return;
+            }
+            const items = await response.json();
+            items.filter(item => item.isDirectory).forEach(upsertGridItem);
+        } catch (error) {
+            console.error('Error refreshing folders:', error);
+        }
+    }, 1000);
+}
+
 // Create file card element
 function createFileCard(item) {
     // Handle folders differently
@@ -344,17 +658,11 @@ function createFileCard(item) {
     const fileSize = formatFileSize(item.size);
     const fileDate = new Date(item.modified).toLocaleDateString();
 
-    // Check file type
-    const imageExtensions = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'bmp'];
-    const textExtensions = ['txt', 'log', 'md', 'json', 'xml', 'csv', 'js', 'css', 'html', 'py', 'java', 'c', 'cpp', 'sh', 'yml', 'yaml', 'conf', 'ini'];
-    const ext = item.name.split('.').pop().toLowerCase();
-    const isImage = imageExtensions.includes(ext);
-    const isText = textExtensions.includes(ext);
-
     // All files are clickable - show details modal
     card.onclick = () => {
-        showFileDetails(item, isImage, isText);
+        openFileDetails(item);
     };
+    makeDraggable(card, item.path);
 
     card.innerHTML = `
     <div class="file-info">
@@ -373,12 +681,25 @@ function createFileCard(item) {
     return card;
 }
 
+// Show the details modal with the right kind of preview for the file
+function openFileDetails(item) {
+    // Check file type
+    const imageExtensions = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'bmp'];
+    const textExtensions = ['txt', 'log', 'md', 'json', 'xml', 'csv', 'js', 'css', 'html', 'py', 'java', 'c', 'cpp', 'sh', 'yml', 'yaml', 'conf', 'ini'];
+    const ext = item.name.split('.').pop().toLowerCase();
+    const isImage = imageExtensions.includes(ext);
+    const isText = textExtensions.includes(ext);
+
+    showFileDetails(item, isImage, isText);
+}
+
 // Create folder card element
 function createFolderCard(folder) {
     const card = document.createElement('div');
     card.className = 'file-card folder-card';
     card.style.cursor = 'pointer';
     card.dataset.path = folder.path; // Store path for drag-drop targeting
+    makeDraggable(card, folder.path);
     card.onclick = (e) => {
         // Only navigate if not dragging
         if (!e.target.closest('.drag-target')) {
@@ -410,6 +731,7 @@ function createParentDirectoryCard(parentPath) {
     const card = document.createElement('div');
     card.className = 'file-card parent-directory-card';
     card.style.cursor = 'pointer';
+    card.dataset.path = parentPath; // Items can be dragged up a level
     card.onclick = () => navigateToPath(parentPath);
 
     card.innerHTML = `
@@ -427,163 +749,711 @@ function createParentDirectoryCard(parentPath) {
     return card;
 }
 
+// Make a card draggable so it can be moved onto a folder or breadcrumb
+function makeDraggable(card, itemPath) {
+    card.draggable = true;
+    card.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData(DRAG_PATH_TYPE, itemPath);
+        e.dataTransfer.effectAllowed = 'move';
+        card.classList.add('dragging');
+        document.body.classList.add('moving-item');
+    });
+    card.addEventListener('dragend', () => {
+        card.classList.remove('dragging');
+        document.body.classList.remove('moving-item');
+        clearDragTargets();
+    });
+}
+
+// Remove drop highlighting from all folder cards and breadcrumbs
+function clearDragTargets() {
+    document.querySelectorAll('.drag-target').forEach(el => {
+        el.classList.remove('drag-target');
+    });
+}
+
+// Upload queue: one entry per file, sent a few at a time
+const uploadQueue = [];
+let nextUploadId = 1;
+let refreshTimer = null;
 
 // Upload files
+// Accepts File objects or { file, relativePath } entries from dropped folders
 async function uploadFiles(files, targetPath = null) {
-    const formData = new FormData();
-    const fileArray = Array.from(files);
+    // Use targetPath if provided, otherwise use currentPath
+    const uploadPath = targetPath || currentPath;
+
+    // Files from the folder picker carry their path in webkitRelativePath
+    const entries = Array.from(files).map(entry => entry instanceof File
+        ? { file: entry, relativePath: entry.webkitRelativePath || entry.name }
+        : entry);
+
+    fileInput.value = ''; // Reset file inputs
+    folderInput.value = '';
 
-    // Create skeleton cards for each file being uploaded
-    const skeletonCards = fileArray.map(file => createSkeletonCard(file.name));
-    skeletonCards.forEach(card => filesGrid.appendChild(card));
+    // Ask what to do about names that already exist in the destination
+    const policies = await resolveUploadConflicts(entries, uploadPath);
 
-    for (let file of fileArray) {
-        formData.append('files', file);
+    for (const { file, relativePath } of entries) {
+        const onConflict = policies.get(relativePath.split('/')[0]) || 'fail';
+        if (onConflict === 'cancel') {
+            continue;
+        }
+
+        uploadQueue.push({
+            id: nextUploadId++,
+            file,
+            relativePath,
+            path: uploadPath,
+            onConflict,
+            status: 'queued', // queued, uploading, paused, done, failed, cancelled
+            loaded: 0,
+            speed: 0,
+            error: null,
+            xhr: null,
+            resumableId: null,
+            resumeKey: null,
+            skipped: false
+        });
     }
 
-    // Use targetPath if provided, otherwise use currentPath
-    const uploadPath = targetPath || currentPath;
+    renderUploadPanel();
+    processUploadQueue();
+}
 
-    try {
-        // Show progress
-        uploadProgress.style.display = 'block';
-        progressFill.style.width = '0%';
-        progressText.textContent = 'Uploading...';
+// Work out a conflict policy for every top-level name that already exists
+// Returns a Map of name -> overwrite, rename, skip or cancel
+async function resolveUploadConflicts(entries, uploadPath) {
+    const policies = new Map();
 
-        const xhr = new XMLHttpRequest();
+    let existing = [];
+    try {
+        const response = await apiFetch(`${API_BASE}/api/files?path=${encodeURIComponent(uploadPath)}`);
+        if (response.ok) {
+            existing = await response.json();
+        }
+    } catch (error) {
+        // New folder or unreachable; the server still refuses to overwrite
+        console.error('Error checking for existing files:', error);
+    }
 
-        // Track upload progress
-        xhr.upload.addEventListener('progress', (e) => {
-            if (e.lengthComputable) {
-                const percentComplete = (e.loaded / e.total) * 100;
-                progressFill.style.width = percentComplete + '%';
-                progressText.textContent = `Uploading... ${Math.round(percentComplete)}%`;
-
-                // Update skeleton cards progress
-                skeletonCards.forEach(card => {
-                    const progressBar = card.querySelector('.skeleton-progress-fill');
-                    if (progressBar) {
-                        progressBar.style.width = percentComplete + '%';
-                    }
-                });
-            }
-        });
+    const existingByName = new Map(existing.map(item => [item.name, item]));
+    const conflicts = [...new Set(entries.map(entry => entry.relativePath.split('/')[0]))]
+        .filter(name => existingByName.has(name));
 
-        // Handle completion
-        xhr.addEventListener('load', () => {
-            if (xhr.status === 200) {
-                progressText.textContent = 'Upload complete!';
+    let applyToAll = null;
+    for (let i = 0; i < conflicts.length; i++) {
+        if (applyToAll) {
+            policies.set(conflicts[i], applyToAll);
+            continue;
+        }
+        const isFolder = entries.some(entry => entry.relativePath.startsWith(conflicts[i] + '/'));
+        const answer = await showConflictDialog(conflicts[i], isFolder, conflicts.length - i - 1);
+        policies.set(conflicts[i], answer.policy);
+        if (answer.applyToAll) {
+            applyToAll = answer.policy;
+        }
+    }
 
-                // Remove skeleton cards
-                skeletonCards.forEach(card => {
-                    card.classList.add('skeleton-complete');
-                    setTimeout(() => card.remove(), 300);
-                });
+    return policies;
+}
 
-                setTimeout(() => {
-                    uploadProgress.style.display = 'none';
-                    fileInput.value = ''; // Reset file input
-                    loadFiles(); // Reload file list
-                }, 1000);
-            } else {
-                progressText.textContent = 'Upload failed. Please try again.';
-                progressText.style.color = 'var(--danger)';
+// Ask whether to replace, keep both, skip or leave out an existing name
+function showConflictDialog(name, isFolder, remaining) {
+    return new Promise((resolve) => {
+        const modal = document.createElement('div');
+        modal.className = 'image-modal conflict-modal';
+
+        const choices = isFolder
+            ? [['overwrite', 'Merge, replace files'], ['rename', 'Merge, keep both'], ['skip', 'Merge, skip existing'], ['cancel', "Don't upload"]]
+            : [['overwrite', 'Replace'], ['rename', 'Keep both'], ['skip', 'Skip'], ['cancel', "Don't upload"]];
+
+        modal.innerHTML = `
+            <div class="modal-overlay"></div>
+            <div class="modal-content modal-text">
+                <div class="modal-file-info">
+                    <div class="modal-filename">${escapeHtml(name)}</div>
+                    <div class="modal-file-meta">
+                        <span>${isFolder ? 'A folder' : 'An item'} with this name already exists here.</span>
+                    </div>
+                </div>
+                ${remaining > 0 ? `
+                <label class="conflict-apply-all">
+                    <input type="checkbox"> Apply to the other ${remaining} conflict${remaining !== 1 ? 's' : ''}
+                </label>` : ''}
+                <div class="modal-actions">
+                    ${choices.map(([policy, label]) => `
+                    <button class="modal-action-btn ${policy === 'overwrite' ? 'delete-btn' : 'copy-btn'}" data-policy="${policy}">${label}</button>`).join('')}
+                </div>
+            </div>
+        `;
 
-                // Remove skeleton cards on error
-                skeletonCards.forEach(card => card.remove());
+        const close = (policy) => {
+            const checkbox = modal.querySelector('.conflict-apply-all input');
+            document.removeEventListener('keydown', handleEscape);
+            modal.classList.remove('active');
+            setTimeout(() => modal.remove(), 300);
+            resolve({ policy, applyToAll: Boolean(checkbox && checkbox.checked) });
+        };
+        const handleEscape = (e) => {
+            if (e.key === 'Escape') {
+                close('cancel');
             }
-        });
+        };
 
-        // Handle errors
-        xhr.addEventListener('error', () => {
-            progressText.textContent = 'Upload failed. Please try again.';
-            progressText.style.color = 'var(--danger)';
-
-            // Remove skeleton cards on error
-            skeletonCards.forEach(card => card.remove());
+        modal.querySelector('.modal-overlay').addEventListener('click', () => close('cancel'));
+        modal.querySelectorAll('[data-policy]').forEach(button => {
+            button.addEventListener('click', () => close(button.dataset.policy));
         });
+        document.addEventListener('keydown', handleEscape);
 
-        // Send request
-        const url = `${API_BASE}/api/upload?path=${encodeURIComponent(uploadPath)}`;
-        xhr.open('POST', url);
-        xhr.send(formData);
+        document.body.appendChild(modal);
+        setTimeout(() => modal.classList.add('active'), 10);
+    });
+}
 
-    } catch (error) {
-        console.error('Error uploading files:', error);
-        progressText.textContent = 'Upload failed. Please try again.';
-        progressText.style.color = 'var(--danger)';
+// Upload dropped files and folders, keeping the folder structure
+async function uploadDroppedItems(dataTransfer, targetPath = null) {
+    // Entries must be read before the drop event returns
+    const entries = Array.from(dataTransfer.items || [])
+        .filter(item => item.kind === 'file')
+        .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+        .filter(Boolean);
+
+    // Browsers without the entries API only give us flat files
+    if (entries.length === 0) {
+        if (dataTransfer.files.length > 0) {
+            uploadFiles(dataTransfer.files, targetPath);
+        }
+        return;
+    }
 
-        // Remove skeleton cards on error
-        skeletonCards.forEach(card => card.remove());
+    try {
+        const files = [];
+        for (const entry of entries) {
+            await collectEntryFiles(entry, '', files);
+        }
+        if (files.length > 0) {
+            uploadFiles(files, targetPath);
+        }
+    } catch (error) {
+        console.error('Error reading dropped folder:', error);
+        alert('Failed to read dropped folder');
     }
 }
 
-// Create skeleton card for uploading file
-function createSkeletonCard(filename) {
-    const card = document.createElement('div');
-    card.className = 'file-card skeleton-card';
+// Walk a dropped file or folder entry, adding { file, relativePath } for every file
+async function collectEntryFiles(entry, parentPath, files) {
+    const relativePath = parentPath ? `${parentPath}/${entry.name}` : entry.name;
 
-    card.innerHTML = `
-        <div class="file-info">
-            <div class="skeleton-icon"></div>
-            <div class="file-name skeleton-text">${escapeHtml(filename)}</div>
-            <div class="file-meta">
-                <span class="skeleton-text-small">Uploading...</span>
-            </div>
-        </div>
-        <div class="skeleton-progress">
-            <div class="skeleton-progress-fill"></div>
-        </div>
-    `;
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        files.push({ file, relativePath });
+        return;
+    }
 
-    return card;
+    // readEntries returns folders in batches until it returns an empty list
+    const reader = entry.createReader();
+    let batch;
+    do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        for (const child of batch) {
+            await collectEntryFiles(child, relativePath, files);
+        }
+    } while (batch.length > 0);
 }
 
-// Download file
-function downloadFile(filename) {
-    window.location.href = `${API_BASE}/api/download/${encodeURIComponent(filename)}`;
+// Start queued uploads until the parallel limit is reached
+function processUploadQueue() {
+    let active = uploadQueue.filter(item => item.status === 'uploading').length;
+
+    for (const item of uploadQueue) {
+        if (active >= MAX_PARALLEL_UPLOADS) {
+            break;
+        }
+        if (item.status === 'queued') {
+            active++;
+            startUpload(item);
+        }
+    }
 }
 
-// Show file details modal with preview and actions
-async function showFileDetails(item, isImage, isText) {
-    const modal = document.createElement('div');
-    modal.className = 'image-modal';
+async function startUpload(item) {
+    item.status = 'uploading';
+    item.error = null;
+    item.speed = 0;
+    item.sampleTime = null;
+    renderUploadItem(item);
 
-    let previewHtml = '';
+    try {
+        if (item.file.size > RESUMABLE_THRESHOLD) {
+            await uploadResumable(item);
+        } else {
+            item.loaded = 0;
+            await uploadSingleFile(item);
+        }
+        item.status = 'done';
+        item.loaded = item.file.size;
 
-    if (isImage) {
-        // Image preview
-        previewHtml = `
-            <img src="${API_BASE}/api/download/${encodeURIComponent(item.name)}" alt="${escapeHtml(item.name)}" />
-        `;
-    } else if (isText) {
-        // Text preview
-        try {
-            const response = await fetch(`${API_BASE}/api/download/${encodeURIComponent(item.name)}`);
-            if (response.ok) {
-                const text = await response.text();
-                previewHtml = `
-                    <div class="text-preview">
-                        <pre><code>${escapeHtml(text)}</code></pre>
-                    </div>
-                `;
-            } else {
-                previewHtml = '<div class="no-preview">Failed to load preview</div>';
-            }
-        } catch (error) {
-            console.error('Error loading text file:', error);
-            previewHtml = '<div class="no-preview">Failed to load preview</div>';
+        if (item.path === currentPath) {
+            scheduleFileRefresh();
         }
-    } else {
-        // No preview available
-        previewHtml = `
-            <div class="no-preview">
-                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <path d="M13 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V9z"></path>
-                    <polyline points="13 2 13 9 20 9"></polyline>
-                </svg>
-                <p>No preview available</p>
-            </div>
+    } catch (error) {
+        // Paused and cancelled items already have their status set
+        if (item.status === 'cancelled') {
+            // Cancelled while the server-side upload was being created
+            discardResumableUpload(item);
+        } else if (item.status === 'uploading') {
+            console.error(`Error uploading ${item.file.name}:`, error);
+            item.status = 'failed';
+            item.error = error.message;
+        }
+    }
+
+    item.xhr = null;
+    item.speed = 0;
+    renderUploadItem(item);
+    renderUploadSummary();
+    processUploadQueue();
+}
+
+// Send a small file in a single request
+function uploadSingleFile(item) {
+    return new Promise((resolve, reject) => {
+        const formData = new FormData();
+        // The server recreates any folders in the relative path
+        formData.append('files', item.file, item.relativePath);
+
+        const xhr = new XMLHttpRequest();
+        item.xhr = xhr;
+
+        xhr.upload.addEventListener('progress', (e) => {
+            if (e.lengthComputable) {
+                // Progress covers the whole multipart body; scale it to the file
+                updateUploadProgress(item, Math.min(e.loaded / e.total, 1) * item.file.size);
+            }
+        });
+        xhr.addEventListener('load', () => {
+            if (xhr.status === 200) {
+                const data = JSON.parse(xhr.responseText);
+                item.skipped = data.skipped.length > 0;
+                resolve();
+                return;
+            }
+            if (xhr.status === 401) {
+                redirectToLogin();
+            }
+            reject(new Error(parseErrorResponse(xhr) || 'Upload failed'));
+        });
+        xhr.addEventListener('error', () => reject(new Error('Network error')));
+        xhr.addEventListener('abort', () => reject(new Error('Upload stopped')));
+
+        xhr.open('POST', `${API_BASE}/api/upload?path=${encodeURIComponent(item.path)}&onConflict=${item.onConflict}`);
+        xhr.send(formData);
+    });
+}
+
+// Upload a large file in chunks, resuming an earlier attempt if there is one
+async function uploadResumable(item) {
+    const file = item.file;
+    // Subfolders from a folder upload become part of the destination
+    const subfolder = item.relativePath.split('/').slice(0, -1).join('/');
+    const folderPath = subfolder ? joinPath(item.path, subfolder) : item.path;
+
+    // Remember the upload id so a page reload or a later retry can pick it up
+    item.resumeKey = `quicknas_upload:${folderPath}:${file.name}:${file.size}:${file.lastModified}`;
+    let upload = await findResumableUpload(item.resumableId || localStorage.getItem(item.resumeKey));
+
+    if (!upload) {
+        const response = await apiFetch(`${API_BASE}/api/uploads`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ path: folderPath, name: file.name, size: file.size, onConflict: item.onConflict })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to start upload');
+        }
+        if (data.skipped) {
+            // The name is taken and the policy says to leave it alone
+            item.skipped = true;
+            return;
+        }
+        upload = data;
+        localStorage.setItem(item.resumeKey, upload.id);
+    }
+    item.resumableId = upload.id;
+
+    let offset = upload.offset;
+    let failures = 0;
+    updateUploadProgress(item, offset);
+
+    while (offset < file.size) {
+        if (item.status !== 'uploading') {
+            throw new Error('Upload stopped');
+        }
+
+        try {
+            const start = offset;
+            offset = await sendChunk(item, start, (loaded) => {
+                updateUploadProgress(item, start + loaded);
+            });
+            failures = 0;
+        } catch (error) {
+            if (item.status !== 'uploading') {
+                throw error;
+            }
+            if (error.fatal || ++failures > CHUNK_RETRIES) {
+                if (error.fatal) {
+                    forgetResumableUpload(item);
+                }
+                throw error;
+            }
+
+            // Back off, then ask the server how much it actually kept
+            await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (failures - 1)));
+            const current = await findResumableUpload(upload.id).catch(() => null);
+            if (current) {
+                offset = current.offset;
+            }
+        }
+    }
+
+    const response = await apiFetch(`${API_BASE}/api/uploads/${upload.id}/complete`, { method: 'POST' });
+    forgetResumableUpload(item);
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'Failed to complete upload');
+    }
+    item.skipped = data.skipped.length > 0;
+}
+
+// Look up an unfinished upload on the server
+async function findResumableUpload(uploadId) {
+    if (!uploadId) {
+        return null;
+    }
+    const response = await apiFetch(`${API_BASE}/api/uploads/${uploadId}`);
+    return response.ok ? response.json() : null;
+}
+
+// Stop trying to resume an item's server-side upload
+function forgetResumableUpload(item) {
+    if (item.resumeKey) {
+        localStorage.removeItem(item.resumeKey);
+    }
+    item.resumableId = null;
+}
+
+// Throw away any chunks already on the server
+function discardResumableUpload(item) {
+    if (item.resumableId) {
+        apiFetch(`${API_BASE}/api/uploads/${item.resumableId}`, { method: 'DELETE' }).catch(() => {});
+        forgetResumableUpload(item);
+    }
+}
+
+// Send one chunk starting at offset; resolves with the server's new offset
+function sendChunk(item, offset, onProgress) {
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        item.xhr = xhr;
+        xhr.open('PATCH', `${API_BASE}/api/uploads/${item.resumableId}`);
+        xhr.setRequestHeader('Content-Type', 'application/octet-stream');
+        xhr.setRequestHeader('Upload-Offset', String(offset));
+
+        xhr.upload.addEventListener('progress', (e) => onProgress(e.loaded));
+        xhr.addEventListener('load', () => {
+            let data = {};
+            try {
+                data = JSON.parse(xhr.responseText);
+            } catch {
+                // Non-JSON error page
+            }
+
+            if (xhr.status === 200 || (xhr.status === 409 && typeof data.offset === 'number' && data.offset !== offset)) {
+                // A 409 means we were out of sync; carry on from the server's offset
+                resolve(data.offset);
+                return;
+            }
+
+            const error = new Error(data.error || `Chunk upload failed (${xhr.status})`);
+            if (xhr.status === 401) {
+                redirectToLogin();
+            }
+            // Client errors won't fix themselves on retry (409: an earlier chunk is still being written)
+            error.fatal = xhr.status >= 400 && xhr.status < 500 && xhr.status !== 409;
+            reject(error);
+        });
+        xhr.addEventListener('error', () => reject(new Error('Network error')));
+        xhr.addEventListener('abort', () => reject(new Error('Upload stopped')));
+
+        xhr.send(item.file.slice(offset, offset + CHUNK_SIZE));
+    });
+}
+
+// Record progress and work out the current speed (sampled every half second)
+function updateUploadProgress(item, loaded) {
+    const now = Date.now();
+    if (!item.sampleTime) {
+        item.sampleTime = now;
+        item.sampleLoaded = loaded;
+    } else if (now - item.sampleTime >= 500) {
+        item.speed = Math.max(loaded - item.sampleLoaded, 0) / ((now - item.sampleTime) / 1000);
+        item.sampleTime = now;
+        item.sampleLoaded = loaded;
+    }
+
+    item.loaded = loaded;
+    renderUploadItem(item);
+    renderUploadSummary();
+}
+
+function pauseUpload(item) {
+    if (item.status !== 'uploading' && item.status !== 'queued') {
+        return;
+    }
+    item.status = 'paused';
+    item.speed = 0;
+    if (item.xhr) {
+        item.xhr.abort();
+    }
+    renderUploadItem(item);
+    renderUploadSummary();
+    processUploadQueue();
+}
+
+// Resume a paused upload or retry a failed or cancelled one
+function resumeUpload(item) {
+    item.status = 'queued';
+    item.error = null;
+    renderUploadItem(item);
+    renderUploadSummary();
+    processUploadQueue();
+}
+
+function cancelUpload(item) {
+    if (item.status === 'done' || item.status === 'cancelled') {
+        return;
+    }
+    item.status = 'cancelled';
+    item.speed = 0;
+    item.loaded = 0;
+    if (item.xhr) {
+        item.xhr.abort();
+    }
+
+    discardResumableUpload(item);
+
+    renderUploadItem(item);
+    renderUploadSummary();
+    processUploadQueue();
+}
+
+// Reload the file list once a burst of uploads has settled
+function scheduleFileRefresh() {
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(loadFiles, 500);
+}
+
+// Rebuild the upload panel list
+function renderUploadPanel() {
+    const uploadPanel = document.getElementById('uploadPanel');
+    const uploadList = document.getElementById('uploadList');
+
+    uploadPanel.style.display = uploadQueue.length > 0 ? 'block' : 'none';
+    uploadList.innerHTML = '';
+
+    for (const item of uploadQueue) {
+        item.el = document.createElement('div');
+        item.el.className = 'upload-item';
+        item.el.innerHTML = `
+            <div class="upload-item-info">
+                <span class="upload-item-name" title="${escapeHtml(joinPath(item.path, item.relativePath))}">${escapeHtml(item.relativePath)}</span>
+                <span class="upload-item-status"></span>
+            </div>
+            <div class="upload-item-actions"></div>
+            <div class="progress-bar">
+                <div class="progress-fill"></div>
+            </div>
+            <p class="upload-item-error"></p>
+        `;
+        item.renderedStatus = null;
+        uploadList.appendChild(item.el);
+        renderUploadItem(item);
+    }
+
+    renderUploadSummary();
+}
+
+// Update one row of the upload panel
+function renderUploadItem(item) {
+    if (!item.el) {
+        return;
+    }
+
+    const percent = item.file.size ? Math.round((item.loaded / item.file.size) * 100) : 100;
+    let statusText;
+    switch (item.status) {
+        case 'uploading':
+            statusText = `${percent}%` + (item.speed ? ` · ${formatFileSize(item.speed)}/s` : '');
+            break;
+        case 'queued':
+            statusText = 'Waiting';
+            break;
+        case 'paused':
+            statusText = `Paused at ${percent}%`;
+            break;
+        case 'done':
+            statusText = item.skipped ? 'Skipped, already exists' : formatFileSize(item.file.size);
+            break;
+        case 'failed':
+            statusText = 'Failed';
+            break;
+        case 'cancelled':
+            statusText = 'Cancelled';
+            break;
+    }
+
+    item.el.dataset.status = item.status;
+    item.el.querySelector('.upload-item-status').textContent = statusText;
+    item.el.querySelector('.progress-fill').style.width = percent + '%';
+    item.el.querySelector('.upload-item-error').textContent = item.error || '';
+
+    // Buttons only change with the status, not on every progress tick
+    if (item.renderedStatus !== item.status) {
+        item.renderedStatus = item.status;
+        const actions = [];
+        if (item.status === 'uploading' || item.status === 'queued') {
+            actions.push(['pause', 'Pause']);
+        }
+        if (item.status === 'paused') {
+            actions.push(['resume', 'Resume']);
+        }
+        if (item.status === 'failed' || item.status === 'cancelled') {
+            actions.push(['resume', 'Retry']);
+        }
+        if (item.status !== 'done' && item.status !== 'cancelled') {
+            actions.push(['cancel', 'Cancel']);
+        }
+        item.el.querySelector('.upload-item-actions').innerHTML = actions
+            .map(([action, label]) => `<button class="upload-item-btn" data-action="${action}" data-id="${item.id}">${label}</button>`)
+            .join('');
+    }
+}
+
+// Update the panel header: overall progress, speed and failures
+function renderUploadSummary() {
+    const counts = { queued: 0, uploading: 0, paused: 0, done: 0, failed: 0, cancelled: 0 };
+    let totalBytes = 0;
+    let loadedBytes = 0;
+    let speed = 0;
+
+    for (const item of uploadQueue) {
+        counts[item.status]++;
+        if (item.status !== 'cancelled') {
+            totalBytes += item.file.size;
+            loadedBytes += item.loaded;
+        }
+        speed += item.speed;
+    }
+
+    const total = uploadQueue.length - counts.cancelled;
+    const parts = [`${counts.done} of ${total} uploaded`];
+    if (counts.uploading > 0 && speed > 0) {
+        parts.push(`${formatFileSize(speed)}/s`);
+    }
+    if (counts.paused > 0) {
+        parts.push(`${counts.paused} paused`);
+    }
+    if (counts.failed > 0) {
+        parts.push(`${counts.failed} failed`);
+    }
+
+    const summary = document.getElementById('uploadSummary');
+    summary.textContent = parts.join(' · ');
+    summary.classList.toggle('has-errors', counts.failed > 0);
+
+    document.getElementById('uploadTotalFill').style.width =
+        (totalBytes ? Math.round((loadedBytes / totalBytes) * 100) : 100) + '%';
+    document.getElementById('retryFailedBtn').style.display = counts.failed > 0 ? '' : 'none';
+}
+
+// Read the error message from a failed XHR response
+function parseErrorResponse(xhr) {
+    try {
+        return JSON.parse(xhr.responseText).error;
+    } catch {
+        return null;
+    }
+}
+
+// Create skeleton card for uploading (or copying) file
+function createSkeletonCard(filename, label = 'Uploading...') {
+    const card = document.createElement('div');
+    card.className = 'file-card skeleton-card';
+
+    card.innerHTML = `
+        <div class="file-info">
+            <div class="skeleton-icon"></div>
+            <div class="file-name skeleton-text">${escapeHtml(filename)}</div>
+            <div class="file-meta">
+                <span class="skeleton-text-small">${escapeHtml(label)}</span>
+            </div>
+        </div>
+        <div class="skeleton-progress">
+            <div class="skeleton-progress-fill"></div>
+        </div>
+    `;
+
+    return card;
+}
+
+// Download file
+function downloadFile(filePath) {
+    window.location.href = `${API_BASE}/api/download/${encodePath(filePath)}`;
+}
+
+// Show file details modal with preview and actions
+async function showFileDetails(item, isImage, isText) {
+    const modal = document.createElement('div');
+    modal.className = 'image-modal';
+
+    let previewHtml = '';
+
+    if (isImage) {
+        // Image preview
+        previewHtml = `
+            <img src="${API_BASE}/api/download/${encodePath(item.path)}" alt="${escapeHtml(item.name)}" />
+        `;
+    } else if (isText) {
+        // Text preview
+        try {
+            const response = await apiFetch(`${API_BASE}/api/download/${encodePath(item.path)}`);
+            if (response.ok) {
+                const text = await response.text();
+                previewHtml = `
+                    <div class="text-preview">
+                        <pre><code>${escapeHtml(text)}</code></pre>
+                    </div>
+                `;
+            } else {
+                previewHtml = '<div class="no-preview">Failed to load preview</div>';
+            }
+        } catch (error) {
+            console.error('Error loading text file:', error);
+            previewHtml = '<div class="no-preview">Failed to load preview</div>';
+        }
+    } else {
+        // No preview available
+        previewHtml = `
+            <div class="no-preview">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M13 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V9z"></path>
+                    <polyline points="13 2 13 9 20 9"></polyline>
+                </svg>
+                <p>No preview available</p>
+            </div>
         `;
     }
 
@@ -600,47 +1470,120 @@ async function showFileDetails(item, isImage, isText) {
                     <line x1="6" y1="6" x2="18" y2="18"></line>
                 </svg>
             </button>
+
+            <div class="modal-tabs">
+                <button class="modal-tab active" data-tab="details">Details</button>
+                <button class="modal-tab" data-tab="versions">Versions</button>
+            </div>
+
+            <div class="modal-tab-panel" data-tab="details">
+                ${previewHtml}
             
-            ${previewHtml}
+                <div class="modal-file-info">
+                    <div class="modal-filename">${escapeHtml(item.name)}</div>
+                    <div class="modal-file-meta">
+                        <span class="file-type-badge">${fileType}</span>
+                        <span>${formatFileSize(item.size)}</span>
+                        <span>${new Date(item.modified).toLocaleDateString()}</span>
+                    </div>
+                </div>
             
-            <div class="modal-file-info">
-                <div class="modal-filename">${escapeHtml(item.name)}</div>
-                <div class="modal-file-meta">
-                    <span class="file-type-badge">${fileType}</span>
-                    <span>${formatFileSize(item.size)}</span>
-                    <span>${new Date(item.modified).toLocaleDateString()}</span>
+                <div class="modal-actions">
+                    <button class="modal-action-btn download-btn" data-action="download" data-path="${escapeHtml(item.path)}">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+                            <polyline points="7 10 12 15 17 10"></polyline>
+                            <line x1="12" y1="15" x2="12" y2="3"></line>
+                        </svg>
+                        Download
+                    </button>
+                    <button class="modal-action-btn rename-btn" data-action="rename" data-path="${escapeHtml(item.path)}">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
+                            <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
+                        </svg>
+                        Rename
+                    </button>
+                    <button class="modal-action-btn copy-btn" data-action="duplicate" data-path="${escapeHtml(item.path)}">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
+                            <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
+                        </svg>
+                        Duplicate
+                    </button>
+                    <button class="modal-action-btn copy-btn" data-action="copy-to" data-path="${escapeHtml(item.path)}">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path>
+                            <polyline points="12 11 15 14 12 17"></polyline>
+                            <line x1="8" y1="14" x2="15" y2="14"></line>
+                        </svg>
+                        Copy to…
+                    </button>
+                    <button class="modal-action-btn copy-btn" data-action="share" data-path="${escapeHtml(item.path)}">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <circle cx="18" cy="5" r="3"></circle>
+                            <circle cx="6" cy="12" r="3"></circle>
+                            <circle cx="18" cy="19" r="3"></circle>
+                            <line x1="8.59" y1="13.51" x2="15.42" y2="17.49"></line>
+                            <line x1="15.41" y1="6.51" x2="8.59" y2="10.49"></line>
+                        </svg>
+                        Share
+                    </button>
+                    <button class="modal-action-btn delete-btn" data-action="delete" data-path="${escapeHtml(item.path)}">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="3 6 5 6 21 6"></polyline>
+                            <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                        </svg>
+                        Delete
+                    </button>
                 </div>
             </div>
-            
-            <div class="modal-actions">
-                <button class="modal-action-btn download-btn" onclick="downloadFile('${escapeHtml(item.name)}')">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
-                        <polyline points="7 10 12 15 17 10"></polyline>
-                        <line x1="12" y1="15" x2="12" y2="3"></line>
-                    </svg>
-                    Download
-                </button>
-                ${isImage || isText ? '' : `
-                <button class="modal-action-btn rename-btn" onclick="renameItem('${escapeHtml(item.name)}', ${isImage || isText}); closeFileModal();">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
-                        <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
-                    </svg>
-                    Rename
-                </button>
-                `}
-                <button class="modal-action-btn delete-btn" onclick="deleteFile('${escapeHtml(item.name)}'); closeFileModal();">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <polyline points="3 6 5 6 21 6"></polyline>
-                        <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
-                    </svg>
-                    Delete
-                </button>
+
+            <div class="modal-tab-panel" data-tab="versions" hidden>
+                <div class="version-list"></div>
             </div>
         </div>
     `;
 
+    // The path goes in data-path rather than an inline handler, where a quote in
+    // a file name would end the string
+    modal.querySelectorAll('.modal-actions [data-action]').forEach(button => {
+        button.addEventListener('click', () => {
+            const itemPath = button.dataset.path;
+            if (button.dataset.action === 'download') {
+                downloadFile(itemPath);
+            } else if (button.dataset.action === 'duplicate') {
+                copyItem(itemPath);
+                closeFileModal();
+            } else if (button.dataset.action === 'copy-to') {
+                copyItemTo(itemPath);
+                closeFileModal();
+            } else if (button.dataset.action === 'share') {
+                shareItem(itemPath);
+            } else if (button.dataset.action === 'rename') {
+                // Both work on a name in the current folder
+                renameItem(itemPath.split('/').pop(), true);
+                closeFileModal();
+            } else if (button.dataset.action === 'delete') {
+                deleteFile(itemPath.split('/').pop());
+                closeFileModal();
+            }
+        });
+    });
+
+    // Switch between details and version history
+    modal.querySelectorAll('.modal-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            modal.querySelectorAll('.modal-tab').forEach(t => t.classList.toggle('active', t === tab));
+            modal.querySelectorAll('.modal-tab-panel').forEach(panel => {
+                panel.hidden = panel.dataset.tab !== tab.dataset.tab;
+            });
+            if (tab.dataset.tab === 'versions') {
+                loadVersions(item, modal.querySelector('.version-list'));
+            }
+        });
+    });
+
     document.body.appendChild(modal);
     document.body.style.overflow = 'hidden';
 
@@ -656,6 +1599,78 @@ async function showFileDetails(item, isImage, isText) {
     document.addEventListener('keydown', handleEscape);
 }
 
+// Show a file's earlier versions with download and restore buttons
+async function loadVersions(item, container) {
+    container.innerHTML = '<div class="loading">Loading versions...</div>';
+
+    try {
+        const response = await apiFetch(`${API_BASE}/api/versions?path=${encodeURIComponent(item.path)}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load versions');
+        }
+
+        if (data.versions.length === 0) {
+            container.innerHTML = '<div class="no-preview"><p>No earlier versions. A version is kept each time this file is replaced.</p></div>';
+            return;
+        }
+
+        container.innerHTML = data.versions.map(version => `
+            <div class="version-item">
+                <div class="version-info">
+                    <span class="version-date">${new Date(version.modifiedAt).toLocaleString()}</span>
+                    <span class="version-meta">${formatFileSize(version.size)} · replaced ${new Date(version.createdAt).toLocaleString()}${version.createdBy ? ` by ${escapeHtml(version.createdBy)}` : ''}</span>
+                </div>
+                <div class="version-actions">
+                    <button class="upload-item-btn" data-action="download" data-id="${version.id}">Download</button>
+                    <button class="upload-item-btn" data-action="restore" data-id="${version.id}">Restore</button>
+                </div>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                if (button.dataset.action === 'download') {
+                    window.location.href = `${API_BASE}/api/versions/${button.dataset.id}/download?path=${encodeURIComponent(item.path)}`;
+                } else {
+                    restoreVersion(item, button.dataset.id, container);
+                }
+            });
+        });
+    } catch (error) {
+        console.error('Error loading versions:', error);
+        container.innerHTML = `<div class="no-preview"><p>${escapeHtml(error.message)}</p></div>`;
+    }
+}
+
+// Make an earlier version current again (the current content becomes a version)
+async function restoreVersion(item, versionId, container) {
+    if (!confirm(`Restore this version of "${item.name}"? The current content will be kept as a version.`)) {
+        return;
+    }
+
+    try {
+        const response = await apiFetch(`${API_BASE}/api/versions/${versionId}/restore`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ path: item.path })
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to restore version');
+        }
+
+        loadVersions(item, container);
+        loadFiles();
+    } catch (error) {
+        console.error('Error restoring version:', error);
+        alert(error.message || 'Failed to restore version');
+    }
+}
+
 // Close file modal
 function closeFileModal() {
     const modal = document.querySelector('.image-modal');
@@ -674,6 +1689,7 @@ function viewFile(filename, fileType) {
     // For now, create a minimal item object
     const item = {
         name: filename,
+        path: joinPath(currentPath, filename),
         size: 0,
         modified: new Date()
     };
@@ -695,30 +1711,30 @@ document.addEventListener('keydown', (e) => {
 // Delete file or folder
 async function deleteFile(filename) {
     // Find the item to check if it's a folder
-    const response = await fetch(`${API_BASE}/api/files?path=${encodeURIComponent(currentPath)}`);
+    const response = await apiFetch(`${API_BASE}/api/files?path=${encodeURIComponent(currentPath)}`);
     const items = await response.json();
     const item = items.find(i => i.name === filename);
 
     const isFolder = item && item.isDirectory;
     const itemType = isFolder ? 'folder' : 'file';
     const confirmMessage = isFolder && item.itemCount > 0
-        ? `Delete folder "${filename}" and all ${item.itemCount} items inside?`
-        : `Delete this ${itemType}?`;
+        ? `Move folder "${filename}" and all ${item.itemCount} items inside to the trash?`
+        : `Move this ${itemType} to the trash?`;
 
     if (!confirm(confirmMessage)) return;
 
     try {
+        const itemPath = joinPath(currentPath, filename);
         let deleteResponse;
 
         if (isFolder) {
             // Delete folder
-            const folderPath = currentPath === '/' ? filename : `${currentPath}/${filename}`;
-            deleteResponse = await fetch(`${API_BASE}/api/folders/${encodeURIComponent(folderPath)}`, {
+            deleteResponse = await apiFetch(`${API_BASE}/api/folders/${encodePath(itemPath)}`, {
                 method: 'DELETE'
             });
         } else {
             // Delete file
-            deleteResponse = await fetch(`${API_BASE}/api/delete/${encodeURIComponent(filename)}`, {
+            deleteResponse = await apiFetch(`${API_BASE}/api/files/${encodePath(itemPath)}`, {
                 method: 'DELETE'
             });
         }
@@ -748,42 +1764,516 @@ async function renameItem(oldName, isFile = false) {
     }
 
     try {
-        // Check if it's a folder by fetching current directory items
-        const response = await fetch(`${API_BASE}/api/files?path=${encodeURIComponent(currentPath)}`);
-        const items = await response.json();
-        const item = items.find(i => i.name === oldName);
-        const isFolder = item && item.isDirectory;
+        const response = await apiFetch(`${API_BASE}/api/move`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                path: joinPath(currentPath, oldName),
+                newName
+            })
+        });
+
+        if (response.ok) {
+            loadFiles();
+        } else {
+            const error = await response.json();
+            alert(error.error || 'Failed to rename');
+        }
+    } catch (error) {
+        console.error('Error renaming:', error);
+        alert('Failed to rename');
+    }
+}
 
-        let renameResponse;
+// Move file or folder into another folder
+async function moveItem(sourcePath, destination) {
+    const sourceParent = sourcePath.split('/').slice(0, -1).join('/') || '/';
+    if (destination === sourceParent || destination === sourcePath) return;
 
-        if (isFolder) {
-            // Rename folder
-            const folderPath = currentPath === '/' ? oldName : `${currentPath}/${oldName}`;
-            renameResponse = await fetch(`${API_BASE}/api/folders/${encodeURIComponent(folderPath)}`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ newName })
-            });
+    try {
+        const response = await apiFetch(`${API_BASE}/api/move`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                path: sourcePath,
+                destination
+            })
+        });
+
+        if (response.ok) {
+            loadFiles();
         } else {
-            // For files, we'd need a rename endpoint (not implemented yet)
-            alert('File renaming not yet implemented');
-            return;
+            const error = await response.json();
+            alert(error.error || 'Failed to move');
+        }
+    } catch (error) {
+        console.error('Error moving:', error);
+        alert('Failed to move');
+    }
+}
+
+// Copy file or folder (defaults to duplicating it in place)
+async function copyItem(sourcePath, destination) {
+    const name = sourcePath.split('/').pop();
+    const skeletonCard = createSkeletonCard(name, 'Copying...');
+    filesGrid.appendChild(skeletonCard);
+
+    try {
+        const body = { path: sourcePath };
+        if (destination) {
+            body.destination = destination;
+        }
+
+        const response = await apiFetch(`${API_BASE}/api/copy`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to copy');
+        }
+
+        const { job } = await response.json();
+        const finishedJob = await waitForJob(job.id, (progress) => {
+            const percent = progress.totalBytes > 0
+                ? (progress.doneBytes / progress.totalBytes) * 100
+                : (progress.doneItems / Math.max(progress.totalItems, 1)) * 100;
+            skeletonCard.querySelector('.skeleton-progress-fill').style.width = percent + '%';
+        });
+
+        if (finishedJob.status === 'failed') {
+            throw new Error(finishedJob.error || 'Failed to copy');
         }
 
-        if (renameResponse.ok) {
+        skeletonCard.classList.add('skeleton-complete');
+        setTimeout(() => {
+            skeletonCard.remove();
             loadFiles();
+        }, 300);
+    } catch (error) {
+        console.error('Error copying:', error);
+        skeletonCard.remove();
+        alert(error.message || 'Failed to copy');
+    }
+}
+
+// Ask for a destination folder, then copy there
+function copyItemTo(sourcePath) {
+    const destination = prompt('Copy to folder:', currentPath);
+    if (!destination) return;
+
+    copyItem(sourcePath, destination);
+}
+
+// Poll a background job until it finishes
+async function waitForJob(jobId, onProgress) {
+    while (true) {
+        const response = await apiFetch(`${API_BASE}/api/jobs/${encodeURIComponent(jobId)}`);
+        if (!response.ok) {
+            throw new Error('Lost track of background job');
+        }
+
+        const job = await response.json();
+        if (onProgress) {
+            onProgress(job.progress);
+        }
+        if (job.status === 'completed' || job.status === 'failed') {
+            return job;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 500));
+    }
+}
+
+// Create a public share link
+async function shareItem(itemPath) {
+    const days = prompt('Link expires after how many days? (leave empty for never)', '7');
+    if (days === null) return;
+    const password = prompt('Password for the link (leave empty for none):', '');
+    if (password === null) return;
+
+    const body = { path: itemPath };
+    if (days.trim()) {
+        const parsedDays = parseFloat(days);
+        if (!(parsedDays > 0)) {
+            alert('Please enter a positive number of days.');
+            return;
+        }
+        body.expiresInHours = parsedDays * 24;
+    }
+    if (password) {
+        body.password = password;
+    }
+
+    try {
+        const response = await apiFetch(`${API_BASE}/api/shares`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to create share link');
+        }
+
+        const { url } = await response.json();
+        const fullUrl = `${window.location.origin}${url}`;
+        try {
+            await navigator.clipboard.writeText(fullUrl);
+        } catch {
+            // Clipboard access is optional; the link is shown below either way
+        }
+        prompt('Share link (copied to clipboard):', fullUrl);
+    } catch (error) {
+        console.error('Error sharing:', error);
+        alert(error.message || 'Failed to create share link');
+    }
+}
+
+// Create an upload-only link for a folder
+async function requestFiles(folderPath) {
+    const days = prompt('Upload link expires after how many days? (leave empty for never)', '7');
+    if (days === null) return;
+
+    const body = { path: folderPath };
+    if (days.trim()) {
+        const parsedDays = parseFloat(days);
+        if (!(parsedDays > 0)) {
+            alert('Please enter a positive number of days.');
+            return;
+        }
+        body.expiresInHours = parsedDays * 24;
+    }
+
+    try {
+        const response = await apiFetch(`${API_BASE}/api/file-requests`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to create upload link');
+        }
+
+        const { url } = await response.json();
+        const fullUrl = `${window.location.origin}${url}`;
+        try {
+            await navigator.clipboard.writeText(fullUrl);
+        } catch {
+            // Clipboard access is optional; the link is shown below either way
+        }
+        prompt('Upload link (copied to clipboard):', fullUrl);
+    } catch (error) {
+        console.error('Error creating upload link:', error);
+        alert(error.message || 'Failed to create upload link');
+    }
+}
+
+// Run the current search; append loads the next page
+async function runSearch(append = false) {
+    const searchResults = document.getElementById('searchResults');
+    const searchList = document.getElementById('searchList');
+    const searchSummary = document.getElementById('searchSummary');
+    const searchMoreBtn = document.getElementById('searchMoreBtn');
+
+    searchOffset = append ? searchOffset + SEARCH_PAGE_SIZE : 0;
+    const requestParams = searchParams;
+    const inContents = requestParams.type === 'content';
+    const params = new URLSearchParams({ offset: searchOffset, limit: SEARCH_PAGE_SIZE });
+    if (requestParams.q) params.set('q', requestParams.q);
+    if (requestParams.type && !inContents) params.set('type', requestParams.type);
+
+    searchResults.style.display = 'block';
+    document.querySelector('.files-section').style.display = 'none';
+    if (!append) {
+        searchSummary.textContent = 'Searching...';
+        searchList.innerHTML = '';
+    }
+
+    try {
+        const endpoint = inContents ? '/api/search/content' : '/api/search';
+        const response = await apiFetch(`${API_BASE}${endpoint}?${params}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Search failed');
+        }
+        // A newer search started while this one was running
+        if (requestParams !== searchParams) {
+            return;
+        }
+
+        searchSummary.textContent = `${data.total} result${data.total !== 1 ? 's' : ''}` +
+            (requestParams.q ? ` for "${requestParams.q}"` : '');
+        data.results.forEach(item => searchList.appendChild(createSearchResultRow(item)));
+        searchMoreBtn.style.display = data.offset + data.results.length < data.total ? '' : 'none';
+    } catch (error) {
+        console.error('Error searching:', error);
+        searchSummary.textContent = error.message || 'Search failed';
+    }
+}
+
+// Hide search results and go back to the folder view
+function closeSearch() {
+    if (!searchParams) {
+        return;
+    }
+    searchParams = null;
+    document.getElementById('searchResults').style.display = 'none';
+    document.querySelector('.files-section').style.display = '';
+}
+
+// One search result: name, containing folder (click to jump there), size and date
+function createSearchResultRow(item) {
+    const folderPath = item.path.slice(0, item.path.lastIndexOf('/')) || '/';
+    const row = document.createElement('div');
+    row.className = 'version-item search-result';
+
+    row.innerHTML = `
+        <div class="version-info">
+            <span class="version-date search-result-name">${escapeHtml(item.name)}${item.isDirectory ? '/' : ''}</span>
+            <span class="version-meta">
+                in <a href="?path=${encodeURIComponent(folderPath)}" class="search-result-folder">${escapeHtml(folderPath)}</a>
+                · ${formatFileSize(item.size)} · ${new Date(item.modified).toLocaleDateString()}
+            </span>
+        </div>
+    `;
+
+    // Content search: matching lines with the words highlighted
+    if (item.snippets) {
+        const snippetList = document.createElement('div');
+        snippetList.className = 'search-snippets';
+        item.snippets.forEach(snippet => {
+            const line = document.createElement('div');
+            line.className = 'search-snippet';
+            line.innerHTML = `<span class="search-snippet-line">${snippet.line}</span>${highlightSnippet(snippet)}`;
+            snippetList.appendChild(line);
+        });
+        row.querySelector('.version-info').appendChild(snippetList);
+    }
+
+    // Jump to the containing folder
+    row.querySelector('.search-result-folder').addEventListener('click', (e) => {
+        e.preventDefault();
+        navigateToPath(folderPath);
+    });
+
+    // Open folders; for files, go to their folder and show the details
+    row.querySelector('.search-result-name').addEventListener('click', () => {
+        if (item.isDirectory) {
+            navigateToPath(item.path);
         } else {
-            const error = await renameResponse.json();
-            alert(error.error || 'Failed to rename');
+            navigateToPath(folderPath);
+            openFileDetails(item);
+        }
+    });
+
+    return row;
+}
+
+// Escape a snippet's text and wrap its matches in <mark>
+function highlightSnippet(snippet) {
+    let html = '';
+    let position = 0;
+    snippet.matches.forEach(([start, end]) => {
+        html += escapeHtml(snippet.text.slice(position, start));
+        html += `<mark>${escapeHtml(snippet.text.slice(start, end))}</mark>`;
+        position = end;
+    });
+    return html + escapeHtml(snippet.text.slice(position));
+}
+
+// Show the trash with restore and permanent delete buttons
+function showTrash() {
+    const modal = document.createElement('div');
+    modal.className = 'image-modal';
+
+    modal.innerHTML = `
+        <div class="modal-overlay" onclick="closeFileModal()"></div>
+        <div class="modal-content modal-text">
+            <button class="modal-close" onclick="closeFileModal()" aria-label="Close">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <line x1="18" y1="6" x2="6" y2="18"></line>
+                    <line x1="6" y1="6" x2="18" y2="18"></line>
+                </svg>
+            </button>
+
+            <div class="modal-file-info">
+                <div class="modal-filename">Trash</div>
+                <div class="modal-file-meta">
+                    <span class="trash-retention"></span>
+                </div>
+            </div>
+
+            <div class="version-list trash-list"></div>
+
+            <div class="modal-actions">
+                <button class="modal-action-btn delete-btn" id="emptyTrashBtn">Empty trash</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    document.body.style.overflow = 'hidden';
+    setTimeout(() => modal.classList.add('active'), 10);
+
+    const handleEscape = (e) => {
+        if (e.key === 'Escape') {
+            closeFileModal();
+            document.removeEventListener('keydown', handleEscape);
+        }
+    };
+    document.addEventListener('keydown', handleEscape);
+
+    modal.querySelector('#emptyTrashBtn').addEventListener('click', () => emptyTrash(modal));
+    loadTrash(modal);
+}
+
+// Fill the trash modal with the current trash items
+async function loadTrash(modal) {
+    const list = modal.querySelector('.trash-list');
+    list.innerHTML = '<div class="loading">Loading trash...</div>';
+
+    try {
+        const response = await apiFetch(`${API_BASE}/api/trash`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load trash');
+        }
+
+        modal.querySelector('.trash-retention').textContent =
+            `Items are deleted for good after ${data.retentionDays} days`;
+        modal.querySelector('#emptyTrashBtn').style.display = data.items.length > 0 ? '' : 'none';
+
+        if (data.items.length === 0) {
+            list.innerHTML = '<div class="no-preview"><p>The trash is empty.</p></div>';
+            return;
         }
+
+        list.innerHTML = data.items.map(item => `
+            <div class="version-item">
+                <div class="version-info">
+                    <span class="version-date">${escapeHtml(item.name)}${item.isDirectory ? '/' : ''}</span>
+                    <span class="version-meta">${escapeHtml(item.path)} · ${formatFileSize(item.size)} · deleted ${new Date(item.deletedAt).toLocaleString()} by ${escapeHtml(item.deletedBy)}</span>
+                </div>
+                <div class="version-actions">
+                    <button class="upload-item-btn" data-action="restore" data-id="${item.id}">Restore</button>
+                    <button class="upload-item-btn" data-action="purge" data-id="${item.id}">Delete forever</button>
+                </div>
+            </div>
+        `).join('');
+
+        list.querySelectorAll('[data-action]').forEach(button => {
+            const item = data.items.find(i => i.id === button.dataset.id);
+            button.addEventListener('click', () => {
+                if (button.dataset.action === 'restore') {
+                    restoreTrashItem(item, modal);
+                } else {
+                    purgeTrashItem(item, modal);
+                }
+            });
+        });
     } catch (error) {
-        console.error('Error renaming:', error);
-        alert('Failed to rename');
+        console.error('Error loading trash:', error);
+        list.innerHTML = `<div class="no-preview"><p>${escapeHtml(error.message)}</p></div>`;
+    }
+}
+
+// Put a trash item back where it was deleted from
+async function restoreTrashItem(item, modal, onConflict = 'fail') {
+    try {
+        const response = await apiFetch(`${API_BASE}/api/trash/${item.id}/restore`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ onConflict })
+        });
+        const data = await response.json();
+
+        if (response.status === 409) {
+            // Something new has taken the name; offer to keep both
+            if (confirm(`"${item.path}" already exists. Restore it under a new name instead?`)) {
+                await restoreTrashItem(item, modal, 'rename');
+            }
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to restore item');
+        }
+
+        loadTrash(modal);
+        loadFiles();
+    } catch (error) {
+        console.error('Error restoring item:', error);
+        alert(error.message || 'Failed to restore item');
+    }
+}
+
+async function purgeTrashItem(item, modal) {
+    if (!confirm(`Delete "${item.name}" permanently? This cannot be undone.`)) {
+        return;
+    }
+
+    try {
+        const response = await apiFetch(`${API_BASE}/api/trash/${item.id}`, { method: 'DELETE' });
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to delete item');
+        }
+        loadTrash(modal);
+    } catch (error) {
+        console.error('Error deleting item:', error);
+        alert(error.message || 'Failed to delete item');
+    }
+}
+
+async function emptyTrash(modal) {
+    if (!confirm('Permanently delete everything in the trash? This cannot be undone.')) {
+        return;
+    }
+
+    try {
+        const response = await apiFetch(`${API_BASE}/api/trash`, { method: 'DELETE' });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to empty trash');
+        }
+        if (data.failed.length > 0) {
+            alert(`${data.failed.length} item(s) could not be deleted:\n` +
+                data.failed.map(f => `${f.path}: ${f.error}`).join('\n'));
+        }
+        loadTrash(modal);
+    } catch (error) {
+        console.error('Error emptying trash:', error);
+        alert(error.message || 'Failed to empty trash');
     }
 }
 
+// Utility: Join a folder path and an item name
+function joinPath(folderPath, name) {
+    return folderPath === '/' ? `/${name}` : `${folderPath}/${name}`;
+}
+
+// Utility: URL-encode each segment of a path, keeping the slashes
+function encodePath(itemPath) {
+    return itemPath.split('/').filter(p => p).map(encodeURIComponent).join('/');
+}
+
 // Utility: Format file size
 function formatFileSize(bytes) {
     if (bytes === 0) return '0 Bytes';
@@ -0,0 +1,46 @@
+// DOM Elements
+const loginForm = document.getElementById('loginForm');
+const loginError = document.getElementById('loginError');
+const loginBtn = document.getElementById('loginBtn');
+
+// Apply the theme picked on the main page
+const savedTheme = localStorage.getItem('theme') || 'dark';
+if (savedTheme === 'auto') {
+    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+    document.documentElement.setAttribute('data-theme', prefersDark ? 'dark' : 'light');
+} else {
+    document.documentElement.setAttribute('data-theme', savedTheme);
+}
+
+loginForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    loginError.hidden = true;
+    loginBtn.disabled = true;
+
+    try {
+        const response = await fetch('/api/auth/login', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'same-origin',
+            body: JSON.stringify({
+                username: document.getElementById('username').value,
+                password: document.getElementById('password').value
+            })
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to log in');
+        }
+
+        // Only follow same-site redirect targets
+        const next = new URLSearchParams(window.location.search).get('next') || '/';
+        window.location.href = next.startsWith('/') && !next.startsWith('//') ? next : '/';
+    } catch (error) {
+        loginError.textContent = error.message;
+        loginError.hidden = false;
+        loginBtn.disabled = false;
+    }
+});
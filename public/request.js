@@ -0,0 +1,164 @@
+// File request token from /r/<token>
+const requestToken = window.location.pathname.split('/').filter(p => p).pop();
+const REQUEST_API = `/api/public/requests/${encodeURIComponent(requestToken)}`;
+
+// DOM Elements
+const uploadZone = document.getElementById('uploadZone');
+const fileInput = document.getElementById('fileInput');
+const uploadProgress = document.getElementById('uploadProgress');
+const progressFill = document.getElementById('progressFill');
+const progressText = document.getElementById('progressText');
+
+// Limits from the server
+let maxFileSize = null;
+
+// Apply the theme picked on the main page
+const savedTheme = localStorage.getItem('theme') || 'dark';
+if (savedTheme === 'auto') {
+    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+    document.documentElement.setAttribute('data-theme', prefersDark ? 'dark' : 'light');
+} else {
+    document.documentElement.setAttribute('data-theme', savedTheme);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    loadRequest();
+
+    uploadZone.addEventListener('click', () => {
+        fileInput.click();
+    });
+
+    fileInput.addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            uploadFiles(e.target.files);
+        }
+    });
+
+    uploadZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        uploadZone.classList.add('drag-over');
+    });
+
+    uploadZone.addEventListener('dragleave', () => {
+        uploadZone.classList.remove('drag-over');
+    });
+
+    uploadZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        uploadZone.classList.remove('drag-over');
+
+        if (e.dataTransfer.files.length > 0) {
+            uploadFiles(e.dataTransfer.files);
+        }
+    });
+});
+
+// Load the request's title and limits
+async function loadRequest() {
+    try {
+        const response = await fetch(REQUEST_API);
+        const data = await response.json();
+
+        if (!response.ok) {
+            showError(data.error || 'This upload link is not available');
+            return;
+        }
+
+        maxFileSize = data.maxFileSize;
+        document.getElementById('requestTitle').textContent = data.title;
+
+        const limits = ['or click to browse'];
+        if (data.maxFileSize !== null) {
+            limits.push(`up to ${formatFileSize(data.maxFileSize)} per file`);
+        }
+        if (data.remainingFiles !== null) {
+            limits.push(`${data.remainingFiles} file${data.remainingFiles !== 1 ? 's' : ''} left`);
+        }
+        if (data.expiresAt) {
+            limits.push(`open until ${new Date(data.expiresAt).toLocaleString()}`);
+        }
+        document.getElementById('requestLimits').textContent = limits.join(' · ');
+
+        document.getElementById('requestUpload').hidden = false;
+    } catch (error) {
+        console.error('Error loading upload link:', error);
+        showError('Failed to load upload link');
+    }
+}
+
+// Upload files
+function uploadFiles(files) {
+    const fileArray = Array.from(files);
+
+    const tooLarge = maxFileSize !== null && fileArray.find(file => file.size > maxFileSize);
+    if (tooLarge) {
+        showProgressError(`"${tooLarge.name}" is larger than ${formatFileSize(maxFileSize)}`);
+        return;
+    }
+
+    const formData = new FormData();
+    for (const file of fileArray) {
+        formData.append('files', file);
+    }
+
+    uploadProgress.style.display = 'block';
+    progressFill.style.width = '0%';
+    progressText.textContent = 'Uploading...';
+    progressText.style.color = '';
+
+    const xhr = new XMLHttpRequest();
+
+    xhr.upload.addEventListener('progress', (e) => {
+        if (e.lengthComputable) {
+            const percentComplete = (e.loaded / e.total) * 100;
+            progressFill.style.width = percentComplete + '%';
+            progressText.textContent = `Uploading... ${Math.round(percentComplete)}%`;
+        }
+    });
+
+    xhr.addEventListener('load', () => {
+        fileInput.value = '';
+        if (xhr.status === 200) {
+            progressText.textContent = `Sent ${fileArray.length} file${fileArray.length !== 1 ? 's' : ''}. Thank you!`;
+            loadRequest();
+        } else {
+            let message = 'Upload failed. Please try again.';
+            try {
+                message = JSON.parse(xhr.responseText).error || message;
+            } catch {
+                // Keep the generic message
+            }
+            showProgressError(message);
+        }
+    });
+
+    xhr.addEventListener('error', () => {
+        showProgressError('Upload failed. Please try again.');
+    });
+
+    xhr.open('POST', `${REQUEST_API}/upload`);
+    xhr.send(formData);
+}
+
+function showProgressError(message) {
+    uploadProgress.style.display = 'block';
+    progressText.textContent = message;
+    progressText.style.color = 'var(--danger)';
+}
+
+function showError(message) {
+    document.getElementById('requestUpload').hidden = true;
+    document.getElementById('requestErrorText').textContent = message;
+    document.getElementById('requestError').hidden = false;
+}
+
+// Utility: Format file size
+function formatFileSize(bytes) {
+    if (bytes === 0) return '0 Bytes';
+
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+    return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
+}
@@ -0,0 +1,208 @@
+// Share token from /s/<token>
+const shareToken = window.location.pathname.split('/').filter(p => p).pop();
+const SHARE_API = `/api/public/shares/${encodeURIComponent(shareToken)}`;
+
+// DOM Elements
+const unlockForm = document.getElementById('unlockForm');
+const unlockError = document.getElementById('unlockError');
+const shareContent = document.getElementById('shareContent');
+const shareItems = document.getElementById('shareItems');
+const shareError = document.getElementById('shareError');
+
+// Folder being viewed inside a shared folder
+let currentSubPath = '/';
+
+// Apply the theme picked on the main page
+const savedTheme = localStorage.getItem('theme') || 'dark';
+if (savedTheme === 'auto') {
+    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+    document.documentElement.setAttribute('data-theme', prefersDark ? 'dark' : 'light');
+} else {
+    document.documentElement.setAttribute('data-theme', savedTheme);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    loadShare('/');
+
+    unlockForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        unlockError.hidden = true;
+
+        const response = await fetch(`${SHARE_API}/unlock`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ password: document.getElementById('sharePassword').value })
+        });
+
+        if (response.ok) {
+            unlockForm.hidden = true;
+            loadShare('/');
+        } else {
+            const error = await response.json();
+            unlockError.textContent = error.error || 'Incorrect password';
+            unlockError.hidden = false;
+        }
+    });
+});
+
+// Load share info, or the listing of a folder inside the share
+async function loadShare(subPath) {
+    try {
+        const response = await fetch(`${SHARE_API}?path=${encodeURIComponent(subPath)}`);
+        const data = await response.json();
+
+        if (response.status === 401 && data.requiresPassword) {
+            document.getElementById('shareTitle').textContent = `"${data.name}" is password protected`;
+            unlockForm.hidden = false;
+            return;
+        }
+        if (!response.ok) {
+            showError(data.error || 'This link is not available');
+            return;
+        }
+
+        document.getElementById('shareTitle').textContent = `Shared with you: ${data.name}`;
+        renderMeta(data);
+        renderPath(data.name, data.isDirectory ? subPath : null);
+
+        shareItems.innerHTML = '';
+        if (data.items) {
+            const sorted = data.items.sort((a, b) => {
+                if (a.isDirectory && !b.isDirectory) return -1;
+                if (!a.isDirectory && b.isDirectory) return 1;
+                return a.name.localeCompare(b.name);
+            });
+            sorted.forEach(item => shareItems.appendChild(createItemCard(item)));
+            if (sorted.length === 0) {
+                shareItems.innerHTML = '<div class="loading">This folder is empty</div>';
+            }
+        } else {
+            shareItems.appendChild(createItemCard({
+                name: data.name,
+                path: '',
+                size: data.size,
+                modified: data.modified,
+                isDirectory: false
+            }));
+        }
+
+        shareContent.hidden = false;
+    } catch (error) {
+        console.error('Error loading share:', error);
+        showError('Failed to load shared files');
+    }
+}
+
+function createItemCard(item) {
+    const card = document.createElement('div');
+    card.className = item.isDirectory ? 'file-card folder-card' : 'file-card';
+    card.style.cursor = 'pointer';
+
+    if (item.isDirectory) {
+        card.onclick = () => loadShare(item.path);
+    } else {
+        card.onclick = () => {
+            window.location.href = `${SHARE_API}/download${encodePath(item.path)}`;
+            // Downloads may use up the limit; refresh the remaining count
+            setTimeout(() => loadShare(currentSubPath), 1500);
+        };
+    }
+
+    const icon = item.isDirectory
+        ? '<path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path>'
+        : '<path d="M13 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V9z"></path><polyline points="13 2 13 9 20 9"></polyline>';
+
+    card.innerHTML = `
+    <div class="file-info">
+      <svg class="file-icon ${item.isDirectory ? 'folder-icon' : ''}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        ${icon}
+      </svg>
+      <div class="file-name" title="${escapeHtml(item.name)}">${escapeHtml(item.name)}</div>
+      <div class="file-meta">
+        <span>${item.isDirectory ? 'Folder' : formatFileSize(item.size)}</span>
+        <span>${new Date(item.modified).toLocaleDateString()}</span>
+      </div>
+    </div>
+  `;
+
+    return card;
+}
+
+function renderPath(rootName, subPath) {
+    currentSubPath = subPath || '/';
+    const container = document.getElementById('sharePath');
+    const parts = (subPath || '/').split('/').filter(p => p);
+
+    let html = `<span class="breadcrumb-item ${parts.length === 0 ? 'active' : ''}">${parts.length === 0
+        ? escapeHtml(rootName)
+        : `<a href="#" data-path="/">${escapeHtml(rootName)}</a>`}</span>`;
+
+    let pathSoFar = '';
+    parts.forEach((part, index) => {
+        pathSoFar += '/' + part;
+        const isLast = index === parts.length - 1;
+        html += `
+            <span class="breadcrumb-separator">›</span>
+            <span class="breadcrumb-item ${isLast ? 'active' : ''}">
+                ${isLast ? escapeHtml(part) : `<a href="#" data-path="${escapeHtml(pathSoFar)}">${escapeHtml(part)}</a>`}
+            </span>
+        `;
+    });
+
+    container.innerHTML = html;
+    container.querySelectorAll('a[data-path]').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            loadShare(link.dataset.path);
+        });
+    });
+}
+
+function renderMeta(data) {
+    const parts = [];
+    if (data.expiresAt) {
+        parts.push(`Expires ${new Date(data.expiresAt).toLocaleString()}`);
+    }
+    if (data.downloadsRemaining !== null) {
+        parts.push(`${data.downloadsRemaining} download${data.downloadsRemaining !== 1 ? 's' : ''} left`);
+    }
+    document.getElementById('shareMeta').textContent = parts.join(' · ');
+}
+
+function showError(message) {
+    shareContent.hidden = true;
+    unlockForm.hidden = true;
+    document.getElementById('shareErrorText').textContent = message;
+    shareError.hidden = false;
+}
+
+// Utility: URL-encode each segment of a path, keeping a leading slash
+function encodePath(itemPath) {
+    const encoded = itemPath.split('/').filter(p => p).map(encodeURIComponent).join('/');
+    return encoded ? `/${encoded}` : '';
+}
+
+// Utility: Format file size
+function formatFileSize(bytes) {
+    if (bytes === 0) return '0 Bytes';
+
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+    return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
+}
+
+// Utility: Escape HTML to prevent XSS
+function escapeHtml(text) {
+    const map = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#039;'
+    };
+    return text.replace(/[&<>"']/g, m => map[m]);
+}
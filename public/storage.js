@@ -0,0 +1,349 @@
+// Treemap shows this many of a folder's largest children; the rest are lumped together
+const TREEMAP_MAX_TILES = 40;
+
+// Apply the theme picked on the main page
+const savedTheme = localStorage.getItem('theme') || 'dark';
+if (savedTheme === 'auto') {
+    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+    document.documentElement.setAttribute('data-theme', prefersDark ? 'dark' : 'light');
+} else {
+    document.documentElement.setAttribute('data-theme', savedTheme);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    loadUsage();
+    loadTree('/');
+    loadAnalysis();
+});
+
+// Wrapper around fetch that sends the user to the login page when the session is gone
+async function apiFetch(url) {
+    const response = await fetch(url, { credentials: 'same-origin' });
+    if (response.status === 401) {
+        window.location.href = `/login.html?next=${encodeURIComponent(window.location.pathname)}`;
+        throw new Error('Authentication required');
+    }
+
+    const data = await response.json();
+    if (response.status === 403) {
+        showError('Only administrators can see storage usage');
+    }
+    if (!response.ok) {
+        throw new Error(data.error || 'Request failed');
+    }
+    return data;
+}
+
+// Disk usage bar and growth chart
+async function loadUsage() {
+    try {
+        const { usage, history } = await apiFetch('/api/storage?days=30');
+        renderUsage(usage);
+        renderGrowth(history);
+    } catch (error) {
+        console.error('Error loading storage usage:', error);
+        document.getElementById('usageTotal').textContent = error.message;
+    }
+}
+
+function renderUsage(usage) {
+    // Space used by other things on the same filesystem
+    const other = Math.max(usage.used - usage.files - usage.trash - usage.versions, 0);
+    const segments = [
+        { label: 'Files', size: usage.files, className: 'files' },
+        { label: 'Trash', size: usage.trash, className: 'trash' },
+        { label: 'Old versions', size: usage.versions, className: 'versions' },
+        { label: 'Other', size: other, className: 'other' }
+    ];
+    // Storage that can't report its size (S3, memory) has no free space to show
+    if (usage.free !== null) {
+        segments.push({ label: 'Free', size: usage.free, className: 'free' });
+    }
+    const total = segments.reduce((sum, segment) => sum + segment.size, 0) || 1;
+
+    document.getElementById('usageTotal').textContent = usage.total === null
+        ? `${formatFileSize(usage.used)} used`
+        : `${formatFileSize(usage.used)} used of ${formatFileSize(usage.total)} (${formatFileSize(usage.free)} free)`;
+
+    document.getElementById('usageBar').innerHTML = segments
+        .filter(segment => segment.size > 0)
+        .map(segment => `<div class="storage-bar-segment ${segment.className}" style="width: ${segment.size / total * 100}%"
+            title="${segment.label}: ${formatFileSize(segment.size)}"></div>`)
+        .join('');
+
+    document.getElementById('usageLegend').innerHTML = segments
+        .map(segment => `<li><span class="storage-swatch ${segment.className}"></span>${segment.label}
+            <strong>${formatFileSize(segment.size)}</strong></li>`)
+        .join('');
+}
+
+// Line chart of used space and file size over the sampled period
+function renderGrowth(history) {
+    const chart = document.getElementById('growthChart');
+    if (history.length < 2) {
+        chart.innerHTML = '<div class="loading">Not enough data yet. Usage is sampled every hour.</div>';
+        return;
+    }
+
+    const width = 600;
+    const height = 200;
+    const start = new Date(history[0].at).getTime();
+    const span = new Date(history[history.length - 1].at).getTime() - start || 1;
+    const max = Math.max(...history.map(sample => Math.max(sample.used, sample.files))) || 1;
+
+    const line = (key) => history.map(sample => {
+        const x = (new Date(sample.at).getTime() - start) / span * width;
+        const y = height - sample[key] / max * height;
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+    }).join(' ');
+
+    const first = history[0];
+    const last = history[history.length - 1];
+    const change = last.files - first.files;
+
+    chart.innerHTML = `
+        <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+            <polyline class="growth-line used" points="${line('used')}"></polyline>
+            <polyline class="growth-line files" points="${line('files')}"></polyline>
+        </svg>
+        <div class="storage-chart-labels">
+            <span>${new Date(first.at).toLocaleDateString()}</span>
+            <span>
+                <span class="storage-swatch other"></span>Disk used
+                <span class="storage-swatch files"></span>Files
+                (${change >= 0 ? '+' : '-'}${formatFileSize(Math.abs(change))})
+            </span>
+            <span>${new Date(last.at).toLocaleDateString()}</span>
+        </div>
+    `;
+}
+
+// Treemap of a folder's children; folders can be clicked to go into them
+async function loadTree(folderPath) {
+    const treemap = document.getElementById('treemap');
+    treemap.innerHTML = '<div class="loading">Loading...</div>';
+
+    try {
+        const data = await apiFetch(`/api/storage/tree?path=${encodeURIComponent(folderPath)}`);
+        renderTreePath(data.path);
+        renderTreemap(data);
+    } catch (error) {
+        console.error('Error loading folder sizes:', error);
+        treemap.innerHTML = `<div class="loading">${escapeHtml(error.message)}</div>`;
+    }
+}
+
+function renderTreemap(data) {
+    const treemap = document.getElementById('treemap');
+    const children = data.children.filter(child => child.size > 0);
+    if (children.length === 0) {
+        treemap.innerHTML = '<div class="loading">This folder is empty</div>';
+        return;
+    }
+
+    const tiles = children.slice(0, TREEMAP_MAX_TILES);
+    const rest = children.slice(TREEMAP_MAX_TILES);
+    if (rest.length > 0) {
+        tiles.push({
+            name: `${rest.length} smaller items`,
+            size: rest.reduce((sum, child) => sum + child.size, 0),
+            isGroup: true
+        });
+    }
+
+    treemap.innerHTML = '';
+    const rects = layoutTreemap(tiles, { x: 0, y: 0, w: treemap.clientWidth, h: treemap.clientHeight });
+    rects.forEach(({ item, x, y, w, h }, index) => {
+        const tile = document.createElement('div');
+        tile.className = `treemap-tile${item.isDirectory ? ' folder' : ''}${item.isGroup ? ' group' : ''}`;
+        tile.style.cssText = `left: ${x}px; top: ${y}px; width: ${w}px; height: ${h}px;` +
+            (item.isGroup ? '' : ` --tile-hue: ${(index * 47) % 360};`);
+        tile.title = `${item.name}${item.isDirectory ? '/' : ''} - ${formatFileSize(item.size)} ` +
+            `(${Math.round(item.size / data.size * 1000) / 10}%)`;
+
+        // Leave labels off tiles too small to read
+        if (w > 60 && h > 32) {
+            tile.innerHTML = `<span class="treemap-name">${escapeHtml(item.name)}</span>
+                <span class="treemap-size">${formatFileSize(item.size)}</span>`;
+        }
+        if (item.isDirectory) {
+            tile.addEventListener('click', () => loadTree(item.path));
+        }
+        treemap.appendChild(tile);
+    });
+}
+
+// Squarified treemap layout: items (sorted by size, biggest first) are laid
+// out in rows along the shorter side of the remaining space, keeping tiles
+// as close to square as possible
+function layoutTreemap(items, rect) {
+    const total = items.reduce((sum, item) => sum + item.size, 0);
+    const scale = rect.w * rect.h / total;
+    const nodes = items.map(item => ({ item, area: item.size * scale }));
+    const rects = [];
+    let space = { ...rect };
+    let row = [];
+
+    // Worst aspect ratio of a row laid along a side of the given length
+    const worst = (rowNodes, side) => {
+        const areas = rowNodes.map(node => node.area);
+        const sum = areas.reduce((a, b) => a + b, 0);
+        return Math.max((side * side * Math.max(...areas)) / (sum * sum), (sum * sum) / (side * side * Math.min(...areas)));
+    };
+
+    const placeRow = () => {
+        const sum = row.reduce((a, node) => a + node.area, 0);
+        if (space.w >= space.h) {
+            // Column on the left
+            const thickness = sum / space.h;
+            let y = space.y;
+            row.forEach(node => {
+                const h = node.area / thickness;
+                rects.push({ item: node.item, x: space.x, y, w: thickness, h });
+                y += h;
+            });
+            space = { x: space.x + thickness, y: space.y, w: space.w - thickness, h: space.h };
+        } else {
+            // Row along the top
+            const thickness = sum / space.w;
+            let x = space.x;
+            row.forEach(node => {
+                const w = node.area / thickness;
+                rects.push({ item: node.item, x, y: space.y, w, h: thickness });
+                x += w;
+            });
+            space = { x: space.x, y: space.y + thickness, w: space.w, h: space.h - thickness };
+        }
+        row = [];
+    };
+
+    for (const node of nodes) {
+        const side = Math.min(space.w, space.h);
+        if (row.length > 0 && worst([...row, node], side) > worst(row, side)) {
+            placeRow();
+        }
+        row.push(node);
+    }
+    if (row.length > 0) {
+        placeRow();
+    }
+    return rects;
+}
+
+function renderTreePath(folderPath) {
+    const container = document.getElementById('treemapPath');
+    const parts = folderPath.split('/').filter(p => p);
+
+    let html = `<span class="breadcrumb-item ${parts.length === 0 ? 'active' : ''}">${parts.length === 0
+        ? 'Home'
+        : '<a href="#" data-path="/">Home</a>'}</span>`;
+
+    let pathSoFar = '';
+    parts.forEach((part, index) => {
+        pathSoFar += '/' + part;
+        const isLast = index === parts.length - 1;
+        html += `
+            <span class="breadcrumb-separator">›</span>
+            <span class="breadcrumb-item ${isLast ? 'active' : ''}">
+                ${isLast ? escapeHtml(part) : `<a href="#" data-path="${escapeHtml(pathSoFar)}">${escapeHtml(part)}</a>`}
+            </span>
+        `;
+    });
+
+    container.innerHTML = html;
+    container.querySelectorAll('a[data-path]').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            loadTree(link.dataset.path);
+        });
+    });
+}
+
+// Largest files and folders and the per-type breakdown (walks the whole tree)
+async function loadAnalysis() {
+    try {
+        const data = await apiFetch('/api/storage/analysis');
+
+        const typeTotal = data.byType.reduce((sum, type) => sum + type.size, 0) || 1;
+        renderRows('typeList', data.byType.filter(type => type.count > 0), type => ({
+            label: escapeHtml(type.type.charAt(0).toUpperCase() + type.type.slice(1)),
+            meta: `${type.count} file${type.count !== 1 ? 's' : ''}`,
+            size: type.size,
+            share: type.size / typeTotal
+        }));
+
+        const largestFolder = data.largestFolders[0] ? data.largestFolders[0].size : 1;
+        renderRows('largestFolders', data.largestFolders, folder => ({
+            label: `<a href="/?path=${encodeURIComponent(folder.path)}">${escapeHtml(folder.path)}</a>`,
+            size: folder.size,
+            share: folder.size / largestFolder
+        }));
+
+        const largestFile = data.largestFiles[0] ? data.largestFiles[0].size : 1;
+        renderRows('largestFiles', data.largestFiles, file => {
+            const folderPath = file.path.slice(0, file.path.lastIndexOf('/')) || '/';
+            return {
+                label: `<a href="/?path=${encodeURIComponent(folderPath)}">${escapeHtml(file.path)}</a>`,
+                meta: new Date(file.modified).toLocaleDateString(),
+                size: file.size,
+                share: file.size / largestFile
+            };
+        });
+    } catch (error) {
+        console.error('Error analyzing storage:', error);
+        ['typeList', 'largestFolders', 'largestFiles'].forEach(id => {
+            document.getElementById(id).innerHTML = `<div class="loading">${escapeHtml(error.message)}</div>`;
+        });
+    }
+}
+
+// List of labelled sizes with a bar showing each one's share
+function renderRows(containerId, items, describe) {
+    const container = document.getElementById(containerId);
+    if (items.length === 0) {
+        container.innerHTML = '<div class="loading">Nothing here yet</div>';
+        return;
+    }
+
+    container.innerHTML = items.map(item => {
+        const row = describe(item);
+        return `
+            <div class="storage-row">
+                <div class="storage-row-label">
+                    <span>${row.label}</span>
+                    <span class="storage-row-size">${row.meta ? `${row.meta} · ` : ''}${formatFileSize(row.size)}</span>
+                </div>
+                <div class="progress-bar"><div class="progress-fill" style="width: ${row.share * 100}%"></div></div>
+            </div>
+        `;
+    }).join('');
+}
+
+function showError(message) {
+    document.getElementById('storageContent').style.display = 'none';
+    document.getElementById('storageErrorText').textContent = message;
+    document.getElementById('storageError').hidden = false;
+}
+
+// Utility: Format file size
+function formatFileSize(bytes) {
+    if (bytes === 0) return '0 Bytes';
+
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+    return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
+}
+
+// Utility: Escape HTML to prevent XSS
+function escapeHtml(text) {
+    const map = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#039;'
+    };
+    return text.replace(/[&<>"']/g, m => map[m]);
+}
@@ -2,49 +2,195 @@ const express = require('express');
 const multer = require('multer');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const fsSync = require('fs');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const PluginManager = require('./lib/PluginManager');
+const HookRejection = require('./lib/HookRejection');
+const JobManager = require('./lib/JobManager');
+const UserStore = require('./lib/UserStore');
+const SessionStore = require('./lib/SessionStore');
+const AccessControl = require('./lib/AccessControl');
+const ShareStore = require('./lib/ShareStore');
+const FileRequestStore = require('./lib/FileRequestStore');
+const ResumableUploadStore = require('./lib/ResumableUploadStore');
+const VersionStore = require('./lib/VersionStore');
+const TrashStore = require('./lib/TrashStore');
+const ContentIndex = require('./lib/ContentIndex');
+const SizeIndex = require('./lib/SizeIndex');
+const StorageHistory = require('./lib/StorageHistory');
+const ChangeFeed = require('./lib/ChangeFeed');
+const WebDavServer = require('./lib/WebDavServer');
+const AccessKeyStore = require('./lib/AccessKeyStore');
+const MultipartUploadStore = require('./lib/MultipartUploadStore');
+const S3Server = require('./lib/S3Server');
+const StorageAdapter = require('./lib/StorageAdapter');
+const LocalStorageAdapter = require('./lib/LocalStorageAdapter');
+const MemoryStorageAdapter = require('./lib/MemoryStorageAdapter');
+const S3StorageAdapter = require('./lib/S3StorageAdapter');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const UPLOAD_DIR = process.env.UPLOAD_DIR || '/data';
+// Server state (users, etc.) lives in a hidden folder inside the storage volume
+const SYSTEM_DIR = process.env.SYSTEM_DIR || path.join(UPLOAD_DIR, '.quick-nas');
+// Where the files live: local (UPLOAD_DIR), memory, s3, or an adapter a plugin
+// registers. It's set up in start(), after the plugins are loaded.
+const STORAGE_ADAPTER = process.env.STORAGE_ADAPTER || 'local';
+// Trash and old versions are kept in storage under this hidden folder, which no
+// file API can reach (for local storage it's SYSTEM_DIR's default location)
+const STORAGE_SYSTEM_PATH = '/.quick-nas';
+const SESSION_COOKIE = 'quicknas_session';
+const SHARE_COOKIE_PREFIX = 'quicknas_share_';
+const MAX_UPLOAD_SIZE = 10 * 1024 * 1024 * 1024; // 10GB max file size
+
+// What an upload may do when a file with the same name already exists
+const CONFLICT_POLICIES = ['overwrite', 'rename', 'skip', 'fail'];
+
+// Extensions behind the search "type" filter
+const FILE_TYPES = {
+  image: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'bmp', 'heic', 'tif', 'tiff'],
+  video: ['mp4', 'mkv', 'mov', 'avi', 'webm', 'm4v', 'wmv'],
+  audio: ['mp3', 'wav', 'flac', 'aac', 'ogg', 'm4a', 'opus'],
+  document: ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'odt', 'ods', 'odp', 'txt', 'md', 'rtf', 'csv'],
+  archive: ['zip', 'tar', 'gz', 'tgz', 'bz2', 'xz', '7z', 'rar']
+};
+// Files the content index reads (the ones the web UI previews as text)
+const TEXT_EXTENSIONS = ['txt', 'log', 'md', 'json', 'xml', 'csv', 'js', 'css', 'html', 'py', 'java', 'c', 'cpp', 'sh', 'yml', 'yaml', 'conf', 'ini'];
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+
+// Initialize plugin manager; a hook callback that takes longer than
+// HOOK_TIMEOUT_SECONDS is given up on (and stops the operation if it's a "before" hook).
+// Isolated plugins never see the server's own files, even with the read-files capability
+const pluginManager = new PluginManager(path.join(__dirname, 'plugins'), {
+  hookTimeout: (parseInt(process.env.HOOK_TIMEOUT_SECONDS, 10) || 30) * 1000,
+  isProtectedPath: isSystemPath
+});
 
-// Initialize plugin manager
-const pluginManager = new PluginManager();
-
-// Ensure upload directory exists
-if (!fsSync.existsSync(UPLOAD_DIR)) {
-  fsSync.mkdirSync(UPLOAD_DIR, { recursive: true });
-}
+// Background job tracking (copies, etc.)
+const jobManager = new JobManager();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, UPLOAD_DIR);
-  },
-  filename: (req, file, cb) => {
-    // Use original filename
-    cb(null, file.originalname);
-  }
+// Users and login sessions
+const userStore = new UserStore(path.join(SYSTEM_DIR, 'users.json'));
+const sessionStore = new SessionStore({
+  ttl: (parseInt(process.env.SESSION_TTL_HOURS, 10) || 24 * 7) * 60 * 60 * 1000
 });
 
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024 * 1024 // 10GB max file size
-  }
+// Per-folder access control lists
+const accessControl = new AccessControl(path.join(SYSTEM_DIR, 'acl.json'));
+
+// Public share links
+const shareStore = new ShareStore(path.join(SYSTEM_DIR, 'shares.json'));
+
+// Upload-only file request links
+const fileRequestStore = new FileRequestStore(path.join(SYSTEM_DIR, 'file-requests.json'));
+
+// Staging area for resumable uploads
+const resumableUploads = new ResumableUploadStore(path.join(SYSTEM_DIR, 'uploads'));
+
+// The storage adapter and the stores that keep files in it, created by setUpStorage()
+let storage;
+
+// Earlier versions of overwritten files
+let versionStore;
+
+// Deleted files and folders, purged automatically after TRASH_RETENTION_DAYS
+let trashStore;
+const TRASH_RETENTION = (parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+// Full-text index of text files, rescanned every CONTENT_INDEX_RESCAN_MINUTES
+let contentIndex;
+const CONTENT_INDEX_RESCAN = (parseInt(process.env.CONTENT_INDEX_RESCAN_MINUTES, 10) || 60) * 60 * 1000;
+
+// Recursive folder sizes for the file list; anything that changes files
+// calls sizeIndex.invalidate() so the folders above it are recounted
+let sizeIndex;
+
+// Disk usage samples for the storage dashboard, taken hourly
+const storageHistory = new StorageHistory(path.join(SYSTEM_DIR, 'storage-history.json'));
+const STORAGE_SAMPLE_INTERVAL = 60 * 60 * 1000;
+
+// Live change events for open file lists
+const changeFeed = new ChangeFeed();
+
+// Files as the WebDAV and S3 servers see them, with the same permission checks,
+// plugin hooks and bookkeeping as the API. Uploads are staged in STAGING_DIR.
+const STAGING_DIR = path.join(SYSTEM_DIR, 'staging');
+const storageBackend = {
+  stat: storageStat,
+  list: storageList,
+  read: storageRead,
+  write: storageWrite,
+  mkdir: storageMkdir,
+  remove: storageRemove,
+  move: storageMove,
+  copy: storageCopy
+};
+
+// WebDAV access to the files (WEBDAV=false turns it off)
+const WEBDAV_PATH = process.env.WEBDAV_PATH || '/webdav';
+const webdavServer = new WebDavServer({
+  storage: storageBackend,
+  getErrorStatus: getPathErrorStatus
+});
+// Authorization header digest -> session token, so WebDAV clients (which send
+// their password with every request) only pay for the password check once
+const davSessions = new Map();
+
+// S3-compatible API on its own port, with top-level folders as buckets (S3=false
+// turns it off). Requests are signed with access keys that admins hand out.
+const S3_PORT = process.env.S3_PORT || 9000;
+const accessKeyStore = new AccessKeyStore(path.join(SYSTEM_DIR, 'access-keys.json'));
+const multipartUploads = new MultipartUploadStore(path.join(SYSTEM_DIR, 's3-uploads'));
+const MULTIPART_CLEANUP_INTERVAL = 60 * 60 * 1000;
+const s3Server = new S3Server({
+  storage: storageBackend,
+  getAccessKey: getS3AccessKey,
+  uploads: multipartUploads,
+  getErrorStatus: getPathErrorStatus
 });
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+// Every request gets an ID, sent back in X-Request-Id and passed to plugin hooks
+app.use((req, res, next) => {
+  req.id = crypto.randomBytes(8).toString('hex');
+  res.set('X-Request-Id', req.id);
+  next();
+});
+// Cross-origin access is off unless origins are explicitly allowed
+app.use(cors({ origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false, credentials: true }));
+// WebDAV reads raw request bodies, so it goes before the JSON parser
+if (process.env.WEBDAV !== 'false') {
+  app.use(WEBDAV_PATH, requireDavAuth, webdavServer.handler());
+}
+// Resumable upload chunks are raw bytes whatever they claim to be; the route
+// reads the body itself and refuses anything that isn't a byte stream
+app.use(express.json({ type: req => !isUploadChunk(req) && Boolean(req.is('application/json')) }));
 app.use(express.static('public'));
 
+// Helper: Whether a request appends a chunk to a resumable upload (PATCH /api/uploads/:id)
+function isUploadChunk(req) {
+  return req.method === 'PATCH' && /^\/api\/uploads\/[^/]+$/.test(req.path);
+}
+
 // Helper: Validate and sanitize path
-function validatePath(userPath) {
+// When a user is given, also check they hold `permission` on it (see AccessControl)
+function validatePath(userPath, user = null, permission = 'read') {
+  const itemPath = resolveStoragePath(userPath);
+
+  if (user && !accessControl.can(itemPath, user, permission)) {
+    throw new Error('Access denied');
+  }
+
+  return itemPath;
+}
+
+// Helper: Resolve a user-supplied path to a storage path ("/photos/a.jpg", "/" for the root)
+function resolveStoragePath(userPath) {
   if (!userPath || userPath === '/') {
-    return UPLOAD_DIR;
+    return '/';
   }
 
   // Remove leading/trailing slashes and normalize
@@ -55,255 +201,2920 @@ function validatePath(userPath) {
     throw new Error('Invalid path');
   }
 
-  // Resolve full path
-  const fullPath = path.join(UPLOAD_DIR, cleaned);
+  const itemPath = path.posix.join('/', cleaned);
+
+  // Keep server state out of reach of the file APIs
+  if (isSystemPath(itemPath)) {
+    throw new Error('Invalid path');
+  }
+
+  return itemPath;
+}
+
+// Helper: Check a permission on a whole tree (recursive delete, move, copy)
+function checkTreeAccess(itemPath, user, permission) {
+  if (!accessControl.canTree(itemPath, user, permission)) {
+    throw new Error('Access denied');
+  }
+}
 
-  // Ensure it's within UPLOAD_DIR
-  if (!fullPath.startsWith(UPLOAD_DIR)) {
-    throw new Error('Path outside storage directory');
+// Helper: Map path validation errors to an HTTP status (null = not a path error)
+function getPathErrorStatus(error) {
+  if (error.message.includes('Access denied')) {
+    return 403;
+  }
+  if (error.message.includes('Invalid path')) {
+    return 400;
   }
+  return null;
+}
 
-  return fullPath;
+// Helper: Error carrying the HTTP status to fail a request with
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
 }
 
-// Helper: Get folder metadata
-async function getFolderMetadata(folderPath) {
-  const items = await fs.readdir(folderPath);
-  let totalSize = 0;
-  let itemCount = 0;
+// Helper: Send a plugin's veto of an operation (a HookRejection) to the client
+function sendHookRejection(res, rejection) {
+  res.status(rejection.status).json({ error: rejection.message, plugin: rejection.plugin });
+}
 
-  for (const item of items) {
-    const itemPath = path.join(folderPath, item);
-    const stats = await fs.stat(itemPath);
-    itemCount++;
+// Helper: Check whether a storage path is inside STORAGE_SYSTEM_PATH
+function isSystemPath(itemPath) {
+  return StorageAdapter.isInside(itemPath, STORAGE_SYSTEM_PATH);
+}
 
-    if (stats.isDirectory()) {
-      // Recursively get folder size (simplified - just direct children)
-      const subItems = await fs.readdir(itemPath);
-      for (const subItem of subItems) {
-        const subStats = await fs.stat(path.join(itemPath, subItem));
-        totalSize += subStats.size;
-      }
-    } else {
-      totalSize += stats.size;
+// Helper: Read a cookie value from the request
+function getCookie(req, name) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(rest.join('='));
     }
   }
+  return null;
+}
 
-  return { itemCount, totalSize };
+// Helper: Get the session token from a bearer header or session cookie
+function getSessionToken(req) {
+  const authHeader = req.headers.authorization || '';
+  if (authHeader.startsWith('Bearer ')) {
+    return authHeader.slice('Bearer '.length).trim();
+  }
+  return getCookie(req, SESSION_COOKIE);
 }
 
-// API Routes
+// Helper: Resolve a public share request to the file or folder it may see
+// Sends the error response itself and returns null when access is refused
+async function resolveShareRequest(req, res, subPath) {
+  const share = shareStore.get(req.params.token);
+  const creator = share && userStore.getUser(share.createdBy);
 
-// Get list of files (with optional path parameter)
-app.get('/api/files', async (req, res) => {
+  // Links die with their creator's access to the shared path
+  if (!share || !creator || !accessControl.can(share.path, UserStore.toPublic(creator), 'read')) {
+    res.status(404).json({ error: 'Share not found' });
+    return null;
+  }
+
+  const inactiveReason = ShareStore.getInactiveReason(share);
+  if (inactiveReason) {
+    res.status(410).json({ error: inactiveReason });
+    return null;
+  }
+
+  if (!shareStore.isUnlocked(share, getCookie(req, `${SHARE_COOKIE_PREFIX}${share.token}`))) {
+    res.status(401).json({ error: 'Password required', requiresPassword: true });
+    return null;
+  }
+
+  // Sub-paths are only allowed inside a shared folder
+  const rootPath = resolveStoragePath(share.path);
+  const cleaned = (subPath || '').replace(/^\/+|\/+$/g, '');
+  if (cleaned && (!share.isDirectory || cleaned.split('/').includes('..'))) {
+    res.status(400).json({ error: 'Invalid path' });
+    return null;
+  }
+  const itemPath = cleaned ? path.posix.join(rootPath, cleaned) : rootPath;
+  if (!StorageAdapter.isInside(itemPath, rootPath)) {
+    res.status(400).json({ error: 'Invalid path' });
+    return null;
+  }
+
+  let stats;
   try {
-    const requestedPath = req.query.path || '/';
-    const fullPath = validatePath(requestedPath);
+    stats = await storage.stat(itemPath);
+  } catch {
+    res.status(404).json({ error: 'File not found' });
+    return null;
+  }
 
-    // Check if directory exists
-    const dirStats = await fs.stat(fullPath);
-    if (!dirStats.isDirectory()) {
-      return res.status(400).json({ error: 'Path is not a directory' });
+  return { share, rootPath, itemPath, stats, creator: UserStore.toPublic(creator) };
+}
+
+// Helper: Resolve a public file request token to its destination folder
+// Sends the error response itself and returns null when uploads are refused
+async function resolveFileRequest(req, res) {
+  const request = fileRequestStore.get(req.params.token);
+  const creator = request && userStore.getUser(request.createdBy);
+
+  // Links die with their creator's write access to the folder
+  if (!request || !creator || !accessControl.can(request.path, UserStore.toPublic(creator), 'write')) {
+    res.status(404).json({ error: 'Upload link not found' });
+    return null;
+  }
+
+  const inactiveReason = FileRequestStore.getInactiveReason(request);
+  if (inactiveReason) {
+    res.status(410).json({ error: inactiveReason });
+    return null;
+  }
+
+  const destPath = resolveStoragePath(request.path);
+  try {
+    const stats = await storage.stat(destPath);
+    if (!stats.isDirectory()) {
+      throw new Error('Not a folder');
     }
+  } catch {
+    res.status(404).json({ error: 'Upload link not found' });
+    return null;
+  }
 
-    const items = await fs.readdir(fullPath);
-    const itemDetails = await Promise.all(
-      items.map(async (itemName) => {
-        const itemPath = path.join(fullPath, itemName);
-        const stats = await fs.stat(itemPath);
-
-        // Build relative path from UPLOAD_DIR
-        const relativePath = path.relative(UPLOAD_DIR, itemPath);
-        const normalizedPath = '/' + relativePath.replace(/\\/g, '/');
-
-        const baseInfo = {
-          name: itemName,
-          path: normalizedPath,
-          size: stats.size,
-          modified: stats.mtime,
-          isDirectory: stats.isDirectory()
-        };
-
-        // Add folder-specific metadata
-        if (stats.isDirectory()) {
-          try {
-            const metadata = await getFolderMetadata(itemPath);
-            baseInfo.itemCount = metadata.itemCount;
-            baseInfo.size = metadata.totalSize;
-          } catch (error) {
-            console.error(`Error getting metadata for ${itemName}:`, error);
-            baseInfo.itemCount = 0;
-          }
+  return { request, destPath };
+}
+
+// Middleware: Require a logged-in user, exposed as req.user
+function requireAuth(req, res, next) {
+  if (req.user) {
+    return next();
+  }
+
+  const session = sessionStore.get(getSessionToken(req));
+  const user = session && userStore.getUser(session.username);
+  if (!user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  req.user = UserStore.toPublic(user);
+  next();
+}
+
+// Middleware: Require an admin user (use after requireAuth)
+function requireAdmin(req, res, next) {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+}
+
+// Middleware: Authenticate a WebDAV client with HTTP Basic credentials, or
+// with a session like the rest of the API, exposed as req.user
+async function requireDavAuth(req, res, next) {
+  try {
+    const authHeader = req.headers.authorization || '';
+    let session;
+    if (authHeader.startsWith('Basic ')) {
+      const digest = crypto.createHash('sha256').update(authHeader).digest('hex');
+      session = sessionStore.get(davSessions.get(digest));
+      if (!session) {
+        davSessions.delete(digest);
+        const credentials = Buffer.from(authHeader.slice('Basic '.length), 'base64').toString('utf8');
+        const separator = credentials.indexOf(':');
+        const user = separator === -1
+          ? null
+          : await userStore.verify(credentials.slice(0, separator), credentials.slice(separator + 1));
+        if (user) {
+          const { token } = sessionStore.create(user);
+          davSessions.set(digest, token);
+          session = sessionStore.get(token);
         }
+      }
+    } else {
+      session = sessionStore.get(getSessionToken(req));
+    }
 
-        return baseInfo;
-      })
-    );
+    const user = session && userStore.getUser(session.username);
+    if (!user) {
+      res.set('WWW-Authenticate', 'Basic realm="Quick NAS", charset="UTF-8"');
+      return res.status(401).type('text/plain').send('Authentication required');
+    }
 
-    // Plugin hook: transform file list
-    const hookResult = await pluginManager.executeHook('transformFileList', {
-      files: itemDetails,
-      path: requestedPath,
-      req
-    });
+    req.user = UserStore.toPublic(user);
+    next();
+  } catch (error) {
+    console.error('WebDAV login error:', error);
+    res.status(500).type('text/plain').send('Failed to log in');
+  }
+}
 
-    res.json(hookResult.files || itemDetails);
+// Helper: Look up an S3 access key with the user it acts as (null if either is gone)
+function getS3AccessKey(accessKeyId) {
+  const key = accessKeyStore.get(accessKeyId);
+  const user = key && userStore.getUser(key.username);
+  if (!user) {
+    return null;
+  }
+  return { secretAccessKey: key.secretAccessKey, user: UserStore.toPublic(user) };
+}
+
+// Helper: Check that a file or folder name is a single path segment
+function isValidName(name) {
+  return typeof name === 'string' && name.length > 0 &&
+    !name.includes('/') && !name.includes('\\') && name !== '.' && name !== '..';
+}
+
+// Helper: Get folder metadata (item count and recursive size, from the size index)
+// With a user, subfolders they can't read are left out of both
+async function getFolderMetadata(folderPath, user = null) {
+  let { itemCount, size } = await sizeIndex.get(folderPath);
+  for (const deniedPath of user ? accessControl.getDeniedPaths(folderPath, user, 'read') : []) {
+    // Rules can outlive their folder
+    const stats = await storage.stat(deniedPath).catch(() => null);
+    if (!stats) {
+      continue;
+    }
+    size -= stats.isDirectory() ? (await sizeIndex.get(deniedPath)).size : stats.size;
+    if (path.posix.dirname(deniedPath) === folderPath) {
+      itemCount--;
+    }
+  }
+  return { itemCount, totalSize: size };
+}
+
+// Helper: Describe a file or folder the way /api/files lists it
+// With a user, folder sizes only count what they can read
+async function getItemDetails(itemPath, stats = null, user = null) {
+  stats = stats || await storage.stat(itemPath);
+
+  const baseInfo = {
+    name: path.posix.basename(itemPath),
+    path: itemPath,
+    size: stats.size,
+    modified: stats.mtime,
+    isDirectory: stats.isDirectory()
+  };
+
+  // Add folder-specific metadata
+  if (stats.isDirectory()) {
+    try {
+      const metadata = await getFolderMetadata(itemPath, user);
+      baseInfo.itemCount = metadata.itemCount;
+      baseInfo.size = metadata.totalSize;
+    } catch (error) {
+      console.error(`Error getting metadata for ${baseInfo.name}:`, error);
+      baseInfo.itemCount = 0;
+    }
+  }
+
+  return baseInfo;
+}
+
+// Helper: Turn a search pattern into a name matcher
+// Plain text matches anywhere in the name; * and ? are wildcards for the whole name
+function createNameMatcher(pattern) {
+  const lower = pattern.toLowerCase();
+  if (!lower) {
+    return () => true;
+  }
+  if (!/[*?]/.test(lower)) {
+    return name => name.toLowerCase().includes(lower);
+  }
+
+  const source = lower.split('').map(char => {
+    if (char === '*') return '.*';
+    if (char === '?') return '.';
+    return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  const regex = new RegExp(`^${source}$`);
+  return name => regex.test(name.toLowerCase());
+}
+
+// Helper: Walk a folder tree, yielding every file and folder the user may read
+// Folders the user can't read are skipped along with everything inside them
+// Entries are the storage's list() entries (stats with a name)
+async function* walkTree(folderPath, user) {
+  let entries;
+  try {
+    entries = await storage.list(folderPath);
   } catch (error) {
-    console.error('Error reading files:', error);
-    if (error.message.includes('Invalid path') || error.message.includes('Path outside')) {
-      res.status(400).json({ error: error.message });
-    } else {
-      res.status(500).json({ error: 'Failed to read files' });
+    console.error(`Error reading ${folderPath}:`, error.message);
+    return;
+  }
+
+  for (const entry of entries) {
+    const itemPath = path.posix.join(folderPath, entry.name);
+    // Symlinks are left out, so the walk can't escape the tree
+    if (entry.symlink || isSystemPath(itemPath) || !accessControl.can(itemPath, user, 'read')) {
+      continue;
+    }
+
+    yield { itemPath, entry };
+    if (entry.isDirectory()) {
+      yield* walkTree(itemPath, user);
     }
   }
-});
+}
 
-// Upload file(s) with dynamic destination
-app.post('/api/upload', async (req, res) => {
+// Helper: Pick a name that doesn't exist yet in a folder ("file (1).ext")
+// Paths in `taken` count as existing (names claimed but not written yet)
+async function getAvailableName(folderPath, name, taken = new Set()) {
+  const ext = path.extname(name);
+  const base = ext && ext !== name ? name.slice(0, -ext.length) : name;
+  let candidate = name;
+  let counter = 1;
+
+  while (true) {
+    const candidatePath = path.posix.join(folderPath, candidate);
+    if (!taken.has(candidatePath) && !(await storage.exists(candidatePath))) {
+      return candidate;
+    }
+    candidate = ext && ext !== name ? `${base} (${counter})${ext}` : `${name} (${counter})`;
+    counter++;
+  }
+}
+
+// Helper: Apply an upload conflict policy to a file name in a folder
+// Returns the name to save as, or null to skip the file. Throws a FILE_EXISTS
+// error for "fail", and for any policy but "rename" when a folder has the name.
+// Paths in `taken` count as existing files.
+async function resolveNameConflict(folderPath, name, policy, taken = new Set()) {
+  if (policy === 'rename') {
+    return getAvailableName(folderPath, name, taken);
+  }
+
+  const itemPath = path.posix.join(folderPath, name);
+  let isDirectory = false;
+  if (!taken.has(itemPath)) {
+    try {
+      isDirectory = (await storage.stat(itemPath)).isDirectory();
+    } catch {
+      return name;
+    }
+  }
+
+  if (policy === 'skip') {
+    return null;
+  }
+  if (policy === 'overwrite' && !isDirectory) {
+    return name;
+  }
+
+  const error = new Error(`"${name}" already exists`);
+  error.code = 'FILE_EXISTS';
+  throw error;
+}
+
+// Helper: Count items and bytes in a file or folder tree
+async function scanTree(itemPath, stats = null) {
+  stats = stats || await storage.stat(itemPath);
+  if (!stats.isDirectory()) {
+    return { items: 1, bytes: stats.size };
+  }
+
+  let items = 1;
+  let bytes = 0;
+  for (const entry of await storage.list(itemPath)) {
+    const sub = await scanTree(path.posix.join(itemPath, entry.name), entry);
+    items += sub.items;
+    bytes += sub.bytes;
+  }
+  return { items, bytes };
+}
+
+// Helper: Move a file or folder into the trash, parking its access rules and
+// versions with it. Share and upload links to it stop working.
+async function moveToTrash(itemPath, user) {
+  const { bytes } = await scanTree(itemPath);
+  const item = await trashStore.add(itemPath, { deletedBy: user.username, size: bytes });
+  sizeIndex.invalidate(itemPath);
+
+  const parkingPath = TrashStore.getParkingPath(item.id);
+  await accessControl.movePath(itemPath, parkingPath);
+  await versionStore.movePath(itemPath, parkingPath);
+  await shareStore.removePath(itemPath);
+  await fileRequestStore.removePath(itemPath);
+  return item;
+}
+
+// Helper: Put a trash item back at targetPath (must be free)
+async function restoreFromTrash(item, targetPath) {
+  const parkingPath = TrashStore.getParkingPath(item.id);
+  await trashStore.restore(item.id, targetPath);
+  sizeIndex.invalidate(targetPath);
+  await accessControl.movePath(parkingPath, targetPath);
+  await versionStore.movePath(parkingPath, targetPath);
+}
+
+// Helper: Delete a trash item for good, running the delete hooks (the folder
+// ones for folders). user is null for the automatic purge
+async function purgeFromTrash(item, user, req = null) {
+  // The file hooks call the name "filename", the folder hooks "name"
+  const hookData = {
+    [item.isDirectory ? 'name' : 'filename']: item.name,
+    path: item.path,
+    filePath: storage.getLocalPath(trashStore.getDataPath(item.id)),
+    permanent: true,
+    trashItem: item,
+    user,
+    req
+  };
+  const hookName = item.isDirectory ? 'DeleteFolder' : 'Delete';
+
+  // Plugin hook: before delete (throws to keep the item)
+  await pluginManager.executeHook(`before${hookName}`, hookData);
+
+  const parkingPath = TrashStore.getParkingPath(item.id);
+  await trashStore.purge(item.id);
+  await accessControl.removePath(parkingPath);
+  await versionStore.removePath(parkingPath);
+
+  // Plugin hook: after delete
+  const { filePath, ...afterData } = hookData;
+  await pluginManager.executeHook(`after${hookName}`, afterData);
+}
+
+// Helper: Purge trash items past the retention period
+async function purgeExpiredTrash() {
+  for (const item of trashStore.listExpired(TRASH_RETENTION)) {
+    try {
+      await purgeFromTrash(item, null);
+    } catch (error) {
+      console.error(`Error purging ${item.path} from trash:`, error.message);
+    }
+  }
+}
+
+// Helper: Tell live-update subscribers about a change made through the API
+// newItemPath is where a renamed or moved item ended up
+async function publishChange(type, itemPath, user, newItemPath = null) {
   try {
-    // Get and validate destination path
-    const requestedPath = req.query.path || '/';
-    const destPath = validatePath(requestedPath);
-
-    // Ensure destination directory exists
-    await fs.mkdir(destPath, { recursive: true });
-
-    // Configure multer for this request
-    const dynamicUpload = multer({
-      storage: multer.diskStorage({
-        destination: (req, file, cb) => {
-          cb(null, destPath);
-        },
-        filename: (req, file, cb) => {
-          cb(null, file.originalname);
+    const event = { type, path: itemPath, user: user ? user.username : null };
+    if (newItemPath) {
+      event.newPath = newItemPath;
+    }
+    if (type !== 'delete') {
+      event.item = await getItemDetails(newItemPath || itemPath);
+    }
+    changeFeed.publish(event);
+  } catch (error) {
+    console.error(`Error publishing ${type} of ${itemPath}:`, error.message);
+  }
+}
+
+// Helper: Trim a change event down to what a user may see
+// A rename into or out of a hidden folder looks like a create or delete
+function getVisibleEvent(event, user) {
+  const canSee = itemPath => accessControl.can(itemPath, user, 'read');
+  if (event.type !== 'rename') {
+    return canSee(event.path) ? event : null;
+  }
+  if (canSee(event.path) && canSee(event.newPath)) {
+    return event;
+  }
+  if (canSee(event.path)) {
+    return { type: 'delete', path: event.path, user: event.user, at: event.at };
+  }
+  if (canSee(event.newPath)) {
+    return { type: 'create', path: event.newPath, item: event.item, user: event.user, at: event.at };
+  }
+  return null;
+}
+
+// Helper: Free and used space on the storage, and how much of it is files,
+// trash and old versions. Storage that can't tell its capacity (S3) reports
+// null for total and free, and only what Quick NAS keeps there as used.
+async function getStorageUsage() {
+  // Trash and versions don't exist until something is deleted or replaced
+  const sizeOf = async (folderPath) => (await storage.exists(folderPath)) ? (await scanTree(folderPath)).bytes : 0;
+
+  const files = (await sizeIndex.get('/')).size;
+  const trash = await sizeOf(trashStore.dataDir);
+  const versions = await sizeOf(versionStore.dataDir);
+  const usage = await storage.usage();
+  return {
+    total: usage ? usage.total : null,
+    used: usage ? usage.used : files + trash + versions,
+    free: usage ? usage.free : null,
+    files,
+    trash,
+    versions
+  };
+}
+
+// Helper: Take a storage usage sample for the growth chart
+async function recordStorageSample() {
+  try {
+    await storageHistory.record(await getStorageUsage());
+  } catch (error) {
+    console.error('Error recording storage usage:', error.message);
+  }
+}
+
+// Helper: Keep the `limit` largest entries of a list sorted by size, biggest first
+function keepLargest(list, entry, limit) {
+  if (list.length === limit && entry.size <= list[list.length - 1].size) {
+    return;
+  }
+  const index = list.findIndex(other => other.size < entry.size);
+  list.splice(index === -1 ? list.length : index, 0, entry);
+  list.length = Math.min(list.length, limit);
+}
+
+// Helper: Walk the whole tree for the largest files and folders and a
+// breakdown by file type
+async function analyzeStorage(user, limit) {
+  const largestFiles = [];
+  const folderSizes = new Map();
+  const byType = new Map([...Object.keys(FILE_TYPES), 'other'].map(type => [type, { type, size: 0, count: 0 }]));
+
+  for await (const { itemPath, entry } of walkTree('/', user)) {
+    if (entry.isDirectory()) {
+      continue;
+    }
+
+    keepLargest(largestFiles, { path: itemPath, size: entry.size, modified: entry.mtime }, limit);
+
+    const ext = path.extname(entry.name).slice(1).toLowerCase();
+    const type = Object.keys(FILE_TYPES).find(name => FILE_TYPES[name].includes(ext)) || 'other';
+    byType.get(type).size += entry.size;
+    byType.get(type).count++;
+
+    // Count the file towards every folder above it
+    let folder = path.posix.dirname(itemPath);
+    while (folder !== '/') {
+      folderSizes.set(folder, (folderSizes.get(folder) || 0) + entry.size);
+      folder = path.posix.dirname(folder);
+    }
+  }
+
+  const largestFolders = [];
+  for (const [folderPath, size] of folderSizes) {
+    keepLargest(largestFolders, { path: folderPath, size }, limit);
+  }
+
+  return {
+    largestFiles,
+    largestFolders,
+    byType: Array.from(byType.values()).sort((a, b) => b.size - a.size)
+  };
+}
+
+// Helper: Recursively copy a file or folder, reporting progress on the job
+async function copyTree(sourcePath, targetPath, job) {
+  const stats = await storage.stat(sourcePath);
+
+  if (stats.isDirectory()) {
+    await storage.mkdir(targetPath);
+    job.progress.doneItems++;
+    for (const entry of await storage.list(sourcePath)) {
+      await copyTree(path.posix.join(sourcePath, entry.name), path.posix.join(targetPath, entry.name), job);
+    }
+    return;
+  }
+
+  // Never write over something that turned up since the copy started
+  if (await storage.exists(targetPath)) {
+    throw StorageAdapter.error('EEXIST', `${targetPath} already exists`);
+  }
+  const readStream = await storage.read(sourcePath);
+  readStream.on('data', (chunk) => {
+    job.progress.doneBytes += chunk.length;
+  });
+  await storage.write(targetPath, readStream, { modified: stats.mtime });
+  job.progress.doneItems++;
+}
+
+// Helper: Work out where an uploaded file with a relative path ("a/b/c.txt") goes,
+// checking its subfolders like any other path. They're created when the file is
+// moved into place, so an upload the hooks reject leaves nothing behind.
+function resolveUploadTarget(requestedPath, relativeName, user) {
+  const parts = relativeName.split(/[\\/]+/).filter(Boolean);
+  const name = parts.pop();
+
+  if (!isValidName(name) || !parts.every(isValidName)) {
+    throw new Error('Invalid path');
+  }
+
+  const folder = validatePath(path.posix.join(requestedPath || '/', ...parts), user, 'write');
+  return { folder, name };
+}
+
+// Helper: Receive a multipart upload into a folder and run the upload hooks
+// Options:
+//   destPath, requestedPath - absolute and user-facing destination folder
+//   user - who is uploading (null for public uploads)
+//   limits - extra multer limits (fileSize, files)
+//   onConflict - one of CONFLICT_POLICIES, applied before any bytes are written
+//   allowSubfolders - honour relative paths in file names ("photos/2024/a.jpg")
+//   hookData - extra fields for the hook payloads
+//   onUploaded - async (files) => void, called before responding
+async function handleUpload(req, res, options) {
+  const {
+    destPath,
+    requestedPath,
+    user,
+    limits = {},
+    onConflict = 'fail',
+    allowSubfolders = false,
+    hookData = {},
+    onUploaded
+  } = options;
+
+  // Ensure destination directory exists
+  await storage.mkdir(destPath, { recursive: true });
+  await fs.mkdir(STAGING_DIR, { recursive: true });
+
+  // Where each file goes is decided as it arrives, but nothing reaches storage
+  // until the beforeUpload hooks have passed; names claimed by earlier files
+  // in this upload count as taken
+  const claimed = new Set();
+  const prepareTarget = async (file) => {
+    const target = allowSubfolders
+      ? resolveUploadTarget(requestedPath, file.originalname, user)
+      : { folder: destPath, name: file.originalname };
+    // Hooks see the name as it's saved ("a/b.exe"), not as sent ("a//b.exe/"),
+    // so they can't be fooled into checking a different one
+    file.originalname = path.posix.relative(destPath, path.posix.join(target.folder, target.name));
+    file.targetFolder = target.folder;
+    file.targetName = await resolveNameConflict(target.folder, target.name, onConflict, claimed);
+    if (file.targetName !== null) {
+      claimed.add(path.posix.join(file.targetFolder, file.targetName));
+    }
+    return file.targetName !== null;
+  };
+
+  const removeStaged = async (files) => {
+    for (const file of files) {
+      await fs.rm(file.path, { force: true }).catch(error => {
+        console.error('Error cleaning up file:', error);
+      });
+    }
+  };
+
+  const diskStorage = multer.diskStorage({
+    destination: (req, file, cb) => cb(null, STAGING_DIR),
+    filename: (req, file, cb) => cb(null, crypto.randomBytes(16).toString('hex'))
+  });
+
+  // Wraps disk storage so skipped files are read and discarded instead of staged
+  const uploadStorage = {
+    _handleFile(req, file, cb) {
+      prepareTarget(file).then(save => {
+        if (save) {
+          return diskStorage._handleFile(req, file, cb);
         }
-      }),
-      limits: {
-        fileSize: 10 * 1024 * 1024 * 1024 // 10GB max file size
+        file.stream.on('end', () => cb(null, { skipped: true, size: 0 }));
+        file.stream.resume();
+      }, cb);
+    },
+    _removeFile(req, file, cb) {
+      if (file.skipped) {
+        return cb(null);
+      }
+      diskStorage._removeFile(req, file, cb);
+    }
+  };
+
+  // Configure multer for this request
+  const dynamicUpload = multer({
+    storage: uploadStorage,
+    // Keep "folder/file.txt" in originalname instead of stripping it to the base name
+    preservePath: allowSubfolders,
+    limits: {
+      fileSize: MAX_UPLOAD_SIZE,
+      ...limits
+    }
+  }).array('files');
+
+  // Process upload
+  dynamicUpload(req, res, async (err) => {
+    if (err) {
+      console.error('Upload error:', err);
+      if (err.code === 'LIMIT_FILE_SIZE' || err.code === 'LIMIT_FILE_COUNT') {
+        return res.status(413).json({ error: 'Upload failed: ' + err.message });
+      }
+      if (err.code === 'FILE_EXISTS') {
+        return res.status(409).json({ error: err.message });
+      }
+      const status = getPathErrorStatus(err);
+      if (status) {
+        return res.status(status).json({ error: err.message });
+      }
+      return res.status(500).json({ error: 'Upload failed: ' + err.message });
+    }
+    const savedFiles = (req.files || []).filter(file => !file.skipped);
+    try {
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ error: 'No files uploaded' });
       }
-    }).array('files');
 
-    // Process upload
-    dynamicUpload(req, res, async (err) => {
-      if (err) {
-        console.error('Upload error:', err);
-        return res.status(500).json({ error: 'Upload failed: ' + err.message });
+      // Files left alone by the "skip" conflict policy
+      const skipped = req.files.filter(file => file.skipped).map(file => file.originalname);
+      if (savedFiles.length === 0) {
+        return res.json({ message: 'No new files to upload', files: [], skipped });
       }
+
+      // Plugin hook: before upload
       try {
-        if (!req.files || req.files.length === 0) {
-          return res.status(400).json({ error: 'No files uploaded' });
-        }
+        await pluginManager.executeHook('beforeUpload', {
+          files: savedFiles,
+          path: destPath,
+          ...hookData,
+          user,
+          req
+        });
+      } catch (error) {
+        return sendHookRejection(res, error);
+      }
 
-        // Plugin hook: before upload
-        try {
-          await pluginManager.executeHook('beforeUpload', {
-            files: req.files,
-            path: requestedPath,
-            req
-          });
-        } catch (error) {
-          // Plugin rejected the upload
-          // Clean up uploaded files
-          for (const file of req.files) {
-            try {
-              await fs.unlink(file.path);
-            } catch (e) {
-              console.error('Error cleaning up file:', e);
-            }
-          }
-          return res.status(400).json({ error: error.message || 'Upload rejected by plugin' });
+      // Move the files into place, keeping the ones they replace as versions
+      const uploadedFiles = [];
+      for (const file of savedFiles) {
+        const targetPath = path.posix.join(file.targetFolder, file.targetName);
+        await storage.mkdir(file.targetFolder, { recursive: true });
+        const existing = await storage.stat(targetPath).catch(() => null);
+        if (existing && existing.isDirectory()) {
+          throw new Error(`A folder named "${file.targetName}" appeared during the upload`);
+        }
+        if (existing) {
+          await versionStore.add(targetPath, user ? user.username : null);
         }
+        await storage.importFile(file.path, targetPath);
+        sizeIndex.invalidate(targetPath);
 
-        const uploadedFiles = req.files.map(file => ({
-          name: file.filename,
+        uploadedFiles.push({
+          // Relative to the destination, so files in subfolders keep their folder
+          name: path.posix.relative(destPath, targetPath),
           size: file.size,
-          path: file.path
-        }));
+          path: targetPath,
+          filePath: storage.getLocalPath(targetPath)
+        });
+      }
+
+      if (onUploaded) {
+        await onUploaded(uploadedFiles);
+      }
+
+      // Plugin hook: after upload
+      await pluginManager.executeHook('afterUpload', {
+        files: uploadedFiles,
+        path: destPath,
+        ...hookData,
+        user,
+        req
+      });
+
+      for (const file of uploadedFiles) {
+        await publishChange('upload', file.path, user);
+      }
+
+      res.json({
+        message: 'Files uploaded successfully',
+        files: uploadedFiles.map(f => ({ name: f.name, size: f.size })),
+        skipped
+      });
+    } catch (error) {
+      console.error('Error uploading files:', error);
+      res.status(500).json({ error: 'Failed to upload files' });
+    } finally {
+      // Whatever didn't make it into storage
+      await removeStaged(savedFiles);
+    }
+  });
+}
+
+// Helper: The weak ETag of a file, the same one res.sendFile() would send
+function getWeakEtag(stats) {
+  return `W/"${stats.size.toString(16)}-${stats.mtime.getTime().toString(16)}"`;
+}
+
+// Helper: Send a file from storage the way res.sendFile() does: content type,
+// Last-Modified and ETag, 304 for fresh conditional requests, single byte
+// ranges (with If-Range) and no body for HEAD. Options:
+//   attachment - send as a download under this name (Content-Disposition)
+//   etag - send the ETag header (default true)
+//   headers - extra response headers
+//   claimWholeFile - async () => reason or null; called before the whole file is
+//     sent (not for HEAD, 304s or part of it), and a reason refuses it with a 410
+// Resolves once the file is sent; fails if it couldn't be (client gone, read error)
+async function sendStoredFile(req, res, itemPath, stats, { attachment = null, etag = true, headers = {}, claimWholeFile = null } = {}) {
+  const lastModified = stats.mtime.toUTCString();
+  const weakEtag = getWeakEtag(stats);
+
+  res.set('Accept-Ranges', 'bytes');
+  res.set('Cache-Control', 'public, max-age=0');
+  res.set('Last-Modified', lastModified);
+  if (etag) {
+    res.set('ETag', weakEtag);
+  }
+  res.set(headers);
+  if (attachment) {
+    res.attachment(attachment);
+  } else {
+    res.type(path.posix.basename(itemPath));
+  }
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  let start = 0;
+  let end = stats.size - 1;
+  let ranges = req.headers.range ? req.range(stats.size, { combine: true }) : undefined;
+
+  // If-Range: only send part of the file if it's still the version the client has
+  const ifRange = req.headers['if-range'];
+  if (ranges && ifRange) {
+    const unchanged = ifRange.includes('"')
+      ? ifRange === weakEtag
+      : Date.parse(ifRange) >= Date.parse(lastModified);
+    if (!unchanged) {
+      ranges = undefined;
+    }
+  }
+
+  if (ranges === -1) {
+    res.set('Content-Range', `bytes */${stats.size}`);
+    return res.status(416).end();
+  }
+  // Several ranges would need a multipart response; send the whole file instead
+  const ranged = Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1;
+  const wholeFile = !ranged || (ranges[0].start === 0 && ranges[0].end === stats.size - 1);
+  if (claimWholeFile && wholeFile && req.method !== 'HEAD') {
+    const reason = await claimWholeFile();
+    if (reason) {
+      res.removeHeader('Content-Disposition');
+      return res.status(410).json({ error: reason });
+    }
+  }
+  if (ranged) {
+    ({ start, end } = ranges[0]);
+    res.status(206);
+    res.set('Content-Range', `bytes ${start}-${end}/${stats.size}`);
+  }
+  res.set('Content-Length', String(Math.max(end - start + 1, 0)));
+
+  if (req.method === 'HEAD' || stats.size === 0) {
+    return res.end();
+  }
+  await pipeline(await storage.read(itemPath, ranged ? { start, end } : {}), res);
+}
+
+// Helper: Describe a file or folder for the WebDAV and S3 servers
+function getStorageResource(itemPath, stats, user) {
+  return {
+    name: path.posix.basename(itemPath),
+    path: itemPath,
+    isDirectory: stats.isDirectory(),
+    size: stats.isDirectory() ? 0 : stats.size,
+    created: stats.birthtime,
+    modified: stats.mtime,
+    contentType: express.static.mime.lookup(itemPath),
+    // The same ETag sendStoredFile() sends, so clients can compare the two
+    etag: getWeakEtag(stats),
+    writable: accessControl.can(itemPath, user, 'write')
+  };
+}
+
+// Helper: Resolve the folder storageBackend writes into, checking write access
+// Missing folders are created with createFolders, and a 409 otherwise
+async function resolveStorageFolder(folderPath, user, createFolders) {
+  const itemPath = validatePath(folderPath, user, 'write');
+  if (createFolders) {
+    try {
+      await storage.mkdir(itemPath, { recursive: true });
+    } catch (error) {
+      if (error.code !== 'EEXIST' && error.code !== 'ENOTDIR') {
+        throw error;
+      }
+    }
+  }
+
+  const stats = await storage.stat(itemPath).catch(() => null);
+  if (!stats || !stats.isDirectory()) {
+    throw httpError(409, 'Folder not found');
+  }
+  return itemPath;
+}
+
+// Helper: Look up a file or folder for storageBackend (null when nothing is there)
+async function storageStat(itemPath, user) {
+  itemPath = validatePath(itemPath, user, 'read');
+  const stats = await storage.stat(itemPath).catch(() => null);
+  if (!stats) {
+    return null;
+  }
+  return getStorageResource(itemPath, stats, user);
+}
+
+// Helper: List a folder for storageBackend, hiding what /api/files hides and
+// running the same transformFileList hook
+async function storageList(folderPath, user, req) {
+  const listedPath = validatePath(folderPath, user, 'read');
+
+  // Plugin hook: before list (throws to deny access)
+  await pluginManager.executeHook('beforeList', { path: listedPath, user, req });
+
+  const items = [];
+  for (const entry of await storage.list(listedPath)) {
+    const itemPath = path.posix.join(listedPath, entry.name);
+    if (isSystemPath(itemPath) || !accessControl.can(itemPath, user, 'read')) {
+      continue;
+    }
+    items.push(getStorageResource(itemPath, entry, user));
+  }
+
+  // Plugin hook: transform file list
+  const hookResult = await pluginManager.executeHook('transformFileList', {
+    files: items,
+    path: listedPath,
+    user,
+    req
+  });
+  return hookResult.files || items;
+}
+
+// Helper: Send a file for storageBackend, running the download hooks (not for HEAD)
+// options are passed on to sendStoredFile()
+async function storageRead(itemPath, user, req, res, options = {}) {
+  itemPath = validatePath(itemPath, user, 'read');
+  const filename = path.posix.basename(itemPath);
+  const isDownload = req.method !== 'HEAD';
+  const stats = await storage.stat(itemPath);
+
+  if (isDownload) {
+    // Plugin hook: before download
+    await pluginManager.executeHook('beforeDownload', {
+      filename,
+      path: itemPath,
+      filePath: storage.getLocalPath(itemPath),
+      user,
+      req
+    });
+  }
+
+  try {
+    await sendStoredFile(req, res, itemPath, stats, options);
+  } catch (error) {
+    if (!res.headersSent) {
+      res.status(500).end();
+    }
+    return;
+  }
+  if (isDownload) {
+    // Plugin hook: after download
+    await pluginManager.executeHook('afterDownload', {
+      filename,
+      path: itemPath,
+      user,
+      req
+    });
+  }
+}
+
+// Helper: Store a file for storageBackend, running the upload hooks and keeping
+// the file it replaces as a version, like an upload through the API
+// With createFolders, missing folders on the way to it are created
+async function storageWrite(itemPath, stream, user, req, { createFolders = false } = {}) {
+  const name = path.posix.basename(itemPath);
+  if (!isValidName(name)) {
+    throw httpError(400, 'Invalid name');
+  }
+
+  const folderPath = await resolveStorageFolder(path.posix.dirname(itemPath), user, createFolders);
+  const filePath = path.posix.join(folderPath, name);
+
+  // Receive the whole body before the hooks see it, as multer does
+  await fs.mkdir(STAGING_DIR, { recursive: true });
+  const stagedPath = path.join(STAGING_DIR, crypto.randomBytes(16).toString('hex'));
+  let size = 0;
+  const guard = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > MAX_UPLOAD_SIZE) {
+        return callback(httpError(413, 'File too large'));
+      }
+      callback(null, chunk);
+    }
+  });
+  try {
+    await pipeline(stream, guard, fsSync.createWriteStream(stagedPath));
+  } catch (error) {
+    await fs.rm(stagedPath, { force: true });
+    throw error;
+  }
+
+  // Same shape as a multer file so hooks don't need to care how it arrived
+  const file = {
+    fieldname: 'files',
+    originalname: name,
+    encoding: '7bit',
+    mimetype: express.static.mime.lookup(name),
+    destination: STAGING_DIR,
+    filename: name,
+    path: stagedPath,
+    size
+  };
+
+  try {
+    // Plugin hook: before upload
+    await pluginManager.executeHook('beforeUpload', {
+      files: [file],
+      path: folderPath,
+      user,
+      req
+    });
+
+    // Empty files are mostly placeholders clients create with LOCK before the
+    // real PUT; they aren't worth a version
+    const existing = await storage.stat(filePath).catch(() => null);
+    if (existing && existing.size > 0) {
+      await versionStore.add(filePath, user.username);
+    }
+    await storage.importFile(stagedPath, filePath);
+    sizeIndex.invalidate(filePath);
+  } finally {
+    await fs.rm(stagedPath, { force: true });
+  }
+
+  // Plugin hook: after upload
+  await pluginManager.executeHook('afterUpload', {
+    files: [{ name, size, path: filePath, filePath: storage.getLocalPath(filePath) }],
+    path: folderPath,
+    user,
+    req
+  });
+
+  await publishChange('upload', filePath, user);
+}
+
+// Helper: Create a folder for storageBackend
+// With createFolders, missing folders above it are created and an existing one is fine
+async function storageMkdir(itemPath, user, req, { createFolders = false } = {}) {
+  const name = path.posix.basename(itemPath);
+  if (!isValidName(name)) {
+    throw httpError(400, 'Invalid name');
+  }
+
+  const parentPath = await resolveStorageFolder(path.posix.dirname(itemPath), user, createFolders);
+  const folderPath = path.posix.join(parentPath, name);
+  if (createFolders) {
+    const stats = await storage.stat(folderPath).catch(() => null);
+    if (stats && stats.isDirectory()) {
+      return;
+    }
+  }
+
+  // Plugin hook: before create folder
+  await pluginManager.executeHook('beforeCreateFolder', { name, path: folderPath, user, req });
+
+  await storage.mkdir(folderPath);
+  await publishChange('create', folderPath, user);
+
+  // Plugin hook: after create folder
+  await pluginManager.executeHook('afterCreateFolder', { name, path: folderPath, user, req });
+}
+
+// Helper: Move a file or folder deleted through storageBackend to the trash,
+// running the delete hooks like DELETE /api/files and /api/folders do
+async function storageRemove(itemPath, user, req) {
+  itemPath = validatePath(itemPath, user, 'delete');
+  const stats = await storage.stat(itemPath);
+
+  if (stats.isDirectory()) {
+    checkTreeAccess(itemPath, user, 'delete');
+    const name = path.posix.basename(itemPath);
+
+    // Plugin hook: before delete folder
+    await pluginManager.executeHook('beforeDeleteFolder', { name, path: itemPath, permanent: false, user, req });
+
+    const trashItem = await moveToTrash(itemPath, user);
+    await publishChange('delete', itemPath, user);
+
+    // Plugin hook: after delete folder
+    await pluginManager.executeHook('afterDeleteFolder', {
+      name,
+      path: itemPath,
+      permanent: false,
+      trashItem,
+      user,
+      req
+    });
+    return;
+  }
+
+  const filename = path.posix.basename(itemPath);
+
+  // Plugin hook: before delete
+  await pluginManager.executeHook('beforeDelete', {
+    filename,
+    path: itemPath,
+    filePath: storage.getLocalPath(itemPath),
+    permanent: false,
+    user,
+    req
+  });
+
+  const trashItem = await moveToTrash(itemPath, user);
+  await publishChange('delete', itemPath, user);
+
+  // Plugin hook: after delete
+  await pluginManager.executeHook('afterDelete', {
+    filename,
+    path: itemPath,
+    permanent: false,
+    trashItem,
+    user,
+    req
+  });
+}
+
+// Helper: Move or rename a file or folder for storageBackend (the destination is free)
+async function storageMove(itemPath, destPath, user, req) {
+  const oldPath = validatePath(itemPath, user, 'write');
+  const name = path.posix.basename(destPath);
+  if (!isValidName(name)) {
+    throw httpError(400, 'Invalid name');
+  }
+
+  const parentPath = await resolveStorageFolder(path.posix.dirname(destPath), user, false);
+  const newPath = path.posix.join(parentPath, name);
+  const stats = await storage.stat(oldPath);
+
+  // Renaming in place needs write access; moving elsewhere also removes it from here
+  checkTreeAccess(oldPath, user, 'write');
+  if (parentPath !== path.posix.dirname(oldPath)) {
+    checkTreeAccess(oldPath, user, 'delete');
+  }
+
+  const hookData = {
+    name: path.posix.basename(oldPath),
+    newName: name,
+    path: oldPath,
+    newPath,
+    filePath: storage.getLocalPath(oldPath),
+    newFilePath: storage.getLocalPath(newPath),
+    isDirectory: stats.isDirectory(),
+    user,
+    req
+  };
+
+  // Plugin hook: before move
+  await pluginManager.executeHook('beforeMove', hookData);
+
+  await storage.move(oldPath, newPath);
+  sizeIndex.movePath(oldPath, newPath);
+  await accessControl.movePath(hookData.path, hookData.newPath);
+  await shareStore.movePath(hookData.path, hookData.newPath);
+  await fileRequestStore.movePath(hookData.path, hookData.newPath);
+  await versionStore.movePath(hookData.path, hookData.newPath);
+  await publishChange('rename', oldPath, user, newPath);
+
+  // Plugin hook: after move
+  await pluginManager.executeHook('afterMove', {
+    name: hookData.name,
+    newName: hookData.newName,
+    path: hookData.path,
+    newPath: hookData.newPath,
+    isDirectory: hookData.isDirectory,
+    user,
+    req
+  });
+}
+
+// Helper: Copy a file or folder for storageBackend (the destination is free)
+// It's tracked as a copy job like /api/copy, but the caller waits for it to
+// finish. Without `recursive` a folder is copied without its contents.
+// With replaceFile, a file copied onto a file replaces it, and the old content
+// is kept as a version like storageWrite does.
+async function storageCopy(itemPath, destPath, user, req, recursive, { createFolders = false, replaceFile = false } = {}) {
+  const sourcePath = validatePath(itemPath, user, 'read');
+  const name = path.posix.basename(destPath);
+  if (!isValidName(name)) {
+    throw httpError(400, 'Invalid name');
+  }
+
+  const parentPath = await resolveStorageFolder(path.posix.dirname(destPath), user, createFolders);
+  const targetPath = path.posix.join(parentPath, name);
+  const stats = await storage.stat(sourcePath);
+  const copyContents = recursive || !stats.isDirectory();
+
+  // Copies must not leak folders the caller can't read
+  checkTreeAccess(sourcePath, user, 'read');
+
+  const hookData = {
+    name: path.posix.basename(sourcePath),
+    newName: name,
+    path: sourcePath,
+    newPath: targetPath,
+    filePath: storage.getLocalPath(sourcePath),
+    newFilePath: storage.getLocalPath(targetPath),
+    isDirectory: stats.isDirectory(),
+    user,
+    req
+  };
+
+  // Plugin hook: before copy
+  await pluginManager.executeHook('beforeCopy', hookData);
+
+  const totals = copyContents ? await scanTree(sourcePath) : { items: 1, bytes: 0 };
+  const job = jobManager.create('copy', {
+    owner: user.username,
+    path: hookData.path,
+    newPath: hookData.newPath
+  });
+  job.progress.totalItems = totals.items;
+  job.progress.totalBytes = totals.bytes;
+
+  await jobManager.run(job, async () => {
+    if (replaceFile && !stats.isDirectory()) {
+      const existing = await storage.stat(targetPath).catch(() => null);
+      if (existing && !existing.isDirectory()) {
+        await versionStore.add(targetPath, user.username);
+      }
+    }
+    try {
+      if (copyContents) {
+        await copyTree(sourcePath, targetPath, job);
+      } else {
+        await storage.mkdir(targetPath);
+        job.progress.doneItems++;
+      }
+    } catch (error) {
+      // Don't leave a half-written copy behind
+      await storage.remove(targetPath, { recursive: true }).catch(() => {});
+      throw error;
+    } finally {
+      sizeIndex.invalidate(targetPath);
+    }
+
+    // Plugin hook: after copy
+    await pluginManager.executeHook('afterCopy', {
+      name: hookData.name,
+      newName: hookData.newName,
+      path: hookData.path,
+      newPath: hookData.newPath,
+      isDirectory: hookData.isDirectory,
+      size: totals.bytes,
+      user,
+      req
+    });
+
+    await publishChange('create', targetPath, user);
+
+    return { newPath: hookData.newPath };
+  });
+
+  if (job.status === 'failed') {
+    throw new Error(job.error);
+  }
+}
+
+// API Routes
+
+// Log in and start a session
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    const user = await userStore.verify(username, password);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    const { token, expiresAt } = sessionStore.create(user);
+    res.cookie(SESSION_COOKIE, token, {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: req.secure,
+      expires: expiresAt
+    });
+
+    res.json({ user, token, expiresAt });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+// Log out and end the session
+app.post('/api/auth/logout', (req, res) => {
+  sessionStore.destroy(getSessionToken(req));
+  res.clearCookie(SESSION_COOKIE);
+  res.json({ success: true });
+});
+
+// Public share page
+app.get('/s/:token', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'share.html'));
+});
+
+// Public share info (and folder listing)
+app.get('/api/public/shares/:token', async (req, res) => {
+  try {
+    const share = shareStore.get(req.params.token);
+    if (share && !shareStore.isUnlocked(share, getCookie(req, `${SHARE_COOKIE_PREFIX}${share.token}`))) {
+      // Enough to render the password form, nothing more
+      return res.status(401).json({
+        error: 'Password required',
+        requiresPassword: true,
+        name: path.posix.basename(share.path) || 'Home'
+      });
+    }
+
+    const resolved = await resolveShareRequest(req, res, req.query.path);
+    if (!resolved) return;
+
+    const { share: activeShare, rootPath, itemPath, stats, creator } = resolved;
+    const info = {
+      name: path.posix.basename(rootPath) || 'Home',
+      isDirectory: activeShare.isDirectory,
+      path: '/' + path.posix.relative(rootPath, itemPath),
+      expiresAt: activeShare.expiresAt,
+      downloadsRemaining: activeShare.maxDownloads === null
+        ? null
+        : activeShare.maxDownloads - activeShare.downloadCount
+    };
+
+    if (!stats.isDirectory()) {
+      return res.json({ ...info, size: stats.size, modified: stats.mtime });
+    }
+
+    // Plugin hook: before list (throws to deny access)
+    try {
+      await pluginManager.executeHook('beforeList', {
+        path: itemPath,
+        share: { token: activeShare.token, path: activeShare.path, createdBy: activeShare.createdBy },
+        user: null,
+        req
+      });
+    } catch (error) {
+      return sendHookRejection(res, error);
+    }
+
+    // List the folder, hiding anything the creator can no longer read
+    const items = [];
+    for (const entry of await storage.list(itemPath)) {
+      const entryPath = path.posix.join(itemPath, entry.name);
+      if (isSystemPath(entryPath) || !accessControl.can(entryPath, creator, 'read')) {
+        continue;
+      }
+      items.push({
+        name: entry.name,
+        path: '/' + path.posix.relative(rootPath, entryPath),
+        size: entry.size,
+        modified: entry.mtime,
+        isDirectory: entry.isDirectory()
+      });
+    }
+
+    res.json({ ...info, items });
+  } catch (error) {
+    console.error('Share info error:', error);
+    res.status(500).json({ error: 'Failed to read share' });
+  }
+});
+
+// Unlock a password-protected share
+app.post('/api/public/shares/:token/unlock', async (req, res) => {
+  try {
+    const grant = await shareStore.unlock(req.params.token, req.body.password);
+    if (!grant) {
+      return res.status(401).json({ error: 'Incorrect password' });
+    }
+
+    res.cookie(`${SHARE_COOKIE_PREFIX}${req.params.token}`, grant, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      maxAge: 60 * 60 * 1000
+    });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Share unlock error:', error);
+    res.status(500).json({ error: 'Failed to unlock share' });
+  }
+});
+
+// Download a shared file (or a file inside a shared folder)
+app.get(['/api/public/shares/:token/download', '/api/public/shares/:token/download/*'], async (req, res) => {
+  try {
+    const resolved = await resolveShareRequest(req, res, req.params[0]);
+    if (!resolved) return;
+
+    const { share, itemPath, stats, creator } = resolved;
+    if (stats.isDirectory()) {
+      return res.status(400).json({ error: 'Path is a folder' });
+    }
+    if (!accessControl.can(itemPath, creator, 'read')) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const filename = path.posix.basename(itemPath);
+    const shareInfo = { token: share.token, path: share.path, createdBy: share.createdBy };
+
+    // Plugin hook: before download
+    try {
+      await pluginManager.executeHook('beforeDownload', {
+        filename,
+        path: itemPath,
+        filePath: storage.getLocalPath(itemPath),
+        share: shareInfo,
+        user: null,
+        req
+      });
+    } catch (error) {
+      return sendHookRejection(res, error);
+    }
+
+    // Only whole-file downloads count against the limit, so HEAD requests and
+    // resumed or streamed (Range) ones don't use it up
+    try {
+      await sendStoredFile(req, res, itemPath, stats, {
+        attachment: filename,
+        claimWholeFile: () => shareStore.claimDownload(share.token)
+      });
+    } catch (error) {
+      // The client went away, or reading the file failed part way
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to download file' });
+      }
+      return;
+    }
+
+    // Plugin hook: after download
+    await pluginManager.executeHook('afterDownload', {
+      filename,
+      path: itemPath,
+      share: shareInfo,
+      user: null,
+      req
+    });
+  } catch (error) {
+    console.error('Share download error:', error);
+    res.status(500).json({ error: 'Failed to download file' });
+  }
+});
+
+// Public file request (upload-only) page
+app.get('/r/:token', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'request.html'));
+});
+
+// Public file request info
+app.get('/api/public/requests/:token', async (req, res) => {
+  try {
+    const resolved = await resolveFileRequest(req, res);
+    if (!resolved) return;
+
+    const { request, destPath } = resolved;
+    res.json({
+      title: request.title || `Upload to ${path.posix.basename(destPath) || 'Quick NAS'}`,
+      createdBy: request.createdBy,
+      expiresAt: request.expiresAt,
+      maxFileSize: request.maxFileSize,
+      remainingFiles: FileRequestStore.getRemainingFiles(request)
+    });
+  } catch (error) {
+    console.error('File request info error:', error);
+    res.status(500).json({ error: 'Failed to read upload link' });
+  }
+});
+
+// Upload through a file request link
+app.post('/api/public/requests/:token/upload', async (req, res) => {
+  try {
+    const resolved = await resolveFileRequest(req, res);
+    if (!resolved) return;
+
+    const { request, destPath } = resolved;
+    const limits = {};
+    if (request.maxFileSize !== null) {
+      limits.fileSize = request.maxFileSize;
+    }
+    if (request.maxFiles !== null) {
+      limits.files = FileRequestStore.getRemainingFiles(request);
+    }
+
+    await handleUpload(req, res, {
+      destPath,
+      requestedPath: request.path,
+      user: null,
+      limits,
+      // Uploaders can't see the folder, so they must never replace what's there
+      onConflict: 'rename',
+      hookData: {
+        fileRequest: { token: request.token, path: request.path, createdBy: request.createdBy }
+      },
+      onUploaded: files => fileRequestStore.recordUploads(request.token, files.length)
+    });
+  } catch (error) {
+    console.error('File request upload error:', error);
+    res.status(500).json({ error: 'Upload failed' });
+  }
+});
+
+// Everything else under /api requires a logged-in user
+app.use('/api', requireAuth);
+
+// Get the current user
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: req.user });
+});
+
+// List users
+app.get('/api/users', requireAdmin, (req, res) => {
+  res.json({ users: userStore.listUsers() });
+});
+
+// Create user
+app.post('/api/users', requireAdmin, async (req, res) => {
+  try {
+    const { username, password, role = 'user', groups = [] } = req.body;
+
+    if (!UserStore.isValidUsername(username)) {
+      return res.status(400).json({ error: 'Invalid username' });
+    }
+    if (typeof password !== 'string' || password.length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+    if (!UserStore.isValidRole(role)) {
+      return res.status(400).json({ error: 'Invalid role' });
+    }
+    if (!Array.isArray(groups) || !groups.every(g => typeof g === 'string')) {
+      return res.status(400).json({ error: 'Groups must be a list of names' });
+    }
+    if (userStore.getUser(username)) {
+      return res.status(409).json({ error: 'User already exists' });
+    }
+
+    const user = await userStore.createUser({ username, password, role, groups });
+    res.status(201).json({ user });
+  } catch (error) {
+    console.error('Create user error:', error);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+// Update user (password, role, groups)
+app.put('/api/users/:username', async (req, res) => {
+  try {
+    const { username } = req.params;
+    const { password, currentPassword, role, groups } = req.body;
+    const isSelf = req.user.username === username;
+
+    // Users may change their own password; everything else is admin-only
+    if (req.user.role !== 'admin' && (!isSelf || role !== undefined || groups !== undefined)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    if (!userStore.getUser(username)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (password !== undefined && (typeof password !== 'string' || password.length < 8)) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+    if (role !== undefined && !UserStore.isValidRole(role)) {
+      return res.status(400).json({ error: 'Invalid role' });
+    }
+    if (groups !== undefined && (!Array.isArray(groups) || !groups.every(g => typeof g === 'string'))) {
+      return res.status(400).json({ error: 'Groups must be a list of names' });
+    }
+    if (isSelf && role !== undefined && role !== 'admin') {
+      return res.status(400).json({ error: 'You cannot remove your own admin role' });
+    }
+    // A session alone isn't enough to take over the account
+    if (isSelf && password !== undefined && !await userStore.verify(username, currentPassword)) {
+      return res.status(403).json({ error: 'Current password is incorrect' });
+    }
+
+    const user = await userStore.updateUser(username, { password, role, groups });
+    if (password !== undefined) {
+      sessionStore.destroyUser(username);
+    }
+
+    res.json({ user });
+  } catch (error) {
+    console.error('Update user error:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// Delete user
+app.delete('/api/users/:username', requireAdmin, async (req, res) => {
+  try {
+    const { username } = req.params;
+
+    if (username === req.user.username) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    if (!await userStore.deleteUser(username)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    sessionStore.destroyUser(username);
+    await accessKeyStore.removeUser(username);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({ error: 'Failed to delete user' });
+  }
+});
+
+// List S3 access keys (without their secrets)
+app.get('/api/access-keys', requireAdmin, (req, res) => {
+  res.json({ keys: accessKeyStore.list() });
+});
+
+// Create an S3 access key for a user; the secret is only ever returned here
+app.post('/api/access-keys', requireAdmin, async (req, res) => {
+  try {
+    const { username, description = '' } = req.body;
+
+    if (!userStore.getUser(username)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (typeof description !== 'string' || description.length > 200) {
+      return res.status(400).json({ error: 'Description must be text of at most 200 characters' });
+    }
+
+    const key = await accessKeyStore.create({ username, description, createdBy: req.user.username });
+    res.status(201).json({ key });
+  } catch (error) {
+    console.error('Create access key error:', error);
+    res.status(500).json({ error: 'Failed to create access key' });
+  }
+});
+
+// Revoke an S3 access key
+app.delete('/api/access-keys/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!await accessKeyStore.remove(req.params.id)) {
+      return res.status(404).json({ error: 'Access key not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete access key error:', error);
+    res.status(500).json({ error: 'Failed to delete access key' });
+  }
+});
+
+// Get list of files (with optional path parameter)
+app.get('/api/files', async (req, res) => {
+  try {
+    const requestedPath = req.query.path || '/';
+    const folderPath = validatePath(requestedPath, req.user, 'read');
+
+    // Check if directory exists
+    const dirStats = await storage.stat(folderPath);
+    if (!dirStats.isDirectory()) {
+      return res.status(400).json({ error: 'Path is not a directory' });
+    }
+
+    // Plugin hook: before list (throws to deny access)
+    try {
+      await pluginManager.executeHook('beforeList', { path: folderPath, user: req.user, req });
+    } catch (error) {
+      return sendHookRejection(res, error);
+    }
+
+    // Hide server state and anything the caller can't read
+    const items = (await storage.list(folderPath)).filter(entry => {
+      const itemPath = path.posix.join(folderPath, entry.name);
+      return !isSystemPath(itemPath) && accessControl.can(itemPath, req.user, 'read');
+    });
+    const itemDetails = await Promise.all(
+      items.map(entry => getItemDetails(path.posix.join(folderPath, entry.name), entry, req.user))
+    );
+
+    // Plugin hook: transform file list
+    const hookResult = await pluginManager.executeHook('transformFileList', {
+      files: itemDetails,
+      path: folderPath,
+      user: req.user,
+      req
+    });
+
+    res.json(hookResult.files || itemDetails);
+  } catch (error) {
+    console.error('Error reading files:', error);
+    const status = getPathErrorStatus(error);
+    if (status) {
+      res.status(status).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to read files' });
+    }
+  }
+});
+
+// Search a folder tree (everything by default)
+// Query: q (name, * and ? wildcards), path, type (file, folder, image, video,
+// audio, document, archive), ext (comma-separated), minSize/maxSize (bytes),
+// modifiedAfter/modifiedBefore (dates), offset, limit
+app.get('/api/search', async (req, res) => {
+  try {
+    const { q = '', type, ext } = req.query;
+    const rootPath = validatePath(req.query.path || '/', req.user, 'read');
+
+    const rootStats = await storage.stat(rootPath).catch(() => null);
+    if (!rootStats || !rootStats.isDirectory()) {
+      return res.status(400).json({ error: 'Path is not a directory' });
+    }
+    if (type && !['file', 'folder', ...Object.keys(FILE_TYPES)].includes(type)) {
+      return res.status(400).json({ error: 'Unknown type' });
+    }
+
+    const minSize = req.query.minSize ? Number(req.query.minSize) : null;
+    const maxSize = req.query.maxSize ? Number(req.query.maxSize) : null;
+    if (Number.isNaN(minSize) || Number.isNaN(maxSize)) {
+      return res.status(400).json({ error: 'minSize and maxSize must be numbers of bytes' });
+    }
+
+    const modifiedAfter = req.query.modifiedAfter ? new Date(req.query.modifiedAfter) : null;
+    const modifiedBefore = req.query.modifiedBefore ? new Date(req.query.modifiedBefore) : null;
+    if ((modifiedAfter && isNaN(modifiedAfter)) || (modifiedBefore && isNaN(modifiedBefore))) {
+      return res.status(400).json({ error: 'modifiedAfter and modifiedBefore must be dates' });
+    }
+
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+
+    const matchesName = createNameMatcher(q.trim());
+    const extensions = ext ? ext.split(',').map(e => e.trim().replace(/^\./, '').toLowerCase()).filter(Boolean) : null;
+    const typeExtensions = FILE_TYPES[type] || null;
+    const filesOnly = type === 'file' || extensions || typeExtensions || minSize !== null || maxSize !== null;
+
+    const matches = [];
+    for await (const { itemPath, entry } of walkTree(rootPath, req.user)) {
+      const isDirectory = entry.isDirectory();
+      if ((filesOnly && isDirectory) || (type === 'folder' && !isDirectory) || !matchesName(entry.name)) {
+        continue;
+      }
+
+      const itemExt = path.extname(entry.name).slice(1).toLowerCase();
+      if ((extensions && !extensions.includes(itemExt)) || (typeExtensions && !typeExtensions.includes(itemExt))) {
+        continue;
+      }
+
+      if ((minSize !== null && entry.size < minSize) || (maxSize !== null && entry.size > maxSize) ||
+          (modifiedAfter && entry.mtime < modifiedAfter) || (modifiedBefore && entry.mtime > modifiedBefore)) {
+        continue;
+      }
+
+      matches.push({ itemPath, stats: entry });
+    }
+
+    matches.sort((a, b) => a.itemPath.localeCompare(b.itemPath));
+    const results = await Promise.all(
+      matches.slice(offset, offset + limit).map(match => getItemDetails(match.itemPath, match.stats, req.user))
+    );
+
+    // Plugin hook: transform file list
+    const hookResult = await pluginManager.executeHook('transformFileList', {
+      files: results,
+      path: rootPath,
+      search: req.query,
+      user: req.user,
+      req
+    });
+
+    res.json({
+      results: hookResult.files || results,
+      total: matches.length,
+      offset,
+      limit
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    const status = getPathErrorStatus(error);
+    if (status) {
+      res.status(status).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Search failed' });
+    }
+  }
+});
+
+// Search inside text files
+// Query: q (words; the last one may be the start of a word), path, offset, limit
+app.get('/api/search/content', async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q : '';
+    const rootPath = validatePath(req.query.path || '/', req.user, 'read');
+    const rootPrefix = rootPath === '/' ? '/' : rootPath + '/';
+
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const matches = contentIndex.search(q, itemPath =>
+      itemPath.startsWith(rootPrefix) && accessControl.can(itemPath, req.user, 'read'));
+
+    const results = [];
+    for (const itemPath of matches.slice(offset, offset + limit)) {
+      try {
+        results.push({
+          ...await getItemDetails(resolveStoragePath(itemPath), null, req.user),
+          snippets: await contentIndex.getSnippets(itemPath, q)
+        });
+      } catch (error) {
+        // Gone since it was indexed; the next rescan drops it
+        console.error(`Error reading search result ${itemPath}:`, error.message);
+      }
+    }
+
+    // Plugin hook: transform file list
+    const hookResult = await pluginManager.executeHook('transformFileList', {
+      files: results,
+      path: rootPath,
+      search: req.query,
+      user: req.user,
+      req
+    });
+
+    res.json({
+      results: hookResult.files || results,
+      total: matches.length,
+      offset,
+      limit,
+      index: contentIndex.getStatus()
+    });
+  } catch (error) {
+    console.error('Content search error:', error);
+    const status = getPathErrorStatus(error);
+    if (status) {
+      res.status(status).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Search failed' });
+    }
+  }
+});
+
+// Content index status
+app.get('/api/search/content/status', requireAdmin, (req, res) => {
+  res.json(contentIndex.getStatus());
+});
+
+// Rebuild the content index from scratch in the background
+app.post('/api/search/content/rebuild', requireAdmin, (req, res) => {
+  const job = jobManager.create('reindex', { owner: req.user.username });
+
+  jobManager.run(job, () => contentIndex.rescan({
+    rebuild: true,
+    onProgress: ({ scanned }) => {
+      job.progress.doneItems = scanned;
+    }
+  }));
+
+  res.status(202).json({ job });
+});
+
+// Upload file(s) with dynamic destination
+app.post('/api/upload', async (req, res) => {
+  try {
+    // Get and validate destination path
+    const requestedPath = req.query.path || '/';
+    const onConflict = req.query.onConflict || 'fail';
+    const destPath = validatePath(requestedPath, req.user, 'write');
+
+    if (!CONFLICT_POLICIES.includes(onConflict)) {
+      return res.status(400).json({ error: `onConflict must be one of: ${CONFLICT_POLICIES.join(', ')}` });
+    }
+
+    await handleUpload(req, res, {
+      destPath,
+      requestedPath,
+      user: req.user,
+      onConflict,
+      allowSubfolders: true
+    });
+  } catch (error) {
+    console.error('Upload setup error:', error);
+    const status = getPathErrorStatus(error);
+    if (status) {
+      res.status(status).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Upload failed' });
+    }
+  }
+});
+
+// Start a resumable upload
+app.post('/api/uploads', async (req, res) => {
+  try {
+    const { path: folderPath, name, size, onConflict = 'fail' } = req.body;
+
+    if (!isValidName(name)) {
+      return res.status(400).json({ error: 'Invalid file name' });
+    }
+    if (!CONFLICT_POLICIES.includes(onConflict)) {
+      return res.status(400).json({ error: `onConflict must be one of: ${CONFLICT_POLICIES.join(', ')}` });
+    }
+    if (!Number.isInteger(size) || size < 0) {
+      return res.status(400).json({ error: 'File size is required' });
+    }
+    if (size > MAX_UPLOAD_SIZE) {
+      return res.status(413).json({ error: 'File too large' });
+    }
+
+    const destPath = validatePath(folderPath || '/', req.user, 'write');
+
+    // Settle name conflicts before the client sends any data
+    if (await resolveNameConflict(destPath, name, onConflict) === null) {
+      return res.json({ skipped: true });
+    }
+
+    const upload = await resumableUploads.create({
+      name,
+      path: destPath,
+      size,
+      onConflict,
+      createdBy: req.user.username
+    });
+
+    res.status(201).json(upload);
+  } catch (error) {
+    console.error('Start upload error:', error);
+    if (error.code === 'FILE_EXISTS') {
+      return res.status(409).json({ error: error.message });
+    }
+    const status = getPathErrorStatus(error);
+    if (status) {
+      res.status(status).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to start upload' });
+    }
+  }
+});
+
+// Get a resumable upload's current offset
+app.get('/api/uploads/:id', async (req, res) => {
+  try {
+    const upload = await resumableUploads.get(req.params.id);
+    if (!upload || upload.createdBy !== req.user.username) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    res.json(upload);
+  } catch (error) {
+    console.error('Get upload error:', error);
+    res.status(500).json({ error: 'Failed to read upload' });
+  }
+});
+
+// Append a chunk to a resumable upload
+// Body is raw bytes; the Upload-Offset header must match the current offset
+app.patch('/api/uploads/:id', async (req, res) => {
+  try {
+    const upload = await resumableUploads.get(req.params.id);
+    if (!upload || upload.createdBy !== req.user.username) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    // An empty chunk has no type (is() gives null); any other must say it's bytes
+    if (req.is(['application/octet-stream', 'application/offset+octet-stream']) === false) {
+      return res.status(415).json({ error: 'Chunks must be sent as application/octet-stream' });
+    }
+
+    const offset = parseInt(req.headers['upload-offset'], 10);
+    if (Number.isNaN(offset)) {
+      return res.status(400).json({ error: 'Upload-Offset header is required' });
+    }
+    if (offset !== upload.offset) {
+      return res.status(409).json({ error: 'Offset mismatch', offset: upload.offset });
+    }
+
+    let newOffset;
+    try {
+      newOffset = await resumableUploads.append(upload, offset, req);
+    } catch (error) {
+      const current = await resumableUploads.get(upload.id);
+      const status = error.message.includes('already being written') ? 409 : 400;
+      return res.status(status).json({ error: error.message, offset: current ? current.offset : offset });
+    }
+
+    res.json({ id: upload.id, offset: newOffset, size: upload.size });
+  } catch (error) {
+    console.error('Upload chunk error:', error);
+    res.status(500).json({ error: 'Failed to store chunk' });
+  }
+});
+
+// Finish a resumable upload: run the upload hooks and move the file into place
+app.post('/api/uploads/:id/complete', async (req, res) => {
+  try {
+    const upload = await resumableUploads.get(req.params.id);
+    if (!upload || upload.createdBy !== req.user.username) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    if (upload.offset !== upload.size) {
+      return res.status(409).json({ error: 'Upload is not complete', offset: upload.offset });
+    }
+
+    const destPath = validatePath(upload.path, req.user, 'write');
+    await storage.mkdir(destPath, { recursive: true });
+
+    // Something may have taken the name while the chunks were arriving
+    let finalName;
+    try {
+      finalName = await resolveNameConflict(destPath, upload.name, upload.onConflict);
+    } catch (error) {
+      if (error.code !== 'FILE_EXISTS') {
+        throw error;
+      }
+      await resumableUploads.remove(upload.id);
+      return res.status(409).json({ error: error.message });
+    }
+    if (finalName === null) {
+      await resumableUploads.remove(upload.id);
+      return res.json({ message: 'No new files to upload', files: [], skipped: [upload.name] });
+    }
+
+    const stagedPath = resumableUploads.getDataPath(upload.id);
+    // Same shape as a multer file so hooks don't need to care how it arrived
+    const file = {
+      fieldname: 'files',
+      originalname: upload.name,
+      encoding: '7bit',
+      mimetype: express.static.mime.lookup(upload.name),
+      destination: path.dirname(stagedPath),
+      filename: finalName,
+      path: stagedPath,
+      size: upload.size
+    };
+
+    // Plugin hook: before upload
+    try {
+      await pluginManager.executeHook('beforeUpload', {
+        files: [file],
+        path: upload.path,
+        user: req.user,
+        req
+      });
+    } catch (error) {
+      await resumableUploads.remove(upload.id);
+      return sendHookRejection(res, error);
+    }
+
+    const finalPath = path.posix.join(destPath, finalName);
+    if (await storage.exists(finalPath)) {
+      await versionStore.add(finalPath, req.user.username);
+    }
+    await storage.importFile(stagedPath, finalPath);
+    sizeIndex.invalidate(finalPath);
+    await resumableUploads.finish(upload.id);
+
+    const uploadedFiles = [{ name: finalName, size: upload.size, path: finalPath, filePath: storage.getLocalPath(finalPath) }];
+
+    // Plugin hook: after upload
+    await pluginManager.executeHook('afterUpload', {
+      files: uploadedFiles,
+      path: upload.path,
+      user: req.user,
+      req
+    });
+
+    await publishChange('upload', finalPath, req.user);
+
+    res.json({
+      message: 'Files uploaded successfully',
+      files: uploadedFiles.map(f => ({ name: f.name, size: f.size })),
+      skipped: []
+    });
+  } catch (error) {
+    console.error('Complete upload error:', error);
+    const status = getPathErrorStatus(error);
+    if (status) {
+      res.status(status).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to complete upload' });
+    }
+  }
+});
+
+// Abort a resumable upload
+app.delete('/api/uploads/:id', async (req, res) => {
+  try {
+    const upload = await resumableUploads.get(req.params.id);
+    if (!upload || upload.createdBy !== req.user.username) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    await resumableUploads.remove(upload.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Abort upload error:', error);
+    res.status(500).json({ error: 'Failed to abort upload' });
+  }
+});
+
+// Create folder
+app.post('/api/folders', async (req, res) => {
+  try {
+    const { path: folderPath, name } = req.body;
+
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({ error: 'Folder name is required' });
+    }
+
+    // Validate folder name
+    if (name.includes('/') || name.includes('\\') || name === '.' || name === '..') {
+      return res.status(400).json({ error: 'Invalid folder name' });
+    }
+
+    // Validate and get parent path
+    const parentPath = validatePath(folderPath || '/', req.user, 'write');
+    const newFolderPath = path.posix.join(parentPath, name);
+
+    // Check if folder already exists
+    if (await storage.exists(newFolderPath)) {
+      return res.status(409).json({ error: 'Folder already exists' });
+    }
+
+    // Plugin hook: before create folder
+    try {
+      await pluginManager.executeHook('beforeCreateFolder', { name, path: newFolderPath, user: req.user, req });
+    } catch (error) {
+      return sendHookRejection(res, error);
+    }
+
+    // Create folder
+    await storage.mkdir(newFolderPath);
+    await publishChange('create', newFolderPath, req.user);
+
+    // Plugin hook: after create folder
+    await pluginManager.executeHook('afterCreateFolder', { name, path: newFolderPath, user: req.user, req });
+
+    res.json({
+      success: true,
+      path: newFolderPath.slice(1),
+      name
+    });
+  } catch (error) {
+    console.error('Create folder error:', error);
+    const status = getPathErrorStatus(error);
+    if (status) {
+      res.status(status).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to create folder' });
+    }
+  }
+});
+
+// Delete folder
+app.delete('/api/folders/*', async (req, res) => {
+  try {
+    const folderPath = req.params[0]; // Get everything after /api/folders/
+
+    if (!folderPath) {
+      return res.status(400).json({ error: 'Folder path is required' });
+    }
+
+    const itemPath = validatePath(folderPath, req.user, 'delete');
+    if (itemPath === '/') {
+      return res.status(400).json({ error: 'Cannot delete the root folder' });
+    }
+
+    // Check if folder exists
+    try {
+      const stats = await storage.stat(itemPath);
+      if (!stats.isDirectory()) {
+        return res.status(400).json({ error: 'Path is not a folder' });
+      }
+    } catch {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    checkTreeAccess(itemPath, req.user, 'delete');
+    const name = path.posix.basename(itemPath);
+
+    // Plugin hook: before delete folder
+    try {
+      await pluginManager.executeHook('beforeDeleteFolder', {
+        name,
+        path: itemPath,
+        permanent: false,
+        user: req.user,
+        req
+      });
+    } catch (error) {
+      return sendHookRejection(res, error);
+    }
+
+    // Move the folder and everything in it to the trash
+    const trashItem = await moveToTrash(itemPath, req.user);
+    await publishChange('delete', itemPath, req.user);
+
+    // Plugin hook: after delete folder
+    await pluginManager.executeHook('afterDeleteFolder', {
+      name,
+      path: itemPath,
+      permanent: false,
+      trashItem,
+      user: req.user,
+      req
+    });
+
+    res.json({ success: true, trashId: trashItem.id });
+  } catch (error) {
+    console.error('Delete folder error:', error);
+    const status = getPathErrorStatus(error);
+    if (status) {
+      res.status(status).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to delete folder' });
+    }
+  }
+});
+
+// Rename folder
+app.put('/api/folders/*', async (req, res) => {
+  try {
+    const folderPath = req.params[0];
+    const { newName } = req.body;
+
+    if (!newName || typeof newName !== 'string') {
+      return res.status(400).json({ error: 'New folder name is required' });
+    }
+
+    // Validate new folder name
+    if (newName.includes('/') || newName.includes('\\') || newName === '.' || newName === '..') {
+      return res.status(400).json({ error: 'Invalid folder name' });
+    }
+
+    const oldPath = validatePath(folderPath, req.user, 'write');
+    if (oldPath === '/') {
+      return res.status(400).json({ error: 'Cannot rename the root folder' });
+    }
+    const parentDir = path.posix.dirname(oldPath);
+    const newPath = path.posix.join(parentDir, newName);
+
+    // Check if old folder exists
+    try {
+      const stats = await storage.stat(oldPath);
+      if (!stats.isDirectory()) {
+        return res.status(400).json({ error: 'Path is not a folder' });
+      }
+    } catch {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    // Check if new name already exists
+    if (await storage.exists(newPath)) {
+      return res.status(409).json({ error: 'A folder with that name already exists' });
+    }
+
+    checkTreeAccess(oldPath, req.user, 'write');
+
+    const hookData = {
+      name: path.posix.basename(oldPath),
+      newName,
+      path: oldPath,
+      newPath,
+      filePath: storage.getLocalPath(oldPath),
+      newFilePath: storage.getLocalPath(newPath),
+      user: req.user,
+      req
+    };
+
+    // Plugin hook: before rename folder
+    try {
+      await pluginManager.executeHook('beforeRenameFolder', hookData);
+    } catch (error) {
+      return sendHookRejection(res, error);
+    }
+
+    // Rename folder
+    await storage.move(oldPath, newPath);
+    sizeIndex.movePath(oldPath, newPath);
+    await accessControl.movePath(oldPath, newPath);
+    await shareStore.movePath(oldPath, newPath);
+    await fileRequestStore.movePath(oldPath, newPath);
+    await versionStore.movePath(oldPath, newPath);
+    await publishChange('rename', oldPath, req.user, newPath);
+
+    // Plugin hook: after rename folder
+    await pluginManager.executeHook('afterRenameFolder', {
+      name: hookData.name,
+      newName,
+      path: oldPath,
+      newPath,
+      user: req.user,
+      req
+    });
+
+    res.json({
+      success: true,
+      newPath: newPath.slice(1)
+    });
+  } catch (error) {
+    console.error('Rename folder error:', error);
+    const status = getPathErrorStatus(error);
+    if (status) {
+      res.status(status).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to rename folder' });
+    }
+  }
+});
+
+// Move or rename a file or folder
+app.post('/api/move', async (req, res) => {
+  try {
+    const { path: sourcePath, destination, newName } = req.body;
+
+    if (!sourcePath || typeof sourcePath !== 'string') {
+      return res.status(400).json({ error: 'Source path is required' });
+    }
+
+    const oldPath = validatePath(sourcePath, req.user, 'write');
+    if (oldPath === '/') {
+      return res.status(400).json({ error: 'Cannot move the root folder' });
+    }
+
+    const name = newName === undefined ? path.posix.basename(oldPath) : newName;
+    if (!isValidName(name)) {
+      return res.status(400).json({ error: 'Invalid name' });
+    }
+
+    // Default to the current parent folder (plain rename)
+    const parentPath = validatePath(
+      destination === undefined ? path.posix.dirname(oldPath) : destination,
+      req.user,
+      'write'
+    );
+    const newPath = path.posix.join(parentPath, name);
+
+    // Check if source exists
+    let stats;
+    try {
+      stats = await storage.stat(oldPath);
+    } catch {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    // Check destination folder exists
+    try {
+      const parentStats = await storage.stat(parentPath);
+      if (!parentStats.isDirectory()) {
+        return res.status(400).json({ error: 'Destination is not a folder' });
+      }
+    } catch {
+      return res.status(404).json({ error: 'Destination folder not found' });
+    }
+
+    // Prevent moving a folder into itself or one of its subfolders
+    if (stats.isDirectory() && StorageAdapter.isInside(parentPath, oldPath)) {
+      return res.status(400).json({ error: 'Cannot move a folder into itself' });
+    }
+
+    if (newPath === oldPath) {
+      return res.json({ success: true, newPath });
+    }
+
+    // Renaming in place needs write access; moving elsewhere also removes it from here
+    checkTreeAccess(oldPath, req.user, 'write');
+    if (parentPath !== path.posix.dirname(oldPath)) {
+      checkTreeAccess(oldPath, req.user, 'delete');
+    }
+
+    // Check if target name already exists
+    if (await storage.exists(newPath)) {
+      return res.status(409).json({ error: 'An item with that name already exists' });
+    }
+
+    const hookData = {
+      name: path.posix.basename(oldPath),
+      newName: name,
+      path: oldPath,
+      newPath,
+      filePath: storage.getLocalPath(oldPath),
+      newFilePath: storage.getLocalPath(newPath),
+      isDirectory: stats.isDirectory(),
+      user: req.user,
+      req
+    };
+
+    // Plugin hook: before move
+    try {
+      await pluginManager.executeHook('beforeMove', hookData);
+    } catch (error) {
+      return sendHookRejection(res, error);
+    }
+
+    await storage.move(oldPath, newPath);
+    sizeIndex.movePath(oldPath, newPath);
+    await accessControl.movePath(hookData.path, hookData.newPath);
+    await shareStore.movePath(hookData.path, hookData.newPath);
+    await fileRequestStore.movePath(hookData.path, hookData.newPath);
+    await versionStore.movePath(hookData.path, hookData.newPath);
+    await publishChange('rename', oldPath, req.user, newPath);
+
+    // Plugin hook: after move
+    await pluginManager.executeHook('afterMove', {
+      name: hookData.name,
+      newName: hookData.newName,
+      path: hookData.path,
+      newPath: hookData.newPath,
+      isDirectory: hookData.isDirectory,
+      user: req.user,
+      req
+    });
+
+    res.json({
+      success: true,
+      newPath: hookData.newPath
+    });
+  } catch (error) {
+    console.error('Move error:', error);
+    const status = getPathErrorStatus(error);
+    if (status) {
+      res.status(status).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to move item' });
+    }
+  }
+});
+
+// Copy a file or folder (runs as a background job)
+app.post('/api/copy', async (req, res) => {
+  try {
+    const { path: sourcePath, destination, newName } = req.body;
+
+    if (!sourcePath || typeof sourcePath !== 'string') {
+      return res.status(400).json({ error: 'Source path is required' });
+    }
+
+    const sourceFullPath = validatePath(sourcePath, req.user, 'read');
+    if (sourceFullPath === '/') {
+      return res.status(400).json({ error: 'Cannot copy the root folder' });
+    }
+
+    const requestedName = newName === undefined ? path.posix.basename(sourceFullPath) : newName;
+    if (!isValidName(requestedName)) {
+      return res.status(400).json({ error: 'Invalid name' });
+    }
+
+    // Default to the source's own folder (duplicate)
+    const parentPath = validatePath(
+      destination === undefined ? path.posix.dirname(sourceFullPath) : destination,
+      req.user,
+      'write'
+    );
+
+    // Check if source exists
+    let stats;
+    try {
+      stats = await storage.stat(sourceFullPath);
+    } catch {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    // Check destination folder exists
+    try {
+      const parentStats = await storage.stat(parentPath);
+      if (!parentStats.isDirectory()) {
+        return res.status(400).json({ error: 'Destination is not a folder' });
+      }
+    } catch {
+      return res.status(404).json({ error: 'Destination folder not found' });
+    }
+
+    // Prevent copying a folder into itself, which would never finish
+    if (stats.isDirectory() && StorageAdapter.isInside(parentPath, sourceFullPath)) {
+      return res.status(400).json({ error: 'Cannot copy a folder into itself' });
+    }
+
+    // Copies must not leak folders the caller can't read
+    checkTreeAccess(sourceFullPath, req.user, 'read');
+
+    const name = await getAvailableName(parentPath, requestedName);
+    const targetFullPath = path.posix.join(parentPath, name);
+
+    const hookData = {
+      name: path.posix.basename(sourceFullPath),
+      newName: name,
+      path: sourceFullPath,
+      newPath: targetFullPath,
+      filePath: storage.getLocalPath(sourceFullPath),
+      newFilePath: storage.getLocalPath(targetFullPath),
+      isDirectory: stats.isDirectory(),
+      user: req.user,
+      req
+    };
+
+    // Plugin hook: before copy
+    try {
+      await pluginManager.executeHook('beforeCopy', hookData);
+    } catch (error) {
+      return sendHookRejection(res, error);
+    }
+
+    const totals = await scanTree(sourceFullPath, stats);
+    const job = jobManager.create('copy', {
+      owner: req.user.username,
+      path: hookData.path,
+      newPath: hookData.newPath
+    });
+    job.progress.totalItems = totals.items;
+    job.progress.totalBytes = totals.bytes;
+
+    jobManager.run(job, async () => {
+      try {
+        await copyTree(sourceFullPath, targetFullPath, job);
+      } catch (error) {
+        // Don't leave a half-written copy behind
+        await storage.remove(targetFullPath, { recursive: true }).catch(() => {});
+        throw error;
+      } finally {
+        sizeIndex.invalidate(targetFullPath);
+      }
+
+      // Plugin hook: after copy
+      await pluginManager.executeHook('afterCopy', {
+        name: hookData.name,
+        newName: hookData.newName,
+        path: hookData.path,
+        newPath: hookData.newPath,
+        isDirectory: hookData.isDirectory,
+        size: totals.bytes,
+        user: req.user,
+        req
+      });
+
+      await publishChange('create', targetFullPath, req.user);
+
+      return { newPath: hookData.newPath };
+    });
+
+    res.status(202).json({ job });
+  } catch (error) {
+    console.error('Copy error:', error);
+    const status = getPathErrorStatus(error);
+    if (status) {
+      res.status(status).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to copy item' });
+    }
+  }
+});
+
+// List background jobs (admins see everyone's)
+app.get('/api/jobs', (req, res) => {
+  const jobs = jobManager.list()
+    .filter(job => req.user.role === 'admin' || job.details.owner === req.user.username);
+  res.json({ jobs });
+});
+
+// Get background job status
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobManager.get(req.params.id);
+  if (!job || (req.user.role !== 'admin' && job.details.owner !== req.user.username)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(job);
+});
+
+// Download file
+app.get('/api/download/*', async (req, res) => {
+  try {
+    const filePath = req.params[0]; // Get everything after /api/download/
+
+    if (!filePath) {
+      return res.status(400).json({ error: 'File path is required' });
+    }
+
+    const itemPath = validatePath(filePath, req.user, 'read');
+    const filename = path.posix.basename(itemPath);
+
+    // Check if file exists
+    let stats;
+    try {
+      stats = await storage.stat(itemPath);
+    } catch {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    if (stats.isDirectory()) {
+      return res.status(400).json({ error: 'Path is a folder' });
+    }
+
+    // Plugin hook: before download
+    try {
+      await pluginManager.executeHook('beforeDownload', {
+        filename,
+        path: itemPath,
+        filePath: storage.getLocalPath(itemPath),
+        user: req.user,
+        req
+      });
+    } catch (error) {
+      return sendHookRejection(res, error);
+    }
+
+    try {
+      await sendStoredFile(req, res, itemPath, stats, { attachment: filename });
+    } catch (error) {
+      // The client went away, or reading the file failed part way
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to download file' });
+      }
+      return;
+    }
+
+    // Plugin hook: after download
+    await pluginManager.executeHook('afterDownload', {
+      filename,
+      path: itemPath,
+      user: req.user,
+      req
+    });
+  } catch (error) {
+    console.error('Error downloading file:', error);
+    const status = getPathErrorStatus(error);
+    if (status) {
+      res.status(status).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to download file' });
+    }
+  }
+});
+
+// Delete file
+app.delete('/api/files/*', async (req, res) => {
+  try {
+    const filePath = req.params[0]; // Get everything after /api/files/
+
+    if (!filePath) {
+      return res.status(400).json({ error: 'File path is required' });
+    }
+
+    const itemPath = validatePath(filePath, req.user, 'delete');
+    const filename = path.posix.basename(itemPath);
+
+    // Check if file exists
+    try {
+      const stats = await storage.stat(itemPath);
+      if (stats.isDirectory()) {
+        return res.status(400).json({ error: 'Path is a folder' });
+      }
+    } catch {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    // Plugin hook: before delete
+    try {
+      await pluginManager.executeHook('beforeDelete', {
+        filename,
+        path: itemPath,
+        filePath: storage.getLocalPath(itemPath),
+        permanent: false,
+        user: req.user,
+        req
+      });
+    } catch (error) {
+      return sendHookRejection(res, error);
+    }
+
+    const trashItem = await moveToTrash(itemPath, req.user);
+    await publishChange('delete', itemPath, req.user);
+
+    // Plugin hook: after delete
+    await pluginManager.executeHook('afterDelete', {
+      filename,
+      path: itemPath,
+      permanent: false,
+      trashItem,
+      user: req.user,
+      req
+    });
+
+    res.json({ message: 'File moved to trash', trashId: trashItem.id });
+  } catch (error) {
+    console.error('Error deleting file:', error);
+    const status = getPathErrorStatus(error);
+    if (status) {
+      res.status(status).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to delete file' });
+    }
+  }
+});
+
+// Create a share link
+app.post('/api/shares', async (req, res) => {
+  try {
+    const { path: sharePath, expiresInHours, password, maxDownloads } = req.body;
+
+    if (!sharePath || typeof sharePath !== 'string') {
+      return res.status(400).json({ error: 'Path is required' });
+    }
+    if (expiresInHours !== undefined && expiresInHours !== null &&
+      (typeof expiresInHours !== 'number' || expiresInHours <= 0)) {
+      return res.status(400).json({ error: 'expiresInHours must be a positive number' });
+    }
+    if (password !== undefined && password !== null && (typeof password !== 'string' || password.length === 0)) {
+      return res.status(400).json({ error: 'Password must be a non-empty string' });
+    }
+    if (maxDownloads !== undefined && maxDownloads !== null &&
+      (!Number.isInteger(maxDownloads) || maxDownloads <= 0)) {
+      return res.status(400).json({ error: 'maxDownloads must be a positive whole number' });
+    }
+
+    const itemPath = validatePath(sharePath, req.user, 'read');
+    if (itemPath === '/') {
+      return res.status(400).json({ error: 'Cannot share the root folder' });
+    }
+
+    let stats;
+    try {
+      stats = await storage.stat(itemPath);
+    } catch {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    if (stats.isDirectory()) {
+      checkTreeAccess(itemPath, req.user, 'read');
+    }
+
+    const share = await shareStore.create({
+      path: itemPath,
+      isDirectory: stats.isDirectory(),
+      createdBy: req.user.username,
+      expiresAt: expiresInHours ? new Date(Date.now() + expiresInHours * 60 * 60 * 1000) : null,
+      password: password || null,
+      maxDownloads: maxDownloads || null
+    });
+
+    res.status(201).json({
+      share: ShareStore.toPublic(share),
+      url: `/s/${share.token}`
+    });
+  } catch (error) {
+    console.error('Create share error:', error);
+    const status = getPathErrorStatus(error);
+    if (status) {
+      res.status(status).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to create share link' });
+    }
+  }
+});
+
+// List active share links (admins see everyone's)
+app.get('/api/shares', (req, res) => {
+  const shares = shareStore.listActive(req.user.role === 'admin' ? null : req.user.username);
+  res.json({
+    shares: shares.map(share => ({ ...ShareStore.toPublic(share), url: `/s/${share.token}` }))
+  });
+});
+
+// Revoke a share link
+app.delete('/api/shares/:token', async (req, res) => {
+  try {
+    const share = shareStore.get(req.params.token);
+    if (!share || (req.user.role !== 'admin' && share.createdBy !== req.user.username)) {
+      return res.status(404).json({ error: 'Share not found' });
+    }
+
+    await shareStore.revoke(share.token);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke share error:', error);
+    res.status(500).json({ error: 'Failed to revoke share link' });
+  }
+});
+
+// Create a file request (upload-only) link
+app.post('/api/file-requests', async (req, res) => {
+  try {
+    const { path: folderPath, title, expiresInHours, maxFileSize, maxFiles } = req.body;
+
+    if (!folderPath || typeof folderPath !== 'string') {
+      return res.status(400).json({ error: 'Folder path is required' });
+    }
+    if (title !== undefined && typeof title !== 'string') {
+      return res.status(400).json({ error: 'Title must be a string' });
+    }
+    if (expiresInHours !== undefined && expiresInHours !== null &&
+      (typeof expiresInHours !== 'number' || expiresInHours <= 0)) {
+      return res.status(400).json({ error: 'expiresInHours must be a positive number' });
+    }
+    if (maxFileSize !== undefined && maxFileSize !== null &&
+      (!Number.isInteger(maxFileSize) || maxFileSize <= 0)) {
+      return res.status(400).json({ error: 'maxFileSize must be a positive whole number of bytes' });
+    }
+    if (maxFiles !== undefined && maxFiles !== null &&
+      (!Number.isInteger(maxFiles) || maxFiles <= 0)) {
+      return res.status(400).json({ error: 'maxFiles must be a positive whole number' });
+    }
+
+    const itemPath = validatePath(folderPath, req.user, 'write');
+
+    try {
+      const stats = await storage.stat(itemPath);
+      if (!stats.isDirectory()) {
+        return res.status(400).json({ error: 'Path is not a folder' });
+      }
+    } catch {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
 
-        // Plugin hook: after upload
-        await pluginManager.executeHook('afterUpload', {
-          files: uploadedFiles,
-          path: requestedPath,
-          req
-        });
+    const request = await fileRequestStore.create({
+      path: itemPath,
+      createdBy: req.user.username,
+      title: title || '',
+      expiresAt: expiresInHours ? new Date(Date.now() + expiresInHours * 60 * 60 * 1000) : null,
+      maxFileSize: maxFileSize || null,
+      maxFiles: maxFiles || null
+    });
 
-        res.json({
-          message: 'Files uploaded successfully',
-          files: uploadedFiles.map(f => ({ name: f.name, size: f.size }))
-        });
-      } catch (error) {
-        console.error('Error uploading files:', error);
-        res.status(500).json({ error: 'Failed to upload files' });
-      }
+    res.status(201).json({
+      request,
+      url: `/r/${request.token}`
     });
   } catch (error) {
-    console.error('Upload setup error:', error);
-    if (error.message.includes('Invalid path') || error.message.includes('Path outside')) {
-      res.status(400).json({ error: error.message });
+    console.error('Create file request error:', error);
+    const status = getPathErrorStatus(error);
+    if (status) {
+      res.status(status).json({ error: error.message });
     } else {
-      res.status(500).json({ error: 'Upload failed' });
+      res.status(500).json({ error: 'Failed to create upload link' });
     }
   }
 });
 
-// Create folder
-app.post('/api/folders', async (req, res) => {
-  try {
-    const { path: folderPath, name } = req.body;
+// List active file request links (admins see everyone's)
+app.get('/api/file-requests', (req, res) => {
+  const requests = fileRequestStore.listActive(req.user.role === 'admin' ? null : req.user.username);
+  res.json({
+    requests: requests.map(request => ({ ...request, url: `/r/${request.token}` }))
+  });
+});
 
-    if (!name || typeof name !== 'string') {
-      return res.status(400).json({ error: 'Folder name is required' });
+// Revoke a file request link
+app.delete('/api/file-requests/:token', async (req, res) => {
+  try {
+    const request = fileRequestStore.get(req.params.token);
+    if (!request || (req.user.role !== 'admin' && request.createdBy !== req.user.username)) {
+      return res.status(404).json({ error: 'Upload link not found' });
     }
 
-    // Validate folder name
-    if (name.includes('/') || name.includes('\\') || name === '.' || name === '..') {
-      return res.status(400).json({ error: 'Invalid folder name' });
-    }
+    await fileRequestStore.revoke(request.token);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke file request error:', error);
+    res.status(500).json({ error: 'Failed to revoke upload link' });
+  }
+});
 
-    // Validate and get parent path
-    const parentPath = validatePath(folderPath || '/');
-    const newFolderPath = path.join(parentPath, name);
+// Get access rules for a folder
+app.get('/api/acl', async (req, res) => {
+  try {
+    const folderPath = resolveStoragePath(req.query.path || '/');
 
-    // Check if folder already exists
-    try {
-      await fs.access(newFolderPath);
-      return res.status(409).json({ error: 'Folder already exists' });
-    } catch {
-      // Folder doesn't exist, continue
+    if (!accessControl.can(folderPath, req.user, 'admin')) {
+      return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Create folder
-    await fs.mkdir(newFolderPath, { recursive: false });
-
+    const effective = accessControl.resolve(folderPath, req.user);
     res.json({
-      success: true,
-      path: path.relative(UPLOAD_DIR, newFolderPath),
-      name
+      path: folderPath,
+      rules: accessControl.getRules(folderPath),
+      inheritedFrom: effective.source,
+      permissions: effective.permissions
     });
   } catch (error) {
-    console.error('Create folder error:', error);
-    if (error.message.includes('Invalid path')) {
-      res.status(400).json({ error: error.message });
+    console.error('Get ACL error:', error);
+    const status = getPathErrorStatus(error);
+    if (status) {
+      res.status(status).json({ error: error.message });
     } else {
-      res.status(500).json({ error: 'Failed to create folder' });
+      res.status(500).json({ error: 'Failed to read access rules' });
     }
   }
 });
 
-// Delete folder
-app.delete('/api/folders/*', async (req, res) => {
+// Replace access rules for a folder (an empty list removes them)
+app.put('/api/acl', async (req, res) => {
   try {
-    const folderPath = req.params[0]; // Get everything after /api/folders/
+    const folderPath = resolveStoragePath(req.query.path || '/');
+    const { rules } = req.body;
 
-    if (!folderPath) {
-      return res.status(400).json({ error: 'Folder path is required' });
+    if (!accessControl.can(folderPath, req.user, 'admin')) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (!Array.isArray(rules) || !rules.every(AccessControl.isValidRule)) {
+      return res.status(400).json({
+        error: `Rules must be a list of { principal: "user:<name>" | "group:<name>" | "*", permissions: [${AccessControl.PERMISSIONS.join(', ')}] }`
+      });
     }
 
-    const fullPath = validatePath(folderPath);
-
-    // Check if folder exists
     try {
-      const stats = await fs.stat(fullPath);
+      const stats = await storage.stat(folderPath);
       if (!stats.isDirectory()) {
         return res.status(400).json({ error: 'Path is not a folder' });
       }
@@ -311,149 +3122,361 @@ app.delete('/api/folders/*', async (req, res) => {
       return res.status(404).json({ error: 'Folder not found' });
     }
 
-    // Delete folder recursively
-    await fs.rm(fullPath, { recursive: true, force: true });
+    await accessControl.setRules(folderPath, rules);
 
-    res.json({ success: true });
+    res.json({
+      path: folderPath,
+      rules: accessControl.getRules(folderPath)
+    });
   } catch (error) {
-    console.error('Delete folder error:', error);
-    if (error.message.includes('Invalid path')) {
-      res.status(400).json({ error: error.message });
+    console.error('Set ACL error:', error);
+    const status = getPathErrorStatus(error);
+    if (status) {
+      res.status(status).json({ error: error.message });
     } else {
-      res.status(500).json({ error: 'Failed to delete folder' });
+      res.status(500).json({ error: 'Failed to update access rules' });
     }
   }
 });
 
-// Rename folder
-app.put('/api/folders/*', async (req, res) => {
+// List every folder with access rules
+app.get('/api/acl/all', requireAdmin, (req, res) => {
+  res.json({ folders: accessControl.listAll() });
+});
+
+// List trash items (your own, or everyone's for admins)
+app.get('/api/trash', (req, res) => {
+  const deletedBy = req.user.role === 'admin' ? undefined : req.user.username;
+  res.json({
+    items: trashStore.list(deletedBy),
+    retentionDays: TRASH_RETENTION / (24 * 60 * 60 * 1000)
+  });
+});
+
+// Restore a trash item to its original path (or newPath)
+// onConflict: "fail" (409, default) or "rename" to keep both
+app.post('/api/trash/:id/restore', async (req, res) => {
   try {
-    const folderPath = req.params[0];
-    const { newName } = req.body;
+    const item = trashStore.get(req.params.id);
+    if (!item || (req.user.role !== 'admin' && item.deletedBy !== req.user.username)) {
+      return res.status(404).json({ error: 'Trash item not found' });
+    }
 
-    if (!newName || typeof newName !== 'string') {
-      return res.status(400).json({ error: 'New folder name is required' });
+    const { newPath, onConflict = 'fail' } = req.body;
+    if (!['fail', 'rename'].includes(onConflict)) {
+      return res.status(400).json({ error: 'onConflict must be "fail" or "rename"' });
+    }
+    if (newPath !== undefined && newPath !== null && typeof newPath !== 'string') {
+      return res.status(400).json({ error: 'newPath must be a string' });
     }
 
-    // Validate new folder name
-    if (newName.includes('/') || newName.includes('\\') || newName === '.' || newName === '..') {
-      return res.status(400).json({ error: 'Invalid folder name' });
+    const targetPath = newPath || item.path;
+    const name = path.posix.basename(targetPath);
+    if (!isValidName(name)) {
+      return res.status(400).json({ error: 'Invalid path' });
     }
+    const parentPath = validatePath(path.posix.dirname(targetPath), req.user, 'write');
 
-    const oldPath = validatePath(folderPath);
-    const parentDir = path.dirname(oldPath);
-    const newPath = path.join(parentDir, newName);
+    let finalName = name;
+    if (await storage.exists(path.posix.join(parentPath, name))) {
+      if (onConflict === 'fail') {
+        return res.status(409).json({ error: 'An item with that name already exists', path: targetPath });
+      }
+      finalName = await getAvailableName(parentPath, name);
+    }
+
+    const itemPath = path.posix.join(parentPath, finalName);
+    await restoreFromTrash(item, itemPath);
+    await publishChange('create', itemPath, req.user);
+
+    res.json({ success: true, path: itemPath });
+  } catch (error) {
+    console.error('Restore from trash error:', error);
+    const status = getPathErrorStatus(error);
+    if (status) {
+      res.status(status).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to restore item' });
+    }
+  }
+});
+
+// Permanently delete a trash item
+app.delete('/api/trash/:id', async (req, res) => {
+  try {
+    const item = trashStore.get(req.params.id);
+    if (!item || (req.user.role !== 'admin' && item.deletedBy !== req.user.username)) {
+      return res.status(404).json({ error: 'Trash item not found' });
+    }
 
-    // Check if old folder exists
     try {
-      const stats = await fs.stat(oldPath);
-      if (!stats.isDirectory()) {
-        return res.status(400).json({ error: 'Path is not a folder' });
+      await purgeFromTrash(item, req.user, req);
+    } catch (error) {
+      if (!(error instanceof HookRejection)) {
+        throw error;
       }
-    } catch {
-      return res.status(404).json({ error: 'Folder not found' });
+      return sendHookRejection(res, error);
     }
 
-    // Check if new name already exists
-    try {
-      await fs.access(newPath);
-      return res.status(409).json({ error: 'A folder with that name already exists' });
-    } catch {
-      // New name doesn't exist, continue
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Purge trash item error:', error);
+    res.status(500).json({ error: 'Failed to delete item' });
+  }
+});
+
+// Empty the trash (your own items, or everything for admins)
+app.delete('/api/trash', async (req, res) => {
+  try {
+    const deletedBy = req.user.role === 'admin' ? undefined : req.user.username;
+    const failed = [];
+
+    for (const item of trashStore.list(deletedBy)) {
+      try {
+        await purgeFromTrash(item, req.user, req);
+      } catch (error) {
+        failed.push({ id: item.id, path: item.path, error: error.message });
+      }
     }
 
-    // Rename folder
-    await fs.rename(oldPath, newPath);
+    res.json({ success: failed.length === 0, failed });
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({ error: 'Failed to empty trash' });
+  }
+});
 
-    res.json({
-      success: true,
-      newPath: path.relative(UPLOAD_DIR, newPath)
-    });
+// List a file's earlier versions, newest first
+app.get('/api/versions', async (req, res) => {
+  try {
+    if (!req.query.path) {
+      return res.status(400).json({ error: 'File path is required' });
+    }
+
+    const itemPath = validatePath(req.query.path, req.user, 'read');
+    res.json({ path: itemPath, versions: versionStore.list(itemPath) });
   } catch (error) {
-    console.error('Rename folder error:', error);
-    if (error.message.includes('Invalid path')) {
-      res.status(400).json({ error: error.message });
+    console.error('List versions error:', error);
+    const status = getPathErrorStatus(error);
+    if (status) {
+      res.status(status).json({ error: error.message });
     } else {
-      res.status(500).json({ error: 'Failed to rename folder' });
+      res.status(500).json({ error: 'Failed to list versions' });
     }
   }
 });
 
-// Download file
-app.get('/api/download/:filename', async (req, res) => {
+// Download an earlier version of a file
+app.get('/api/versions/:id/download', async (req, res) => {
   try {
-    const filename = req.params.filename;
-    const filePath = path.join(UPLOAD_DIR, filename);
+    if (!req.query.path) {
+      return res.status(400).json({ error: 'File path is required' });
+    }
 
-    // Check if file exists
-    try {
-      await fs.access(filePath);
-    } catch {
-      return res.status(404).json({ error: 'File not found' });
+    const itemPath = validatePath(req.query.path, req.user, 'read');
+    const version = versionStore.get(itemPath, req.params.id);
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
     }
 
+    const filename = path.posix.basename(itemPath);
+    const dataPath = versionStore.getDataPath(version.id);
+
     // Plugin hook: before download
     try {
       await pluginManager.executeHook('beforeDownload', {
         filename,
-        filePath,
+        path: itemPath,
+        filePath: storage.getLocalPath(dataPath),
+        version,
+        user: req.user,
         req
       });
     } catch (error) {
-      return res.status(403).json({ error: error.message || 'Download rejected by plugin' });
+      return sendHookRejection(res, error);
     }
 
-    res.download(filePath, filename, async (err) => {
-      if (!err) {
-        // Plugin hook: after download
-        await pluginManager.executeHook('afterDownload', {
-          filename,
-          req
-        });
+    try {
+      await sendStoredFile(req, res, dataPath, await storage.stat(dataPath), { attachment: filename });
+    } catch (error) {
+      // The version's data is gone, the client went away, or reading failed part way
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to download version' });
       }
+      return;
+    }
+
+    // Plugin hook: after download
+    await pluginManager.executeHook('afterDownload', {
+      filename,
+      path: itemPath,
+      version,
+      user: req.user,
+      req
     });
   } catch (error) {
-    console.error('Error downloading file:', error);
-    res.status(500).json({ error: 'Failed to download file' });
+    console.error('Download version error:', error);
+    const status = getPathErrorStatus(error);
+    if (status) {
+      res.status(status).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to download version' });
+    }
   }
 });
 
-// Delete file
-app.delete('/api/files/:filename', async (req, res) => {
+// Make an earlier version the current content of a file
+// The content it replaces is kept as a new version
+app.post('/api/versions/:id/restore', async (req, res) => {
   try {
-    const filename = req.params.filename;
-    const filePath = path.join(UPLOAD_DIR, filename);
+    const { path: filePath } = req.body;
+    if (!filePath) {
+      return res.status(400).json({ error: 'File path is required' });
+    }
 
-    // Check if file exists
-    try {
-      await fs.access(filePath);
-    } catch {
-      return res.status(404).json({ error: 'File not found' });
+    const itemPath = validatePath(filePath, req.user, 'write');
+    if (!versionStore.get(itemPath, req.params.id)) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    const stats = await storage.stat(itemPath).catch(() => null);
+    if (stats && stats.isDirectory()) {
+      return res.status(409).json({ error: 'A folder with that name exists' });
     }
 
-    // Plugin hook: before delete
-    try {
-      await pluginManager.executeHook('beforeDelete', {
-        filename,
-        filePath,
-        req
-      });
-    } catch (error) {
-      return res.status(403).json({ error: error.message || 'Deletion rejected by plugin' });
+    const replaced = await versionStore.restore(itemPath, req.params.id, req.user.username);
+    sizeIndex.invalidate(itemPath);
+    await publishChange('upload', itemPath, req.user);
+    res.json({ success: true, path: itemPath, replaced });
+  } catch (error) {
+    console.error('Restore version error:', error);
+    const status = getPathErrorStatus(error);
+    if (status) {
+      res.status(status).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to restore version' });
     }
+  }
+});
 
-    await fs.unlink(filePath);
+// Live change events for a folder (Server-Sent Events)
+// Query: path - folder to watch; changes anywhere inside it are sent
+app.get('/api/events', (req, res) => {
+  let folderPath;
+  try {
+    folderPath = validatePath(req.query.path || '/', req.user, 'read');
+  } catch (error) {
+    return res.status(getPathErrorStatus(error) || 500).json({ error: error.message });
+  }
 
-    // Plugin hook: after delete
-    await pluginManager.executeHook('afterDelete', {
-      filename,
-      req
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  // Events are sent one after another even when one has to wait for a folder's size
+  let sending = Promise.resolve();
+  const unsubscribe = changeFeed.subscribe(event => {
+    const visible = ChangeFeed.isInside(event, folderPath) && getVisibleEvent(event, req.user);
+    if (!visible) {
+      return;
+    }
+    sending = sending.then(async () => {
+      let { item } = visible;
+      // The item's size was counted for everyone; recount it for this user
+      // if part of the folder is hidden from them
+      if (item && item.isDirectory && !accessControl.canTree(item.path, req.user, 'read')) {
+        item = await getItemDetails(item.path, null, req.user).catch(() => null);
+        if (!item) {
+          // Gone already; its delete event follows
+          return;
+        }
+      }
+      const data = item ? { ...visible, item } : visible;
+      res.write(`event: ${data.type}\ndata: ${JSON.stringify(data)}\n\n`);
     });
+  });
+
+  // Keep proxies from closing an idle connection
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 30 * 1000);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+});
+
+// Storage dashboard page
+app.get('/storage', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'storage.html'));
+});
 
-    res.json({ message: 'File deleted successfully' });
+// Disk space, what uses it, and how it grew
+// Query: days - history to include (default 30)
+app.get('/api/storage', requireAdmin, async (req, res) => {
+  try {
+    const days = Math.max(parseInt(req.query.days, 10) || 30, 1);
+    res.json({
+      usage: await getStorageUsage(),
+      history: storageHistory.list(new Date(Date.now() - days * 24 * 60 * 60 * 1000))
+    });
   } catch (error) {
-    console.error('Error deleting file:', error);
-    res.status(500).json({ error: 'Failed to delete file' });
+    console.error('Storage usage error:', error);
+    res.status(500).json({ error: 'Failed to get storage usage' });
+  }
+});
+
+// Largest files and folders, and space per file type
+// Query: limit - entries per list (default 20, at most 100)
+app.get('/api/storage/analysis', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    res.json(await analyzeStorage(req.user, limit));
+  } catch (error) {
+    console.error('Storage analysis error:', error);
+    res.status(500).json({ error: 'Failed to analyze storage' });
+  }
+});
+
+// Sizes of a folder's children, for the treemap
+app.get('/api/storage/tree', requireAdmin, async (req, res) => {
+  try {
+    const folderPath = validatePath(req.query.path || '/', req.user, 'read');
+
+    const stats = await storage.stat(folderPath).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    const children = [];
+    for (const entry of await storage.list(folderPath)) {
+      const itemPath = path.posix.join(folderPath, entry.name);
+      if (entry.symlink || isSystemPath(itemPath)) {
+        continue;
+      }
+      try {
+        children.push(await getItemDetails(itemPath, entry));
+      } catch (error) {
+        console.error(`Error reading ${itemPath}:`, error.message);
+      }
+    }
+    children.sort((a, b) => b.size - a.size);
+
+    res.json({
+      path: folderPath,
+      size: children.reduce((total, child) => total + child.size, 0),
+      children
+    });
+  } catch (error) {
+    console.error('Storage tree error:', error);
+    const status = getPathErrorStatus(error);
+    if (status) {
+      res.status(status).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to get folder sizes' });
+    }
   }
 });
 
@@ -464,26 +3487,239 @@ app.get('/api/plugins', (req, res) => {
   });
 });
 
+// Every plugin with its status (enabled, disabled or error), load error and
+// what it registered
+app.get('/api/plugins/status', requireAdmin, (req, res) => {
+  res.json({ plugins: pluginManager.getPluginStatus() });
+});
+
+// Enable, disable or reload a plugin (by its directory name) without a restart;
+// enabling and disabling are saved to its config.json
+app.post('/api/plugins/:id/:action(enable|disable|reload)', requireAdmin, async (req, res) => {
+  const { id, action } = req.params;
+
+  if (!pluginManager.hasPlugin(id)) {
+    return res.status(404).json({ error: 'Plugin not found' });
+  }
+  if (action !== 'enable' && pluginManager.providesStorage(id)) {
+    return res.status(409).json({ error: 'This plugin provides the storage adapter in use' });
+  }
+
+  try {
+    const plugin = action === 'reload'
+      ? await pluginManager.reloadPlugin(id)
+      : await pluginManager.setPluginEnabled(id, action === 'enable');
+    if (!plugin) {
+      return res.status(404).json({ error: 'Plugin not found' });
+    }
+    res.json({ plugin });
+  } catch (error) {
+    console.error(`Plugin ${action} error:`, error);
+    res.status(500).json({ error: `Failed to ${action} plugin: ${error.message}` });
+  }
+});
+
+// Helper: Router with the routes plugins have added
+function createPluginRouter() {
+  const router = express.Router();
+  for (const route of pluginManager.getRoutes()) {
+    const method = route.method.toLowerCase();
+    if (typeof router[method] === 'function') {
+      // Plugin routes are never anonymous, even outside /api
+      router[method](route.path, requireAuth, route.handler);
+    }
+  }
+  return router;
+}
+
+// Helper: Create the storage adapter STORAGE_ADAPTER names
+function createStorageAdapter(name) {
+  if (name === 'local') {
+    return new LocalStorageAdapter(UPLOAD_DIR);
+  }
+  if (name === 'memory') {
+    return new MemoryStorageAdapter();
+  }
+  if (name === 's3') {
+    return new S3StorageAdapter({
+      endpoint: process.env.STORAGE_S3_ENDPOINT,
+      bucket: process.env.STORAGE_S3_BUCKET,
+      region: process.env.STORAGE_S3_REGION,
+      accessKeyId: process.env.STORAGE_S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.STORAGE_S3_SECRET_ACCESS_KEY,
+      prefix: process.env.STORAGE_S3_PREFIX
+    });
+  }
+
+  const factory = pluginManager.getStorageAdapter(name);
+  if (!factory) {
+    throw new Error(`Unknown storage adapter "${name}"`);
+  }
+  const adapter = factory();
+  if (!(adapter instanceof StorageAdapter)) {
+    throw new Error(`Storage adapter "${name}" must extend StorageAdapter`);
+  }
+  return adapter;
+}
+
+// Helper: Set up the storage adapter and the stores that keep files in it
+async function setUpStorage() {
+  storage = createStorageAdapter(STORAGE_ADAPTER);
+  await storage.init();
+  pluginManager.setStorage(storage, STORAGE_ADAPTER);
+
+  versionStore = new VersionStore(path.join(SYSTEM_DIR, 'versions'), {
+    storage,
+    dataDir: path.posix.join(STORAGE_SYSTEM_PATH, 'versions'),
+    maxCount: parseInt(process.env.VERSION_RETENTION_COUNT, 10) || 10,
+    maxAge: (parseInt(process.env.VERSION_RETENTION_DAYS, 10) || 30) * 24 * 60 * 60 * 1000
+  });
+  trashStore = new TrashStore(path.join(SYSTEM_DIR, 'trash'), {
+    storage,
+    dataDir: path.posix.join(STORAGE_SYSTEM_PATH, 'trash')
+  });
+  contentIndex = new ContentIndex(path.join(SYSTEM_DIR, 'content-index.json'), {
+    storage,
+    extensions: TEXT_EXTENSIONS,
+    maxFileSize: (parseInt(process.env.CONTENT_INDEX_MAX_FILE_MB, 10) || 5) * 1024 * 1024,
+    ignore: itemPath => isSystemPath(itemPath)
+  });
+  sizeIndex = new SizeIndex({
+    storage,
+    maxAge: 10 * 60 * 1000,
+    ignore: itemPath => isSystemPath(itemPath)
+  });
+}
+
+// Create the first admin account if there are no users yet
+async function ensureAdminUser() {
+  await userStore.load();
+  if (userStore.hasUsers()) {
+    return;
+  }
+
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+  await userStore.createUser({ username, password, role: 'admin' });
+
+  console.log(`👤 Created admin user "${username}"`);
+  if (!process.env.ADMIN_PASSWORD) {
+    console.log(`   Generated password: ${password}`);
+    console.log('   Change it after logging in, or set ADMIN_PASSWORD before first start.');
+  }
+}
+
 // Initialize and start server
 async function start() {
-  // Load plugins
+  // Plugins first, since one may provide the storage adapter
   await pluginManager.loadPlugins();
+  await setUpStorage();
+
+  await ensureAdminUser();
+  await accessControl.load();
+  await shareStore.load();
+  await fileRequestStore.load();
+  await versionStore.load();
+  await trashStore.load();
+  await accessKeyStore.load();
+
+  // WebDAV and S3 uploads interrupted by a restart are never finished
+  await fs.rm(STAGING_DIR, { recursive: true, force: true });
+
+  // Discard abandoned resumable uploads now and then
+  await resumableUploads.cleanup();
+  setInterval(() => resumableUploads.cleanup(), 60 * 60 * 1000).unref();
+  await multipartUploads.cleanup();
+  setInterval(() => multipartUploads.cleanup(), MULTIPART_CLEANUP_INTERVAL).unref();
+
+  // Empty old items out of the trash
+  await purgeExpiredTrash();
+  setInterval(purgeExpiredTrash, 60 * 60 * 1000).unref();
+
+  // Versions past their retention age expire even if the file isn't touched again
+  await versionStore.pruneAll();
+  setInterval(() => versionStore.pruneAll().catch(error => {
+    console.error('Version cleanup error:', error);
+  }), 60 * 60 * 1000).unref();
+
+  // Sample disk usage for the storage dashboard, unless a recent sample exists
+  await storageHistory.load();
+  const lastSample = storageHistory.getLastSampleTime();
+  if (!lastSample || Date.now() - lastSample >= STORAGE_SAMPLE_INTERVAL) {
+    recordStorageSample();
+  }
+  setInterval(recordStorageSample, STORAGE_SAMPLE_INTERVAL).unref();
 
-  // Register plugin routes
-  const pluginRoutes = pluginManager.getRoutes();
-  for (const route of pluginRoutes) {
-    const method = route.method.toLowerCase();
-    if (typeof app[method] === 'function') {
-      app[method](route.path, route.handler);
-      console.log(`  → Registered route: ${route.method} ${route.path}`);
+  // Report changes made outside the app (WATCH_FILES=false turns this off)
+  if (process.env.WATCH_FILES !== 'false') {
+    try {
+      changeFeed.watch(storage, {
+        describe: itemPath => getItemDetails(itemPath).catch(() => null),
+        ignore: isSystemPath,
+        onChange: itemPath => sizeIndex.invalidate(itemPath)
+      });
+    } catch (error) {
+      console.error('Could not watch storage for changes:', error.message);
+    }
+  }
+
+  // Keep the content index current as files change; the periodic rescan
+  // catches everything else (folder deletes, trash restores, outside edits)
+  await contentIndex.load();
+  pluginManager.registerHook('afterUpload', async (data) => {
+    for (const file of data.files) {
+      await contentIndex.update(file.path);
+    }
+  });
+  pluginManager.registerHook('afterDelete', (data) => {
+    contentIndex.removePath(data.path);
+  });
+  pluginManager.registerHook('afterMove', (data) => {
+    contentIndex.movePath(data.path, data.newPath);
+  });
+  pluginManager.registerHook('afterCopy', (data) => contentIndex.update(data.newPath));
+
+  const rescanContent = () => contentIndex.rescan().catch(error => {
+    console.error('Content index rescan error:', error);
+  });
+  rescanContent();
+  setInterval(rescanContent, CONTENT_INDEX_RESCAN).unref();
+
+  // Plugin routes go on their own router, rebuilt whenever a plugin is loaded
+  // or unloaded; it sits after all the built-in routes
+  let pluginRouter = createPluginRouter();
+  pluginManager.subscribe(() => {
+    pluginRouter = createPluginRouter();
+  });
+  app.use((req, res, next) => pluginRouter(req, res, next));
+
+  // Reload plugins when their code or config.json changes (WATCH_PLUGINS=false turns this off)
+  if (process.env.WATCH_PLUGINS !== 'false') {
+    try {
+      pluginManager.watch();
+    } catch (error) {
+      console.error('Could not watch plugins for changes:', error.message);
     }
   }
 
   // Start server
   app.listen(PORT, '0.0.0.0', () => {
     console.log(`\n🚀 Quick NAS server running on port ${PORT}`);
-    console.log(`📁 Upload directory: ${UPLOAD_DIR}`);
+    console.log(`📁 Storage: ${STORAGE_ADAPTER}${STORAGE_ADAPTER === 'local' ? ` (${UPLOAD_DIR})` : ''}`);
+    if (process.env.WEBDAV !== 'false') {
+      console.log(`🗂️  WebDAV: ${WEBDAV_PATH}`);
+    }
   });
+
+  if (process.env.S3 !== 'false') {
+    const s3App = express();
+    // S3 ETags identify objects, not response bodies
+    s3App.set('etag', false);
+    s3App.use(s3Server.handler());
+    s3App.listen(S3_PORT, '0.0.0.0', () => {
+      console.log(`🪣 S3 API running on port ${S3_PORT}`);
+    });
+  }
 }
 
 start().catch(error => {
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AccessControl = require('../lib/AccessControl');
+
+const alice = { username: 'alice', role: 'user', groups: ['finance'] };
+const bob = { username: 'bob', role: 'user', groups: [] };
+const admin = { username: 'root', role: 'admin', groups: [] };
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quick-nas-acl-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let count = 0;
+function createAccessControl() {
+    return new AccessControl(path.join(dir, `acl-${++count}.json`));
+}
+
+test('without rules every user can read, write and delete', () => {
+    const accessControl = createAccessControl();
+
+    assert.deepStrictEqual(accessControl.resolve('/a/b', bob), {
+        permissions: ['read', 'write', 'delete'],
+        source: null
+    });
+    assert.strictEqual(accessControl.can('/a/b', bob, 'admin'), false);
+});
+
+test('folders inherit the rules of their closest ruled ancestor', async () => {
+    const accessControl = createAccessControl();
+    await accessControl.setRules('/team', [{ principal: '*', permissions: ['read'] }]);
+    await accessControl.setRules('/team/finance', [{ principal: 'group:finance', permissions: ['read', 'write'] }]);
+
+    assert.deepStrictEqual(accessControl.resolve('/team/docs/a.txt', bob), { permissions: ['read'], source: '/team' });
+    assert.deepStrictEqual(accessControl.resolve('/team/finance/2024', alice),
+        { permissions: ['read', 'write'], source: '/team/finance' });
+    // No entry for bob at /team/finance, so /team's applies
+    assert.deepStrictEqual(accessControl.resolve('/team/finance/2024', bob), { permissions: ['read'], source: '/team' });
+});
+
+test('a user entry beats group entries, which beat "*"', async () => {
+    const accessControl = createAccessControl();
+    await accessControl.setRules('/shared', [
+        { principal: '*', permissions: ['read', 'write', 'delete'] },
+        { principal: 'group:finance', permissions: ['read', 'write'] },
+        { principal: 'user:alice', permissions: ['read'] }
+    ]);
+
+    assert.deepStrictEqual(accessControl.resolve('/shared', alice).permissions, ['read']);
+    assert.deepStrictEqual(accessControl.resolve('/shared', { ...bob, groups: ['finance'] }).permissions, ['read', 'write']);
+    assert.deepStrictEqual(accessControl.resolve('/shared', bob).permissions, ['read', 'write', 'delete']);
+});
+
+test('the admin permission grants everything, and admins bypass rules', async () => {
+    const accessControl = createAccessControl();
+    await accessControl.setRules('/private', [
+        { principal: 'user:alice', permissions: ['admin'] },
+        { principal: '*', permissions: [] }
+    ]);
+
+    assert.deepStrictEqual(accessControl.resolve('/private/x', alice).permissions, AccessControl.PERMISSIONS);
+    assert.strictEqual(accessControl.can('/private/x', bob, 'read'), false);
+    assert.strictEqual(accessControl.can('/private/x', admin, 'delete'), true);
+});
+
+test('canTree and getDeniedPaths see restricted folders further down', async () => {
+    const accessControl = createAccessControl();
+    await accessControl.setRules('/projects/secret', [{ principal: '*', permissions: [] }]);
+    await accessControl.setRules('/projects/secret/inner', [{ principal: '*', permissions: [] }]);
+
+    assert.strictEqual(accessControl.can('/projects', bob, 'read'), true);
+    assert.strictEqual(accessControl.canTree('/projects', bob, 'read'), false);
+    assert.strictEqual(accessControl.canTree('/other', bob, 'read'), true);
+    // Only the topmost denied folder
+    assert.deepStrictEqual(accessControl.getDeniedPaths('/', bob, 'read'), ['/projects/secret']);
+});
+
+test('rules follow moved folders, go with deleted ones and survive a reload', async () => {
+    const accessControl = createAccessControl();
+    await accessControl.setRules('/a/b', [{ principal: '*', permissions: ['read'] }]);
+    await accessControl.setRules('/a/b/c', [{ principal: '*', permissions: [] }]);
+
+    await accessControl.movePath('/a', '/z');
+    assert.deepStrictEqual(accessControl.listAll().map(entry => entry.path), ['/z/b', '/z/b/c']);
+
+    await accessControl.removePath('/z/b/c');
+    const reloaded = new AccessControl(accessControl.filePath);
+    await reloaded.load();
+    assert.deepStrictEqual(reloaded.listAll(), [{ path: '/z/b', rules: [{ principal: '*', permissions: ['read'] }] }]);
+});
+
+test('isValidRule rejects unknown principals and permissions', () => {
+    assert.strictEqual(AccessControl.isValidRule({ principal: 'group:x', permissions: ['read'] }), true);
+    assert.strictEqual(AccessControl.isValidRule({ principal: 'team:x', permissions: ['read'] }), false);
+    assert.strictEqual(AccessControl.isValidRule({ principal: '*', permissions: ['execute'] }), false);
+    assert.strictEqual(AccessControl.isValidRule(null), false);
+});
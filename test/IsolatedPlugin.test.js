@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PluginManager = require('../lib/PluginManager');
+
+// The manager's progress messages would mix with the test runner's output
+test.beforeEach(t => {
+    for (const method of ['log', 'warn', 'error']) {
+        t.mock.method(console, method, () => {});
+    }
+});
+
+// Each attempt returns what it got, or throws; the hook reports which ones worked
+const PLUGIN = `
+module.exports = {
+    name: 'Escape Test',
+    init({ registerHook }) {
+        registerHook('afterCheck', async () => {
+            const attempts = {
+                requireChildProcess: () => require('child_process'),
+                requireFs: () => require('node:fs'),
+                requireModule: () => require('module'),
+                mainModule: () => process.mainModule.require('child_process'),
+                globalProcessMainModule: () => Function('return process')().mainModule.require('fs'),
+                binding: () => process.binding('fs'),
+                linkedBinding: () => process._linkedBinding('fs'),
+                getBuiltinModule: () => process.getBuiltinModule('fs'),
+                dlopen: () => process.dlopen({}, '/nonexistent.node'),
+                kill: () => process._kill(process.pid, 0),
+                report: () => process.report.writeReport('/tmp/x'),
+                importFs: () => import('fs'),
+                outsideFile: () => require('../../lib/UserStore')
+            };
+            const reached = [];
+            for (const [name, attempt] of Object.entries(attempts)) {
+                try {
+                    const result = await attempt();
+                    if (result !== undefined) {
+                        reached.push(name);
+                    }
+                } catch {
+                    // Blocked, as it should be
+                }
+            }
+            return { reached };
+        });
+    }
+};
+`;
+
+test('an isolated plugin without capabilities cannot reach child_process or fs', async () => {
+    const pluginsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quick-nas-plugins-'));
+    const pluginDir = path.join(pluginsDir, 'escape-test');
+    fs.mkdirSync(pluginDir);
+    fs.writeFileSync(path.join(pluginDir, 'index.js'), PLUGIN);
+    fs.writeFileSync(path.join(pluginDir, 'config.json'), JSON.stringify({ isolated: true, capabilities: [] }));
+
+    const pluginManager = new PluginManager(pluginsDir, { hookTimeout: 10000 });
+    try {
+        const status = await pluginManager.loadPlugin('escape-test');
+        assert.strictEqual(status.status, 'enabled', status.error);
+
+        const result = await pluginManager.executeHook('afterCheck', {});
+        assert.deepStrictEqual(result.reached, []);
+    } finally {
+        await pluginManager.unloadPlugin('escape-test');
+        fs.rmSync(pluginsDir, { recursive: true, force: true });
+    }
+});
+
+test('an isolated plugin that hangs while loading or in init() fails instead of blocking', async () => {
+    const pluginsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quick-nas-plugins-'));
+    const plugins = {
+        'hangs-loading': 'while (true) {}',
+        'hangs-in-init': 'module.exports = { init() { while (true) {} } };'
+    };
+    for (const [name, source] of Object.entries(plugins)) {
+        fs.mkdirSync(path.join(pluginsDir, name));
+        fs.writeFileSync(path.join(pluginsDir, name, 'index.js'), source);
+        fs.writeFileSync(path.join(pluginsDir, name, 'config.json'), JSON.stringify({ isolated: true }));
+    }
+
+    const pluginManager = new PluginManager(pluginsDir, { startTimeout: 500 });
+    try {
+        await pluginManager.loadPlugins();
+        for (const plugin of pluginManager.getPluginStatus()) {
+            assert.strictEqual(plugin.status, 'error', plugin.id);
+        }
+    } finally {
+        fs.rmSync(pluginsDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PluginManager = require('../lib/PluginManager');
+const HookRejection = require('../lib/HookRejection');
+
+// Hook errors are logged; keep them out of the test runner's output
+test.beforeEach(t => {
+    for (const method of ['log', 'warn', 'error']) {
+        t.mock.method(console, method, () => {});
+    }
+});
+
+test('hooks run by priority, then in the order they were registered', async () => {
+    const pluginManager = new PluginManager();
+    const order = [];
+    pluginManager.registerHook('beforeUpload', () => { order.push('default'); });
+    pluginManager.registerHook('beforeUpload', () => { order.push('first'); }, { priority: 100 });
+    pluginManager.registerHook('beforeUpload', () => { order.push('default, later'); });
+    pluginManager.registerHook('beforeUpload', () => { order.push('last'); }, { priority: -5 });
+
+    await pluginManager.executeHook('beforeUpload', { files: [] });
+
+    assert.deepStrictEqual(order, ['first', 'default', 'default, later', 'last']);
+});
+
+test('each hook gets what the one before it returned, with the common fields', async () => {
+    const pluginManager = new PluginManager();
+    pluginManager.registerHook('beforeMove', data => ({ ...data, newName: data.newName.toLowerCase() }));
+    pluginManager.registerHook('beforeMove', () => undefined);
+
+    const result = await pluginManager.executeHook('beforeMove', {
+        path: '/a.txt',
+        newName: 'B.TXT',
+        req: { id: 'request-1' }
+    });
+
+    assert.strictEqual(result.newName, 'b.txt');
+    assert.strictEqual(result.operation, 'move');
+    assert.strictEqual(result.requestId, 'request-1');
+    assert.strictEqual(result.user, null);
+});
+
+test('a before hook that throws vetoes the operation and stops later hooks', async () => {
+    const pluginManager = new PluginManager();
+    let laterRan = false;
+    pluginManager.registerHook('beforeDelete', () => {
+        throw new HookRejection('Locked', { status: 423 });
+    }, { plugin: 'Locker', priority: 10 });
+    pluginManager.registerHook('beforeDelete', () => { laterRan = true; });
+
+    await assert.rejects(pluginManager.executeHook('beforeDelete', { path: '/a' }), error =>
+        error instanceof HookRejection && error.status === 423 &&
+        error.plugin === 'Locker' && error.hook === 'beforeDelete');
+    assert.strictEqual(laterRan, false);
+});
+
+test('other errors in before hooks become 403 rejections', async () => {
+    const pluginManager = new PluginManager();
+    pluginManager.registerHook('beforeCopy', () => {
+        throw new Error('No copies today');
+    });
+
+    await assert.rejects(pluginManager.executeHook('beforeCopy', {}), error =>
+        error instanceof HookRejection && error.status === 403 && error.message === 'No copies today');
+});
+
+test('errors in after hooks are logged and the other hooks still run', async () => {
+    const pluginManager = new PluginManager();
+    let laterRan = false;
+    pluginManager.registerHook('afterUpload', () => {
+        throw new Error('Indexer crashed');
+    });
+    pluginManager.registerHook('afterUpload', () => { laterRan = true; });
+
+    await pluginManager.executeHook('afterUpload', { files: [] });
+
+    assert.strictEqual(laterRan, true);
+});
+
+test('a hook that takes longer than its timeout rejects with a 503', async () => {
+    const pluginManager = new PluginManager(undefined, { hookTimeout: 5000 });
+    pluginManager.registerHook('beforeUpload', () => new Promise(() => {}), { plugin: 'Slow', timeout: 50 });
+
+    await assert.rejects(pluginManager.executeHook('beforeUpload', {}), error =>
+        error instanceof HookRejection && error.status === 503 && /Slow did not respond in time/.test(error.message));
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const S3Auth = require('../lib/S3Auth');
+
+const credentials = { accessKeyId: 'QNTEST', secretAccessKey: 'test-secret', region: 'us-east-1' };
+const auth = new S3Auth(accessKeyId => (accessKeyId === credentials.accessKeyId ? credentials.secretAccessKey : null));
+
+// A request as Express would hand it to authenticate()
+function signedRequest(method, urlString, options = {}) {
+    const url = new URL(urlString);
+    const headers = S3Auth.signRequest({ method, url, ...options }, options.credentials || credentials);
+    return { method, originalUrl: url.pathname + url.search, headers };
+}
+
+function assertRejected(req, s3Code) {
+    assert.throws(() => auth.authenticate(req), error => error.s3Code === s3Code);
+}
+
+test('a correctly signed request is accepted', () => {
+    const req = signedRequest('GET', 'http://localhost:9000/photos/2024/beach%20day.jpg?list-type=2&prefix=a');
+
+    const result = auth.authenticate(req);
+
+    assert.strictEqual(result.accessKeyId, 'QNTEST');
+    assert.strictEqual(result.scope.split('/').slice(1).join('/'), 'us-east-1/s3/aws4_request');
+});
+
+test('a request changed after signing is rejected', () => {
+    const req = signedRequest('GET', 'http://localhost:9000/photos/a.jpg');
+    req.originalUrl = '/photos/b.jpg';
+    assertRejected(req, 'SignatureDoesNotMatch');
+
+    const other = signedRequest('GET', 'http://localhost:9000/photos/a.jpg', { headers: { range: 'bytes=0-9' } });
+    other.headers.range = 'bytes=0-99';
+    assertRejected(other, 'SignatureDoesNotMatch');
+});
+
+test('a wrong secret or unknown key is rejected', () => {
+    assertRejected(
+        signedRequest('GET', 'http://localhost:9000/photos', { credentials: { ...credentials, secretAccessKey: 'guess' } }),
+        'SignatureDoesNotMatch'
+    );
+    assertRejected(
+        signedRequest('GET', 'http://localhost:9000/photos', { credentials: { ...credentials, accessKeyId: 'QNOTHER' } }),
+        'InvalidAccessKeyId'
+    );
+});
+
+test('an old request cannot be replayed', () => {
+    const amzDate = new Date(Date.now() - 60 * 60 * 1000).toISOString().replace(/[-:]|\.\d{3}/g, '');
+    const req = {
+        method: 'GET',
+        originalUrl: '/photos',
+        headers: {
+            host: 'localhost:9000',
+            'x-amz-date': amzDate,
+            authorization: `AWS4-HMAC-SHA256 Credential=QNTEST/${amzDate.slice(0, 8)}/us-east-1/s3/aws4_request, ` +
+                'SignedHeaders=host;x-amz-date, Signature=0000'
+        }
+    };
+
+    assertRejected(req, 'RequestTimeTooSkewed');
+});
+
+test('unsigned requests are anonymous and refused', () => {
+    assertRejected({ method: 'GET', originalUrl: '/photos', headers: { host: 'localhost:9000' } }, 'AccessDenied');
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const VersionStore = require('../lib/VersionStore');
+const MemoryStorageAdapter = require('../lib/MemoryStorageAdapter');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quick-nas-versions-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let count = 0;
+async function createStore(maxCount) {
+    const storage = new MemoryStorageAdapter();
+    const versionStore = new VersionStore(path.join(dir, String(++count)), { storage, dataDir: '/.versions', maxCount });
+    return { storage, versionStore };
+}
+
+// Overwrite a file the way the server does: keep the old content, then write
+async function overwrite(storage, versionStore, itemPath, content) {
+    if (await storage.exists(itemPath)) {
+        await versionStore.add(itemPath, 'alice');
+    }
+    await storage.write(itemPath, Readable.from([Buffer.from(content)]));
+}
+
+test('overwriting a file keeps its old content as a version, newest first', async () => {
+    const { storage, versionStore } = await createStore(0);
+    for (const content of ['one', 'two', 'three']) {
+        await overwrite(storage, versionStore, '/a.txt', content);
+    }
+
+    const versions = versionStore.list('/a.txt');
+    assert.strictEqual(versions.length, 2);
+    assert.strictEqual(await storage.readText(versionStore.getDataPath(versions[0].id)), 'two');
+    assert.strictEqual(await storage.readText(versionStore.getDataPath(versions[1].id)), 'one');
+});
+
+test('versions beyond maxCount are deleted', async () => {
+    const { storage, versionStore } = await createStore(2);
+    for (const content of ['one', 'two', 'three', 'four']) {
+        await overwrite(storage, versionStore, '/a.txt', content);
+    }
+
+    const versions = versionStore.list('/a.txt');
+    assert.deepStrictEqual(
+        await Promise.all(versions.map(version => storage.readText(versionStore.getDataPath(version.id)))),
+        ['three', 'two']
+    );
+    assert.strictEqual((await storage.list('/.versions')).length, 2);
+});
+
+test('restoring the oldest version at the retention limit works', async () => {
+    const { storage, versionStore } = await createStore(2);
+    for (const content of ['one', 'two', 'three']) {
+        await overwrite(storage, versionStore, '/a.txt', content);
+    }
+    const oldest = versionStore.list('/a.txt')[1];
+
+    const replaced = await versionStore.restore('/a.txt', oldest.id, 'alice');
+
+    assert.strictEqual(await storage.readText('/a.txt'), 'one');
+    assert.strictEqual(await storage.readText(versionStore.getDataPath(replaced.id)), 'three');
+    // Still within the limit afterwards, with the replaced content kept
+    const versions = versionStore.list('/a.txt');
+    assert.strictEqual(versions.length, 2);
+    assert.strictEqual(versions[0].id, replaced.id);
+    assert.strictEqual((await storage.list('/.versions')).length, 2);
+});
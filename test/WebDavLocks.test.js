@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const WebDavLocks = require('../lib/WebDavLocks');
+
+function lock(locks, itemPath, options = {}) {
+    return locks.create(itemPath, { scope: 'exclusive', depth: '0', username: 'alice', ...options });
+}
+
+test('an exclusive lock conflicts with any other lock on the same path', () => {
+    const locks = new WebDavLocks();
+
+    assert.ok(lock(locks, '/a.txt'));
+    assert.strictEqual(lock(locks, '/a.txt'), null);
+    assert.strictEqual(lock(locks, '/a.txt', { scope: 'shared' }), null);
+    assert.ok(lock(locks, '/b.txt'));
+});
+
+test('shared locks only conflict with exclusive ones', () => {
+    const locks = new WebDavLocks();
+
+    assert.ok(lock(locks, '/a.txt', { scope: 'shared' }));
+    assert.ok(lock(locks, '/a.txt', { scope: 'shared', username: 'bob' }));
+    assert.strictEqual(lock(locks, '/a.txt'), null);
+    assert.strictEqual(locks.getLocks('/a.txt').length, 2);
+});
+
+test('a depth infinity lock covers everything below it', () => {
+    const locks = new WebDavLocks();
+    const folderLock = lock(locks, '/docs', { depth: 'infinity' });
+
+    assert.deepStrictEqual(locks.getLocks('/docs/sub/file.txt'), [folderLock]);
+    assert.deepStrictEqual(locks.getLocks('/docs-old/file.txt'), []);
+    assert.strictEqual(lock(locks, '/docs/sub/file.txt'), null);
+});
+
+test('a depth infinity lock cannot be taken over a locked path inside it', () => {
+    const locks = new WebDavLocks();
+    const fileLock = lock(locks, '/docs/file.txt');
+
+    assert.deepStrictEqual(locks.getLocksBelow('/docs'), [fileLock]);
+    assert.strictEqual(lock(locks, '/docs', { depth: 'infinity' }), null);
+    // Depth 0 only covers the folder itself
+    assert.ok(lock(locks, '/docs'));
+});
+
+test('timeouts are capped and expired locks are dropped', () => {
+    const locks = new WebDavLocks({ defaultTimeout: 60, maxTimeout: 120 });
+
+    assert.strictEqual(lock(locks, '/a.txt').timeout, 60);
+    assert.strictEqual(lock(locks, '/b.txt', { timeout: 1000 }).timeout, 120);
+
+    const expiring = lock(locks, '/c.txt');
+    expiring.expiresAt = Date.now() - 1;
+    assert.strictEqual(locks.get(expiring.token), null);
+    assert.ok(lock(locks, '/c.txt'));
+});
+
+test('refreshing extends a lock', () => {
+    const locks = new WebDavLocks();
+    const refreshed = lock(locks, '/a.txt', { timeout: 10 });
+    refreshed.expiresAt = Date.now() + 1000;
+
+    assert.strictEqual(locks.refresh(refreshed.token, 600), refreshed);
+    assert.strictEqual(refreshed.timeout, 600);
+    assert.ok(refreshed.expiresAt > Date.now() + 500 * 1000);
+    assert.strictEqual(locks.refresh('opaquelocktoken:unknown'), null);
+});
+
+test('removing a path drops the locks on it and inside it', () => {
+    const locks = new WebDavLocks();
+    lock(locks, '/docs');
+    lock(locks, '/docs/file.txt');
+    const kept = lock(locks, '/docs-old');
+
+    locks.removePath('/docs');
+
+    assert.deepStrictEqual(Array.from(locks.locks.values()), [kept]);
+});
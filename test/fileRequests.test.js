@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, createUploadForm } = require('./helpers');
+
+let server;
+let token;
+
+test.before(async () => {
+    server = await startServer();
+    token = await server.login();
+});
+
+test.after(() => server.stop());
+
+async function createRequest(folder, options = {}) {
+    fs.mkdirSync(path.join(server.dataDir, folder), { recursive: true });
+    const { status, body } = await server.request('POST', '/api/file-requests', {
+        token,
+        json: { path: `/${folder}`, ...options }
+    });
+    assert.strictEqual(status, 201, JSON.stringify(body));
+    return body.request.token;
+}
+
+function upload(requestToken, files) {
+    return server.request('POST', `/api/public/requests/${requestToken}/upload`, { body: createUploadForm(files) });
+}
+
+test('anyone with the link can upload, without replacing what is there', async () => {
+    const requestToken = await createRequest('inbox', { title: 'Send me your photos' });
+    fs.writeFileSync(path.join(server.dataDir, 'inbox/photo.jpg'), 'already here');
+
+    const info = await server.request('GET', `/api/public/requests/${requestToken}`);
+    assert.strictEqual(info.body.title, 'Send me your photos');
+
+    const { status, body } = await upload(requestToken, { 'photo.jpg': 'new photo' });
+    assert.strictEqual(status, 200, JSON.stringify(body));
+    assert.deepStrictEqual(body.files, [{ name: 'photo (1).jpg', size: 9 }]);
+    assert.strictEqual(fs.readFileSync(path.join(server.dataDir, 'inbox/photo.jpg'), 'utf8'), 'already here');
+});
+
+test('uploads cannot pick a folder of their own', async () => {
+    const requestToken = await createRequest('flat');
+
+    const { body } = await upload(requestToken, { '../escape.txt': 'x' });
+
+    assert.deepStrictEqual(body.files, [{ name: 'escape.txt', size: 1 }]);
+    assert.strictEqual(fs.existsSync(path.join(server.dataDir, 'flat/escape.txt')), true);
+});
+
+test('the file count limit is enforced across uploads', async () => {
+    const requestToken = await createRequest('limited', { maxFiles: 2 });
+
+    assert.strictEqual((await upload(requestToken, { 'one.txt': '1' })).status, 200);
+    const info = await server.request('GET', `/api/public/requests/${requestToken}`);
+    assert.strictEqual(info.body.remainingFiles, 1);
+
+    assert.strictEqual((await upload(requestToken, { 'two.txt': '2', 'three.txt': '3' })).status, 413);
+    assert.strictEqual((await upload(requestToken, { 'two.txt': '2' })).status, 200);
+    assert.strictEqual((await upload(requestToken, { 'four.txt': '4' })).status, 410);
+    assert.deepStrictEqual(fs.readdirSync(path.join(server.dataDir, 'limited')).sort(), ['one.txt', 'two.txt']);
+});
+
+test('files over the size limit are refused and not kept', async () => {
+    const requestToken = await createRequest('small', { maxFileSize: 5 });
+
+    const { status } = await upload(requestToken, { 'big.txt': '0123456789' });
+
+    assert.strictEqual(status, 413);
+    assert.deepStrictEqual(fs.readdirSync(path.join(server.dataDir, 'small')), []);
+});
+
+test('upload hooks apply to file requests too', async () => {
+    const requestToken = await createRequest('checked');
+
+    const { status } = await upload(requestToken, { 'setup.exe': 'MZ' });
+
+    assert.strictEqual(status, 415);
+    assert.deepStrictEqual(fs.readdirSync(path.join(server.dataDir, 'checked')), []);
+});
+
+test('a revoked link stops working', async () => {
+    const requestToken = await createRequest('revoked');
+
+    await server.request('DELETE', `/api/file-requests/${requestToken}`, { token });
+
+    assert.strictEqual((await server.request('GET', `/api/public/requests/${requestToken}`)).status, 404);
+});
@@ -0,0 +1,128 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ADMIN_PASSWORD = 'admin-password';
+
+async function getFreePort() {
+    const server = net.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    await new Promise(resolve => server.close(resolve));
+    return port;
+}
+
+/**
+ * Run the server on its own port with an empty storage folder
+ * @param {Object} [env] - Extra environment variables
+ * @returns {Promise<Object>} { baseUrl, dataDir, request(), login(), createUser(), stop() }
+ */
+async function startServer(env = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quick-nas-test-'));
+    const port = await getFreePort();
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        cwd: path.join(__dirname, '..'),
+        env: {
+            ...process.env,
+            PORT: String(port),
+            UPLOAD_DIR: dataDir,
+            ADMIN_PASSWORD,
+            S3: 'false',
+            WATCH_FILES: 'false',
+            WATCH_PLUGINS: 'false',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    // Keep the output for when the server doesn't come up
+    let output = '';
+    child.stdout.on('data', chunk => {
+        output += chunk;
+    });
+    child.stderr.on('data', chunk => {
+        output += chunk;
+    });
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Server didn't start:\n${output}`)), 20000);
+        const check = () => {
+            if (output.includes(`running on port ${port}`)) {
+                clearTimeout(timer);
+                resolve();
+            }
+        };
+        child.stdout.on('data', check);
+        child.once('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with ${code}:\n${output}`));
+        });
+    });
+
+    const baseUrl = `http://127.0.0.1:${port}`;
+
+    // fetch() with a JSON body and bearer token; resolves to { status, headers, body }
+    async function request(method, urlPath, { token, json, body, headers = {} } = {}) {
+        const response = await fetch(baseUrl + urlPath, {
+            method,
+            headers: {
+                ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                ...(json !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...headers
+            },
+            body: json !== undefined ? JSON.stringify(json) : body
+        });
+        const text = await response.text();
+        let parsed = text;
+        try {
+            parsed = JSON.parse(text);
+        } catch {
+            // Not JSON
+        }
+        return { status: response.status, headers: response.headers, body: parsed };
+    }
+
+    async function login(username = 'admin', password = ADMIN_PASSWORD) {
+        const { status, body } = await request('POST', '/api/auth/login', { json: { username, password } });
+        if (status !== 200) {
+            throw new Error(`Could not log in as ${username}: ${JSON.stringify(body)}`);
+        }
+        return body.token;
+    }
+
+    // Create a user as the admin and log in as them
+    async function createUser(username, { role = 'user', groups = [] } = {}) {
+        const password = `${username}-password`;
+        const adminToken = await login();
+        await request('POST', '/api/users', { token: adminToken, json: { username, password, role, groups } });
+        return login(username, password);
+    }
+
+    async function stop() {
+        if (child.exitCode === null) {
+            child.removeAllListeners('exit');
+            const exited = new Promise(resolve => child.once('exit', resolve));
+            child.kill();
+            await exited;
+        }
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+
+    return { baseUrl, dataDir, request, login, createUser, stop };
+}
+
+/**
+ * Multipart body with files, for the upload routes
+ * @param {Object} files - name (may include folders) -> content
+ */
+function createUploadForm(files) {
+    const form = new FormData();
+    for (const [name, content] of Object.entries(files)) {
+        form.append('files', new Blob([content]), name);
+    }
+    return form;
+}
+
+module.exports = { startServer, createUploadForm, getFreePort, ADMIN_PASSWORD };
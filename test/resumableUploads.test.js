@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+let server;
+let token;
+
+test.before(async () => {
+    server = await startServer();
+    token = await server.login();
+});
+
+test.after(() => server.stop());
+
+async function startUpload(name, size, options = {}) {
+    const { status, body } = await server.request('POST', '/api/uploads', { token, json: { path: '/', name, size, ...options } });
+    assert.strictEqual(status, 201, JSON.stringify(body));
+    return body.id;
+}
+
+function sendChunk(id, offset, data, userToken = token) {
+    return server.request('PATCH', `/api/uploads/${id}`, {
+        token: userToken,
+        headers: { 'Upload-Offset': String(offset), 'Content-Type': 'application/offset+octet-stream' },
+        body: data
+    });
+}
+
+test('a file sent in chunks is put together and stored on completion', async () => {
+    const id = await startUpload('movie.mp4', 10);
+
+    assert.deepStrictEqual((await sendChunk(id, 0, 'hello')).body, { id, offset: 5, size: 10 });
+    assert.strictEqual((await server.request('GET', `/api/uploads/${id}`, { token })).body.offset, 5);
+    assert.strictEqual(fs.existsSync(path.join(server.dataDir, 'movie.mp4')), false);
+
+    assert.strictEqual((await sendChunk(id, 5, 'world')).body.offset, 10);
+    const { status, body } = await server.request('POST', `/api/uploads/${id}/complete`, { token });
+
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.files, [{ name: 'movie.mp4', size: 10 }]);
+    assert.strictEqual(fs.readFileSync(path.join(server.dataDir, 'movie.mp4'), 'utf8'), 'helloworld');
+    assert.strictEqual((await server.request('GET', `/api/uploads/${id}`, { token })).status, 404);
+});
+
+test('a chunk at the wrong offset is refused with the offset to resume from', async () => {
+    const id = await startUpload('resume.bin', 6);
+    await sendChunk(id, 0, 'abc');
+
+    const { status, body } = await sendChunk(id, 0, 'abc');
+
+    assert.strictEqual(status, 409);
+    assert.strictEqual(body.offset, 3);
+});
+
+test('more data than announced is refused', async () => {
+    const id = await startUpload('short.bin', 3);
+
+    const { status } = await sendChunk(id, 0, 'too long');
+
+    assert.strictEqual(status, 400);
+});
+
+test('an upload cannot be completed before all of it has arrived', async () => {
+    const id = await startUpload('partial.bin', 4);
+    await sendChunk(id, 0, 'ab');
+
+    const { status, body } = await server.request('POST', `/api/uploads/${id}/complete`, { token });
+
+    assert.strictEqual(status, 409);
+    assert.strictEqual(body.offset, 2);
+});
+
+test('uploads belong to the user who started them', async () => {
+    const id = await startUpload('mine.bin', 2);
+    const otherToken = await server.createUser('other');
+
+    assert.strictEqual((await server.request('GET', `/api/uploads/${id}`, { token: otherToken })).status, 404);
+    assert.strictEqual((await sendChunk(id, 0, 'xy', otherToken)).status, 404);
+});
+
+test('an aborted upload is gone', async () => {
+    const id = await startUpload('aborted.bin', 2);
+
+    assert.strictEqual((await server.request('DELETE', `/api/uploads/${id}`, { token })).status, 200);
+    assert.strictEqual((await server.request('GET', `/api/uploads/${id}`, { token })).status, 404);
+});
+
+test('conflicts are checked when the upload starts', async () => {
+    fs.writeFileSync(path.join(server.dataDir, 'taken.txt'), 'x');
+
+    const failed = await server.request('POST', '/api/uploads', { token, json: { path: '/', name: 'taken.txt', size: 1 } });
+    assert.strictEqual(failed.status, 409);
+
+    const skipped = await server.request('POST', '/api/uploads', {
+        token,
+        json: { path: '/', name: 'taken.txt', size: 1, onConflict: 'skip' }
+    });
+    assert.deepStrictEqual(skipped.body, { skipped: true });
+});
+
+test('a chunk sent as anything but bytes is refused with a JSON error', async () => {
+    const id = await startUpload('typed.bin', 20);
+
+    for (const body of ['{"not": "bytes"}', '{broken']) {
+        const { status, headers, body: error } = await server.request('PATCH', `/api/uploads/${id}`, {
+            token,
+            headers: { 'Upload-Offset': '0', 'Content-Type': 'application/json' },
+            body
+        });
+        assert.strictEqual(status, 415);
+        assert.match(headers.get('content-type'), /application\/json/);
+        assert.match(error.error, /octet-stream/);
+    }
+    assert.strictEqual((await server.request('GET', `/api/uploads/${id}`, { token })).body.offset, 0);
+
+    const plain = await server.request('PATCH', `/api/uploads/${id}`, {
+        token,
+        headers: { 'Upload-Offset': '0', 'Content-Type': 'application/octet-stream' },
+        body: '{"is": "bytes"}'
+    });
+    assert.strictEqual(plain.body.offset, 15);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const S3Auth = require('../lib/S3Auth');
+const { startServer, getFreePort } = require('./helpers');
+
+let server;
+let token;
+let s3Url;
+let credentials;
+
+test.before(async () => {
+    const s3Port = await getFreePort();
+    server = await startServer({ S3: 'true', S3_PORT: String(s3Port) });
+    token = await server.login();
+    s3Url = `http://127.0.0.1:${s3Port}`;
+    fs.mkdirSync(path.join(server.dataDir, 'bucket'));
+
+    const { body } = await server.request('POST', '/api/access-keys', { token, json: { username: 'admin' } });
+    credentials = { accessKeyId: body.key.accessKeyId, secretAccessKey: body.key.secretAccessKey, region: 'us-east-1' };
+});
+
+test.after(() => server.stop());
+
+async function s3(method, key, { body, headers = {}, signWith = credentials } = {}) {
+    const url = new URL(`${s3Url}/bucket/${S3Auth.encodeKey(key)}`);
+    const signed = S3Auth.signRequest({ method, url, headers }, signWith);
+    const response = await fetch(url, { method, headers: signed, body });
+    return { status: response.status, body: await response.text() };
+}
+
+test('objects can be put and read back with a signed request', async () => {
+    assert.strictEqual((await s3('PUT', 'docs/hello world.txt', { body: 'hello' })).status, 200);
+
+    assert.strictEqual(fs.readFileSync(path.join(server.dataDir, 'bucket/docs/hello world.txt'), 'utf8'), 'hello');
+    assert.deepStrictEqual(await s3('GET', 'docs/hello world.txt'), { status: 200, body: 'hello' });
+});
+
+test('a request signed with the wrong secret is refused', async () => {
+    const { status, body } = await s3('PUT', 'forged.txt', {
+        body: 'x',
+        signWith: { ...credentials, secretAccessKey: 'guess' }
+    });
+
+    assert.strictEqual(status, 403);
+    assert.match(body, /SignatureDoesNotMatch/);
+    assert.strictEqual(fs.existsSync(path.join(server.dataDir, 'bucket/forged.txt')), false);
+});
+
+test('a revoked key stops working', async () => {
+    const { body } = await server.request('POST', '/api/access-keys', { token, json: { username: 'admin' } });
+    const revoked = { accessKeyId: body.key.accessKeyId, secretAccessKey: body.key.secretAccessKey, region: 'us-east-1' };
+    await server.request('DELETE', `/api/access-keys/${revoked.accessKeyId}`, { token });
+
+    const { status, body: error } = await s3('GET', 'docs/hello world.txt', { signWith: revoked });
+
+    assert.strictEqual(status, 403);
+    assert.match(error, /InvalidAccessKeyId/);
+});
+
+test('overwriting an object, also by copying, keeps the old content as a version', async () => {
+    await s3('PUT', 'report.txt', { body: 'first' });
+    await s3('PUT', 'report.txt', { body: 'second' });
+    await s3('PUT', 'draft.txt', { body: 'third' });
+
+    const copied = await s3('PUT', 'report.txt', { headers: { 'x-amz-copy-source': '/bucket/draft.txt' } });
+    assert.strictEqual(copied.status, 200);
+    assert.strictEqual(fs.readFileSync(path.join(server.dataDir, 'bucket/report.txt'), 'utf8'), 'third');
+
+    const { versions } = (await server.request('GET', '/api/versions?path=/bucket/report.txt', { token })).body;
+    const contents = [];
+    for (const version of versions) {
+        contents.push((await server.request('GET', `/api/versions/${version.id}/download?path=/bucket/report.txt`, { token })).body);
+    }
+    assert.deepStrictEqual(contents, ['second', 'first']);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+let server;
+let token;
+
+test.before(async () => {
+    server = await startServer();
+    token = await server.login();
+    fs.mkdirSync(path.join(server.dataDir, 'album/day1'), { recursive: true });
+    fs.writeFileSync(path.join(server.dataDir, 'report.pdf'), 'report-content');
+    fs.writeFileSync(path.join(server.dataDir, 'album/day1/photo.jpg'), 'photo-content');
+});
+
+test.after(() => server.stop());
+
+async function createShare(options) {
+    const { status, body } = await server.request('POST', '/api/shares', { token, json: options });
+    assert.strictEqual(status, 201, JSON.stringify(body));
+    return body.share.token;
+}
+
+function download(shareToken, { subPath = '', method = 'GET', headers = {} } = {}) {
+    return server.request(method, `/api/public/shares/${shareToken}/download${subPath}`, { headers });
+}
+
+test('only whole downloads count against the download limit', async () => {
+    const shareToken = await createShare({ path: '/report.pdf', maxDownloads: 2 });
+
+    for (let i = 0; i < 3; i++) {
+        assert.strictEqual((await download(shareToken, { method: 'HEAD' })).status, 200);
+        const partial = await download(shareToken, { headers: { Range: 'bytes=0-5' } });
+        assert.strictEqual(partial.status, 206);
+        assert.strictEqual(partial.body, 'report');
+    }
+
+    assert.strictEqual((await download(shareToken)).body, 'report-content');
+    // A range covering the whole file is a whole download
+    assert.strictEqual((await download(shareToken, { headers: { Range: 'bytes=0-' } })).status, 206);
+
+    const refused = await download(shareToken);
+    assert.strictEqual(refused.status, 410);
+    assert.match(refused.body.error, /download limit/);
+});
+
+test('downloads at the same time cannot go past the limit', async () => {
+    const shareToken = await createShare({ path: '/report.pdf', maxDownloads: 1 });
+
+    const statuses = (await Promise.all([1, 2, 3, 4].map(() => download(shareToken)))).map(result => result.status);
+
+    assert.deepStrictEqual(statuses.sort(), [200, 410, 410, 410]);
+});
+
+test('a password-protected share needs unlocking first', async () => {
+    const shareToken = await createShare({ path: '/report.pdf', password: 'open sesame' });
+
+    const info = await server.request('GET', `/api/public/shares/${shareToken}`);
+    assert.strictEqual(info.status, 401);
+    assert.strictEqual(info.body.requiresPassword, true);
+    assert.strictEqual((await download(shareToken)).status, 401);
+
+    const wrong = await server.request('POST', `/api/public/shares/${shareToken}/unlock`, { json: { password: 'nope' } });
+    assert.strictEqual(wrong.status, 401);
+
+    const unlocked = await server.request('POST', `/api/public/shares/${shareToken}/unlock`, { json: { password: 'open sesame' } });
+    assert.strictEqual(unlocked.status, 200);
+    const cookie = unlocked.headers.get('set-cookie').split(';')[0];
+    const downloaded = await download(shareToken, { headers: { Cookie: cookie } });
+    assert.strictEqual(downloaded.status, 200);
+    assert.strictEqual(downloaded.body, 'report-content');
+});
+
+test('an expired share is gone', async () => {
+    const shareToken = await createShare({ path: '/report.pdf', expiresInHours: 0.0001 });
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    const { status, body } = await server.request('GET', `/api/public/shares/${shareToken}`);
+    assert.strictEqual(status, 410);
+    assert.match(body.error, /expired/);
+});
+
+test('a shared folder gives access to files inside it and nothing outside', async () => {
+    const shareToken = await createShare({ path: '/album' });
+
+    const listing = await server.request('GET', `/api/public/shares/${shareToken}?path=/day1`);
+    assert.strictEqual(listing.status, 200);
+
+    assert.strictEqual((await download(shareToken, { subPath: '/day1/photo.jpg' })).body, 'photo-content');
+    assert.strictEqual((await download(shareToken, { subPath: '/..%2Freport.pdf' })).status, 400);
+});
+
+test('a share stops working when its creator loses access', async () => {
+    const userToken = await server.createUser('sharer');
+    fs.mkdirSync(path.join(server.dataDir, 'team'));
+    fs.writeFileSync(path.join(server.dataDir, 'team/plan.txt'), 'plan');
+    const created = await server.request('POST', '/api/shares', { token: userToken, json: { path: '/team/plan.txt' } });
+    const shareToken = created.body.share.token;
+    assert.strictEqual((await download(shareToken)).status, 200);
+
+    await server.request('PUT', '/api/acl?path=/team', {
+        token,
+        json: { rules: [{ principal: 'user:sharer', permissions: [] }] }
+    });
+
+    assert.strictEqual((await download(shareToken)).status, 404);
+});
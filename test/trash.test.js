@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+let server;
+let token;
+
+test.before(async () => {
+    server = await startServer();
+    token = await server.login();
+});
+
+test.after(() => server.stop());
+
+function write(name, content) {
+    fs.mkdirSync(path.dirname(path.join(server.dataDir, name)), { recursive: true });
+    fs.writeFileSync(path.join(server.dataDir, name), content);
+}
+
+async function trash(name, userToken = token) {
+    const { status, body } = await server.request('DELETE', `/api/files/${name}`, { token: userToken });
+    assert.strictEqual(status, 200, JSON.stringify(body));
+    const list = await server.request('GET', '/api/trash', { token: userToken });
+    return list.body.items.find(item => item.path === `/${name}`);
+}
+
+test('deleted files go to the trash and can be restored', async () => {
+    write('notes.txt', 'keep me');
+
+    const item = await trash('notes.txt');
+    assert.ok(item);
+    assert.strictEqual(item.deletedBy, 'admin');
+    assert.strictEqual(fs.existsSync(path.join(server.dataDir, 'notes.txt')), false);
+
+    const { status, body } = await server.request('POST', `/api/trash/${item.id}/restore`, { token, json: {} });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.path, '/notes.txt');
+    assert.strictEqual(fs.readFileSync(path.join(server.dataDir, 'notes.txt'), 'utf8'), 'keep me');
+});
+
+test('restoring over a new file fails unless asked to keep both', async () => {
+    write('plan.txt', 'old plan');
+    const item = await trash('plan.txt');
+    write('plan.txt', 'new plan');
+
+    const failed = await server.request('POST', `/api/trash/${item.id}/restore`, { token, json: {} });
+    assert.strictEqual(failed.status, 409);
+
+    const renamed = await server.request('POST', `/api/trash/${item.id}/restore`, { token, json: { onConflict: 'rename' } });
+    assert.strictEqual(renamed.body.path, '/plan (1).txt');
+    assert.strictEqual(fs.readFileSync(path.join(server.dataDir, 'plan (1).txt'), 'utf8'), 'old plan');
+    assert.strictEqual(fs.readFileSync(path.join(server.dataDir, 'plan.txt'), 'utf8'), 'new plan');
+});
+
+test('a file can be restored somewhere else', async () => {
+    write('moved.txt', 'content');
+    const item = await trash('moved.txt');
+    fs.mkdirSync(path.join(server.dataDir, 'archive'));
+
+    const { body } = await server.request('POST', `/api/trash/${item.id}/restore`, {
+        token,
+        json: { newPath: '/archive/moved-back.txt' }
+    });
+
+    assert.strictEqual(body.path, '/archive/moved-back.txt');
+    assert.strictEqual(fs.existsSync(path.join(server.dataDir, 'archive/moved-back.txt')), true);
+});
+
+test('a restore target that is not a path is refused', async () => {
+    write('odd.txt', 'content');
+    const item = await trash('odd.txt');
+
+    for (const newPath of [5, ['/odd.txt'], { path: '/odd.txt' }]) {
+        const { status, body } = await server.request('POST', `/api/trash/${item.id}/restore`, { token, json: { newPath } });
+        assert.strictEqual(status, 400);
+        assert.match(body.error, /newPath/);
+    }
+    assert.strictEqual(fs.existsSync(path.join(server.dataDir, 'odd.txt')), false);
+});
+
+test('a deleted folder comes back with everything in it', async () => {
+    write('project/src/index.js', 'code');
+    write('project/README.md', 'readme');
+
+    const { status } = await server.request('DELETE', '/api/folders/project', { token });
+    assert.strictEqual(status, 200);
+    const item = (await server.request('GET', '/api/trash', { token })).body.items.find(entry => entry.path === '/project');
+
+    await server.request('POST', `/api/trash/${item.id}/restore`, { token, json: {} });
+    assert.strictEqual(fs.readFileSync(path.join(server.dataDir, 'project/src/index.js'), 'utf8'), 'code');
+    assert.strictEqual(fs.readFileSync(path.join(server.dataDir, 'project/README.md'), 'utf8'), 'readme');
+});
+
+test('users only see and manage their own trash', async () => {
+    const userToken = await server.createUser('trasher');
+    write('theirs.txt', 'x');
+    const item = await trash('theirs.txt', userToken);
+
+    const otherToken = await server.createUser('bystander');
+    assert.deepStrictEqual((await server.request('GET', '/api/trash', { token: otherToken })).body.items, []);
+    assert.strictEqual((await server.request('POST', `/api/trash/${item.id}/restore`, { token: otherToken, json: {} })).status, 404);
+    assert.strictEqual((await server.request('DELETE', `/api/trash/${item.id}`, { token: otherToken })).status, 404);
+
+    // Admins see everyone's
+    const all = (await server.request('GET', '/api/trash', { token })).body.items;
+    assert.ok(all.some(entry => entry.id === item.id));
+});
+
+test('purged items are gone for good', async () => {
+    write('purge-me.txt', 'x');
+    const item = await trash('purge-me.txt');
+
+    assert.strictEqual((await server.request('DELETE', `/api/trash/${item.id}`, { token })).status, 200);
+
+    const list = (await server.request('GET', '/api/trash', { token })).body.items;
+    assert.ok(!list.some(entry => entry.id === item.id));
+    assert.strictEqual((await server.request('POST', `/api/trash/${item.id}/restore`, { token, json: {} })).status, 404);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, createUploadForm } = require('./helpers');
+
+let server;
+let token;
+
+test.before(async () => {
+    server = await startServer();
+    token = await server.login();
+});
+
+test.after(() => server.stop());
+
+function upload(files, query = '') {
+    return server.request('POST', `/api/upload${query}`, { token, body: createUploadForm(files) });
+}
+
+test('files in subfolders are saved under their folders', async () => {
+    const { status, body } = await upload({ 'docs/notes/readme.txt': 'hello' });
+
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.files, [{ name: 'docs/notes/readme.txt', size: 5 }]);
+    assert.strictEqual(fs.readFileSync(path.join(server.dataDir, 'docs/notes/readme.txt'), 'utf8'), 'hello');
+});
+
+test('upload hooks check the name the file is saved under', async () => {
+    for (const name of ['evil.exe/', 'sub//evil.exe', 'sub\\evil.exe']) {
+        const { status, body } = await upload({ [name]: 'MZ' });
+
+        assert.strictEqual(status, 415, `${name}: ${JSON.stringify(body)}`);
+        assert.match(body.error, /\.exe is blocked/);
+    }
+    assert.strictEqual(fs.existsSync(path.join(server.dataDir, 'evil.exe')), false);
+    assert.strictEqual(fs.existsSync(path.join(server.dataDir, 'sub')), false);
+});
+
+test('a rejected upload leaves no folders behind', async () => {
+    const { status } = await upload({ 'new/folder/tool.bat': 'echo' });
+
+    assert.strictEqual(status, 415);
+    assert.strictEqual(fs.existsSync(path.join(server.dataDir, 'new')), false);
+});
+
+test('conflict policies: fail, skip and rename', async () => {
+    await upload({ 'report.txt': 'first' });
+
+    const failed = await upload({ 'report.txt': 'second' });
+    assert.strictEqual(failed.status, 409);
+
+    const skipped = await upload({ 'report.txt': 'second' }, '?onConflict=skip');
+    assert.strictEqual(skipped.status, 200);
+    assert.deepStrictEqual(skipped.body.skipped, ['report.txt']);
+
+    const renamed = await upload({ 'report.txt': 'third' }, '?onConflict=rename');
+    assert.deepStrictEqual(renamed.body.files, [{ name: 'report (1).txt', size: 5 }]);
+    assert.strictEqual(fs.readFileSync(path.join(server.dataDir, 'report.txt'), 'utf8'), 'first');
+});
+
+test('overwriting keeps the old content as a version', async () => {
+    await upload({ 'draft.txt': 'v1' });
+    await upload({ 'draft.txt': 'v2' }, '?onConflict=overwrite');
+
+    const { body } = await server.request('GET', '/api/versions?path=/draft.txt', { token });
+    assert.strictEqual(body.versions.length, 1);
+    assert.strictEqual(fs.readFileSync(path.join(server.dataDir, 'draft.txt'), 'utf8'), 'v2');
+});
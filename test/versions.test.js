@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, createUploadForm } = require('./helpers');
+
+let server;
+let token;
+
+test.before(async () => {
+    server = await startServer({ VERSION_RETENTION_COUNT: '2' });
+    token = await server.login();
+});
+
+test.after(() => server.stop());
+
+async function save(name, content) {
+    const { status } = await server.request('POST', '/api/upload?onConflict=overwrite', {
+        token,
+        body: createUploadForm({ [name]: content })
+    });
+    assert.strictEqual(status, 200);
+}
+
+async function listVersions(name) {
+    return (await server.request('GET', `/api/versions?path=/${name}`, { token })).body.versions;
+}
+
+test('versions can be downloaded and only the newest ones are kept', async () => {
+    for (const content of ['one', 'two', 'three', 'four']) {
+        await save('kept.txt', content);
+    }
+
+    const versions = await listVersions('kept.txt');
+    assert.strictEqual(versions.length, 2);
+    const downloaded = await server.request('GET', `/api/versions/${versions[0].id}/download?path=/kept.txt`, { token });
+    assert.strictEqual(downloaded.body, 'three');
+});
+
+test('the oldest version can be restored at the retention limit', async () => {
+    for (const content of ['one', 'two', 'three']) {
+        await save('restored.txt', content);
+    }
+    const oldest = (await listVersions('restored.txt'))[1];
+
+    const { status, body } = await server.request('POST', `/api/versions/${oldest.id}/restore`, {
+        token,
+        json: { path: '/restored.txt' }
+    });
+
+    assert.strictEqual(status, 200, JSON.stringify(body));
+    assert.strictEqual(fs.readFileSync(path.join(server.dataDir, 'restored.txt'), 'utf8'), 'one');
+    // The content it replaced is kept, so the restore can be undone
+    const newest = (await listVersions('restored.txt'))[0];
+    const replaced = await server.request('GET', `/api/versions/${newest.id}/download?path=/restored.txt`, { token });
+    assert.strictEqual(replaced.body, 'three');
+});
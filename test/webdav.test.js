@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, ADMIN_PASSWORD } = require('./helpers');
+
+let server;
+let adminAuth;
+let userAuth;
+
+const LOCK_BODY = `<?xml version="1.0" encoding="utf-8"?>
+<D:lockinfo xmlns:D="DAV:">
+  <D:lockscope><D:exclusive/></D:lockscope>
+  <D:locktype><D:write/></D:locktype>
+  <D:owner>tests</D:owner>
+</D:lockinfo>`;
+
+function basicAuth(username, password) {
+    return `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+}
+
+test.before(async () => {
+    server = await startServer();
+    await server.createUser('editor');
+    adminAuth = basicAuth('admin', ADMIN_PASSWORD);
+    userAuth = basicAuth('editor', 'editor-password');
+});
+
+test.after(() => server.stop());
+
+function dav(method, urlPath, auth, { headers = {}, body } = {}) {
+    return server.request(method, `/webdav${urlPath}`, { headers: { Authorization: auth, ...headers }, body });
+}
+
+async function lock(urlPath, auth, headers = {}) {
+    const result = await dav('LOCK', urlPath, auth, {
+        headers: { 'Content-Type': 'application/xml', ...headers },
+        body: LOCK_BODY
+    });
+    return { ...result, token: (result.headers.get('lock-token') || '').replace(/^<|>$/g, '') };
+}
+
+test('a locked file can only be changed with its lock token', async () => {
+    fs.writeFileSync(path.join(server.dataDir, 'locked.txt'), 'original');
+    const { status, token } = await lock('/locked.txt', adminAuth);
+    assert.strictEqual(status, 200);
+    assert.match(token, /^opaquelocktoken:/);
+
+    assert.strictEqual((await dav('PUT', '/locked.txt', adminAuth, { body: 'no token' })).status, 423);
+    assert.strictEqual((await dav('DELETE', '/locked.txt', adminAuth)).status, 423);
+
+    const saved = await dav('PUT', '/locked.txt', adminAuth, { headers: { If: `(<${token}>)` }, body: 'with token' });
+    assert.strictEqual(saved.status, 204);
+    assert.strictEqual(fs.readFileSync(path.join(server.dataDir, 'locked.txt'), 'utf8'), 'with token');
+
+    assert.strictEqual((await dav('UNLOCK', '/locked.txt', adminAuth, { headers: { 'Lock-Token': `<${token}>` } })).status, 204);
+    assert.strictEqual((await dav('PUT', '/locked.txt', adminAuth, { body: 'unlocked' })).status, 204);
+});
+
+test('another user cannot use or remove a lock', async () => {
+    fs.writeFileSync(path.join(server.dataDir, 'shared.txt'), 'x');
+    const { token } = await lock('/shared.txt', adminAuth);
+
+    assert.strictEqual((await lock('/shared.txt', userAuth)).status, 423);
+    assert.strictEqual((await dav('PUT', '/shared.txt', userAuth, { headers: { If: `(<${token}>)` }, body: 'y' })).status, 423);
+    assert.strictEqual((await dav('UNLOCK', '/shared.txt', userAuth, { headers: { 'Lock-Token': `<${token}>` } })).status, 403);
+});
+
+test('locking a folder protects what is inside it', async () => {
+    fs.mkdirSync(path.join(server.dataDir, 'project'));
+    fs.writeFileSync(path.join(server.dataDir, 'project/notes.txt'), 'x');
+    const { token } = await lock('/project', adminAuth, { Depth: 'infinity' });
+
+    assert.strictEqual((await dav('PUT', '/project/notes.txt', adminAuth, { body: 'y' })).status, 423);
+    assert.strictEqual((await dav('PUT', '/project/new.txt', adminAuth, { body: 'y' })).status, 423);
+    assert.strictEqual(
+        (await dav('PUT', '/project/new.txt', adminAuth, { headers: { If: `(<${token}>)` }, body: 'y' })).status,
+        201
+    );
+});
+
+test('locking a path with nothing there creates an empty file', async () => {
+    const { status } = await lock('/placeholder.txt', adminAuth);
+
+    assert.strictEqual(status, 201);
+    assert.strictEqual(fs.readFileSync(path.join(server.dataDir, 'placeholder.txt'), 'utf8'), '');
+});